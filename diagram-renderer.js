@@ -1,7 +1,15 @@
 /**
  * DiagramRenderer - 全学科精确图形渲染引擎
  * 将 AI 生成的结构化 DiagramSpec 转换为精确的 SVG/Canvas 图形
+ * ES 模块：页面以 <script type="module"> 加载（同时挂到 window 上）；
+ * Node / Pages Functions 中 import 后用 DiagramRenderer.renderToString 得到与浏览器一致的 SVG 字符串及绘制警告。
  */
+import {
+  compileExpression, derivative, feasibleRegion, findExtrema, findZeros, lineInBox,
+  parseLinearConstraint, sampleCurve, sampleParametricCurve
+} from "./lib/math-expression/index.js";
+import { solveGeometry } from "./lib/geometry-construct/index.js";
+import { renderSmilesSvg } from "./lib/smiles/index.js";
 
 /* ============================================================
    全局计数器（用于生成唯一 DOM id）
@@ -14,8 +22,88 @@ function nextDiagramId() { return `dia-${++_diagramIdCounter}-${Date.now().toStr
    ============================================================ */
 const SVG_NS = "http://www.w3.org/2000/svg";
 
+/* ------------------------------------------------------------
+   无 DOM 环境下的 SVG 元素：只实现渲染器用到的接口，
+   outerHTML 的写法（属性顺序、style、转义）与浏览器序列化一致
+   ------------------------------------------------------------ */
+function escapeMarkup(value, attribute) {
+  const text = String(value).replace(/&/g, "&amp;").replace(/\u00A0/g, "&nbsp;");
+  return attribute ? text.replace(/"/g, "&quot;") : text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+class VirtualSvgElement {
+  constructor(tagName, markup = null) {
+    this.tagName = tagName;
+    this.attributes = new Map();
+    this.childNodes = [];
+    this.style = {};
+    this.text = "";
+    this.markup = markup; // 已序列化的整段 SVG（如 SMILES 渲染结果），原样输出
+  }
+
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+
+  get firstChild() { return this.childNodes[0] || null; }
+
+  appendChild(child) {
+    this.childNodes.push(child);
+    return child;
+  }
+
+  insertBefore(child, reference) {
+    const index = this.childNodes.indexOf(reference);
+    if (index < 0) this.childNodes.push(child);
+    else this.childNodes.splice(index, 0, child);
+    return child;
+  }
+
+  removeChild(child) {
+    this.childNodes = this.childNodes.filter(node => node !== child);
+    return child;
+  }
+
+  get textContent() { return this.text + this.childNodes.map(node => node.textContent).join(""); }
+
+  set textContent(value) {
+    this.childNodes = [];
+    this.text = String(value ?? "");
+  }
+
+  /** 只支持 "tag" 与 "#id" 两种选择器 */
+  querySelector(selector) {
+    const matches = selector.startsWith("#")
+      ? (node) => node.getAttribute("id") === selector.slice(1)
+      : (node) => node.tagName === selector;
+    for (const child of this.childNodes) {
+      if (matches(child)) return child;
+      const found = child.querySelector(selector);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  get outerHTML() {
+    if (this.markup !== null) return this.markup;
+    const style = Object.entries(this.style)
+      .map(([key, value]) => `${key.replace(/[A-Z]/g, c => "-" + c.toLowerCase())}: ${value};`)
+      .join(" ");
+    const attributes = [...this.attributes, ...(style ? [["style", style]] : [])]
+      .map(([name, value]) => ` ${name}="${escapeMarkup(value, true)}"`)
+      .join("");
+    const content = escapeMarkup(this.text, false) + this.childNodes.map(node => node.outerHTML).join("");
+    return `<${this.tagName}${attributes}>${content}</${this.tagName}>`;
+  }
+}
+
+// 元素工厂：有 DOM 时用 document.createElementNS，否则（以及 renderToString 期间）用 VirtualSvgElement
+const createDomSvgElement = (tag) => document.createElementNS(SVG_NS, tag);
+const createVirtualSvgElement = (tag) => new VirtualSvgElement(tag);
+let svgElementFactory = typeof document !== "undefined" ? createDomSvgElement : createVirtualSvgElement;
+
 function createSvgElement(tag, attrs = {}) {
-  const el = document.createElementNS(SVG_NS, tag);
+  const el = svgElementFactory(tag);
   for (const [k, v] of Object.entries(attrs)) {
     if (v !== undefined && v !== null) el.setAttribute(k, String(v));
   }
@@ -141,6 +229,23 @@ function deg2rad(d) { return d * Math.PI / 180; }
 /** 弧度转角度 */
 function rad2deg(r) { return r * 180 / Math.PI; }
 
+/** 坐标保留两位小数 */
+function round2(v) { return Math.round(v * 100) / 100; }
+
+/** 坐标标注用的数：整数、分母不超过 6 的分数、π 的简单倍数，其余保留两位小数 */
+function formatNumber(v) {
+  if (Math.abs(v) < 1e-9) return "0";
+  for (let q = 1; q <= 6; q++) {
+    const p = Math.round(v * q);
+    if (Math.abs(v * q - p) < 1e-6) return q === 1 ? String(p) : `${p}/${q}`;
+  }
+  for (const q of [1, 2, 3, 4, 6]) {
+    const p = Math.round(v * q / Math.PI);
+    if (p !== 0 && Math.abs(v * q / Math.PI - p) < 1e-6) return `${p === 1 ? "" : p === -1 ? "-" : p}π${q === 1 ? "" : "/" + q}`;
+  }
+  return String(round2(v));
+}
+
 /** 在 SVG text 节点中设置文本 */
 function setTextContent(textEl, str) {
   textEl.textContent = str;
@@ -157,37 +262,75 @@ function safeObj(v) { return (v && typeof v === "object" && !Array.isArray(v)) ?
 /* ============================================================
    DiagramRenderer 主类
    ============================================================ */
-class DiagramRenderer {
-  constructor(container) {
+export class DiagramRenderer {
+  /**
+   * headless 为 true 时只输出 SVG：不使用 Mermaid / Chart.js / SmilesDrawer 与 HTML 元素，出错时直接抛出
+   */
+  constructor(container, { headless = false } = {}) {
     this.container = container;
+    this.headless = headless;
+    this.warnings = [];
+  }
+
+  /**
+   * 不依赖 DOM 的渲染：同一 spec 得到与浏览器中相同的 SVG 字符串，供 Node 与 /api/render 使用。
+   * 返回 { svg, warnings }，warnings 为不影响出图的问题（如与坐标不符、未加标记的关系），不输出到控制台。
+   * 无法绘制时抛出错误。
+   */
+  static renderToString(spec) {
+    if (!spec || !spec.type) throw new Error("无图形规格");
+    const container = new VirtualSvgElement("div");
+    const renderer = new DiagramRenderer(container, { headless: true });
+    const previousFactory = svgElementFactory;
+    svgElementFactory = createVirtualSvgElement;
+    try {
+      renderer.draw(spec);
+    } finally {
+      svgElementFactory = previousFactory;
+    }
+    const svg = container.firstChild;
+    if (!svg || svg.tagName !== "svg") throw new Error("图形渲染失败");
+    return { svg: svg.outerHTML, warnings: renderer.warnings };
   }
 
   async render(spec) {
     if (!spec || !spec.type) return this.renderError("无图形规格");
     try {
-      switch (spec.type) {
-        case "geometry":       return this.renderGeometry(spec);
-        case "function_graph": return this.renderFunctionGraph(spec);
-        case "coordinate":     return this.renderCoordinate(spec);
-        case "force":          return this.renderForce(spec);
-        case "circuit":        return this.renderCircuit(spec);
-        case "optics":         return this.renderOptics(spec);
-        case "molecule":       return this.renderMolecule(spec);
-        case "reaction":       return this.renderReaction(spec);
-        case "apparatus":      return this.renderApparatus(spec);
-        case "cell":           return this.renderCell(spec);
-        case "process_flow":   return this.renderProcessFlow(spec);
-        case "geographic":     return this.renderGeographic(spec);
-        case "generic_svg":    return this.renderGenericSVG(spec);
-        default:               return this.renderGenericSVG(spec);
-      }
+      return this.draw(spec);
     } catch (e) {
       console.error("DiagramRenderer error:", e, spec);
       return this.renderError(spec.data?.description || spec.title || "图形渲染失败");
     }
   }
 
+  /** 按类型分派到各绘制方法（同步） */
+  draw(spec) {
+    switch (spec.type) {
+      case "geometry":       return this.renderGeometry(spec);
+      case "function_graph": return this.renderFunctionGraph(spec);
+      case "coordinate":     return this.renderCoordinate(spec);
+      case "force":          return this.renderForce(spec);
+      case "circuit":        return this.renderCircuit(spec);
+      case "optics":         return this.renderOptics(spec);
+      case "molecule":       return this.renderMolecule(spec);
+      case "reaction":       return this.renderReaction(spec);
+      case "apparatus":      return this.renderApparatus(spec);
+      case "cell":           return this.renderCell(spec);
+      case "process_flow":   return this.renderProcessFlow(spec);
+      case "geographic":     return this.renderGeographic(spec);
+      case "generic_svg":    return this.renderGenericSVG(spec);
+      default:               return this.renderGenericSVG(spec);
+    }
+  }
+
+  /** 不影响出图的问题：headless 时收集到 warnings 由调用方返回，页面中输出到控制台 */
+  warn(message) {
+    if (this.headless) this.warnings.push(message);
+    else console.warn("DiagramRenderer:", message);
+  }
+
   renderError(msg) {
+    if (this.headless) throw new Error(msg);
     const div = document.createElement("div");
     div.style.cssText = "padding:16px;background:#fef2f2;border:1px solid #fecaca;border-radius:8px;color:#991b1b;font-size:13px;text-align:center;";
     div.textContent = "\u26A0 " + msg;
@@ -199,24 +342,27 @@ class DiagramRenderer {
      ---------------------------------------------------------- */
   renderGeometry(spec) {
     const d = safeObj(spec.data);
-    const points = safeArr(d.points);
     const segments = safeArr(d.segments);
     const angles = safeArr(d.angles);
     const labels = safeArr(d.labels);
-    const circles = safeArr(d.circles);
     const auxiliary = safeArr(d.auxiliary);
 
+    // 由作图方式给出的点（中点、垂足、交点等）先求出坐标，声明的关系据此生成标记；
+    // 求不出时抛出，由 render 显示错误；与坐标不符的关系不加标记
+    const solution = solveGeometry({ points: safeArr(d.points), circles: safeArr(d.circles), relations: safeArr(d.relations) });
+    solution.warnings.forEach(message => this.warn(message));
+    const points = safeArr(d.points).map(p => ({ ...p, ...solution.points[String(p.id)] }));
+    const circles = solution.circles;
+    const marks = solution.marks;
+
     const ptMap = {};
     points.forEach(p => { ptMap[p.id] = p; });
 
     let allX = points.map(p => p.x);
     let allY = points.map(p => p.y);
     circles.forEach(c => {
-      const center = ptMap[c.center];
-      if (center) {
-        allX.push(center.x - c.radius, center.x + c.radius);
-        allY.push(center.y - c.radius, center.y + c.radius);
-      }
+      allX.push(c.center.x - c.radius, c.center.x + c.radius);
+      allY.push(c.center.y - c.radius, c.center.y + c.radius);
     });
     if (allX.length === 0) { allX = [0, 4]; allY = [0, 3]; }
 
@@ -236,9 +382,7 @@ class DiagramRenderer {
 
     // 圆
     circles.forEach(c => {
-      const center = ptMap[c.center];
-      if (!center) return;
-      svg.appendChild(svgCircle(tx(center.x), ty(center.y), c.radius * scale, { stroke: c.color || "#2563eb" }));
+      svg.appendChild(svgCircle(tx(c.center.x), ty(c.center.y), c.radius * scale, { stroke: c.color || "#2563eb" }));
     });
 
     // 辅助线
@@ -259,6 +403,48 @@ class DiagramRenderer {
       svg.appendChild(svgLine(tx(p1.x), ty(p1.y), tx(p2.x), ty(p2.y)));
     });
 
+    // 关系标记：直角、等长短线（组号决定短线条数）、平行箭头（组号决定箭头个数）
+    const screen = (p) => [tx(p.x), ty(p.y)];
+    const unitOf = (from, to) => {
+      const dx = to[0] - from[0], dy = to[1] - from[1];
+      const len = Math.sqrt(dx * dx + dy * dy) || 1;
+      return [dx / len, dy / len];
+    };
+    marks.rightAngles.forEach(({ vertex, toward }) => {
+      const r = 10;
+      const [vx, vy] = screen(vertex);
+      const [u1, u2] = toward.map(p => unitOf([vx, vy], screen(p)));
+      const d1 = `${round2(vx + u1[0] * r)},${round2(vy + u1[1] * r)}`;
+      const corner = `${round2(vx + (u1[0] + u2[0]) * r)},${round2(vy + (u1[1] + u2[1]) * r)}`;
+      const d2 = `${round2(vx + u2[0] * r)},${round2(vy + u2[1] * r)}`;
+      svg.appendChild(svgPath(`M${d1} L${corner} L${d2}`, { stroke: "#475569", strokeWidth: 1.2 }));
+    });
+    marks.equal.forEach((group, gi) => {
+      group.forEach(([p, q]) => {
+        const [x1, y1] = screen(p), [x2, y2] = screen(q);
+        const [ux, uy] = unitOf([x1, y1], [x2, y2]);
+        const [mx, my] = midpoint(x1, y1, x2, y2);
+        for (let k = 0; k <= gi; k++) {
+          const offset = (k - gi / 2) * 4;
+          const cx = mx + ux * offset, cy = my + uy * offset;
+          svg.appendChild(svgLine(round2(cx - uy * 5), round2(cy + ux * 5), round2(cx + uy * 5), round2(cy - ux * 5), { stroke: "#475569", strokeWidth: 1.2 }));
+        }
+      });
+    });
+    marks.parallel.forEach((group, gi) => {
+      group.forEach(([p, q]) => {
+        const [x1, y1] = screen(p), [x2, y2] = screen(q);
+        const [ux, uy] = unitOf([x1, y1], [x2, y2]);
+        const [mx, my] = midpoint(x1, y1, x2, y2);
+        for (let k = 0; k <= gi; k++) {
+          const offset = (k - gi / 2) * 6 + 3;
+          const tipX = mx + ux * offset, tipY = my + uy * offset;
+          const backX = tipX - ux * 6, backY = tipY - uy * 6;
+          svg.appendChild(svgPath(`M${round2(backX - uy * 5)},${round2(backY + ux * 5)} L${round2(tipX)},${round2(tipY)} L${round2(backX + uy * 5)},${round2(backY - ux * 5)}`, { stroke: "#475569", strokeWidth: 1.5 }));
+        }
+      });
+    });
+
     // 角度标记
     angles.forEach(a => {
       const vp = ptMap[a.vertex];
@@ -337,6 +523,12 @@ class DiagramRenderer {
     const pts = safeArr(d.points);
     const asymptotes = safeArr(d.asymptotes);
     const gridStep = d.gridStep || 1;
+    const curves = safeArr(d.curves);
+    const tangents = safeArr(d.tangents);
+    const areas = safeArr(d.areas);
+    const inequalities = safeArr(d.inequalities);
+    const constraints = safeArr(d.constraints);
+    const intersections = safeArr(d.intersections);
 
     const W = 380, H = 300, pad = 40;
     const sx = (W - 2 * pad) / (xRange[1] - xRange[0]);
@@ -360,6 +552,113 @@ class DiagramRenderer {
       svg.appendChild(setTextContent(svgText(tx(0) - 16, ty(y), '', { fontSize: 10, fill: '#94a3b8' }), String(y)));
     }
 
+    // 表达式由 lib/math-expression 解析求值，不执行任何代码；不写底数的 log 按常用对数。
+    // constants 为题中的具名常数（如 {"a":2}）；表达式不合法时抛出，由 render 显示错误
+    const constants = safeObj(d.constants);
+    const compile = (expr, variables) => compileExpression(expr, { constants, logBase: 10, ...(variables ? { variables } : {}) });
+    // 定义域与横向范围取交集
+    const clampDomain = (domain) => {
+      const [a, b] = safeArr(domain).length === 2 && domain.every(Number.isFinite) ? domain : xRange;
+      return [Math.max(Math.min(a, b), xRange[0]), Math.min(Math.max(a, b), xRange[1])];
+    };
+    const clampY = (y) => Math.min(Math.max(y, yRange[0]), yRange[1]);
+    const inView = (x, y) => isFinite(x) && isFinite(y) && x >= xRange[0] && x <= xRange[1] && y >= yRange[0] && y <= yRange[1];
+
+    // 先编译并采样全部函数：切线、面积、交点等标注都按 id 引用这些函数
+    const colors = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c'];
+    const graphs = functions.map((fn, fi) => {
+      // 分段函数写在 pieces 中（每段有自己的 expr 与 domain），否则为单个 expr，可带 domain
+      const pieces = (safeArr(fn.pieces).length ? fn.pieces : [fn])
+        .map(piece => ({ compiled: compile(piece.expr), domain: clampDomain(piece.domain) }))
+        .filter(piece => piece.domain[0] < piece.domain[1]);
+      const paths = [];
+      const breaks = [];
+      pieces.forEach(({ compiled, domain }) => {
+        const sampled = sampleCurve(x => compiled.evaluate({ x }), domain, { yRange });
+        paths.push(...sampled.paths);
+        breaks.push(domain[0], domain[1], ...sampled.discontinuities.map(item => item.x));
+      });
+      // 定义域外为 NaN；分段交界处取先写的一段
+      const f = (x) => {
+        const piece = pieces.find(({ domain }) => x >= domain[0] && x <= domain[1]);
+        return piece ? piece.compiled.evaluate({ x }) : NaN;
+      };
+      return { fn, id: fn.id === undefined ? undefined : String(fn.id), color: fn.color || colors[fi % colors.length], pieces, paths, breaks, f };
+    });
+    const graphOf = (ref) => graphs.find(graph => graph.id !== undefined && graph.id === String(ref));
+
+    // 在 [a, b] 上对若干函数同时取样，遇到间断点或任一函数无定义处断开，返回若干段 [[x, y1, y2, …], …]
+    const sampleRuns = (group, [a, b], samples = 160) => {
+      const eps = (b - a) * 1e-6;
+      const cuts = [...new Set(group.flatMap(graph => graph.breaks))].filter(x => x > a + eps && x < b - eps).sort((p, q) => p - q);
+      const edges = [a, ...cuts, b];
+      const runs = [];
+      edges.slice(1).forEach((end, i) => {
+        const start = edges[i];
+        const count = Math.max(2, Math.ceil(samples * (end - start) / (b - a)));
+        let run = [];
+        for (let k = 0; k <= count; k++) {
+          const x = start + eps + (end - start - 2 * eps) * k / count;
+          const values = group.map(graph => graph.f(x));
+          if (values.every(isFinite)) {
+            run.push([x, ...values]);
+          } else {
+            if (run.length > 1) runs.push(run);
+            run = [];
+          }
+        }
+        if (run.length > 1) runs.push(run);
+      });
+      return runs;
+    };
+    // 上下两条边界之间的阴影，upper / lower 由一行取样得到 y
+    const shade = (run, upper, lower, fill) => {
+      const top = run.map(row => [round2(tx(row[0])), round2(ty(clampY(upper(row))))]);
+      const bottom = run.map(row => [round2(tx(row[0])), round2(ty(clampY(lower(row))))]).reverse();
+      svg.appendChild(svgPolygon([...top, ...bottom], { fill, stroke: 'none' }));
+    };
+    const regionLabel = (x, y, text, fill) => {
+      if (text && inView(x, y)) svg.appendChild(setTextContent(svgText(tx(x), ty(y), '', { fontSize: 12, fill, bold: true }), text));
+    };
+
+    // 阴影画在坐标轴与曲线下面。面积：曲线与 x 轴（或另一条曲线 between）在 [from, to] 间围成的部分
+    areas.forEach(area => {
+      const graph = graphOf(area.function);
+      const other = area.between === undefined ? null : graphOf(area.between);
+      if (!graph || (area.between !== undefined && !other)) return;
+      const [a, b] = clampDomain([area.from ?? xRange[0], area.to ?? xRange[1]]);
+      if (!(a < b)) return;
+      const fill = area.color || 'rgba(37,99,235,0.18)';
+      const runs = sampleRuns(other ? [graph, other] : [graph], [a, b]);
+      runs.forEach(run => shade(run, row => row[1], row => (other ? row[2] : 0), fill));
+      const mid = (a + b) / 2;
+      regionLabel(mid, (graph.f(mid) + (other ? other.f(mid) : 0)) / 2, area.label, '#1d4ed8');
+    });
+
+    // 不等式 y > f(x) / y < f(x)：曲线与画面上沿或下沿之间
+    inequalities.forEach(item => {
+      const graph = graphOf(item.function);
+      if (!graph) return;
+      const above = /^(>|>=|≥)$/.test(String(item.relation || '>').trim());
+      const fill = item.color || 'rgba(234,88,12,0.15)';
+      const edge = above ? yRange[1] : yRange[0];
+      sampleRuns([graph], xRange).forEach(run => shade(run, () => edge, row => row[1], fill));
+      if (item.label) {
+        const x = xRange[0] + (xRange[1] - xRange[0]) * 0.2;
+        regionLabel(x, (clampY(graph.f(x)) + edge) / 2, item.label, '#c2410c');
+      }
+    });
+
+    // 线性规划：各约束的可行域（凸多边形）与边界直线，严格不等式的边界画虚线
+    const linear = constraints.map(item => {
+      const constraint = parseLinearConstraint(typeof item === 'string' ? item : safeObj(item).expr);
+      return { ...constraint, label: typeof item === 'string' ? '' : safeObj(item).label };
+    });
+    if (linear.length) {
+      const region = feasibleRegion(linear, xRange, yRange);
+      if (region.length) svg.appendChild(svgPolygon(region.map(([x, y]) => [round2(tx(x)), round2(ty(y))]), { fill: 'rgba(22,163,74,0.2)', stroke: 'none' }));
+    }
+
     // 坐标轴
     svg.appendChild(svgLine(tx(xRange[0]), ty(0), tx(xRange[1]), ty(0), { stroke: '#1e293b', strokeWidth: 1.5, arrow: true }));
     svg.appendChild(svgLine(tx(0), ty(yRange[0]), tx(0), ty(yRange[1]), { stroke: '#1e293b', strokeWidth: 1.5, arrow: true }));
@@ -376,45 +675,26 @@ class DiagramRenderer {
       }
     });
 
-    // 安全的数学表达式求值
-    function evalExpr(expr, xVal) {
-      try {
-        const safeExpr = expr
-          .replace(/\bsin\b/g, 'Math.sin')
-          .replace(/\bcos\b/g, 'Math.cos')
-          .replace(/\btan\b/g, 'Math.tan')
-          .replace(/\babs\b/g, 'Math.abs')
-          .replace(/\bsqrt\b/g, 'Math.sqrt')
-          .replace(/\bln\b/g, 'Math.log')
-          .replace(/\blog\b/g, 'Math.log10')
-          .replace(/\bexp\b/g, 'Math.exp')
-          .replace(/\bpi\b/gi, 'Math.PI')
-          .replace(/\^/g, '**');
-        return new Function('x', 'return ' + safeExpr)(xVal);
-      } catch { return NaN; }
-    }
-
-    // 绘制函数曲线
-    const colors = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c'];
-    functions.forEach((fn, fi) => {
-      const color = fn.color || colors[fi % colors.length];
-      const step = (xRange[1] - xRange[0]) / 300;
-      let pathD = '';
-      let drawing = false;
-
-      for (let x = xRange[0]; x <= xRange[1]; x += step) {
-        const y = evalExpr(fn.expr, x);
-        if (isNaN(y) || !isFinite(y) || y < yRange[0] - 10 || y > yRange[1] + 10) {
-          drawing = false;
-          continue;
-        }
-        const px = tx(x), py = ty(y);
-        if (!drawing) { pathD += 'M' + px + ',' + py + ' '; drawing = true; }
-        else { pathD += 'L' + px + ',' + py + ' '; }
+    // 直线（切线、约束边界）截取在画面内的一段，label 写在靠右的一端
+    const drawLine = (line, opts, label) => {
+      const segment = lineInBox(line, xRange, yRange);
+      if (!segment) return;
+      const [[x1, y1], [x2, y2]] = segment.map(([x, y]) => [round2(tx(x)), round2(ty(y))]);
+      svg.appendChild(svgLine(x1, y1, x2, y2, opts));
+      if (label) {
+        const [lx, ly] = x2 >= x1 ? [x2, y2] : [x1, y1];
+        svg.appendChild(setTextContent(svgText(lx - 6, ly + (ly < H / 2 ? 12 : -10), '', { fontSize: 11, fill: opts.stroke, anchor: 'end' }), label));
       }
-
-      if (pathD) {
-        svg.appendChild(svgPath(pathD, {
+    };
+    linear.forEach(line => drawLine(line, { stroke: '#475569', strokeWidth: 1.2, dashed: line.strict }, line.label));
+
+    // 绘制函数曲线：在间断点与渐近线处断开，超出纵向范围的部分截掉
+    const toPathD = (paths) => paths
+      .map(path => path.map(([x, y], i) => (i ? 'L' : 'M') + round2(tx(x)) + ',' + round2(ty(y))).join(' '))
+      .join(' ');
+    graphs.forEach(({ fn, color, paths, f }) => {
+      if (paths.length) {
+        svg.appendChild(svgPath(toPathD(paths), {
           stroke: color, strokeWidth: 2.5,
           dashed: fn.style === 'dashed'
         }));
@@ -422,26 +702,96 @@ class DiagramRenderer {
 
       if (fn.label) {
         const labelX = xRange[1] - (xRange[1] - xRange[0]) * 0.15;
-        const labelY = evalExpr(fn.expr, labelX);
+        const labelY = f(labelX);
         if (isFinite(labelY) && labelY >= yRange[0] && labelY <= yRange[1]) {
           svg.appendChild(setTextContent(svgText(tx(labelX) + fn.label.length * 3.5 + 2, ty(labelY) - 4, '', { fontSize: 11, fill: color, anchor: 'middle' }), fn.label));
         }
       }
     });
 
-    // 特殊点
-    pts.forEach(p => {
-      const px = tx(p.x), py = ty(p.y);
-      if (p.style === 'hollow') {
-        svg.appendChild(svgCircle(px, py, 4, { fill: '#fff', stroke: '#1e293b', strokeWidth: 2 }));
+    // 参数曲线 {x, y} 与极坐标曲线 {r}：参数写 t，极角写 θ 或 theta，range 默认 [0, 2π]
+    curves.forEach((curve, ci) => {
+      const color = curve.color || colors[(functions.length + ci) % colors.length];
+      const range = safeArr(curve.range).length === 2 && curve.range.every(Number.isFinite) ? curve.range : [0, 2 * Math.PI];
+      const variables = ['t', 'theta'];
+      let point;
+      if (curve.type === 'polar') {
+        const r = compile(curve.r, variables);
+        point = (t) => {
+          const radius = r.evaluate({ t, theta: t });
+          return [radius * Math.cos(t), radius * Math.sin(t)];
+        };
       } else {
-        svg.appendChild(svgCircle(px, py, 4, { fill: '#1e293b', stroke: 'none' }));
+        const [cx, cy] = [compile(curve.x, variables), compile(curve.y, variables)];
+        point = (t) => [cx.evaluate({ t, theta: t }), cy.evaluate({ t, theta: t })];
       }
-      if (p.label) {
-        svg.appendChild(setTextContent(svgText(px + 8, py - 10, '', { fontSize: 11, fill: '#1e293b', anchor: 'start' }), p.label));
+      const paths = sampleParametricCurve(point, range, { xRange, yRange });
+      if (!paths.length) return;
+      svg.appendChild(svgPath(toPathD(paths), { stroke: color, strokeWidth: 2.5, dashed: curve.style === 'dashed' }));
+      if (curve.label) {
+        const longest = paths.reduce((p, q) => (q.length > p.length ? q : p));
+        const [lx, ly] = longest[Math.floor(longest.length / 4)];
+        svg.appendChild(setTextContent(svgText(tx(lx) + 6, ty(ly) - 8, '', { fontSize: 11, fill: color, anchor: 'start' }), curve.label));
       }
     });
 
+    // 点：实心或空心圆点，label 写在右上方（below 时写在右下方）
+    const drawPoint = (x, y, label, opts = {}) => {
+      const px = round2(tx(x)), py = round2(ty(y));
+      if (opts.hollow) {
+        svg.appendChild(svgCircle(px, py, 4, { fill: '#fff', stroke: opts.color || '#1e293b', strokeWidth: 2 }));
+      } else {
+        svg.appendChild(svgCircle(px, py, opts.radius || 4, { fill: opts.color || '#1e293b', stroke: 'none' }));
+      }
+      if (label) {
+        svg.appendChild(setTextContent(svgText(px + 8, opts.below ? py + 14 : py - 10, '', { fontSize: 11, fill: opts.color || '#1e293b', anchor: 'start' }), label));
+      }
+    };
+    const coordinates = (x, y) => `(${formatNumber(x)}, ${formatNumber(y)})`;
+
+    // 切线：斜率由函数数值求导，尖点、无定义处不画
+    tangents.forEach(item => {
+      const graph = graphOf(item.function);
+      const x0 = Number(item.x);
+      if (!graph || !isFinite(x0)) return;
+      const y0 = graph.f(x0);
+      const slope = derivative(graph.f, x0);
+      if (!isFinite(y0) || !isFinite(slope)) return;
+      drawLine({ a: slope, b: -1, c: y0 - slope * x0 }, { stroke: item.color || '#0f766e', strokeWidth: 1.5, dashed: item.style === 'dashed' }, item.label);
+      if (inView(x0, y0)) drawPoint(x0, y0, item.pointLabel, { color: item.color || '#0f766e', radius: 3.5 });
+    });
+
+    // 由函数求出的零点、极值点（functions[i].marks）与交点（intersections），默认标坐标
+    graphs.forEach(({ fn, color, pieces }) => {
+      const marks = safeArr(fn.marks);
+      pieces.forEach(({ compiled, domain }) => {
+        const f = (x) => compiled.evaluate({ x });
+        if (marks.includes('zeros')) {
+          findZeros(f, domain).forEach(x => inView(x, 0) && drawPoint(x, 0, formatNumber(x), { color, radius: 3.5 }));
+        }
+        if (marks.includes('extrema')) {
+          findExtrema(f, domain).forEach(({ x, y, kind }) => inView(x, y) && drawPoint(x, y, coordinates(x, y), { color, radius: 3.5, below: kind === 'min' }));
+        }
+      });
+    });
+    intersections.forEach(item => {
+      const [graph, other] = safeArr(item.functions).map(graphOf);
+      if (!graph || !other) return;
+      const labels = safeArr(item.labels);
+      const [a, b] = xRange;
+      findZeros(x => graph.f(x) - other.f(x), [a, b])
+        .map(x => [x, graph.f(x)])
+        .filter(([x, y]) => inView(x, y))
+        .forEach(([x, y], i) => {
+          const name = labels[i] === undefined ? '' : String(labels[i]);
+          const label = !name ? coordinates(x, y) : item.coordinates ? name + coordinates(x, y) : name;
+          drawPoint(x, y, label);
+        });
+    });
+
+    // 特殊点
+    pts.forEach(p => drawPoint(p.x, p.y, p.label, { hollow: p.style === 'hollow' }));
+
     if (spec.title) svg.appendChild(setTextContent(svgText(W/2, H-6, '', { fontSize: 11, fill: '#94a3b8' }), spec.title));
     this.container.appendChild(svg);
   }
@@ -802,6 +1152,12 @@ class DiagramRenderer {
       return this.renderError('SMILES 为空，无法渲染分子结构');
     }
 
+    // 无 DOM 时直接输出内置 SMILES 渲染的 SVG
+    if (this.headless) {
+      this.container.appendChild(new VirtualSvgElement('svg', renderSmilesSvg(smiles).svg));
+      return;
+    }
+
     const wrapper = document.createElement('div');
     wrapper.style.cssText = 'text-align:center;padding:12px;background:#fafbfc;border-radius:8px;border:1px solid #e2e8f0;';
 
@@ -838,12 +1194,16 @@ class DiagramRenderer {
         console.error('SmilesDrawer error:', e);
       }
     } else {
-      // SmilesDrawer 未加载，显示文本
+      // SmilesDrawer 未加载，用 lib/smiles（离线 SMILES 渲染）代替
       canvas.style.display = 'none';
-      const fallback = document.createElement('div');
-      fallback.style.cssText = 'padding:20px;color:#64748b;font-size:14px;font-family:monospace;';
-      fallback.textContent = 'SMILES: ' + smiles;
-      wrapper.insertBefore(fallback, wrapper.firstChild);
+      const figure = document.createElement('div');
+      try {
+        figure.innerHTML = renderSmilesSvg(smiles).svg;
+      } catch (e) {
+        figure.style.cssText = 'padding:20px;color:#991b1b;font-size:13px;';
+        figure.textContent = 'SMILES: ' + smiles + ' (' + e.message + ')';
+      }
+      wrapper.insertBefore(figure, wrapper.firstChild);
     }
   }
 
@@ -1089,7 +1449,7 @@ class DiagramRenderer {
     if (nodes.length === 0) return this.renderError('流程图节点为空');
 
     // 尝试使用 Mermaid
-    if (typeof mermaid !== 'undefined') {
+    if (!this.headless && typeof mermaid !== 'undefined') {
       const mermaidDiv = document.createElement('div');
       mermaidDiv.style.cssText = 'text-align:center;padding:12px;background:#fafbfc;border-radius:8px;border:1px solid #e2e8f0;';
       const id = nextDiagramId();
@@ -1185,8 +1545,8 @@ class DiagramRenderer {
     const temp = safeArr(chart.temperature);
     const precip = safeArr(chart.precipitation);
 
-    if (typeof Chart === 'undefined') {
-      // Chart.js 未加载，用 SVG 简易绘制
+    if (this.headless || typeof Chart === 'undefined') {
+      // Chart.js 未加载（或无 DOM），用 SVG 简易绘制
       return this._renderClimateChartSVG(city, months, temp, precip, spec);
     }
 
@@ -1302,7 +1662,8 @@ class DiagramRenderer {
     const elements = safeArr(d.elements);
     const description = d.description || '';
 
-    if (elements.length === 0 && description) {
+    // 无 DOM 时仍输出画布，描述文字写在底部
+    if (elements.length === 0 && description && !this.headless) {
       const div = document.createElement('div');
       div.style.cssText = 'padding:16px;background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;color:#475569;font-size:13px;text-align:center;';
       div.textContent = '\u56FE\u793A: ' + description;
@@ -1360,7 +1721,7 @@ class DiagramRenderer {
 /* ============================================================
    全局渲染入口函数
    ============================================================ */
-async function renderAllDiagrams() {
+export async function renderAllDiagrams() {
   const containers = document.querySelectorAll('.diagram-container[data-diagram]');
   for (const el of containers) {
     if (el.dataset.rendered === 'true') continue;
@@ -1376,6 +1737,12 @@ async function renderAllDiagrams() {
   }
 }
 
+/* 页面中的内联脚本按全局名调用 */
+if (typeof window !== 'undefined') {
+  window.DiagramRenderer = DiagramRenderer;
+  window.renderAllDiagrams = renderAllDiagrams;
+}
+
 /* Mermaid 初始化 */
 if (typeof mermaid !== 'undefined') {
   mermaid.initialize({ startOnLoad: false, theme: 'default', securityLevel: 'loose' });
@@ -0,0 +1,8 @@
+import { handleCreditsGet, handleCreditsPost } from "../../../lib/handlers/admin.js";
+import { onRequestOptions, toPagesHandler } from "../../../lib/handlers/pages.js";
+
+export { onRequestOptions };
+
+// 查询 / 充值额度账户，处理逻辑与 Express 版共用 lib/handlers/admin.js
+export const onRequestGet = toPagesHandler(handleCreditsGet, { fallbackMessage: "查询失败" });
+export const onRequestPost = toPagesHandler(handleCreditsPost, { fallbackMessage: "充值失败" });
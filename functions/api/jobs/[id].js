@@ -0,0 +1,10 @@
+import { handleJobGet, kvJobContext } from "../../../lib/handlers/jobs.js";
+import { onRequestOptions, toPagesHandler } from "../../../lib/handlers/pages.js";
+
+export { onRequestOptions };
+
+// 轮询即推进：每次 GET 执行任务的下一步，返回推进后的状态
+export const onRequestGet = toPagesHandler(handleJobGet, {
+  extendContext: kvJobContext,
+  fallbackMessage: "任务查询失败"
+});
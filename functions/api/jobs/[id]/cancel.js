@@ -0,0 +1,9 @@
+import { handleJobCancel, kvJobContext } from "../../../../lib/handlers/jobs.js";
+import { onRequestOptions, toPagesHandler } from "../../../../lib/handlers/pages.js";
+
+export { onRequestOptions };
+
+export const onRequestPost = toPagesHandler(handleJobCancel, {
+  extendContext: kvJobContext,
+  fallbackMessage: "任务取消失败"
+});
@@ -0,0 +1,9 @@
+import { handleJobSubmit, kvJobContext } from "../../../lib/handlers/jobs.js";
+import { onRequestOptions, toPagesHandler } from "../../../lib/handlers/pages.js";
+
+export { onRequestOptions };
+
+export const onRequestPost = toPagesHandler(handleJobSubmit, {
+  extendContext: kvJobContext,
+  fallbackMessage: "任务创建失败"
+});
@@ -0,0 +1,12 @@
+import { createPagesRasterAssets } from "../../../lib/figure-export/pages-assets.js";
+import { onRequestOptions, toPagesHandler } from "../../../lib/handlers/pages.js";
+import { handleRenderBatch } from "../../../lib/handlers/render.js";
+
+export { onRequestOptions };
+
+// 批量渲染，处理逻辑与 Express 版共用 lib/handlers/render.js
+export const onRequestPost = toPagesHandler(handleRenderBatch, {
+  extendContext: (ctx, { request, env }) => ({ rasterAssets: createPagesRasterAssets(env, request) }),
+  fallbackMessage: "批量渲染失败",
+  extraBody: { ok: false }
+});
@@ -0,0 +1,185 @@
+import {
+  INITIAL_BATCH_PLAN,
+  VARIATION_TARGET_COUNT,
+  VARIATION_TYPES,
+  analyzeProblem,
+  generateVariationBatch,
+  normalizeVariationItems,
+  sanitizeReadableText
+} from "./analysis-pipeline.js";
+
+// 服务端分析任务：分析 + 三类变式的分批生成，拆成可重入的步骤，
+// 既能在 server.js 的进程内队列里连续推进，也能在 Pages 里每次轮询推进一步。
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  CANCELLED: "cancelled"
+};
+
+const MAX_IMAGE_LENGTH = 12 * 1024 * 1024;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function isAbortError(error) {
+  return error?.name === "AbortError" || error?.constructor?.name === "APIUserAbortError";
+}
+
+// 任务被取消或轮询请求中断时，异常需要继续上抛，不能记为生成失败
+function isInterrupted(error, job, ctx) {
+  return isAbortError(error) || Boolean(ctx.signal?.aborted) || job.status === JOB_STATUS.CANCELLED;
+}
+
+function touch(job) {
+  job.updated_at = new Date().toISOString();
+}
+
+export function createJob(input) {
+  const image = typeof input?.image === "string" ? input.image.trim() : "";
+  const text = sanitizeReadableText(input?.text || "");
+
+  if (!image && !text) {
+    throw badRequest("image 或 text 至少提供一项");
+  }
+  if (image.length > MAX_IMAGE_LENGTH) {
+    throw badRequest("图片过大，请压缩后重试");
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    status: JOB_STATUS.QUEUED,
+    created_at: now,
+    updated_at: now,
+    input: { image, text },
+    analysis: null,
+    variations: VARIATION_TYPES.map((type) => ({
+      type,
+      items: [],
+      target: VARIATION_TARGET_COUNT,
+      batches_done: 0,
+      error: ""
+    })),
+    error: null
+  };
+}
+
+export function isJobFinished(job) {
+  return job.status === JOB_STATUS.SUCCEEDED
+    || job.status === JOB_STATUS.FAILED
+    || job.status === JOB_STATUS.CANCELLED;
+}
+
+export function cancelJob(job) {
+  if (isJobFinished(job)) return false;
+  job.status = JOB_STATUS.CANCELLED;
+  touch(job);
+  return true;
+}
+
+export function failJob(job, error) {
+  job.status = JOB_STATUS.FAILED;
+  job.error = sanitizeReadableText(error?.message || "任务失败");
+  touch(job);
+}
+
+function getPendingVariationIndexes(job) {
+  return job.variations
+    .map((slot, index) => (!slot.error && slot.batches_done < INITIAL_BATCH_PLAN.length ? index : -1))
+    .filter((index) => index !== -1);
+}
+
+function finishJob(job) {
+  job.variations.forEach((slot) => {
+    if (!slot.error && slot.items.length < slot.target) {
+      slot.error = `本类题目生成不足：${slot.items.length}/${slot.target}`;
+    }
+  });
+  const hasAnyItem = job.variations.some((slot) => slot.items.length > 0);
+  job.status = hasAnyItem ? JOB_STATUS.SUCCEEDED : JOB_STATUS.FAILED;
+  if (!hasAnyItem) {
+    job.error = job.variations.map((slot) => `${slot.type}：${slot.error}`).join("；");
+  }
+}
+
+async function runVariationBatch(job, ctx, index) {
+  const slot = job.variations[index];
+  const existingQuestions = slot.items.map((item) => item.question);
+  try {
+    const batchItems = await generateVariationBatch(ctx, {
+      typeName: slot.type,
+      analysis: job.analysis,
+      batchSize: INITIAL_BATCH_PLAN[slot.batches_done],
+      existingQuestions
+    });
+    const merged = normalizeVariationItems(batchItems, Boolean(job.analysis.has_graphics), existingQuestions);
+    slot.items = slot.items.concat(merged);
+    slot.batches_done++;
+  } catch (error) {
+    if (isInterrupted(error, job, ctx)) throw error;
+    slot.error = sanitizeReadableText(error?.message || "生成失败");
+  }
+}
+
+/**
+ * 推进一步：尚未分析则做分析；否则三类变式各生成下一批（并行）。
+ * ctx.requestJson 由调用方基于 createJsonRequester（./json-requester.js）构造，ctx.signal 为同一个中断信号。
+ */
+export async function advanceJob(job, ctx) {
+  if (isJobFinished(job)) return job;
+  job.status = JOB_STATUS.RUNNING;
+
+  if (!job.analysis) {
+    try {
+      job.analysis = await analyzeProblem(ctx, job.input);
+    } catch (error) {
+      if (isInterrupted(error, job, ctx)) throw error;
+      failJob(job, error);
+      return job;
+    }
+    touch(job);
+    return job;
+  }
+
+  await Promise.all(getPendingVariationIndexes(job).map((index) => runVariationBatch(job, ctx, index)));
+  if (job.status !== JOB_STATUS.RUNNING) return job;
+
+  if (getPendingVariationIndexes(job).length === 0) {
+    finishJob(job);
+  }
+  touch(job);
+  return job;
+}
+
+export function toPublicJob(job) {
+  const totalSteps = 1 + job.variations.length * INITIAL_BATCH_PLAN.length;
+  const completedSteps = (job.analysis ? 1 : 0) + job.variations.reduce((sum, slot) => (
+    sum + (slot.error ? INITIAL_BATCH_PLAN.length : slot.batches_done)
+  ), 0);
+
+  return {
+    id: job.id,
+    status: job.status,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    progress: {
+      completed_steps: Math.min(completedSteps, totalSteps),
+      total_steps: totalSteps
+    },
+    analysis: job.analysis,
+    variations: job.variations.map((slot) => ({
+      type: slot.type,
+      items: slot.items,
+      generated: slot.items.length,
+      target: slot.target,
+      error: slot.error
+    })),
+    error: job.error
+  };
+}
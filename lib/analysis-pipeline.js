@@ -0,0 +1,512 @@
+import { buildDiagramSpecGuide, normalizeDiagramSpec } from "./diagram-spec.js";
+import { sanitizeSvg, sanitizeSvgDocument } from "./svg-sanitizer.js";
+
+// 题目分析与变式生成流程：服务端任务（/api/jobs）与前端 index.html 共用这一份提示词与清洗规则。
+// 只依赖可在浏览器加载的模块；ctx.requestJson(messages, schemaName, stage, options) 由调用方提供：
+// 服务端见 ./json-requester.js，前端基于 ./chat-client.js 的 getJsonWithRepair（options.onItem 用于流式逐题回调）。
+
+export const VARIATION_TYPES = ["同类巩固", "逆向思维", "综合拓展"];
+export const VARIATION_TARGET_COUNT = 5;
+export const INITIAL_BATCH_PLAN = [2, 2, 1];
+
+export const AI_REQUEST_OPTIONS = {
+  temperature: 0.3
+};
+
+function isAbortError(error) {
+  return error?.name === "AbortError" || error?.constructor?.name === "APIUserAbortError";
+}
+
+function getReadableTextScore(text) {
+  if (!text) return -999;
+  const chineseCount = (text.match(/[\u4e00-\u9fff]/g) || []).length;
+  const badCount = (text.match(/[�]/g) || []).length;
+  const latinMojibakeCount = (text.match(/[ÃÂâ€™“”]/g) || []).length;
+  return chineseCount * 2 - badCount * 8 - latinMojibakeCount * 3;
+}
+
+function tryRecoverUtf8Mojibake(text) {
+  if (!text || !/[ÃÂâ€™“”]/.test(text)) return text;
+  try {
+    const bytes = Uint8Array.from(Array.from(text).map((ch) => ch.charCodeAt(0) & 0xff));
+    const recovered = new TextDecoder('utf-8', { fatal: false }).decode(bytes);
+    return getReadableTextScore(recovered) > getReadableTextScore(text) ? recovered : text;
+  } catch {
+    return text;
+  }
+}
+
+export function sanitizeReadableText(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value)
+    .replace(/\r\n/g, "\n")
+    .replace(/\r/g, "\n")
+    .replace(/^\uFEFF/, "")
+    .replace(/\uFFFD/g, "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, "");
+
+  text = tryRecoverUtf8Mojibake(text);
+
+  const replaceMap = {
+    "﹣": "-",
+    "－": "-",
+    "–": "-",
+    "／": "/",
+    "％": "%",
+    "∶": ":",
+    "·": "·",
+    "•": "·",
+    "･": "·",
+    "（": "（",
+    "）": "）",
+    "【": "【",
+    "】": "】",
+    "“": "“",
+    "”": "”",
+    "‘": "‘",
+    "’": "’",
+    "…": "…",
+    "℃": "℃",
+    "µ": "μ"
+  };
+
+  for (const [from, to] of Object.entries(replaceMap)) {
+    text = text.split(from).join(to);
+  }
+
+  text = text
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+  return text;
+}
+
+// 白名单清洗见 svg-sanitizer.js，前端页面使用同一模块
+export function sanitizeSvgMarkup(svgInput) {
+  return sanitizeSvg(svgInput);
+}
+
+export function normalizeAnalysis(data) {
+  if (!data || typeof data !== "object") {
+    throw new Error("AI分析结果为空");
+  }
+
+  const subject = sanitizeReadableText(data.subject);
+  const knowledge_point = sanitizeReadableText(data.knowledge_point);
+  const trap_analysis = sanitizeReadableText(data.trap_analysis);
+
+  if (!subject || !knowledge_point || !trap_analysis) {
+    throw new Error("AI分析字段缺失");
+  }
+
+  return {
+    subject,
+    knowledge_point,
+    trap_analysis,
+    has_graphics: Boolean(data.has_graphics),
+    problem_summary: sanitizeReadableText(data.problem_summary || ""),
+    graphic_constraints: sanitizeReadableText(data.graphic_constraints || ""),
+    sub_questions: Array.isArray(data.sub_questions)
+      ? data.sub_questions.map((item) => sanitizeReadableText(item)).filter(Boolean)
+      : []
+  };
+}
+
+function normalizeVariationItem(rawItem, hasGraphics) {
+  const question = sanitizeReadableText(rawItem?.question);
+  const answer = sanitizeReadableText(rawItem?.answer);
+  const solution = sanitizeReadableText(rawItem?.solution);
+  // 结构化题图优先；没有可用的 diagram 时才保留模型直接写的 SVG
+  const diagram = hasGraphics ? normalizeDiagramSpec(rawItem?.diagram) : null;
+  const { svg, removed } = hasGraphics && !diagram ? sanitizeSvgDocument(rawItem?.svg) : { svg: "", removed: [] };
+
+  return {
+    question,
+    answer,
+    solution,
+    ...(diagram ? { diagram } : {}),
+    ...(svg ? { svg } : {}),
+    ...(svg && removed.length ? { sanitizer: { removed } } : {})
+  };
+}
+
+function buildQuestionSimilarityKey(question) {
+  return sanitizeReadableText(question || "")
+    .toLowerCase()
+    .replace(/[（(]\d+[)）]/g, "")
+    .replace(/\d+(?:\.\d+)?/g, "#")
+    .replace(/[，。；：、“”‘’"'`~!@#$%^&*()_+\-=\[\]{}|\\<>/?·,.:;\s]/g, "");
+}
+
+function buildTextNGramSet(text, n = 3) {
+  const safe = buildQuestionSimilarityKey(text);
+  const grams = new Set();
+  if (!safe) return grams;
+  if (safe.length <= n) {
+    grams.add(safe);
+    return grams;
+  }
+  for (let i = 0; i <= safe.length - n; i++) {
+    grams.add(safe.slice(i, i + n));
+  }
+  return grams;
+}
+
+function calcQuestionSimilarity(a, b) {
+  const setA = buildTextNGramSet(a);
+  const setB = buildTextNGramSet(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let intersection = 0;
+  setA.forEach((gram) => {
+    if (setB.has(gram)) intersection++;
+  });
+  const union = setA.size + setB.size - intersection;
+  if (union <= 0) return 0;
+  return intersection / union;
+}
+
+function isQuestionTooSimilar(question, candidates, threshold = 0.72) {
+  const safeQuestion = sanitizeReadableText(question || "");
+  if (!safeQuestion) return false;
+  if (!Array.isArray(candidates) || candidates.length === 0) return false;
+  return candidates.some((candidate) => calcQuestionSimilarity(safeQuestion, candidate) >= threshold);
+}
+
+export function normalizeVariationItems(rawItems, hasGraphics, existingQuestions = []) {
+  if (!Array.isArray(rawItems)) return [];
+  const baseQuestions = existingQuestions.map((item) => sanitizeReadableText(item)).filter(Boolean);
+  const seen = new Set(baseQuestions);
+  const acceptedQuestions = [...baseQuestions];
+  const output = [];
+
+  for (const rawItem of rawItems) {
+    const item = normalizeVariationItem(rawItem, hasGraphics);
+    if (!item.question || !item.answer || !item.solution) continue;
+    if (seen.has(item.question)) continue;
+    if (isQuestionTooSimilar(item.question, acceptedQuestions)) continue;
+    seen.add(item.question);
+    acceptedQuestions.push(item.question);
+    output.push(item);
+  }
+
+  return output;
+}
+
+function buildSubQuestionHint(subQuestions) {
+  if (!Array.isArray(subQuestions) || subQuestions.length === 0) {
+    return "原题为单问或未明确小问。";
+  }
+  return `原题包含小问：${subQuestions.join("；")}`;
+}
+
+function buildGraphicFactsHint(analysis) {
+  if (!analysis?.has_graphics) {
+    return "原题图形关键约束：无（本题不依赖题图）。";
+  }
+  const facts = sanitizeReadableText(analysis.graphic_constraints || "");
+  if (!facts) {
+    return "原题图形关键约束：未提供额外约束，需严格依据题干文字与数值生成。";
+  }
+  return `原题图形关键约束（必须保持关系一致，可替换数值）：${facts}`;
+}
+
+function buildTextQualityConstraint() {
+  return `
+文本质量要求：
+1. 所有文本必须是前端可读的简体中文，不得出现乱码字符（如：�、锛、鈥、鍙 等）。
+2. 数学、物理、化学、生物、地理中的符号必须规范显示，例如：±、×、÷、≤、≥、≠、∠、°、℃、μ、Ω、→。
+3. 化学式、物理量、数学表达式请使用前端可直接显示的规范写法（可使用 LaTeX）。
+4. 不要输出奇怪控制字符，不要输出无意义符号串。
+`;
+}
+
+function buildOriginalityConstraint(batchSize) {
+  return `
+原创差异化约束（必须满足）：
+1. ${batchSize}题在“情境背景、设问角度、条件组合”上必须明显不同，至少覆盖 3 种不同切入方式。
+2. 禁止仅替换数字/单位/名称后复用同一题干模板。
+3. 同批题目题干核心语句重复率应低于 30%，若相似必须主动重写。
+4. 至少一半题目使用不同求解路径或不同条件组合，不得同套路平移。
+5. 若与已生成题干高度相似，必须改写到低相似后再输出。
+`;
+}
+
+function buildGraphicStrongConstraint() {
+  return `
+图形生成超细粒度强约束（需要SVG时必须全部满足）：
+1. 元素一一对应：先在内部建立题干元素清单（对象、符号、数值、单位、方向、条件），再逐个映射到图中；禁止漏画、错画、错标、错位、改名。
+2. 无关元素禁止：不得添加题干未出现且对解题无贡献的对象、装饰、标注或线条。
+3. 空间关系硬约束：题干给出的上下/左右/内外/中间/邻接/相交/重合/接触/包含/平行/垂直必须逐条成立。
+4. 点线面精确关系：固定点不可漂移；端点必须落在指定线/面上；连接必须接到指定节点；点在线上、面内、边界上的关系必须严格正确。
+5. 几何与拓扑一致：共线、共圆、角度、长度比例、对称、连通、闭合关系必须与题意一致，禁止自相矛盾。
+6. 数值标注一致：图中文字、字母编号、上下标、单位、箭头方向必须与题干完全一致，同一对象命名必须前后一致。
+7. 物理世界一致性（核心）：
+   - 力学接触约束：接触=边界接触且无穿透；分离=存在可见间隙；禁止“物体嵌入斜面/墙体/地面/轨道内部”。
+   - 力学位置约束：滑块/小车必须位于轨道或坡面表面；悬挂物必须在绳端下方；铰接点必须落在杆件端点或指定节点。
+   - 力学方向约束：重力始终竖直向下；支持力垂直于接触面；摩擦力沿接触面切向；弹力沿弹簧轴线。
+   - 力学连结约束：细绳只能拉不能推，受力沿绳方向；滑轮绳段连续，绳长约束与运动方向自洽。
+   - 力学受力标注：受力箭头起点必须在受力物体或接触点，不得悬空；同一力不可重复或遗漏关键作用线。
+   - 电学：电路连接必须真实连通，端点对应正确；串并联关系、极性、开关状态与题意一致，禁止悬空断线。
+   - 光学：光线传播、法线位置、反射/折射方向与成像位置必须符合物理规律。
+   - 化学：结构式/键型/官能团/配位与题干或 SMILES 一致，实验装置连接顺序与流向合理。
+   - 生物：结构层级与相对位置符合教材规范（膜内外、细胞器位置、流程方向）。
+   - 地理：方向、图例、区域对应、风向/水流/等值线关系与地理事实一致。
+8. 比例与边界约束：对象尺寸、间距、角度比例应与题意一致；禁止标签互相遮挡关键元素；关键对象不得超出画布或被裁切。
+9. 先自检再输出：逐项核对元素、位置、连接、方向、标签、单位、物理规律；任何一项不满足先重绘，严禁带错输出。
+`;
+}
+
+function buildPhysicsAuditPrompt({ analysis, typeName, items }) {
+  const subject = sanitizeReadableText(analysis?.subject || "");
+  const knowledge = sanitizeReadableText(analysis?.knowledge_point || "");
+  const trap = sanitizeReadableText(analysis?.trap_analysis || "");
+  const summary = sanitizeReadableText(analysis?.problem_summary || "");
+  const graphicFacts = buildGraphicFactsHint(analysis);
+  const compactItems = (Array.isArray(items) ? items : []).map((item, index) => ({
+    index,
+    question: sanitizeReadableText(item?.question || ""),
+    svg: sanitizeSvgMarkup(item?.svg || "")
+  }));
+
+  return `
+你是“全学科题图物理一致性审计器 + SVG修复器”。
+任务：对每个题图进行真实世界一致性审计；若发现任何违规，必须修复为正确 SVG。
+
+背景：
+- 学科：${subject}
+- 类型：${sanitizeReadableText(typeName || "")}
+- 核心考点：${knowledge}
+- 易错陷阱：${trap}
+- 题干摘要：${summary || "（无）"}
+- ${graphicFacts}
+
+必须执行的强约束：
+${buildGraphicStrongConstraint()}
+
+关键审计点（必须逐题检查）：
+1. 接触关系：接触对象只能边界接触，严禁几何穿透（如滑块进入坡面内部）。
+2. 位置关系：上下/左右/内外/中间/邻接/相交/包含/平行/垂直与题干完全一致。
+3. 约束关系：滑块在轨道面上、绳子连续、支点固定、铰链在节点、回路真实连通。
+4. 方向关系：重力向下、法线垂面、摩擦切向、箭头方向与物理意义一致。
+5. 标注关系：标签、单位、下标、编号与题干一致，不遮挡关键结构。
+
+输入题目数组（JSON）：
+${JSON.stringify(compactItems)}
+
+输出格式（严格JSON，不要解释，不要Markdown）：
+{
+  "items": [
+    {
+      "index": 0,
+      "is_valid": true,
+      "violations": [],
+      "corrected_svg": "<svg ...>...</svg>"
+    }
+  ]
+}
+
+输出要求：
+1. 每个 index 都必须返回。
+2. 若 is_valid=false，必须在 violations 列出违规点，并给出修复后的 corrected_svg。
+3. 若 is_valid=true，也必须返回 corrected_svg（可与原图一致）。
+4. corrected_svg 必须是完整、可渲染、单个 <svg> 根节点。
+`;
+}
+
+async function enforcePhysicsConstraintsForItems(ctx, { analysis, typeName, items }) {
+  if (!analysis?.has_graphics) return Array.isArray(items) ? items : [];
+  if (!Array.isArray(items) || items.length === 0) return [];
+
+  const hasSvg = items.some((item) => sanitizeSvgMarkup(item?.svg || ""));
+  if (!hasSvg) return items;
+
+  try {
+    const auditPrompt = buildPhysicsAuditPrompt({ analysis, typeName, items });
+    const auditData = await ctx.requestJson(
+      [{ role: "user", content: auditPrompt }],
+      "physics_audit",
+      "audit"
+    );
+
+    const rows = Array.isArray(auditData?.items) ? auditData.items : [];
+    if (rows.length === 0) return items;
+
+    const rowMap = new Map();
+    rows.forEach((row) => {
+      const index = Number(row?.index);
+      if (!Number.isFinite(index) || index < 0) return;
+      rowMap.set(index, row);
+    });
+
+    return items.map((item, index) => {
+      const row = rowMap.get(index);
+      // 结构化题图由前端按数据绘制，不用审计器改写的 SVG 覆盖
+      if (!row || item.diagram) return item;
+      const { svg: fixedSvg, removed } = sanitizeSvgDocument(row?.corrected_svg || "");
+      if (!fixedSvg) return item;
+      const { sanitizer, ...rest } = item;
+      return { ...rest, svg: fixedSvg, ...(removed.length ? { sanitizer: { removed } } : {}) };
+    });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return items;
+  }
+}
+
+export function buildVariationPrompt({ typeName, analysis, batchSize, existingQuestions = [], fillOnly = false }) {
+  const subQ = buildSubQuestionHint(analysis.sub_questions);
+  const graphicFacts = buildGraphicFactsHint(analysis);
+  const dedupeHint = existingQuestions.length > 0
+    ? `以下题干禁止重复：\n${existingQuestions.slice(-8).map((item, idx) => `${idx + 1}. ${sanitizeReadableText(item)}`).join("\n")}`
+    : "";
+  const fillHint = fillOnly ? `补齐 ${batchSize} 题，且不得与已生成题目重复。` : `生成 ${batchSize} 题，且彼此不得重复。`;
+
+  return `
+请根据以下分析生成变式题（仅生成该类型，不要重复分析）：
+学科：${analysis.subject}
+核心考点：${analysis.knowledge_point}
+易错陷阱：${analysis.trap_analysis}
+题干摘要：${analysis.problem_summary || "（无）"}
+${subQ}
+${graphicFacts}
+图形要求：${analysis.has_graphics ? "需要题图" : "不需要题图"}
+类型：${typeName}
+
+${buildTextQualityConstraint()}
+${buildOriginalityConstraint(batchSize)}
+${analysis.has_graphics ? buildGraphicStrongConstraint() : ""}
+${dedupeHint}
+
+任务：${fillHint} 每道题允许“题干 + 多小问”，用（1）（2）（3）标注小问，难度与原题一致。
+${analysis.has_graphics ? `每道题必须包含题图。\n${buildDiagramSpecGuide()}` : ""}
+
+注意：JSON字符串中的反斜杠必须转义（例如：LaTeX 用双反斜杠）。
+仅输出严格JSON，不要输出任何解释或Markdown。输出格式：
+{
+  "items": [
+    { "question": "...", "answer": "...", "solution": "..."${analysis.has_graphics ? ', "diagram": { "type": "...", "title": "...", "data": { ... } }' : ""} },
+    ... (${batchSize}题)
+  ]
+}
+`;
+}
+
+/** onItem 存在时走流式请求，每闭合一题回调一次（前端先行展示，批次结束后以返回的审计结果为准） */
+export async function generateVariationBatch(ctx, { typeName, analysis, batchSize, existingQuestions = [], onItem }) {
+  const streamOptions = typeof onItem === "function"
+    ? {
+      onItem: (rawItem) => {
+        const item = normalizeVariationItem(rawItem, analysis.has_graphics);
+        if (item.question && item.answer && item.solution) onItem(item);
+      }
+    }
+    : {};
+
+  const prompt = buildVariationPrompt({
+    typeName,
+    analysis,
+    batchSize,
+    existingQuestions,
+    fillOnly: false
+  });
+
+  const data = await ctx.requestJson(
+    [{ role: "user", content: prompt }],
+    "variation_batch",
+    "variation",
+    streamOptions
+  );
+
+  let items = normalizeVariationItems(data?.items, analysis.has_graphics, existingQuestions);
+
+  if (items.length < batchSize) {
+    const missing = batchSize - items.length;
+    const fillPrompt = buildVariationPrompt({
+      typeName,
+      analysis,
+      batchSize: missing,
+      existingQuestions: existingQuestions.concat(items.map((item) => item.question)),
+      fillOnly: true
+    });
+
+    const fillData = await ctx.requestJson(
+      [{ role: "user", content: fillPrompt }],
+      "variation_batch",
+      "variation_fill",
+      streamOptions
+    );
+
+    const fillItems = normalizeVariationItems(
+      fillData?.items,
+      analysis.has_graphics,
+      existingQuestions.concat(items.map((item) => item.question))
+    );
+    items = items.concat(fillItems);
+  }
+
+  items = items.slice(0, batchSize);
+  items = await enforcePhysicsConstraintsForItems(ctx, {
+    analysis,
+    typeName,
+    items
+  });
+
+  return items;
+}
+
+
+export function buildAnalysisPrompt() {
+  return `
+你是一位K12全科金牌教研员。请只做题目分析，不要生成变式题。
+输出必须是前端可读中文，不得出现乱码字符（如：�、锛、鈥、鍙）。
+涉及数学、物理、化学、生物、地理时，符号请规范显示，例如：±、×、÷、≤、≥、≠、∠、°、℃、μ、Ω、→。
+如果题目包含多个小问，请拆分为 sub_questions 数组。
+problem_summary 用一句话概括题干与已知条件。
+判断是否需要图形：只有解题必须依赖题图/示意图时，has_graphics 才为 true。
+若 has_graphics 为 true，请额外输出 graphic_constraints：
+- 用紧凑中文列出图中“对象清单 + 空间关系 + 连接关系 + 方向关系 + 物理/化学/生物/地理关键真实性约束”；
+- 必须包含上下/左右/内外/邻接/相交/包含/平行/垂直等可判定关系（按题目实际出现项给出）；
+- 若无图形或无法判定，graphic_constraints 输出空字符串。
+注意：JSON字符串中的反斜杠必须转义（例如：LaTeX 用双反斜杠）。
+仅输出严格JSON，不要输出任何解释或Markdown。输出格式：
+{
+  "subject": "...",
+  "knowledge_point": "...",
+  "trap_analysis": "...",
+  "has_graphics": true/false,
+  "problem_summary": "...",
+  "graphic_constraints": "...",
+  "sub_questions": ["(1)...", "(2)..."]
+}
+`;
+}
+
+function toImageDataUrl(image) {
+  const raw = String(image || "").trim();
+  if (!raw) return "";
+  if (/^data:image\//i.test(raw)) return raw;
+  return `data:image/jpeg;base64,${raw}`;
+}
+
+/** 分析题目：image 为 dataURL 或纯 base64，text 为题干文字，两者至少其一 */
+export async function analyzeProblem(ctx, { image, text }) {
+  const parts = [{ type: "text", text: buildAnalysisPrompt() }];
+  const problemText = sanitizeReadableText(text || "");
+  if (problemText) {
+    parts.push({ type: "text", text: `题目原文：\n${problemText}` });
+  }
+  const imageUrl = toImageDataUrl(image);
+  if (imageUrl) {
+    parts.push({ type: "image_url", image_url: { url: imageUrl } });
+  }
+
+  const analysisRaw = await ctx.requestJson(
+    [{ role: "user", content: parts }],
+    "analysis",
+    "analysis"
+  );
+
+  return normalizeAnalysis(analysisRaw);
+}
@@ -0,0 +1,299 @@
+// 前端页面调用 /api/chat 的公共实现（index.html 与 错题克星.html 共用）：普通请求、SSE 流式请求、
+// 从流式文本中逐题切出 items，以及服务端未能解析时的宽松 JSON 解析。不依赖 DOM，只用 fetch。
+
+// 额度与限流由服务端校验：401/402/429 直接提示用户，不再换地址重试
+const QUOTA_STATUS_CODES = [401, 402, 429];
+
+function escapeBackslashesInStrings(text) {
+  let out = "";
+  let inStr = false;
+  let escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (!inStr) {
+      if (ch === '"') {
+        inStr = true;
+      }
+      out += ch;
+      continue;
+    }
+
+    if (ch === '"' && !escaped) {
+      inStr = false;
+      out += ch;
+      continue;
+    }
+
+    if (ch === "\\") {
+      out += "\\\\";
+      escaped = true;
+      continue;
+    }
+
+    if (ch === "\n" || ch === "\r") {
+      out += "\\n";
+      escaped = false;
+      continue;
+    }
+
+    out += ch;
+    escaped = false;
+  }
+  return out;
+}
+
+function extractJsonText(raw) {
+  if (!raw) return "";
+  let text = String(raw).trim();
+  text = text.replace(/^\uFEFF/, "");
+  text = text.replace(/```json/gi, "").replace(/```/g, "");
+  const first = text.indexOf("{");
+  const last = text.lastIndexOf("}");
+  if (first === -1 || last === -1 || last <= first) return "";
+  text = text.slice(first, last + 1);
+  text = text.replace(/[“”]/g, "\"").replace(/[‘’]/g, "'");
+  text = text.replace(/,\s*([}\]])/g, "$1");
+  text = escapeBackslashesInStrings(text);
+  return text;
+}
+
+export function tryParseJson(raw) {
+  if (raw && typeof raw === "object") return raw;
+  const jsonText = extractJsonText(raw);
+  if (!jsonText) return null;
+  try {
+    return JSON.parse(jsonText);
+  } catch {
+    return null;
+  }
+}
+
+function createQuotaError(status, errText, retryAfter) {
+  let message = "";
+  try {
+    message = JSON.parse(errText)?.error?.message || "";
+  } catch {
+    message = "";
+  }
+  if (!message) {
+    message = status === 429
+      ? `请求过于频繁，请 ${retryAfter || "稍后"} 秒后再试`
+      : "可用额度不足，请联系管理员充值";
+  }
+  const error = new Error(message);
+  error.isQuotaError = true;
+  return error;
+}
+
+// 服务端按 schema 校验后仍无法得到 JSON 时返回 validation，不再换地址或降级重试
+function createValidationError(validation) {
+  const error = new Error("AI生成的数据格式有误，请重试");
+  error.validation = validation;
+  return error;
+}
+
+async function assertResponseOk(response, apiUrl) {
+  if (response.ok) return;
+  const errText = await response.text();
+  console.error("API Error:", apiUrl, errText);
+  if (QUOTA_STATUS_CODES.includes(response.status)) {
+    throw createQuotaError(response.status, errText, response.headers.get("Retry-After"));
+  }
+  if (response.status === 524) {
+    throw new Error("AI思考时间过长(超时)，请重试");
+  }
+  throw new Error(`服务器请求失败(${response.status})`);
+}
+
+export function parseSseBlock(block) {
+  let event = "message";
+  const dataLines = [];
+  block.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
+  });
+  if (!dataLines.length) return null;
+  try {
+    return { event, data: JSON.parse(dataLines.join("\n")) };
+  } catch {
+    return null;
+  }
+}
+
+// 从尚未结束的 JSON 文本中切出 items 数组里已闭合的对象，供流式逐题渲染
+export function createStreamingItemsParser() {
+  let emitted = 0;
+
+  return function pushText(text) {
+    const source = String(text || "");
+    const keyIndex = source.indexOf('"items"');
+    if (keyIndex === -1) return [];
+    const arrayStart = source.indexOf("[", keyIndex);
+    if (arrayStart === -1) return [];
+
+    const objects = [];
+    let depth = 0;
+    let inStr = false;
+    let escaped = false;
+    let start = -1;
+    for (let i = arrayStart + 1; i < source.length; i++) {
+      const ch = source[i];
+      if (inStr) {
+        if (escaped) escaped = false;
+        else if (ch === "\\") escaped = true;
+        else if (ch === '"') inStr = false;
+        continue;
+      }
+      if (ch === '"') {
+        inStr = true;
+      } else if (ch === "{") {
+        if (depth === 0) start = i;
+        depth++;
+      } else if (ch === "}") {
+        depth--;
+        if (depth === 0 && start !== -1) {
+          objects.push(source.slice(start, i + 1));
+          start = -1;
+        }
+      } else if (ch === "]" && depth === 0) {
+        break;
+      }
+    }
+
+    const fresh = objects.slice(emitted);
+    emitted = objects.length;
+    return fresh.map((chunk) => {
+      try {
+        return JSON.parse(chunk);
+      } catch {
+        return tryParseJson(chunk);
+      }
+    }).filter(Boolean);
+  };
+}
+
+/**
+ * urls 依次尝试（前一个地址网络失败时换下一个）；extraBody 合并进每个请求体，如 { profile: "pro" }。
+ */
+export function createChatClient({ urls = ["/api/chat"], extraBody = {} } = {}) {
+  const post = (apiUrl, payload, headers = {}) => fetch(apiUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ ...payload, ...extraBody })
+  });
+
+  async function requestChat(payload) {
+    let lastError = null;
+
+    for (const apiUrl of urls) {
+      try {
+        const response = await post(apiUrl, payload);
+        await assertResponseOk(response, apiUrl);
+
+        const result = await response.json();
+        if (!result?.choices || result.choices.length === 0) {
+          throw new Error(result?.error?.message || "API无响应");
+        }
+
+        if (result.parsed) return result.parsed;
+        if (result.validation) throw createValidationError(result.validation);
+        return result.choices[0]?.message?.content || "";
+      } catch (error) {
+        lastError = error;
+        if (error.isQuotaError || error.validation) break;
+      }
+    }
+
+    throw (lastError || new Error("请求失败，请稍后重试"));
+  }
+
+  // 流式请求：服务端以 SSE 下发 delta/done/error 事件，onContent 会收到累计文本
+  async function requestChatStream(payload, onContent) {
+    let lastError = null;
+
+    for (const apiUrl of urls) {
+      let received = false;
+      try {
+        const response = await post(apiUrl, { ...payload, stream: true }, { "Accept": "text/event-stream" });
+        await assertResponseOk(response, apiUrl);
+        if (!response.body || !/event-stream/i.test(response.headers.get("Content-Type") || "")) {
+          throw new Error("服务器未返回流式数据");
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder("utf-8");
+        let buffer = "";
+        let content = "";
+        let parsed = null;
+        let validation = null;
+        let finished = false;
+
+        while (!finished) {
+          const { value, done } = await reader.read();
+          buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+          const blocks = buffer.split(/\r?\n\r?\n/);
+          buffer = done ? "" : blocks.pop();
+
+          for (const block of blocks) {
+            const message = parseSseBlock(block);
+            if (!message) continue;
+            if (message.event === "delta") {
+              received = true;
+              content += message.data?.content || "";
+              if (typeof onContent === "function") onContent(content);
+            } else if (message.event === "done") {
+              parsed = message.data?.parsed || null;
+              validation = message.data?.validation || null;
+              finished = true;
+            } else if (message.event === "error") {
+              throw new Error(message.data?.error?.message || "AI生成中断，请重试");
+            }
+          }
+          if (done) break;
+        }
+
+        if (!finished) throw new Error("AI生成中断，请重试");
+        if (parsed) return parsed;
+        if (validation) throw createValidationError(validation);
+        if (!content) throw new Error("API无响应");
+        return content;
+      } catch (error) {
+        lastError = error;
+        // 已经收到部分内容时不再换地址重放，交给调用方决定是否降级
+        if (received || error.isQuotaError) break;
+      }
+    }
+
+    throw (lastError || new Error("请求失败，请稍后重试"));
+  }
+
+  async function requestChatWithItems(payload, onItem) {
+    const pushText = createStreamingItemsParser();
+    try {
+      return await requestChatStream(payload, (content) => {
+        pushText(content).forEach((item) => onItem(item));
+      });
+    } catch (error) {
+      if (error.isQuotaError || error.validation) throw error;
+      console.warn("流式生成失败，改用普通请求：", error);
+      return requestChat(payload);
+    }
+  }
+
+  /**
+   * 服务端按命名 schema 解析、校验并修复（见 lib/json-schemas.js），必要时由服务端请求模型重新整理格式；
+   * options.onItem 存在时走流式请求，items 中每闭合一题回调一次。
+   */
+  async function getJsonWithRepair(payload, schemaName, options = {}) {
+    const request = { ...payload, schema: schemaName };
+    const raw = typeof options.onItem === "function"
+      ? await requestChatWithItems(request, options.onItem)
+      : await requestChat(request);
+    if (raw && typeof raw === "object") return raw;
+    const data = tryParseJson(raw);
+    if (data) return data;
+    throw new Error("AI生成的数据格式有误，请重试");
+  }
+
+  return { requestChat, requestChatStream, requestChatWithItems, getJsonWithRepair };
+}
@@ -0,0 +1,192 @@
+// /api/chat 的模型与参数策略（server.js 与 functions/api/* 共用）：
+// 前端只声明 stage，由这里映射到具体模型；客户端指定的 model 必须在允许列表内，
+// 未知字段一律丢弃，max_tokens / n / 图片大小按上限截断或拒绝。
+// 策略来自环境变量 CHAT_POLICY（JSON），server.js 另支持 CHAT_POLICY_FILE 指向 JSON 文件。
+// 请求可带 profile 选用一组命名的模型设置（如 错题克星.html 一直使用的 Pro 模型），见 profiles。
+
+export const CHAT_STAGES = ["analysis", "variation", "variation_fill", "repair", "audit", "render"];
+
+const DEFAULT_MODEL = "gemini-3-flash-preview";
+const DEFAULT_PRO_MODEL = "gemini-3-pro-preview";
+const DEFAULT_ALLOWED_PARAMS = [
+  "temperature",
+  "top_p",
+  "max_tokens",
+  "n",
+  "seed",
+  "stop",
+  "presence_penalty",
+  "frequency_penalty"
+];
+const ALLOWED_RESPONSE_FORMATS = ["json_object", "text"];
+
+function policyError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function buildDefaultPolicy(env) {
+  const defaultModel = String(env.OPENAI_MODEL || DEFAULT_MODEL).trim();
+  const stages = Object.fromEntries(CHAT_STAGES.map((stage) => [stage, { model: defaultModel }]));
+  stages.render = {
+    model: String(env.RENDERER_MODEL || env.OPENAI_RENDERER_MODEL || defaultModel).trim(),
+    fallback_model: String(env.RENDERER_FALLBACK_MODEL || DEFAULT_MODEL).trim(),
+    // AI 渲染结果最多审计几轮，0 表示不审计
+    audit_rounds: Number(String(env.RENDER_AUDIT_ROUNDS || "").trim() || 2),
+    // /api/render/batch 同时渲染的项数
+    batch_concurrency: Number(env.RENDER_BATCH_CONCURRENCY) || 3
+  };
+
+  return {
+    default_model: defaultModel,
+    // 除各 stage 用到的模型外，额外允许客户端直接指定的模型
+    allowed_models: [],
+    stages,
+    // 请求体 profile 字段可选的模型设置：model 作用于全部 stage，stages 可再按 stage 覆盖
+    profiles: {
+      pro: { model: String(env.OPENAI_PRO_MODEL || DEFAULT_PRO_MODEL).trim() }
+    },
+    allowed_params: DEFAULT_ALLOWED_PARAMS,
+    max_tokens: 8192,
+    max_n: 1,
+    max_images: 4,
+    max_image_bytes: 8 * 1024 * 1024,
+    allow_remote_images: false
+  };
+}
+
+/**
+ * 合并默认策略与配置：顶层字段直接覆盖，stages 按 stage 逐个合并。
+ * policyText 为 CHAT_POLICY_FILE 的内容（仅 server.js 读取），优先于 env.CHAT_POLICY。
+ */
+export function loadChatPolicy(env = {}, policyText = "") {
+  const policy = buildDefaultPolicy(env);
+  const raw = String(policyText || env.CHAT_POLICY || "").trim();
+  if (!raw) return policy;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(raw);
+  } catch {
+    throw policyError(500, "CHAT_POLICY 配置不是合法 JSON");
+  }
+
+  const { stages = {}, profiles = {}, ...rest } = overrides || {};
+  const merged = { ...policy, ...rest, stages: { ...policy.stages }, profiles: { ...policy.profiles } };
+  Object.entries(stages).forEach(([stage, config]) => {
+    merged.stages[stage] = { ...(policy.stages[stage] || {}), ...(config || {}) };
+  });
+  Object.entries(profiles).forEach(([name, config]) => {
+    merged.profiles[name] = { ...(policy.profiles[name] || {}), ...(config || {}) };
+  });
+  return merged;
+}
+
+export function getAllowedModels(policy) {
+  const models = new Set([policy.default_model, ...(policy.allowed_models || [])]);
+  const stageConfigs = [
+    ...Object.values(policy.stages || {}),
+    ...Object.values(policy.profiles || {}).flatMap((profile) => [profile, ...Object.values(profile?.stages || {})])
+  ];
+  stageConfigs.forEach((config) => {
+    if (config?.model) models.add(config.model);
+    if (config?.fallback_model) models.add(config.fallback_model);
+  });
+  models.delete("");
+  models.delete(undefined);
+  return models;
+}
+
+function getProfile(policy, profile) {
+  const name = String(profile || "").trim();
+  if (!name) return null;
+  const config = policy.profiles?.[name];
+  if (!config) throw policyError(400, `未知的 profile：${name}`);
+  return config;
+}
+
+/** profile 中该 stage 的模型优先，其次 profile 的 model，再次策略中该 stage 的模型 */
+export function resolveStageModel(policy, stage, profile) {
+  const config = getProfile(policy, profile);
+  return config?.stages?.[stage]?.model || config?.model || policy.stages?.[stage]?.model || policy.default_model;
+}
+
+function clampNumber(value, min, max) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return undefined;
+  return Math.min(max, Math.max(min, parsed));
+}
+
+function estimateDataUrlBytes(url) {
+  const base64 = url.slice(url.indexOf(",") + 1);
+  return Math.floor(base64.length * 3 / 4);
+}
+
+function checkImages(policy, messages) {
+  let count = 0;
+  messages.forEach((message) => {
+    if (!Array.isArray(message?.content)) return;
+    message.content.forEach((part) => {
+      if (part?.type !== "image_url") return;
+      count++;
+      const url = String(part.image_url?.url || "");
+      if (!url.startsWith("data:")) {
+        if (!policy.allow_remote_images) throw policyError(400, "仅支持以 data URL 形式上传图片");
+        return;
+      }
+      if (estimateDataUrlBytes(url) > policy.max_image_bytes) {
+        throw policyError(413, "图片过大，请压缩后重试");
+      }
+    });
+  });
+  if (count > policy.max_images) {
+    throw policyError(400, `单次请求最多包含 ${policy.max_images} 张图片`);
+  }
+}
+
+/**
+ * 按策略整理请求体，返回 { stage, params }；params 可直接传给 chat.completions.create。
+ * 不合规的请求抛出带 status 的错误（400/413）。
+ */
+export function applyChatPolicy(policy, body) {
+  const { model, messages, response_format, stage, stream, profile, ...rest } = body || {};
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw policyError(400, "messages 必须是非空数组");
+  }
+  checkImages(policy, messages);
+
+  const stageName = String(stage || "").trim().toLowerCase();
+  const stageConfig = policy.stages?.[stageName] || {};
+
+  let resolvedModel = resolveStageModel(policy, stageName, profile);
+  if (model) {
+    if (!getAllowedModels(policy).has(model)) {
+      throw policyError(400, `模型 ${model} 不在允许列表中`);
+    }
+    resolvedModel = model;
+  }
+
+  const allowedParams = new Set(policy.allowed_params || DEFAULT_ALLOWED_PARAMS);
+  const params = {};
+  Object.entries({ ...(stageConfig.params || {}), ...rest }).forEach(([key, value]) => {
+    if (allowedParams.has(key) && value !== undefined) params[key] = value;
+  });
+
+  if (params.max_tokens !== undefined) params.max_tokens = clampNumber(params.max_tokens, 1, policy.max_tokens);
+  if (params.n !== undefined) params.n = clampNumber(params.n, 1, policy.max_n);
+  if (params.temperature !== undefined) params.temperature = clampNumber(params.temperature, 0, 2);
+  Object.keys(params).forEach((key) => {
+    if (params[key] === undefined) delete params[key];
+  });
+
+  if (response_format && ALLOWED_RESPONSE_FORMATS.includes(response_format?.type)) {
+    params.response_format = { type: response_format.type };
+  }
+
+  return {
+    stage: stageName,
+    params: { model: resolvedModel, messages, ...params }
+  };
+}
@@ -0,0 +1,143 @@
+// 题图的结构化描述（diagram spec）：模型只给出类型与数据，由页面上的 DiagramRenderer（diagram-renderer.js）按类型精确绘制。
+// 类型清单、提示词中的数据格式说明与规范化逻辑由服务端流水线和两个页面共用；只依赖同样无依赖的 lib/math-expression 与 lib/geometry-construct，页面可直接以 <script type="module"> 加载。
+
+import { solveGeometry } from "./geometry-construct/index.js";
+import { compileExpression, parseLinearConstraint } from "./math-expression/index.js";
+
+export const DIAGRAM_TYPES = [
+  "geometry", "function_graph", "coordinate", "force", "circuit", "optics", "molecule",
+  "reaction", "apparatus", "cell", "process_flow", "geographic", "generic_svg"
+];
+
+// 每种类型的 data 格式，写进变式题提示词
+const DATA_FORMATS = {
+  geometry: `数学几何：{"points":[{"id":"A","x":1,"y":3},{"id":"B","x":0,"y":0},{"id":"C","x":4,"y":0},{"id":"D","construct":"midpoint","points":["B","C"]},{"id":"E","construct":"foot","point":"A","line":["B","C"]}],"segments":[["A","B"]],"angles":[{"vertex":"A","value":"60°","mark":true}],"labels":[{"from":"A","to":"B","text":"√10"}],"circles":[{"center":"O","radius":2}],"auxiliary":[{"from":"A","to":"D","label":"h"}],"relations":[{"type":"equal","segments":[["A","B"],["A","D"]]}]}。由条件确定的点不要自己算坐标，用 construct 作出：midpoint（points）、ratio（points，ratio 为 0.25 或 "1:2"）、foot（point 到 line 的垂足）、intersection（lines 两直线 / line + circle / circles 两圆）、bisector（vertex 与 sides，角平分线与对边的交点）、tangent（point 向 circle 作切线的切点）、reflection（point 关于点或直线 over 的对称点）；圆写 {"center":"O","radius":2} 或 {"center":"O","through":"A"}，也可写 circles 中的序号；两个解时用 "near":"A" 或 "exclude":"A" 选。中点自动标等长、垂足与切点自动标直角；relations 再声明 perpendicular（lines）、equal（segments）、parallel（segments），须与坐标相符，不符的不会标出`,
+  function_graph: `函数图像：{"xRange":[-5,5],"yRange":[-5,5],"functions":[{"expr":"x^2-2x","label":"y=x²-2x","style":"dashed"},{"expr":"a/x","domain":[0.2,5]},{"pieces":[{"expr":"-x","domain":[-5,0]},{"expr":"x^2+1","domain":[0,3]}]}],"constants":{"a":2},"points":[{"x":1,"y":-1,"label":"顶点","style":"hollow"}],"asymptotes":[{"type":"vertical","value":0}],"gridStep":1}，expr 可用 x、数字、constants 中的常数、+ - * / ^ ( )、|x|、省略乘号（2x、x(x-1)）、sin cos tan abs sqrt exp ln lg log_2 pi e；domain 限定定义域，分段函数写成 pieces。可选标注（由函数自动计算，不要自己算坐标）：给函数加 "id":"f" 后，"tangents":[{"function":"f","x":1,"label":"l"}] 画切线，"areas":[{"function":"f","between":"g","from":0,"to":2,"label":"S"}] 画两曲线（省略 between 为曲线与 x 轴）间的阴影，"inequalities":[{"function":"f","relation":">"}] 画 y>f(x) 的区域，"intersections":[{"functions":["f","g"],"labels":["A","B"]}] 标交点（省略 labels 时标坐标），函数的 "marks":["zeros","extrema"] 标零点与极值点；线性规划写 "constraints":["x+y<=4",{"expr":"x-2y>-2","label":"l₁"},"y>=0"]（画可行域，严格不等式边界为虚线）；参数曲线与极坐标曲线写 "curves":[{"type":"parametric","x":"2cos t","y":"sin t"},{"type":"polar","r":"1+cos θ","range":[0,6.2832]}]`,
+  coordinate: `坐标系与向量：{"xRange":[-4,4],"yRange":[-4,4],"vectors":[{"from":[0,0],"to":[2,1],"label":"a"}],"points":[{"x":1,"y":2,"label":"P"}],"lines":[{"slope":1,"intercept":0,"label":"l"}]}`,
+  force: `受力分析：{"object":{"label":"m"},"surface":{"type":"incline","angle":30},"forces":[{"label":"G","direction":"gravity","magnitude":"medium"}],"annotations":["μ=0.2"]}，surface.type 为 flat / incline，direction 取 gravity / normal / up / down / left / right / applied / friction_up / friction_down / friction_left / friction_right，magnitude 取 small / medium / large`,
+  circuit: `电路：{"components":[{"type":"battery","label":"E"},{"type":"resistor","label":"R₁"}]}，元件按顺序串联在同一回路上（至多 4 个），type 取 battery / resistor / capacitor / switch / ammeter / voltmeter / bulb`,
+  optics: `透镜成像：{"axisRange":[-30,30],"elements":[{"type":"convex_lens","position":0,"focalLength":10},{"type":"object","position":-20,"height":3}],"rays":true}，type 取 convex_lens / concave_lens / object`,
+  molecule: `分子结构：{"smiles":"CCO","name":"乙醇"}`,
+  reaction: `化学反应：{"steps":[{"reactants":["2H₂","O₂"],"products":["2H₂O"],"conditions":["点燃"]}]}`,
+  apparatus: `实验装置：{"equipment":[{"type":"round_flask","label":"A","content":"浓硫酸"}]}，type 取 round_flask / beaker / test_tube / alcohol_lamp / funnel / gas_jar`,
+  cell: `细胞结构：{"cellType":"plant","structures":["cell_membrane","nucleus","chloroplast","vacuole"],"highlighted":["chloroplast"]}，结构取 cell_membrane / nucleus / mitochondria / ribosome / endoplasmic_reticulum / golgi / chloroplast / vacuole`,
+  process_flow: `流程图：{"nodes":[{"id":"a","text":"光反应","shape":"rect"}],"edges":[{"from":"a","to":"b","label":"ATP"}]}，shape 取 rect / diamond / circle`,
+  geographic: `气候图：{"subtype":"climate_chart","climate_chart":{"city":"北京","temperature":[-4,-1,6,14,20,25,26,25,20,13,4,-2],"precipitation":[3,6,9,26,29,71,176,182,49,19,6,2]}}`,
+  generic_svg: `以上都不适用时的基本图元（画布 400×240）：{"description":"...","elements":[{"shape":"rect","x":20,"y":20,"width":80,"height":40,"label":"A"},{"shape":"arrow","from":[100,40],"to":[180,40],"label":"加热"},{"shape":"text","x":20,"y":120,"text":"..."}]}，shape 取 rect / circle / ellipse / line / arrow / text`
+};
+
+const MAX_SPEC_LENGTH = 12_000;
+const MAX_DEPTH = 6;
+const MAX_ARRAY_ITEMS = 60;
+const MAX_STRING_LENGTH = 200;
+// 这些字段会原样写进 SVG 属性，只接受颜色值
+const COLOR_KEYS = new Set(["color", "fill", "stroke"]);
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]{3,20})$/i;
+
+/** 变式题提示词中的题图说明：可用类型及各自 data 的格式 */
+export function buildDiagramSpecGuide() {
+  return [
+    "题图优先使用 diagram 字段（结构化描述，由前端精确绘制），格式为 {\"type\":\"类型\",\"title\":\"图题（可省略）\",\"data\":{...}}。可用类型及 data 格式：",
+    ...DIAGRAM_TYPES.map((type) => `- ${type}：${DATA_FORMATS[type]}`),
+    "坐标、角度、数值必须与题干一致；只有以上类型都无法表达时，才省略 diagram 并改为给出 svg 字段（可直接渲染的 SVG 代码，不要 Markdown）。"
+  ].join("\n");
+}
+
+function cleanValue(value, key, depth) {
+  if (typeof value === "string") {
+    const text = value.trim().slice(0, MAX_STRING_LENGTH);
+    if (COLOR_KEYS.has(key)) return COLOR_PATTERN.test(text) ? text : undefined;
+    return text;
+  }
+  if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+  if (typeof value === "boolean") return value;
+  if (depth >= MAX_DEPTH || !value || typeof value !== "object") return undefined;
+  if (Array.isArray(value)) {
+    return value.slice(0, MAX_ARRAY_ITEMS).map((item) => cleanValue(item, key, depth + 1)).filter((item) => item !== undefined);
+  }
+  const output = {};
+  Object.entries(value).forEach(([childKey, child]) => {
+    const cleaned = cleanValue(child, childKey, depth + 1);
+    if (cleaned !== undefined) output[childKey] = cleaned;
+  });
+  return output;
+}
+
+// 与 DiagramRenderer 相同的编译选项，编译不通过的曲线在这里就丢掉
+function isValidExpression(expr, constants, variables = ["x"]) {
+  try {
+    compileExpression(expr, { constants, logBase: 10, variables });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeFunctionGraph(data) {
+  // 常数只保留数值，且名称不能与函数名、自变量冲突
+  const entries = data.constants && typeof data.constants === "object" && !Array.isArray(data.constants) ? Object.entries(data.constants) : [];
+  const constants = Object.fromEntries(entries.filter(([name, value]) => typeof value === "number" && isValidExpression("x", { [name]: value })));
+  if (Object.keys(constants).length) data.constants = constants;
+  else delete data.constants;
+  const isObject = (item) => item && typeof item === "object" && !Array.isArray(item);
+  data.functions = (Array.isArray(data.functions) ? data.functions : []).filter((fn) => {
+    if (!isObject(fn)) return false;
+    if (!Array.isArray(fn.pieces)) return isValidExpression(fn.expr, constants);
+    fn.pieces = fn.pieces.filter((piece) => isValidExpression(piece?.expr, constants));
+    return fn.pieces.length > 0;
+  });
+  if (Array.isArray(data.curves)) {
+    data.curves = data.curves.filter((curve) => isObject(curve) && (curve.type === "polar"
+      ? isValidExpression(curve.r, constants, ["t", "theta"])
+      : isValidExpression(curve.x, constants, ["t", "theta"]) && isValidExpression(curve.y, constants, ["t", "theta"])));
+  }
+  if (Array.isArray(data.constraints)) {
+    data.constraints = data.constraints.filter((item) => {
+      try {
+        parseLinearConstraint(typeof item === "string" ? item : item?.expr);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+  }
+  // 切线、面积、不等式区域与交点按 id 引用函数，引用不到的标注丢掉
+  const ids = new Set(data.functions.filter((fn) => fn.id !== undefined).map((fn) => String(fn.id)));
+  const refersTo = (ref) => ref !== undefined && ids.has(String(ref));
+  ["tangents", "areas", "inequalities"].forEach((key) => {
+    if (!Array.isArray(data[key])) return;
+    data[key] = data[key].filter((item) => isObject(item) && refersTo(item.function) && (item.between === undefined || refersTo(item.between)));
+  });
+  if (Array.isArray(data.intersections)) {
+    data.intersections = data.intersections.filter((item) => Array.isArray(item?.functions) && item.functions.length === 2 && item.functions.every(refersTo));
+  }
+}
+
+// 作图点求不出时整张图不可用（画出来会误导），退回 svg 字段；与坐标不符的关系只是不加标记
+function isSolvableGeometry(data) {
+  try {
+    solveGeometry({ points: data.points, circles: data.circles, relations: data.relations });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 模型给出的 diagram → { type, title, data }；类型未知、数据为空或过大时返回 null，
+ * 调用方据此退回到 svg 字段。
+ */
+export function normalizeDiagramSpec(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return null;
+  const type = String(input.type || "").trim().toLowerCase();
+  if (!DIAGRAM_TYPES.includes(type)) return null;
+
+  const data = cleanValue(input.data, "data", 0);
+  if (!data || Array.isArray(data) || Object.keys(data).length === 0) return null;
+  if (type === "function_graph") normalizeFunctionGraph(data);
+  if (type === "geometry" && !isSolvableGeometry(data)) return null;
+
+  const title = typeof input.title === "string" ? input.title.trim().slice(0, 60) : "";
+  const spec = { type, ...(title ? { title } : {}), data };
+  return JSON.stringify(spec).length <= MAX_SPEC_LENGTH ? spec : null;
+}
@@ -0,0 +1,59 @@
+// 把平台无关的处理函数 (Request, ctx) => Response 挂到 Express 路由上。
+// express.json() 已消费请求体，这里按解析结果重新序列化；客户端断开时中止 request.signal。
+
+const SKIPPED_REQUEST_HEADERS = new Set(["connection", "content-length", "keep-alive", "transfer-encoding", "expect", "upgrade"]);
+
+function toFetchRequest(req, signal) {
+  const headers = new Headers();
+  Object.entries(req.headers).forEach(([key, value]) => {
+    if (value === undefined || SKIPPED_REQUEST_HEADERS.has(key)) return;
+    headers.set(key, Array.isArray(value) ? value.join(", ") : String(value));
+  });
+
+  const hasBody = !["GET", "HEAD"].includes(req.method);
+  if (hasBody) headers.set("content-type", "application/json");
+  return new Request(`${req.protocol}://${req.get("host") || "localhost"}${req.originalUrl}`, {
+    method: req.method,
+    headers,
+    body: hasBody ? JSON.stringify(req.body ?? {}) : undefined,
+    signal
+  });
+}
+
+async function sendFetchResponse(res, response) {
+  res.status(response.status);
+  response.headers.forEach((value, key) => res.setHeader(key, value));
+  if (!response.body) {
+    res.end();
+    return;
+  }
+
+  res.flushHeaders();
+  const reader = response.body.getReader();
+  try {
+    while (!res.destroyed) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      res.write(value);
+    }
+  } finally {
+    if (res.destroyed) reader.cancel().catch(() => {});
+    res.end();
+  }
+}
+
+/** getContext(req) 返回传给处理函数的 ctx */
+export function toExpressHandler(handler, getContext) {
+  return async (req, res, next) => {
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
+    try {
+      const response = await handler(toFetchRequest(req, controller.signal), getContext(req));
+      await sendFetchResponse(res, response);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,150 @@
+import { initWasm, Resvg } from "@resvg/resvg-wasm";
+import { buildImagePdf } from "./pdf.js";
+
+// 把清洗、lint 之后的 SVG 导出为 PNG / PDF。光栅化用 resvg 的 WASM 版本，离线运行且不读系统字体：
+// 模板里的 Arial、PingFang SC、Microsoft YaHei 在 Linux 服务器上不存在，西文与数学符号回落到随包分发的
+// DejaVu Sans（带斜体，变量名照常倾斜），中文按字形回落到 Noto Sans SC。wasm 与字体由各平台的 rasterAssets 提供：
+//   { loadWasm(): Promise<WebAssembly.Module | BufferSource>, loadFonts(): Promise<Uint8Array[]> }
+// 见 node-assets.js（server.js）与 pages-assets.js（Pages Functions）。
+
+export const OUTPUT_FORMATS = ["svg", "png", "pdf"];
+
+const CSS_DPI = 96;
+const DEFAULT_DPI = { png: 192, pdf: 300 };
+const MIN_DPI = 48;
+const MAX_DPI = 600;
+// 超出时按比例降低 dpi，避免一张大图占满内存
+const MAX_PIXELS = 16e6;
+const DEFAULT_BACKGROUND = "#ffffff";
+const FONT_FAMILY = "DejaVu Sans";
+const CONTENT_TYPES = { png: "image/png", pdf: "application/pdf" };
+
+let wasmReady = null;
+
+function outputError(message) {
+  const error = new Error(`output 无效：${message}`);
+  error.status = 400;
+  return error;
+}
+
+function normalizeBackground(value) {
+  if (value === undefined || value === null || value === "") return DEFAULT_BACKGROUND;
+  const text = String(value).trim();
+  if (/^(?:#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i.test(text)) return text.toLowerCase();
+  throw outputError(`background“${text}”不是颜色`);
+}
+
+/**
+ * 校验 output：缺省或 "svg" 返回 null（只返回 SVG）；
+ * "png" / "pdf" 或 { format, dpi | scale, background } 返回 { format, dpi, background }。
+ * dpi 与 scale 二选一（scale = dpi / 96），background 为 CSS 颜色或 transparent，默认白底。
+ */
+export function normalizeFigureOutput(input) {
+  if (input === undefined || input === null || input === "") return null;
+  const options = typeof input === "string" ? { format: input } : input;
+  if (typeof options !== "object" || Array.isArray(options)) throw outputError("应为格式名或对象");
+
+  const format = String(options.format || "").trim().toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) throw outputError(`format 只能是 ${OUTPUT_FORMATS.join(" / ")}`);
+  if (format === "svg") return null;
+
+  if (options.dpi !== undefined && options.scale !== undefined) throw outputError("dpi 与 scale 只能指定一个");
+  let dpi = DEFAULT_DPI[format];
+  if (options.dpi !== undefined) dpi = Number(options.dpi);
+  if (options.scale !== undefined) dpi = Number(options.scale) * CSS_DPI;
+  if (!Number.isFinite(dpi) || dpi < MIN_DPI || dpi > MAX_DPI) {
+    throw outputError(`dpi 应在 ${MIN_DPI}–${MAX_DPI} 之间（scale ${MIN_DPI / CSS_DPI}–${MAX_DPI / CSS_DPI}）`);
+  }
+
+  return { format, dpi: Math.round(dpi), background: normalizeBackground(options.background) };
+}
+
+function unavailableError() {
+  const error = new Error("当前部署未配置 PNG/PDF 导出所需的 wasm 与字体");
+  error.status = 501;
+  return error;
+}
+
+/** 请求了 PNG/PDF 但当前部署没有 rasterAssets 时抛出 501，在扣点之前调用 */
+export function assertFigureExportAvailable(output, rasterAssets) {
+  if (output && !rasterAssets) throw unavailableError();
+}
+
+// initWasm 每个进程只能调用一次；失败时清掉，下次请求重试
+function ensureWasm(rasterAssets) {
+  if (!wasmReady) {
+    wasmReady = Promise.resolve(rasterAssets.loadWasm()).then((module) => initWasm(module));
+    wasmReady.catch(() => {
+      wasmReady = null;
+    });
+  }
+  return wasmReady;
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function createRenderer(svg, zoom, background, fontBuffers) {
+  return new Resvg(svg, {
+    fitTo: { mode: "zoom", value: zoom },
+    ...(background === "transparent" ? {} : { background }),
+    font: {
+      fontBuffers,
+      defaultFontFamily: FONT_FAMILY,
+      sansSerifFamily: FONT_FAMILY,
+      serifFamily: FONT_FAMILY
+    }
+  });
+}
+
+/**
+ * 光栅化 SVG。output 为 normalizeFigureOutput 的返回值。
+ * 返回 { format, content_type, width, height, dpi, data }：width / height 为像素，data 为 base64；
+ * PDF 的页面尺寸按 SVG 的 CSS 像素换算（96 px = 72 pt），dpi 只影响其中图像的清晰度。
+ */
+export async function exportFigure(svg, output, rasterAssets) {
+  if (!rasterAssets) throw unavailableError();
+  const [fontBuffers] = await Promise.all([rasterAssets.loadFonts(), ensureWasm(rasterAssets)]);
+
+  let dpi = output.dpi;
+  let renderer = createRenderer(svg, dpi / CSS_DPI, output.background, fontBuffers);
+  let image = null;
+  try {
+    const { width: cssWidth, height: cssHeight } = renderer;
+    const pixels = cssWidth * cssHeight * (dpi / CSS_DPI) ** 2;
+    if (pixels > MAX_PIXELS) {
+      dpi = Math.floor(dpi * Math.sqrt(MAX_PIXELS / pixels));
+      renderer.free();
+      renderer = null;
+      renderer = createRenderer(svg, dpi / CSS_DPI, output.background, fontBuffers);
+    }
+
+    image = renderer.render();
+    const { width, height } = image;
+    const bytes = output.format === "pdf"
+      ? await buildImagePdf({
+        pixels: image.pixels,
+        width,
+        height,
+        pageWidth: (cssWidth * 72) / CSS_DPI,
+        pageHeight: (cssHeight * 72) / CSS_DPI
+      })
+      : image.asPng();
+    return {
+      format: output.format,
+      content_type: CONTENT_TYPES[output.format],
+      width,
+      height,
+      dpi,
+      data: bytesToBase64(bytes)
+    };
+  } finally {
+    image?.free();
+    renderer?.free();
+  }
+}
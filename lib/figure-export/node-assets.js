@@ -0,0 +1,34 @@
+import fs from "fs/promises";
+import { createRequire } from "module";
+
+// server.js 使用的 rasterAssets：wasm 与字体都从 node_modules 读取，首次导出时加载并常驻内存。
+// RASTER_FONT_FILES 可改用其他字体文件（逗号分隔的本地路径），其中须有覆盖中文的字体。
+
+const require = createRequire(import.meta.url);
+
+const DEFAULT_FONT_FILES = [
+  "@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf",
+  "@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf",
+  "dejavu-fonts-ttf/ttf/DejaVuSans.ttf",
+  "dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf",
+  "dejavu-fonts-ttf/ttf/DejaVuSans-Oblique.ttf"
+];
+
+export function createNodeRasterAssets(env = {}) {
+  const configured = String(env.RASTER_FONT_FILES || "").split(",").map((item) => item.trim()).filter(Boolean);
+  const fontFiles = configured.length ? configured : DEFAULT_FONT_FILES.map((file) => require.resolve(file));
+  let fonts = null;
+
+  return {
+    loadWasm: () => fs.readFile(require.resolve("@resvg/resvg-wasm/index_bg.wasm")),
+    loadFonts() {
+      if (!fonts) {
+        fonts = Promise.all(fontFiles.map(async (file) => new Uint8Array(await fs.readFile(file))));
+        fonts.catch(() => {
+          fonts = null;
+        });
+      }
+      return fonts;
+    }
+  };
+}
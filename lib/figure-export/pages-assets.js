@@ -0,0 +1,37 @@
+import resvgWasm from "@resvg/resvg-wasm/index_bg.wasm";
+
+// Pages Functions 使用的 rasterAssets：wasm 随函数打包（.wasm 导入即 WebAssembly.Module）；
+// 中文字体超出函数体积限制，按 RASTER_FONT_URLS（逗号分隔，其中须有覆盖中文的字体）下载，
+// 相对路径从本站静态资源 env.ASSETS 读取。未配置时返回 null，请求 PNG/PDF 会得到 501。
+
+// 同一 isolate 内复用已下载的字体
+let cachedFonts = null;
+let cachedKey = "";
+
+export function createPagesRasterAssets(env = {}, request) {
+  const urls = String(env.RASTER_FONT_URLS || "").split(",").map((item) => item.trim()).filter(Boolean);
+  if (!urls.length) return null;
+
+  const fetchFont = async (url) => {
+    const target = new URL(url, request.url);
+    const relative = !/^[a-z][a-z\d+.-]*:/i.test(url);
+    const response = relative && env.ASSETS ? await env.ASSETS.fetch(target) : await fetch(target);
+    if (!response.ok) throw new Error(`字体下载失败（${response.status}）：${url}`);
+    return new Uint8Array(await response.arrayBuffer());
+  };
+
+  return {
+    loadWasm: () => resvgWasm,
+    loadFonts() {
+      const key = urls.join(",");
+      if (!cachedFonts || cachedKey !== key) {
+        cachedKey = key;
+        cachedFonts = Promise.all(urls.map(fetchFont));
+        cachedFonts.catch(() => {
+          cachedFonts = null;
+        });
+      }
+      return cachedFonts;
+    }
+  };
+}
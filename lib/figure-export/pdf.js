@@ -0,0 +1,88 @@
+// 单页 PDF：整页就是一张光栅图，颜色与透明度分别存为 FlateDecode 压缩的 DeviceRGB 图像和 SMask。
+
+const encoder = new TextEncoder();
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * RGBA 像素生成 PDF 字节。
+ * pixels 为 resvg 输出的非预乘 RGBA；pageWidth / pageHeight 为页面尺寸（pt）。
+ */
+export async function buildImagePdf({ pixels, width, height, pageWidth, pageHeight }) {
+  const count = width * height;
+  const rgb = new Uint8Array(count * 3);
+  const alpha = new Uint8Array(count);
+  let translucent = false;
+  for (let index = 0; index < count; index += 1) {
+    rgb[index * 3] = pixels[index * 4];
+    rgb[index * 3 + 1] = pixels[index * 4 + 1];
+    rgb[index * 3 + 2] = pixels[index * 4 + 2];
+    alpha[index] = pixels[index * 4 + 3];
+    if (alpha[index] !== 255) translucent = true;
+  }
+
+  const image = await deflate(rgb);
+  const mask = translucent ? await deflate(alpha) : null;
+  const content = encoder.encode(
+    `q ${formatNumber(pageWidth)} 0 0 ${formatNumber(pageHeight)} 0 0 cm /Im0 Do Q`
+  );
+  const imageDict = (colorSpace, length, extra = "") =>
+    `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${colorSpace} ` +
+    `/BitsPerComponent 8 /Filter /FlateDecode${extra} /Length ${length} >>`;
+
+  // [字典, 流数据]，对象号按数组顺序从 1 开始
+  const objects = [
+    ["<< /Type /Catalog /Pages 2 0 R >>"],
+    ["<< /Type /Pages /Kids [3 0 R] /Count 1 >>"],
+    [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(pageWidth)} ${formatNumber(pageHeight)}] ` +
+      "/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>"
+    ],
+    [imageDict("/DeviceRGB", image.length, mask ? " /SMask 6 0 R" : ""), image],
+    [`<< /Length ${content.length} >>`, content],
+    ...(mask ? [[imageDict("/DeviceGray", mask.length), mask]] : [])
+  ];
+
+  const chunks = [];
+  let offset = 0;
+  const push = (chunk) => {
+    const bytes = typeof chunk === "string" ? encoder.encode(chunk) : chunk;
+    chunks.push(bytes);
+    offset += bytes.length;
+  };
+
+  // 第二行的高位字节告诉传输工具这是二进制文件
+  push("%PDF-1.4\n");
+  push(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+  const offsets = objects.map(([dict, stream], index) => {
+    const start = offset;
+    push(`${index + 1} 0 obj\n${dict}\n`);
+    if (stream) {
+      push("stream\n");
+      push(stream);
+      push("\nendstream\n");
+    }
+    push("endobj\n");
+    return start;
+  });
+
+  const xrefOffset = offset;
+  push(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((start) => push(`${String(start).padStart(10, "0")} 00000 n \n`));
+  push(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const output = new Uint8Array(offset);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, position);
+    position += chunk.length;
+  });
+  return output;
+}
@@ -0,0 +1,303 @@
+// 几何作图：点除了直接给坐标，也可以由已有的点“作”出来（中点、交点、垂足、角平分线与对边的交点、
+// 定比分点、切点、对称点），先求出坐标再画，保证“D 是 BC 中点”“AE ⊥ BC”在图上确实成立。
+// 作图本身蕴含的关系（中点 → 两段等长，垂足、切点 → 直角）与 relations 中声明的关系一起，
+// 生成直角、等长短线与平行箭头标记。不依赖 DOM，DiagramRenderer 与服务端规范化共用。
+
+const EPSILON = 1e-9;
+// 声明的关系与坐标核对时的相对误差
+const TOLERANCE = 0.01;
+// 依赖的点还没求出时抛出，下一轮再试
+const PENDING = Symbol("pending");
+
+export function constructionError(message) {
+  const error = new Error(`几何作图失败：${message}`);
+  error.status = 400;
+  return error;
+}
+
+// 坐标可写成数字或数字字符串（如 "3"），空值视为没给
+const toCoordinate = (value) => (value === null || value === undefined || value === "" ? NaN : Number(value));
+const add = (p, q) => ({ x: p.x + q.x, y: p.y + q.y });
+const sub = (p, q) => ({ x: p.x - q.x, y: p.y - q.y });
+const scale = (p, k) => ({ x: p.x * k, y: p.y * k });
+const dot = (p, q) => p.x * q.x + p.y * q.y;
+const cross = (p, q) => p.x * q.y - p.y * q.x;
+const distance = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+const lerp = (p, q, t) => add(p, scale(sub(q, p), t));
+
+function isPair(value) {
+  return Array.isArray(value) && value.length === 2;
+}
+
+function lineLine([p, q], [r, s]) {
+  const u = sub(q, p);
+  const v = sub(s, r);
+  const denominator = cross(u, v);
+  if (Math.abs(denominator) <= EPSILON * Math.max(1, dot(u, u), dot(v, v))) return [];
+  return [add(p, scale(u, cross(sub(r, p), v) / denominator))];
+}
+
+function lineCircle([p, q], { center, radius }) {
+  const u = sub(q, p);
+  const a = dot(u, u);
+  const w = sub(p, center);
+  const b = 2 * dot(u, w);
+  const c = dot(w, w) - radius * radius;
+  const discriminant = b * b - 4 * a * c;
+  if (discriminant < -EPSILON * Math.max(1, b * b)) return [];
+  const root = Math.sqrt(Math.max(discriminant, 0));
+  return [...new Set([(-b - root) / (2 * a), (-b + root) / (2 * a)])].map((t) => add(p, scale(u, t)));
+}
+
+function circleCircle(first, second) {
+  const gap = distance(first.center, second.center);
+  if (gap < EPSILON || gap > first.radius + second.radius + EPSILON || gap < Math.abs(first.radius - second.radius) - EPSILON) return [];
+  const along = (gap * gap + first.radius * first.radius - second.radius * second.radius) / (2 * gap);
+  const height = Math.sqrt(Math.max(first.radius * first.radius - along * along, 0));
+  const axis = scale(sub(second.center, first.center), 1 / gap);
+  const base = add(first.center, scale(axis, along));
+  const normal = { x: -axis.y, y: axis.x };
+  return height < EPSILON ? [base] : [add(base, scale(normal, height)), sub(base, scale(normal, height))];
+}
+
+function projection(a, [p, q]) {
+  const u = sub(q, p);
+  return add(p, scale(u, dot(sub(a, p), u) / dot(u, u)));
+}
+
+/**
+ * 点的作图方式（construct 字段），各自需要的字段：
+ * - midpoint：points [P, Q]
+ * - ratio：points [P, Q]，ratio 为 PX:PQ 的比值（0.25）或 "m:n"（PX:XQ）
+ * - foot：point A，line [P, Q]，A 到直线 PQ 的垂足
+ * - intersection：lines [[P,Q],[R,S]]，或 line + circle，或 circles [圆, 圆]
+ * - bisector：vertex A，sides [B, C]，∠BAC 的平分线与 BC 的交点
+ * - tangent：point P，circle，过 P 所作切线的切点
+ * - reflection：point A，over 为点（中心对称）或 [P, Q]（轴对称）
+ * 圆写成 {"center":"O","radius":2}、{"center":"O","through":"A"} 或 circles 中的序号。
+ * 有两个解时用 near（取离该点近的）或 exclude（取离该点远的，如直线与圆除 A 外的另一交点）选择，
+ * 都不写时取偏上（再偏左）的一个。
+ */
+const CONSTRUCTIONS = {
+  midpoint(spec, { get }) {
+    const [p, q] = pairOf(spec.points, "points", get);
+    return { point: lerp(p, q, 0.5), equal: [[spec.points[0], spec.id], [spec.id, spec.points[1]]] };
+  },
+  ratio(spec, { get }) {
+    const [p, q] = pairOf(spec.points, "points", get);
+    const match = /^\s*(\d+(?:\.\d+)?)\s*[:：]\s*(\d+(?:\.\d+)?)\s*$/.exec(String(spec.ratio));
+    const t = match ? Number(match[1]) / (Number(match[1]) + Number(match[2])) : Number(spec.ratio);
+    if (!Number.isFinite(t)) throw constructionError(`${spec.id} 的 ratio 应为数值或 "m:n"`);
+    return { point: lerp(p, q, t) };
+  },
+  foot(spec, { get }) {
+    const a = get(spec.point);
+    const line = pairOf(spec.line, "line", get);
+    const point = projection(a, line);
+    const other = distance(line[0], point) >= distance(line[1], point) ? spec.line[0] : spec.line[1];
+    return { point, right: distance(a, point) > EPSILON ? [[spec.id, spec.point, other]] : [] };
+  },
+  intersection(spec, resolver) {
+    const { get } = resolver;
+    let candidates;
+    if (isPair(spec.lines)) {
+      candidates = lineLine(pairOf(spec.lines[0], "lines", get), pairOf(spec.lines[1], "lines", get));
+    } else if (spec.line && spec.circle !== undefined) {
+      candidates = lineCircle(pairOf(spec.line, "line", get), resolver.circle(spec.circle));
+    } else if (isPair(spec.circles)) {
+      candidates = circleCircle(resolver.circle(spec.circles[0]), resolver.circle(spec.circles[1]));
+    } else {
+      throw constructionError(`${spec.id} 的 intersection 须给出 lines、line + circle 或 circles`);
+    }
+    if (!candidates.length) throw constructionError(`${spec.id} 所求的两线（圆）没有交点`);
+    return { point: choose(candidates, spec, get) };
+  },
+  bisector(spec, { get }) {
+    const a = get(spec.vertex);
+    const [b, c] = pairOf(spec.sides, "sides", get);
+    const [ab, ac] = [distance(a, b), distance(a, c)];
+    if (ab < EPSILON || ac < EPSILON) throw constructionError(`${spec.id} 的角两边不能退化为一点`);
+    return { point: lerp(b, c, ab / (ab + ac)) };
+  },
+  tangent(spec, resolver) {
+    const p = resolver.get(spec.point);
+    const { center, radius } = resolver.circle(spec.circle);
+    const gap = distance(p, center);
+    if (gap < radius - EPSILON) throw constructionError(`${spec.point} 在圆内，作不出切线`);
+    // 切点在以 OP 为直径的圆上
+    const candidates = circleCircle({ center, radius }, { center: lerp(p, center, 0.5), radius: gap / 2 });
+    const point = choose(candidates.length ? candidates : [p], spec, resolver.get);
+    const centerId = typeof spec.circle === "object" && !Array.isArray(spec.circle) ? spec.circle.center : resolver.circleCenterId(spec.circle);
+    return { point, right: distance(point, p) > EPSILON && centerId ? [[spec.id, spec.point, centerId]] : [] };
+  },
+  reflection(spec, { get }) {
+    const a = get(spec.point);
+    if (isPair(spec.over)) {
+      const foot = projection(a, pairOf(spec.over, "over", get));
+      return { point: sub(scale(foot, 2), a) };
+    }
+    return { point: sub(scale(get(spec.over), 2), a) };
+  }
+};
+
+function pairOf(ids, field, get) {
+  if (!isPair(ids)) throw constructionError(`${field} 应为两个点的编号`);
+  const pair = ids.map(get);
+  if (distance(pair[0], pair[1]) < EPSILON) throw constructionError(`${ids.join("")} 两点重合，确定不了直线`);
+  return pair;
+}
+
+function choose(candidates, spec, get) {
+  if (spec.near !== undefined) {
+    const target = get(spec.near);
+    return candidates.reduce((best, item) => (distance(item, target) < distance(best, target) ? item : best));
+  }
+  if (spec.exclude !== undefined) {
+    const target = get(spec.exclude);
+    return candidates.reduce((best, item) => (distance(item, target) > distance(best, target) ? item : best));
+  }
+  return [...candidates].sort((p, q) => q.y - p.y || p.x - q.x)[0];
+}
+
+// 等长、平行关系按共用的线段合并成组，组号决定短线 / 箭头的个数
+function addGroup(groups, segments) {
+  const key = ([a, b]) => [a, b].sort().join("\u0000");
+  const keys = new Set(segments.map(key));
+  const existing = groups.find((group) => group.segments.some((segment) => keys.has(key(segment))));
+  if (!existing) {
+    groups.push({ segments: [...segments] });
+    return;
+  }
+  segments.forEach((segment) => {
+    if (!existing.segments.some((item) => key(item) === key(segment))) existing.segments.push(segment);
+  });
+}
+
+/**
+ * 求解 geometry 题图中的点：points 中每个点要么有 x、y，要么有 construct（见 CONSTRUCTIONS），
+ * 点可以引用列在它后面的点；circles 的半径可写 radius 或 through。
+ * relations 声明题中的关系并据此加标记；与坐标不符或写法有误的关系不加标记（标记不能“说谎”），
+ * 原因记入 warnings，图照常画：
+ *   {"type":"perpendicular","lines":[["A","E"],["B","C"]]}、{"type":"equal","segments":[["A","B"],["A","C"]]}、
+ *   {"type":"parallel","segments":[["A","D"],["B","C"]]}；作图方式自带的关系可用 "mark": false 关掉。
+ * 返回 { points: { id: {x, y} }, circles: [{ center, radius, color }], marks: { rightAngles, equal, parallel }, warnings }，
+ * 标记中的点均为坐标；点或圆无法求解时抛出 status=400 的错误。
+ */
+export function solveGeometry({ points = [], circles = [], relations = [] } = {}) {
+  const specs = new Map();
+  points.forEach((point) => {
+    if (!point || typeof point !== "object" || point.id === undefined) throw constructionError("每个点都要有 id");
+    specs.set(String(point.id), { ...point, id: String(point.id) });
+  });
+  const solved = {};
+  const get = (id) => {
+    const key = String(id);
+    if (solved[key]) return solved[key];
+    if (!specs.has(key)) throw constructionError(`没有名为 ${key} 的点`);
+    throw PENDING;
+  };
+  const circleOf = (ref) => {
+    const circle = typeof ref === "number" ? circles[ref] : ref;
+    if (!circle || typeof circle !== "object") throw constructionError(`找不到圆 ${ref}`);
+    const center = get(circle.center);
+    const radius = circle.through !== undefined ? distance(center, get(circle.through)) : Number(circle.radius);
+    if (!(radius > 0)) throw constructionError(`圆 ${circle.center} 的半径应为正数`);
+    return { center, radius };
+  };
+  const resolver = { get, circle: circleOf, circleCenterId: (ref) => circles[ref]?.center };
+
+  const implied = { right: [], equal: [] };
+  let pending = [...specs.values()];
+  while (pending.length) {
+    const waiting = [];
+    pending.forEach((spec) => {
+      try {
+        if (spec.construct === undefined) {
+          const [x, y] = [toCoordinate(spec.x), toCoordinate(spec.y)];
+          if (!Number.isFinite(x) || !Number.isFinite(y)) throw constructionError(`点 ${spec.id} 既没有坐标也没有作图方式`);
+          solved[spec.id] = { x, y };
+          return;
+        }
+        const construct = CONSTRUCTIONS[spec.construct];
+        if (!construct) throw constructionError(`点 ${spec.id} 的作图方式 ${spec.construct} 不支持`);
+        const result = construct(spec, resolver);
+        if (![result.point.x, result.point.y].every(Number.isFinite)) throw constructionError(`点 ${spec.id} 求不出坐标`);
+        solved[spec.id] = result.point;
+        if (spec.mark !== false) {
+          implied.right.push(...(result.right || []));
+          if (result.equal) implied.equal.push(result.equal);
+        }
+      } catch (error) {
+        if (error !== PENDING) throw error;
+        waiting.push(spec);
+      }
+    });
+    if (waiting.length === pending.length) throw constructionError(`点 ${waiting.map((spec) => spec.id).join("、")} 互相依赖，无法确定`);
+    pending = waiting;
+  }
+
+  // 圆心不在 points 中的圆不画（与以前的渲染行为一致）
+  const resolvedCircles = circles
+    .filter((circle) => circle && typeof circle === "object" && specs.has(String(circle.center)))
+    .map((circle) => ({ ...circleOf(circle), color: circle.color }));
+
+  // 直角标记：顶点与两条边上各一点
+  const rightAngles = implied.right.map(([vertex, a, b]) => ({ vertex: solved[vertex], toward: [solved[a], solved[b]] }));
+  const equal = [];
+  const parallel = [];
+  implied.equal.forEach((segments) => addGroup(equal, segments));
+
+  const lengthOf = ([a, b]) => distance(get(a), get(b));
+  const directionOf = ([a, b]) => sub(get(b), get(a));
+  const named = (segments) => segments.map((segment) => segment.join("")).join("、");
+  const warnings = [];
+  const markRelation = (relation) => {
+    if (!relation || typeof relation !== "object") return;
+    if (relation.type === "perpendicular") {
+      if (!isPair(relation.lines)) throw constructionError("perpendicular 关系应写 lines: [[P,Q],[R,S]]");
+      const [first, second] = relation.lines.map((line) => pairOf(line, "lines", get));
+      const [u, v] = [sub(first[1], first[0]), sub(second[1], second[0])];
+      if (Math.abs(dot(u, v)) > TOLERANCE * Math.hypot(u.x, u.y) * Math.hypot(v.x, v.y)) {
+        throw constructionError(`按坐标 ${named(relation.lines)} 并不垂直`);
+      }
+      const [vertex] = lineLine(first, second);
+      const farther = ([p, q]) => (distance(p, vertex) >= distance(q, vertex) ? p : q);
+      rightAngles.push({ vertex, toward: [farther(first), farther(second)] });
+    } else if (relation.type === "equal" || relation.type === "parallel") {
+      const segments = Array.isArray(relation.segments) ? relation.segments : [];
+      if (segments.length < 2 || !segments.every(isPair)) throw constructionError(`${relation.type} 关系应写 segments: [[P,Q],[R,S]]`);
+      segments.forEach((segment) => pairOf(segment, "segments", get));
+      if (relation.type === "equal") {
+        const lengths = segments.map(lengthOf);
+        if (Math.max(...lengths) - Math.min(...lengths) > TOLERANCE * Math.max(...lengths)) {
+          throw constructionError(`按坐标 ${named(segments)} 并不等长`);
+        }
+        addGroup(equal, segments);
+      } else {
+        const [base, ...rest] = segments.map(directionOf);
+        const baseLength = Math.hypot(base.x, base.y);
+        if (rest.some((v) => Math.abs(cross(base, v)) > TOLERANCE * baseLength * Math.hypot(v.x, v.y))) {
+          throw constructionError(`按坐标 ${named(segments)} 并不平行`);
+        }
+        addGroup(parallel, segments);
+      }
+    }
+  };
+  relations.forEach((relation) => {
+    try {
+      markRelation(relation);
+    } catch (error) {
+      warnings.push(error.message);
+    }
+  });
+
+  const toCoordinates = (groups) => groups.map(({ segments }) => segments.map(([a, b]) => [solved[a], solved[b]]));
+  // 同组的平行箭头朝同一方向
+  const aligned = toCoordinates(parallel).map((group) => group.map(([p, q]) => (dot(sub(q, p), sub(group[0][1], group[0][0])) < 0 ? [q, p] : [p, q])));
+  return {
+    points: solved,
+    circles: resolvedCircles,
+    marks: { rightAngles, equal: toCoordinates(equal), parallel: aligned },
+    warnings
+  };
+}
@@ -0,0 +1,85 @@
+import { normalizeScientificLabel } from "../scientific-text.js";
+import { smilesElements } from "./smiles.js";
+import { tikzElements } from "./tikz.js";
+
+// 从 figure_spec 中抽取图形必须包含的要素（点、标注、数据、对象），
+// 画不出简化图时列在占位图上，提醒老师这张图应当画什么。
+
+const MAX_ELEMENTS = 12;
+
+// 长的单位写在前面，避免 m/s 被拆成 m
+const UNITS = [
+  "m/s²", "m/s^2", "m/s", "km/h", "mol/L", "kg", "kPa", "MPa", "Pa", "mol", "mL", "cm", "mm", "km", "kJ", "kW", "kV",
+  "mA", "eV", "Hz", "°C", "℃", "°", "g", "N", "J", "W", "V", "A", "Ω", "L", "m", "s", "h", "T", "C", "%", "cm²", "cm³"
+].sort((a, b) => b.length - a.length);
+const QUANTITY_PATTERN = new RegExp(
+  `([A-Za-zα-ωΔθ][\\w₀-₉]*\\s*[=＝]\\s*)?(-?\\d+(?:\\.\\d+)?)\\s*(${UNITS.map((unit) => unit.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&")).join("|")})(?![A-Za-z])`,
+  "g"
+);
+const GEOMETRY_PATTERN = /(平行四边形|四边形|三角形|正方形|长方形|矩形|菱形|梯形|线段|射线|直线|弧|圆|点|△|∠|⊙)\s*([A-Z][A-Z′']*\d*|[a-z]\d?(?![a-z]))/g;
+const OBJECTS = [
+  "斜面", "小球", "滑块", "木块", "物块", "小车", "弹簧", "轻绳", "细绳", "轻杆", "滑轮", "传送带", "木板", "挡板",
+  "电阻", "滑动变阻器", "电源", "电池", "电流表", "电压表", "开关", "灯泡", "电容器", "线圈", "磁场", "电场", "导轨", "导体棒",
+  "透镜", "平面镜", "光线", "烧杯", "试管", "酒精灯", "导管", "集气瓶", "锥形瓶", "水槽", "量筒", "天平",
+  "抛物线", "双曲线", "椭圆", "数轴", "坐标系", "函数图像", "数据表", "柱状图", "折线图"
+];
+
+function unique(items) {
+  return [...new Set(items.map((item) => item.trim()).filter(Boolean))];
+}
+
+/** 描述文字中的数据、几何对象与实验/物理器材 */
+export function descriptionElements(description) {
+  const text = normalizeScientificLabel(description || "");
+  const elements = [];
+  for (const match of text.matchAll(GEOMETRY_PATTERN)) {
+    elements.push(`${match[1]}${match[1].length > 1 || match[1] === "点" ? " " : ""}${match[2]}`);
+  }
+  for (const match of text.matchAll(QUANTITY_PATTERN)) {
+    const gap = /^[°℃%]/.test(match[3]) ? "" : " ";
+    elements.push(`${(match[1] || "").replace(/\s+/g, "").replace(/＝/, "=")}${match[2]}${gap}${match[3]}`);
+  }
+  // 长词优先：“滑动变阻器”之后不再单列“电阻”
+  const longestFirst = [...OBJECTS].sort((a, b) => b.length - a.length);
+  let rest = text;
+  longestFirst.forEach((name) => {
+    if (!rest.includes(name)) return;
+    elements.push(name);
+    rest = rest.split(name).join(" ");
+  });
+  return unique(elements);
+}
+
+// 脚本中的标题、坐标轴与图例文字
+function pythonElements(python) {
+  const elements = [];
+  for (const match of String(python || "").matchAll(/\b(title|xlabel|ylabel|set_title|set_xlabel|set_ylabel|label)\s*[(=]\s*(?:r|f)?(["'])(.*?)\2/g)) {
+    const kind = /title/.test(match[1]) ? "标题" : /xlabel/.test(match[1]) ? "横轴" : /ylabel/.test(match[1]) ? "纵轴" : "图例";
+    elements.push(`${kind} ${match[3]}`);
+  }
+  for (const match of String(python || "").matchAll(/\.(plot|scatter|bar|hist|pie|fill_between|axhline|axvline|annotate|text)\s*\(/g)) {
+    elements.push(`${match[1]} 图元`);
+  }
+  return elements;
+}
+
+function plotElements(plot) {
+  if (!plot) return [];
+  return [
+    plot.title ? `标题 ${plot.title}` : "",
+    ...(plot.series || []).map((series) => series.label || (series.expr ? `y = ${series.expr}` : `${series.type} 数据`))
+  ];
+}
+
+/** figure_spec → 要素清单（已转为可显示的纯文本，最多 12 条） */
+export function requiredElements(figureSpec) {
+  const spec = figureSpec || {};
+  const elements = [
+    ...(spec.tikz ? tikzElements(spec.tikz) : []),
+    ...pythonElements(spec.python),
+    ...plotElements(spec.plot),
+    ...(spec.smiles ? [`SMILES ${spec.smiles}`, ...smilesElements(spec.smiles).map((item) => `原子 ${item}`)] : []),
+    ...descriptionElements(spec.description)
+  ];
+  return unique(elements.map((item) => normalizeScientificLabel(item))).slice(0, MAX_ELEMENTS);
+}
@@ -0,0 +1,70 @@
+import { renderPlotSvg, translateMatplotlib } from "../plot/index.js";
+import { sanitizeText } from "../scientific-text.js";
+import { requiredElements } from "./elements.js";
+import { renderSmilesLenient } from "./smiles.js";
+import { placeholderSvg, withFootnote } from "./svg.js";
+import { renderTikzSubset } from "./tikz.js";
+
+// 后端保证示意图：所有渲染路径都失败时使用。只画能从 figure_spec 中确定的结构
+// （TikZ 中能解析的语句、SMILES 中能识别的原子与键、脚本中能转换的绘图调用），
+// 否则给出“图形暂不可用”占位图并列出应有的要素，绝不画与题目无关的示意图。
+
+export { requiredElements } from "./elements.js";
+
+function omitted(count, what) {
+  return count ? `，已省略 ${count} 处无法解析的${what}` : "";
+}
+
+function tikzFigure(source) {
+  const result = source ? renderTikzSubset(source) : null;
+  // 大半语句都无法解析时，剩下的几笔不足以表达原图，改用占位图
+  if (!result || result.skipped > result.kept) return null;
+  return { svg: result.svg, note: `后端简化示意：仅绘制 TikZ 中可解析的语句${omitted(result.skipped, "命令")}` };
+}
+
+function matplotlibFigure(python) {
+  if (!python) return null;
+  const skipped = [];
+  try {
+    const { svg } = renderPlotSvg(translateMatplotlib(python, { skipped }));
+    return { svg, note: `后端简化示意：仅绘制脚本中可转换的绘图调用${omitted(skipped.length, "语句")}` };
+  } catch {
+    return null;
+  }
+}
+
+function smilesFigure(smiles) {
+  const result = smiles ? renderSmilesLenient(smiles) : null;
+  return result && { svg: result.svg, note: `后端简化示意：按 SMILES 中可识别的部分绘制${omitted(result.repairs.length, "写法")}` };
+}
+
+function plotFigure(plot) {
+  if (!plot) return null;
+  try {
+    return { svg: renderPlotSvg(plot).svg, note: "后端简化示意：按绘图描述绘制" };
+  } catch {
+    return null;
+  }
+}
+
+function simplifiedFigure(spec) {
+  if (spec.mode === "tikz_or_matplotlib") {
+    const tikz = () => tikzFigure(spec.tikz);
+    const python = () => matplotlibFigure(spec.python);
+    return spec.prefer === "matplotlib" ? python() || tikz() : tikz() || python();
+  }
+  if (spec.mode === "smiles_rdkit") return smilesFigure(spec.smiles);
+  if (spec.mode === "plot") return plotFigure(spec.plot);
+  return null;
+}
+
+/**
+ * figure_spec → 保证示意图 SVG：能画出结构一致的简化图时附注“后端简化示意”，
+ * 否则返回“图形暂不可用”占位图。
+ */
+export function buildGuaranteedDiagramSvg({ subject, mode, figureSpec }) {
+  const spec = { ...(figureSpec || {}), mode: sanitizeText(mode || figureSpec?.mode || "svg") };
+  const figure = simplifiedFigure(spec);
+  if (figure) return withFootnote(figure.svg, figure.note);
+  return placeholderSvg({ subject: sanitizeText(subject || "综合"), elements: requiredElements(spec) });
+}
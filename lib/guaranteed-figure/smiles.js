@@ -0,0 +1,36 @@
+import { layoutMolecule } from "../smiles/layout.js";
+import { buildMolecule } from "../smiles/molecule.js";
+import { parseSmiles } from "../smiles/parse.js";
+import { assignWedges } from "../smiles/stereo.js";
+import { renderMoleculeSvg } from "../smiles/svg.js";
+
+// SMILES 整体解析失败时：容错解析，画出能识别的原子与键；修补过的地方记在 repairs 中。
+
+/** 返回 { svg, repairs }；一个原子都识别不出时返回 null */
+export function renderSmilesLenient(smiles) {
+  const repairs = [];
+  try {
+    const molecule = buildMolecule(parseSmiles(smiles, { repairs }));
+    const coordinates = layoutMolecule(molecule);
+    const wedges = assignWedges(molecule, coordinates);
+    const svg = renderMoleculeSvg(molecule, coordinates, { wedges, title: `化学结构式（简化）：${smiles}` });
+    return { svg, repairs };
+  } catch {
+    return null;
+  }
+}
+
+/** SMILES 中的元素及个数，如 ["C×6", "O×1"]；按字面匹配，不要求 SMILES 合法 */
+export function smilesElements(smiles) {
+  const counts = new Map();
+  const count = (element) => counts.set(element, (counts.get(element) || 0) + 1);
+  // 方括号内只取元素符号；芳香小写原子按大写计
+  const text = String(smiles || "").replace(/\[\d*([A-Za-z][a-z]?)[^\]]*\]/g, (_, element) => {
+    count(`${element[0].toUpperCase()}${element.slice(1)}`);
+    return " ";
+  });
+  for (const match of text.matchAll(/Cl|Br|[BCNOPSFI]|[cnosp]/g)) {
+    count(match[0].length === 1 ? match[0].toUpperCase() : match[0]);
+  }
+  return [...counts].map(([element, count]) => `${element}×${count}`);
+}
@@ -0,0 +1,75 @@
+import { measureTextWidth } from "../math-label/index.js";
+
+// 保证示意图的两种外观：简化图下方加注释条；什么都画不出时是带虚线框的“图形暂不可用”占位图。
+
+const FONT_FAMILY = "Arial, PingFang SC, Microsoft YaHei";
+const NOTE_SIZE = 12;
+const MIN_WIDTH = 360;
+const MAX_WIDTH = 640;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function fmt(value) {
+  return Number(value.toFixed(2));
+}
+
+// 按估算宽度截断，超出部分用省略号
+function fitText(text, size, width) {
+  const chars = [...String(text)];
+  if (measureTextWidth(text, size) <= width) return text;
+  while (chars.length && measureTextWidth(`${chars.join("")}…`, size) > width) chars.pop();
+  return `${chars.join("")}…`;
+}
+
+/**
+ * 在内置渲染器输出的 SVG（根元素带 width / height / viewBox）底部加一行注释，
+ * 说明这是后端简化示意；图形过窄时两侧留白以放下注释。
+ */
+export function withFootnote(svg, note) {
+  const match = /^<svg\b([^>]*)>/.exec(svg);
+  const viewBox = match && /\bviewBox="([^"]+)"/.exec(match[1]);
+  const box = viewBox ? viewBox[1].trim().split(/[\s,]+/).map(Number) : [];
+  if (box.length !== 4 || box.some((value) => !Number.isFinite(value))) return svg;
+
+  const [minX, minY, width, height] = box;
+  const text = fitText(note, NOTE_SIZE, MAX_WIDTH - 16);
+  const newWidth = Math.ceil(Math.max(width, measureTextWidth(text, NOTE_SIZE) + 16));
+  const newHeight = Math.ceil(height + NOTE_SIZE * 2);
+  const left = minX - (newWidth - width) / 2;
+  const attributes = match[1]
+    .replace(/\bwidth="[^"]*"/, `width="${newWidth}"`)
+    .replace(/\bheight="[^"]*"/, `height="${newHeight}"`)
+    .replace(/\bviewBox="[^"]*"/, `viewBox="${fmt(left)} ${fmt(minY)} ${newWidth} ${newHeight}"`);
+  const background = `<rect x="${fmt(left)}" y="${fmt(minY)}" width="${newWidth}" height="${newHeight}" fill="#ffffff"/>`;
+  const footnote = `<text x="${fmt(left + newWidth / 2)}" y="${fmt(minY + height + NOTE_SIZE * 1.3)}" text-anchor="middle" font-size="${NOTE_SIZE}" fill="#64748b" font-family="${FONT_FAMILY}">${escapeXml(text)}</text>`;
+  return `<svg${attributes}>${background}${svg.slice(match[0].length).replace(/<\/svg>\s*$/, "")}${footnote}</svg>`;
+}
+
+/** “图形暂不可用”占位图：列出学科与图中应有的要素，不画任何可能误导学生的图形 */
+export function placeholderSvg({ subject, elements }) {
+  const heading = `${subject} · 图形暂不可用`;
+  const hint = elements.length ? "此图应包含以下要素，请参照题干自行作图：" : "未能从题目中识别出图形要素，请参照题干自行作图。";
+  const width = Math.min(Math.max(Math.ceil(Math.max(
+    measureTextWidth(heading, 15),
+    measureTextWidth(hint, 12),
+    ...elements.map((item) => measureTextWidth(item, 13) + 16)
+  ) + 40), MIN_WIDTH), MAX_WIDTH);
+  const height = 84 + elements.length * 20;
+  const lines = elements
+    .map((item, index) => `<circle cx="30" cy="${80 + index * 20}" r="2" fill="#64748b"/>` +
+      `<text x="40" y="${84 + index * 20}" font-size="13" fill="#0f172a" font-family="${FONT_FAMILY}">${escapeXml(fitText(item, 13, width - 60))}</text>`)
+    .join("");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="图形暂不可用">` +
+    `<rect x="1" y="1" width="${width - 2}" height="${height - 2}" rx="10" fill="#f8fafc" stroke="#94a3b8" stroke-width="1.5" stroke-dasharray="6 4"/>` +
+    `<text x="20" y="30" font-size="15" font-weight="bold" fill="#b45309" font-family="${FONT_FAMILY}">${escapeXml(fitText(heading, 15, width - 40))}</text>` +
+    `<text x="20" y="54" font-size="12" fill="#64748b" font-family="${FONT_FAMILY}">${escapeXml(fitText(hint, 12, width - 40))}</text>` +
+    lines +
+    `</svg>`;
+}
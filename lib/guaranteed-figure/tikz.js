@@ -0,0 +1,90 @@
+import { MAX_TIKZ_LENGTH, renderTikzSvg } from "../tikz/index.js";
+import { extractPicture, splitTopLevel } from "../tikz/source.js";
+
+// TikZ 源码整体渲染失败时：逐条尝试语句，只保留能解析的部分交给内置渲染器，
+// 得到的图形与原图结构一致，只是少了无法识别的命令。
+
+const MAX_PIECES = 200;
+// 只有坐标定义、还没有可见图形时渲染器会报这两类错误，不算语句本身有问题
+const EMPTY_PICTURE = /没有任何绘图命令|没有可绘制的内容/;
+const SCOPE_MARKER = /\\begin\s*\{scope\}(?:\s*\[[^\]]*\])?|\\end\s*\{scope\}/g;
+
+function readPicture(source) {
+  const text = String(source || "").slice(0, MAX_TIKZ_LENGTH - 32);
+  try {
+    return extractPicture(text);
+  } catch {
+    // 缺少 \end{tikzpicture} 时补上再试
+    try {
+      return extractPicture(`${text}\n\\end{tikzpicture}`);
+    } catch {
+      return null;
+    }
+  }
+}
+
+function openScopes(pieces) {
+  const text = pieces.join("\n");
+  return (text.match(/\\begin\s*\{scope\}/g) || []).length - (text.match(/\\end\s*\{scope\}/g) || []).length;
+}
+
+function pictureSource(options, pieces) {
+  const open = openScopes(pieces);
+  return `\\begin{tikzpicture}[${options}]\n${pieces.join(";\n")};\n${"\\end{scope}".repeat(Math.max(open, 0))}\\end{tikzpicture}`;
+}
+
+function accepts(options, pieces) {
+  if (openScopes(pieces) < 0) return false;
+  try {
+    renderTikzSvg(pictureSource(options, pieces));
+    return true;
+  } catch (error) {
+    return EMPTY_PICTURE.test(error.message || "");
+  }
+}
+
+function subset(options, pieces) {
+  const kept = [];
+  let skipped = 0;
+  pieces.forEach((piece) => {
+    if (accepts(options, [...kept, piece])) {
+      kept.push(piece);
+      return;
+    }
+    skipped += 1;
+    // 语句本身不可用，但其中的 scope 开闭仍要保留，否则后续语句的坐标变换会错位
+    const markers = piece.match(SCOPE_MARKER);
+    if (markers && accepts(options, [...kept, markers.join(" ")])) kept.push(markers.join(" "));
+  });
+  if (!kept.length) return null;
+  try {
+    return { svg: renderTikzSvg(pictureSource(options, kept)).svg, kept: kept.length, skipped };
+  } catch {
+    return null;
+  }
+}
+
+/** 返回 { svg, kept, skipped }（保留与略去的语句数）；一条可绘制的语句都没有时返回 null */
+export function renderTikzSubset(source) {
+  const picture = readPicture(source);
+  if (!picture) return null;
+  const allPieces = splitTopLevel(picture.body, ";").filter(Boolean);
+  const pieces = allPieces.slice(0, MAX_PIECES);
+  // 环境选项本身无法解析时去掉选项再试
+  const result = subset(picture.options, pieces) || (picture.options ? subset("", pieces) : null);
+  return result && { ...result, skipped: result.skipped + allPieces.length - pieces.length };
+}
+
+/** 源码中的点与标注：\coordinate / 具名节点的名称与坐标、node 的文字 */
+export function tikzElements(source) {
+  const text = String(source || "").slice(0, MAX_TIKZ_LENGTH);
+  const elements = [];
+  for (const match of text.matchAll(/\\(?:coordinate|node)\s*(?:\[[^\]]*\])?\s*\(([^)\s]+)\)\s*at\s*\(([^)]*)\)/g)) {
+    elements.push(`点 ${match[1]}（${match[2].trim()}）`);
+  }
+  for (const match of text.matchAll(/node\s*(?:\[[^\]]*\])?\s*(?:\([^)]*\)\s*)?(?:at\s*\([^)]*\)\s*)?\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g)) {
+    const label = match[1].trim();
+    if (label) elements.push(`标注 ${label}`);
+  }
+  return elements;
+}
@@ -0,0 +1,34 @@
+import { assertAdmin, resolveAdminAccountId, toPublicAccount } from "../quota.js";
+import { errorResponse, jsonResponse, readJsonBody } from "./http.js";
+
+// /api/admin/credits：需 Authorization: Bearer <ADMIN_TOKEN>，ctx.quota 见 lib/handlers/context.js
+
+/** GET：带 id 或 token 查询单个账户，否则列出全部账户 */
+export async function handleCreditsGet(request, ctx) {
+  try {
+    assertAdmin(ctx.quota.options, request.headers.get("Authorization"));
+    const url = new URL(request.url);
+    const id = url.searchParams.get("id");
+    const token = url.searchParams.get("token");
+    if (!id && !token) {
+      const accounts = await ctx.quota.list();
+      return jsonResponse({ accounts: accounts.map(toPublicAccount) });
+    }
+    const account = await ctx.quota.inspect(await resolveAdminAccountId({ id, token }));
+    return jsonResponse(toPublicAccount(account));
+  } catch (error) {
+    return errorResponse(error, "查询失败");
+  }
+}
+
+/** POST：充值或扣减 { id | token, amount }，amount 可为负数 */
+export async function handleCreditsPost(request, ctx) {
+  try {
+    assertAdmin(ctx.quota.options, request.headers.get("Authorization"));
+    const { id, token, amount } = (await readJsonBody(request)) || {};
+    const account = await ctx.quota.topUp(await resolveAdminAccountId({ id, token }), amount);
+    return jsonResponse(toPublicAccount(account));
+  } catch (error) {
+    return errorResponse(error, "充值失败");
+  }
+}
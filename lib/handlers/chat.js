@@ -0,0 +1,154 @@
+import { applyChatPolicy } from "../chat-policy.js";
+import { parseJsonContent } from "../json-repair.js";
+import { getJsonSchema, resolveStructuredContent } from "../json-schemas.js";
+import { creditHeaders, getStageCost, resolveBillingStage } from "../quota.js";
+import {
+  buildCompletionFromStream,
+  createChatCacheKey,
+  isCacheBypassed,
+  isCacheableCompletion
+} from "../response-cache.js";
+import { chargeRequest, errorResponse, jsonResponse, readJsonBody, sseResponse } from "./http.js";
+
+// 请求带 schema 时返回 { parsed, validation }，否则只做宽松解析
+async function resolveParsed(content, schemaName, reformat) {
+  if (!schemaName) return { parsed: parseJsonContent(content) };
+  return resolveStructuredContent({ content, schemaName, reformat });
+}
+
+// 需要模型重新整理或最终仍不合格的结果不缓存，避免命中缓存后重复整理
+function isCacheableResult(result) {
+  return !result.validation || (result.validation.valid && !result.validation.reformatted);
+}
+
+// 缓存命中时按同样的事件协议一次性下发，前端无需区分
+function cachedStreamResponse(completion, resolveResult, extraHeaders) {
+  const choice = completion?.choices?.[0];
+  const content = choice?.message?.content ?? "";
+  return sseResponse(async ({ send }) => {
+    await send("delta", { content });
+    await send("done", {
+      finish_reason: choice?.finish_reason ?? null,
+      usage: completion?.usage ?? null,
+      ...(await resolveResult(content))
+    });
+  }, extraHeaders);
+}
+
+// 流式模式：上游错误改为 error 事件下发，因为此时状态码已经发出；客户端主动断开时不再下发也不退款。
+function streamChatCompletion({ client, params, signal, resolveResult, onComplete, onError, extraHeaders }) {
+  return sseResponse(async ({ send, isClosed }) => {
+    let content = "";
+    let finishReason = null;
+    let usage = null;
+    try {
+      const stream = await client.chat.completions.create({ ...params, stream: true }, { signal });
+
+      for await (const chunk of stream) {
+        if (isClosed()) {
+          stream.controller.abort();
+          return;
+        }
+        const choice = chunk?.choices?.[0];
+        const delta = choice?.delta?.content || "";
+        if (choice?.finish_reason) finishReason = choice.finish_reason;
+        if (chunk?.usage) usage = chunk.usage;
+        if (!delta) continue;
+        content += delta;
+        await send("delta", { content: delta });
+      }
+
+      const result = await resolveResult(content);
+      await send("done", { finish_reason: finishReason, usage, ...result });
+      await onComplete?.(buildCompletionFromStream({ model: params.model, content, finishReason, usage }), result);
+    } catch (error) {
+      if (signal?.aborted || isClosed()) return;
+      const status = error?.status || error?.response?.status || 500;
+      const message = error?.error?.message || error?.message || "Upstream error";
+      await send("error", { error: { message, status } });
+      await onError?.(error);
+    }
+  }, extraHeaders);
+}
+
+/**
+ * POST /api/chat
+ * ctx: { client, policy, quota, responseCache, clientIp }，见 lib/handlers/context.js
+ * 请求体可带 schema（见 lib/json-schemas.js），此时 parsed 经过校验与修复，并附带 validation: { schema, valid, errors, reformatted }。
+ */
+export async function handleChat(request, ctx) {
+  const { client, policy, quota, responseCache } = ctx;
+  let billing = null;
+  try {
+    if (client.providers.length === 0) {
+      return jsonResponse({ error: { message: "未配置任何可用的模型服务（OPENAI_API_KEY / GEMINI_API_KEY / ANTHROPIC_API_KEY）" } }, 500);
+    }
+
+    const { schema: schemaName, ...payload } = (await readJsonBody(request)) || {};
+    if (schemaName !== undefined) getJsonSchema(schemaName);
+    const { stream, stage } = payload;
+    const { params } = applyChatPolicy(policy, payload);
+    const cacheKey = responseCache ? await createChatCacheKey(params, schemaName) : null;
+    const cached = cacheKey && !isCacheBypassed(request.headers.get("Cache-Control"))
+      ? await responseCache.store.get(cacheKey).catch(() => null)
+      : null;
+
+    // 缓存命中不扣点，但仍计入限流
+    try {
+      billing = await chargeRequest(
+        request,
+        ctx,
+        cached ? 0 : getStageCost(quota.options, resolveBillingStage({ stage, messages: params.messages }))
+      );
+    } catch (error) {
+      return errorResponse(error, "额度校验失败");
+    }
+    const responseHeaders = {
+      ...(cacheKey ? { "x-cache": cached ? "hit" : "miss" } : {}),
+      ...creditHeaders(billing)
+    };
+    const refund = () => quota.refund(billing.id, billing.charged);
+
+    // 确定性修复后仍不合格时，用 repair 阶段的模型重新整理一次格式
+    const reformat = async (prompt) => {
+      const { params: repairParams } = applyChatPolicy(policy, {
+        stage: "repair",
+        messages: [{ role: "user", content: prompt }],
+        response_format: { type: "json_object" }
+      });
+      const completion = await client.chat.completions.create(repairParams, { signal: request.signal });
+      return completion?.choices?.[0]?.message?.content ?? "";
+    };
+    const resolveResult = (content) => resolveParsed(content, schemaName, reformat);
+
+    const saveToCache = async (completion, result) => {
+      if (!cacheKey || !isCacheableCompletion(completion) || !isCacheableResult(result)) return;
+      try {
+        await responseCache.store.set(cacheKey, completion, responseCache.options.chatTtlSeconds);
+      } catch (error) {
+        console.warn("Response cache write failed:", error?.message);
+      }
+    };
+
+    if (stream) {
+      if (cached) return cachedStreamResponse(cached, resolveResult, responseHeaders);
+      return streamChatCompletion({
+        client,
+        params,
+        signal: request.signal,
+        resolveResult,
+        onComplete: saveToCache,
+        onError: refund,
+        extraHeaders: responseHeaders
+      });
+    }
+
+    const completion = cached || await client.chat.completions.create(params, { signal: request.signal });
+    const result = await resolveResult(completion?.choices?.[0]?.message?.content ?? "");
+    if (!cached) await saveToCache(completion, result);
+    return jsonResponse({ ...completion, ...result }, 200, responseHeaders);
+  } catch (error) {
+    if (billing) await quota.refund(billing.id, billing.charged);
+    return errorResponse(error, "Upstream error");
+  }
+}
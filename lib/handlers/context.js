@@ -0,0 +1,26 @@
+import { loadChatPolicy } from "../chat-policy.js";
+import { createLlmClient } from "../providers/index.js";
+import { getQuota } from "../quota.js";
+import { getResponseCache } from "../response-cache.js";
+
+/**
+ * 处理函数的依赖：
+ *   client         createLlmClient 的返回值
+ *   policy         loadChatPolicy 的返回值
+ *   quota          createQuota 的返回值
+ *   responseCache  getResponseCache 的返回值，未启用时为 null
+ *   clientIp       限流用的客户端 IP，缺省时读 CF-Connecting-IP
+ *   rasterAssets   PNG/PDF 导出用的 wasm 与字体（见 lib/figure-export），缺省时不支持导出
+ *   params         路由参数（如任务、错题的 id）
+ *   jobs           任务服务（见 lib/handlers/jobs.js），/api/jobs 使用
+ *   mistakes       错题本存储（见 lib/mistake-store.js），仅 Express 提供
+ * Pages 每个请求按 env 现建；Express 在启动时建好并换成文件存储的额度账户。
+ */
+export function createHandlerContext(env = {}) {
+  return {
+    client: createLlmClient(env),
+    policy: loadChatPolicy(env),
+    quota: getQuota(env),
+    responseCache: getResponseCache(env)
+  };
+}
@@ -0,0 +1,107 @@
+import { resolveFetchIdentity } from "../quota.js";
+
+// 平台无关的请求处理工具：处理函数接收标准 Request、返回标准 Response，
+// 由 Pages Functions 直接导出，或经 lib/express-adapter.js 挂到 Express 上。
+
+// 所有 /api/* 接口共用的跨域设置（Express 端由 cors 中间件处理）
+export const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, Cache-Control, X-Api-Token",
+  "Access-Control-Expose-Headers": "Location, x-cache, Retry-After, X-Credits-Remaining"
+};
+
+export function withCors(response) {
+  Object.entries(CORS_HEADERS).forEach(([key, value]) => response.headers.set(key, value));
+  return response;
+}
+
+export function notFoundError(message) {
+  const error = new Error(message);
+  error.status = 404;
+  return error;
+}
+
+export function jsonResponse(data, status = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      ...extraHeaders
+    }
+  });
+}
+
+export function errorResponse(error, fallbackMessage, extraBody = {}) {
+  const status = error?.status || error?.response?.status || 500;
+  const message = error?.error?.message || error?.message || fallbackMessage;
+  return jsonResponse(
+    { ...extraBody, error: { message } },
+    status,
+    error?.retryAfter ? { "Retry-After": String(error.retryAfter) } : {}
+  );
+}
+
+export async function readJsonBody(request) {
+  try {
+    return await request.json();
+  } catch {
+    const error = new Error("请求体不是合法 JSON");
+    error.status = 400;
+    throw error;
+  }
+}
+
+/** 按请求身份限流并扣点；clientIp 由平台适配层给出（Pages 为 CF-Connecting-IP） */
+export async function chargeRequest(request, ctx, cost) {
+  const identity = await resolveFetchIdentity(request, ctx.clientIp);
+  return ctx.quota.charge({ ...identity, cost });
+}
+
+/**
+ * 建立 SSE 响应并在后台执行 run({ send, isClosed })；定时心跳避免网关在模型思考期间判定超时(524)。
+ * run 抛出的错误改为 error 事件下发（流仍打开时），不会变成未处理的 Promise 拒绝。
+ */
+export function sseResponse(run, extraHeaders = {}) {
+  const encoder = new TextEncoder();
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  let closed = false;
+
+  const write = async (chunk) => {
+    if (closed) return;
+    try {
+      await writer.write(encoder.encode(chunk));
+    } catch {
+      closed = true;
+    }
+  };
+  const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  (async () => {
+    const heartbeat = setInterval(() => write(": ping\n\n"), 15000);
+    try {
+      await run({ send, isClosed: () => closed });
+    } catch (error) {
+      const status = error?.status || error?.response?.status || 500;
+      const message = error?.error?.message || error?.message || "服务端错误";
+      await send("error", { error: { message, status } });
+    } finally {
+      clearInterval(heartbeat);
+      if (!closed) {
+        closed = true;
+        await writer.close().catch(() => {});
+      }
+    }
+  })();
+
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      "X-Accel-Buffering": "no",
+      ...extraHeaders
+    }
+  });
+}
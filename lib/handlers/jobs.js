@@ -0,0 +1,100 @@
+import { createJsonRequester } from "../json-requester.js";
+import { toPublicJob } from "../analysis-jobs.js";
+import { resolveStageModel } from "../chat-policy.js";
+import { createD1JobLease, createKvJobStore } from "../job-kv-store.js";
+import { creditHeaders, getJobCost } from "../quota.js";
+import { chargeRequest, errorResponse, jsonResponse, notFoundError, readJsonBody } from "./http.js";
+
+// /api/jobs：ctx.jobs 提供 submit(input) / get(id) / cancel(id)（可返回 Promise），找不到任务时返回 null。
+// Express 直接用进程内队列（lib/job-queue.js）；Pages 用 createKvJobService，轮询即推进：没有客户端轮询时任务不会前进。
+
+function serviceError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/** Pages 的任务服务：KV 保存状态，每次 GET 推进一步（见 lib/job-kv-store.js）；db 为 D1 时用作推进租约 */
+export function createKvJobService({ kv, db, client, policy, signal }) {
+  if (!kv) throw serviceError(500, "缺少 JOBS_KV 绑定");
+  const store = createKvJobStore(kv, db ? { lease: createD1JobLease(db) } : {});
+  return {
+    submit: (input) => store.submit(input),
+    cancel: (id) => store.cancel(id),
+    get(id) {
+      if (client.providers.length === 0) {
+        throw serviceError(500, "未配置任何可用的模型服务（OPENAI_API_KEY / GEMINI_API_KEY / ANTHROPIC_API_KEY）");
+      }
+      return store.advance(id, {
+        signal,
+        requestJson: createJsonRequester({
+          createCompletion: (payload, options) => client.chat.completions.create(payload, options),
+          resolveModel: (stage) => resolveStageModel(policy, stage),
+          signal
+        })
+      });
+    }
+  };
+}
+
+/** Pages 的 extendContext：按 env.JOBS_KV 组装 ctx.jobs；租约用 env.JOBS_DB，未绑定时复用额度的 QUOTA_DB */
+export function kvJobContext(ctx, { request, env }) {
+  return {
+    jobs: createKvJobService({
+      kv: env.JOBS_KV,
+      db: env.JOBS_DB || env.QUOTA_DB,
+      client: ctx.client,
+      policy: ctx.policy,
+      signal: request.signal
+    })
+  };
+}
+
+/** POST /api/jobs：按整个任务一次性扣点，创建失败则退回 */
+export async function handleJobSubmit(request, ctx) {
+  try {
+    const payload = await readJsonBody(request);
+    let billing;
+    try {
+      billing = await chargeRequest(request, ctx, getJobCost(ctx.quota.options));
+    } catch (error) {
+      return errorResponse(error, "额度校验失败");
+    }
+
+    let job;
+    try {
+      job = await ctx.jobs.submit(payload || {});
+    } catch (error) {
+      await ctx.quota.refund(billing.id, billing.charged);
+      throw error;
+    }
+    return jsonResponse(toPublicJob(job), 202, {
+      Location: `/api/jobs/${job.id}`,
+      ...creditHeaders(billing)
+    });
+  } catch (error) {
+    return errorResponse(error, "任务创建失败");
+  }
+}
+
+/** GET /api/jobs/:id */
+export async function handleJobGet(request, ctx) {
+  try {
+    const job = await ctx.jobs.get(ctx.params.id);
+    if (!job) throw notFoundError("任务不存在或已过期");
+    return jsonResponse(toPublicJob(job));
+  } catch (error) {
+    return errorResponse(error, "任务查询失败");
+  }
+}
+
+/** POST /api/jobs/:id/cancel */
+export async function handleJobCancel(request, ctx) {
+  try {
+    const job = await ctx.jobs.cancel(ctx.params.id);
+    if (!job) throw notFoundError("任务不存在或已过期");
+    return jsonResponse(toPublicJob(job));
+  } catch (error) {
+    return errorResponse(error, "任务取消失败");
+  }
+}
@@ -0,0 +1,65 @@
+import { toPublicMistake } from "../mistake-store.js";
+import { errorResponse, jsonResponse, readJsonBody } from "./http.js";
+
+// /api/mistakes：ctx.mistakes 为 lib/mistake-store.js 的错题本存储，ctx.params.id 为路由中的错题 id。
+
+/** GET /api/mistakes?subject=&knowledge_point= */
+export async function handleMistakeList(request, ctx) {
+  try {
+    const url = new URL(request.url);
+    return jsonResponse(await ctx.mistakes.list({
+      subject: url.searchParams.get("subject"),
+      knowledgePoint: url.searchParams.get("knowledge_point")
+    }));
+  } catch (error) {
+    return errorResponse(error, "错题本操作失败");
+  }
+}
+
+/** POST /api/mistakes */
+export async function handleMistakeCreate(request, ctx) {
+  try {
+    const entry = await ctx.mistakes.create((await readJsonBody(request)) || {});
+    return jsonResponse(toPublicMistake(entry), 201, { Location: `/api/mistakes/${entry.id}` });
+  } catch (error) {
+    return errorResponse(error, "错题本操作失败");
+  }
+}
+
+/** GET /api/mistakes/:id */
+export async function handleMistakeGet(request, ctx) {
+  try {
+    return jsonResponse(toPublicMistake(await ctx.mistakes.get(ctx.params.id)));
+  } catch (error) {
+    return errorResponse(error, "错题本操作失败");
+  }
+}
+
+/** GET /api/mistakes/:id/image：原图 */
+export async function handleMistakeImage(request, ctx) {
+  try {
+    const image = await ctx.mistakes.readImage(ctx.params.id);
+    return new Response(image.buffer, { status: 200, headers: { "Content-Type": image.mime } });
+  } catch (error) {
+    return errorResponse(error, "错题本操作失败");
+  }
+}
+
+/** PUT /api/mistakes/:id */
+export async function handleMistakeUpdate(request, ctx) {
+  try {
+    return jsonResponse(toPublicMistake(await ctx.mistakes.update(ctx.params.id, (await readJsonBody(request)) || {})));
+  } catch (error) {
+    return errorResponse(error, "错题本操作失败");
+  }
+}
+
+/** DELETE /api/mistakes/:id */
+export async function handleMistakeDelete(request, ctx) {
+  try {
+    await ctx.mistakes.remove(ctx.params.id);
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(error, "错题本操作失败");
+  }
+}
@@ -0,0 +1,25 @@
+import { createHandlerContext } from "./context.js";
+import { CORS_HEADERS, errorResponse, withCors } from "./http.js";
+
+// Pages Functions 的公共外壳：CORS 与预检、按 env 组装 ctx、路由参数放进 ctx.params；
+// 组装依赖时的配置错误（如 CHAT_POLICY、LLM_PROVIDER_CHAIN 不合法）同样返回 JSON 错误。
+
+export function onRequestOptions() {
+  return new Response(null, { status: 204, headers: CORS_HEADERS });
+}
+
+/**
+ * handler 为 lib/handlers 中的处理函数；extendContext(ctx, { request, env }) 返回额外的 ctx 字段，
+ * fallbackMessage / extraBody 用于组装依赖失败时的响应。
+ */
+export function toPagesHandler(handler, { extendContext = () => ({}), fallbackMessage = "服务端错误", extraBody = {} } = {}) {
+  return async ({ request, env, params }) => {
+    try {
+      const base = { ...createHandlerContext(env), params: params || {} };
+      const ctx = { ...base, ...extendContext(base, { request, env }) };
+      return withCors(await handler(request, ctx));
+    } catch (error) {
+      return withCors(errorResponse(error, fallbackMessage, extraBody));
+    }
+  };
+}
@@ -0,0 +1,238 @@
+import { assertFigureExportAvailable, exportFigure, normalizeFigureOutput } from "../figure-export/index.js";
+import { creditHeaders, getStageCost } from "../quota.js";
+import { guaranteedFigureResult, lintRenderResult, normalizeFigureSpec, renderFigure } from "../render-figure.js";
+import { createRenderCacheKey, isCacheBypassed } from "../response-cache.js";
+import { sanitizeText } from "../scientific-text.js";
+import { normalizeLintFixes } from "../svg-lint/index.js";
+import { chargeRequest, errorResponse, jsonResponse, readJsonBody, sseResponse } from "./http.js";
+
+const MAX_BATCH_ITEMS = 60;
+const DEFAULT_BATCH_CONCURRENCY = 3;
+const MAX_BATCH_CONCURRENCY = 8;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// 降级示意图与审计出错的结果不缓存，下次请求仍会重新尝试
+function isCacheableResult(result) {
+  return !String(result.renderer || "").startsWith("guaranteed") && result.audit?.status !== "error";
+}
+
+/** 读缓存 → 渲染 → 写缓存，返回 lint 之前的结果；cache 为 "hit" / "miss"，未启用缓存时为 null */
+async function renderWithCache({ subject, figureSpec, ctx, bypassCache }) {
+  const { client, policy, responseCache } = ctx;
+  const cacheKey = responseCache ? await createRenderCacheKey({ subject, figureSpec }) : null;
+  const cached = cacheKey && !bypassCache
+    ? await responseCache.store.get(cacheKey).catch(() => null)
+    : null;
+  if (cached) return { result: cached, cache: "hit" };
+
+  // 渲染模型取自策略的 render 阶段，默认仍读取 RENDERER_MODEL / RENDERER_FALLBACK_MODEL
+  const result = await renderFigure({ subject, figureSpec, client, renderStage: policy.stages.render });
+  if (cacheKey && isCacheableResult(result)) {
+    try {
+      await responseCache.store.set(cacheKey, result, responseCache.options.renderTtlSeconds);
+    } catch (error) {
+      console.warn("Response cache write failed:", error?.message);
+    }
+  }
+  return { result, cache: cacheKey ? "miss" : null };
+}
+
+// 导出 PNG/PDF 失败时仍返回 SVG，错误记在 export 上
+async function withExport(result, output, rasterAssets) {
+  if (!output || !result.svg) return result;
+  try {
+    return { ...result, export: await exportFigure(result.svg, output, rasterAssets) };
+  } catch (error) {
+    return { ...result, export: { format: output.format, error: error?.message || "导出失败" } };
+  }
+}
+
+/**
+ * POST /api/render
+ * ctx: { client, policy, quota, responseCache, clientIp, rasterAssets }，见 lib/handlers/context.js
+ * output 为 "png" / "pdf" 或 { format, dpi | scale, background } 时，结果另带 export（base64 图像），见 lib/figure-export
+ */
+export async function handleRender(request, ctx) {
+  const { quota } = ctx;
+  try {
+    const payload = await readJsonBody(request);
+    const subject = sanitizeText(payload?.subject || "");
+    const figureSpec = normalizeFigureSpec(payload?.figure_spec);
+    // lint_fix: true 或修复项数组，见 LINT_FIXES
+    const lintFix = normalizeLintFixes(payload?.lint_fix);
+    const output = normalizeFigureOutput(payload?.output);
+
+    if (!figureSpec) {
+      return jsonResponse({ error: { message: "figure_spec 缺失或格式不正确" } }, 400);
+    }
+    assertFigureExportAvailable(output, ctx.rasterAssets);
+
+    let billing;
+    try {
+      billing = await chargeRequest(request, ctx, getStageCost(quota.options, "render"));
+    } catch (error) {
+      return errorResponse(error, "额度校验失败");
+    }
+    const billingHeaders = creditHeaders(billing);
+
+    const { result, cache } = await renderWithCache({
+      subject,
+      figureSpec,
+      ctx,
+      bypassCache: isCacheBypassed(request.headers.get("Cache-Control"))
+    });
+    const linted = lintRenderResult(result, figureSpec, { fix: lintFix });
+    return jsonResponse(await withExport(linted, output, ctx.rasterAssets), 200, {
+      ...billingHeaders,
+      ...(cache ? { "x-cache": cache } : {})
+    });
+  } catch (error) {
+    return errorResponse(error, "后端渲染失败", { ok: false });
+  }
+}
+
+// 单项的 figure_spec / lint_fix / output 不合法只记在该项上，不影响整批
+function normalizeBatchItems(payload) {
+  const items = payload?.items;
+  if (!Array.isArray(items) || items.length === 0) throw badRequest("items 必须是非空数组");
+  if (items.length > MAX_BATCH_ITEMS) throw badRequest(`items 最多 ${MAX_BATCH_ITEMS} 项`);
+  const defaultFix = normalizeLintFixes(payload?.lint_fix);
+  const defaultOutput = normalizeFigureOutput(payload?.output);
+  const ids = new Set();
+
+  return items.map((item, index) => {
+    const id = sanitizeText(item?.id ?? "") || String(index);
+    if (ids.has(id)) throw badRequest(`items 中的 id“${id}”重复`);
+    ids.add(id);
+    const subject = sanitizeText(item?.subject || payload?.subject || "");
+    try {
+      const figureSpec = normalizeFigureSpec(item?.figure_spec);
+      if (!figureSpec) throw badRequest("figure_spec 缺失或格式不正确");
+      const fix = item?.lint_fix === undefined ? defaultFix : normalizeLintFixes(item.lint_fix);
+      const output = item?.output === undefined ? defaultOutput : normalizeFigureOutput(item.output);
+      return { id, subject, figureSpec, fix, output };
+    } catch (error) {
+      if (!error?.status) throw error;
+      return { id, error: error.message };
+    }
+  });
+}
+
+async function runWithConcurrency(tasks, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
+    while (next < tasks.length) {
+      const task = tasks[next];
+      next += 1;
+      await worker(task);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * POST /api/render/batch
+ * 请求体：{ items: [{ id, subject, figure_spec, lint_fix?, output? }], subject?, lint_fix?, output?, stream? }
+ * 相同的 subject + figure_spec 只渲染一次（按去重后的项数扣点），同时最多渲染 render 阶段 batch_concurrency 项。
+ * 单项渲染出错时改用后端保证示意图；非流式返回 { ok, results, stats }，
+ * stream 为 true 时以 SSE 逐项下发 item 事件，最后下发 done 事件（含 stats）。
+ */
+export async function handleRenderBatch(request, ctx) {
+  const { quota, policy } = ctx;
+  try {
+    const payload = await readJsonBody(request);
+    const items = normalizeBatchItems(payload);
+    const bypassCache = isCacheBypassed(request.headers.get("Cache-Control"));
+    assertFigureExportAvailable(items.some((item) => item.output), ctx.rasterAssets);
+
+    // 按缓存键分组，组内第一项为代表
+    const groups = new Map();
+    for (const item of items) {
+      if (item.error) continue;
+      const key = await createRenderCacheKey({ subject: item.subject, figureSpec: item.figureSpec });
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+
+    let billingHeaders = {};
+    if (groups.size > 0) {
+      try {
+        const billing = await chargeRequest(request, ctx, getStageCost(quota.options, "render") * groups.size);
+        billingHeaders = creditHeaders(billing);
+      } catch (error) {
+        return errorResponse(error, "额度校验失败");
+      }
+    }
+
+    const stats = { total: items.length, unique: groups.size, invalid: 0, cached: 0, fallback: 0 };
+    const concurrency = Math.min(
+      Math.max(Math.round(Number(policy.stages.render?.batch_concurrency)) || DEFAULT_BATCH_CONCURRENCY, 1),
+      MAX_BATCH_CONCURRENCY
+    );
+
+    const run = async (emit) => {
+      for (const item of items) {
+        if (!item.error) continue;
+        stats.invalid += 1;
+        await emit({ id: item.id, ok: false, error: { message: item.error } });
+      }
+
+      await runWithConcurrency([...groups.values()], concurrency, async (members) => {
+        if (request.signal?.aborted) return;
+        const [first] = members;
+        let rendered;
+        try {
+          rendered = await renderWithCache({ subject: first.subject, figureSpec: first.figureSpec, ctx, bypassCache });
+        } catch (error) {
+          rendered = {
+            result: guaranteedFigureResult({
+              subject: first.subject,
+              figureSpec: first.figureSpec,
+              renderer: "guaranteed-on-render-error",
+              warning: `渲染失败，已切换后端保证示意图：${error?.message || "未知错误"}`
+            }),
+            cache: null
+          };
+        }
+        if (rendered.cache === "hit") stats.cached += 1;
+        if (String(rendered.result.renderer || "").startsWith("guaranteed")) stats.fallback += 1;
+
+        for (const member of members) {
+          const linted = lintRenderResult(rendered.result, member.figureSpec, { fix: member.fix });
+          await emit({
+            id: member.id,
+            ...(await withExport(linted, member.output, ctx.rasterAssets)),
+            ...(rendered.cache ? { cache: rendered.cache } : {}),
+            ...(member !== first ? { duplicate_of: first.id } : {})
+          });
+        }
+      });
+    };
+
+    if (payload?.stream) {
+      return sseResponse(async ({ send, isClosed }) => {
+        await run(async (result) => {
+          if (!isClosed()) await send("item", result);
+        });
+        if (!isClosed()) await send("done", { ok: true, stats });
+      }, billingHeaders);
+    }
+
+    const byId = new Map();
+    await run(async (result) => {
+      byId.set(result.id, result);
+    });
+    return jsonResponse({
+      ok: true,
+      results: items.map((item) => byId.get(item.id) || { id: item.id, ok: false, error: { message: "请求已取消" } }),
+      stats
+    }, 200, billingHeaders);
+  } catch (error) {
+    return errorResponse(error, "批量渲染失败", { ok: false });
+  }
+}
@@ -0,0 +1,121 @@
+import {
+  JOB_STATUS,
+  advanceJob,
+  cancelJob,
+  createJob,
+  failJob,
+  isJobFinished
+} from "./analysis-jobs.js";
+
+// Pages Functions 没有常驻进程，这里用 KV 保存任务状态，由轮询请求逐步推进：
+// 每次 GET 在拿到租约后执行一步（分析，或三类变式各一批），其余并发轮询直接返回当前状态。
+// 因此任务只在有客户端轮询 GET /api/jobs/:id 时前进；客户端关闭页面后任务停在当前一步，直到再次轮询或 KV 过期。
+// 租约优先放在 D1（createD1JobLease，单条带条件的 UPSERT，并发轮询只有一个能拿到）；
+// 没有 D1 时退回记在任务对象上的 lease_until，KV 的读-判-写不是原子的，几乎同时到达的两个轮询可能重复推进同一步。
+
+const JOB_KEY_PREFIX = "job:";
+const JOB_TTL_SECONDS = 24 * 60 * 60;
+const STEP_LEASE_MS = 3 * 60 * 1000;
+
+const JOB_LEASE_SCHEMA = "CREATE TABLE IF NOT EXISTS job_leases (id TEXT PRIMARY KEY, lease_until INTEGER NOT NULL)";
+
+// 只看任务对象上的 lease_until，由 advance 写回 KV
+const kvLease = {
+  acquire: async (job, now) => Number(job.lease_until || 0) <= now,
+  release: async () => {}
+};
+
+/** D1 租约：未过期时 UPSERT 不更新也不返回行，只有一个请求能拿到；释放时顺带清掉早已过期的记录 */
+export function createD1JobLease(db) {
+  let schemaReady = null;
+  const run = async (sql, ...params) => {
+    if (!schemaReady) {
+      schemaReady = db.prepare(JOB_LEASE_SCHEMA).run().catch((error) => {
+        schemaReady = null;
+        throw error;
+      });
+    }
+    await schemaReady;
+    return db.prepare(sql).bind(...params);
+  };
+
+  return {
+    async acquire(job, now) {
+      const row = await (await run(
+        "INSERT INTO job_leases (id, lease_until) VALUES (?1, ?2) " +
+          "ON CONFLICT(id) DO UPDATE SET lease_until = ?2 WHERE lease_until <= ?3 RETURNING lease_until",
+        job.id, now + STEP_LEASE_MS, now
+      )).first();
+      return Boolean(row);
+    },
+    async release(id) {
+      await (await run(
+        "DELETE FROM job_leases WHERE id = ?1 OR lease_until < ?2",
+        id, Date.now() - JOB_TTL_SECONDS * 1000
+      )).run();
+    }
+  };
+}
+
+/** lease 为 createD1JobLease 的返回值；不传时使用 KV 上的 lease_until（非原子，见文件头） */
+export function createKvJobStore(kv, { lease = kvLease } = {}) {
+  const load = async (id) => {
+    if (!id) return null;
+    return kv.get(`${JOB_KEY_PREFIX}${id}`, { type: "json" });
+  };
+
+  const save = (job) => kv.put(`${JOB_KEY_PREFIX}${job.id}`, JSON.stringify(job), {
+    expirationTtl: JOB_TTL_SECONDS
+  });
+
+  return {
+    load,
+
+    async submit(input) {
+      const job = createJob(input);
+      await save(job);
+      return job;
+    },
+
+    async cancel(id) {
+      const job = await load(id);
+      if (!job) return null;
+      if (cancelJob(job)) {
+        job.lease_until = 0;
+        await save(job);
+      }
+      return job;
+    },
+
+    /** 推进一步并返回最新状态；拿不到租约说明另一请求正在推进，直接返回 */
+    async advance(id, ctx) {
+      const job = await load(id);
+      const now = Date.now();
+      if (!job || isJobFinished(job) || !(await lease.acquire(job, now))) {
+        return job;
+      }
+
+      job.lease_until = now + STEP_LEASE_MS;
+      await save(job);
+
+      try {
+        await advanceJob(job, ctx);
+      } catch (error) {
+        if (!ctx.signal?.aborted) failJob(job, error);
+      }
+
+      // 推进期间可能已被取消，取消状态优先
+      const latest = await load(id);
+      if (latest?.status === JOB_STATUS.CANCELLED) {
+        await lease.release(id);
+        return latest;
+      }
+
+      // 先写回进度再释放租约，下一个轮询读到的是推进后的状态
+      job.lease_until = 0;
+      await save(job);
+      await lease.release(id);
+      return job;
+    }
+  };
+}
@@ -0,0 +1,86 @@
+import {
+  JOB_STATUS,
+  advanceJob,
+  cancelJob,
+  createJob,
+  failJob,
+  isJobFinished
+} from "./analysis-jobs.js";
+
+/**
+ * 进程内任务队列（server.js 使用）：同时最多运行 concurrency 个任务，
+ * 已结束的任务保留 ttlMs 供轮询，超出 maxJobs 时优先淘汰最早结束的任务。
+ * createContext(signal) 需返回 advanceJob 所需的 ctx（含 requestJson 与 signal）。
+ */
+export function createJobQueue({ createContext, concurrency = 2, ttlMs = 60 * 60 * 1000, maxJobs = 200 }) {
+  const jobs = new Map();
+  const controllers = new Map();
+  const waiting = [];
+  let running = 0;
+
+  function prune() {
+    const now = Date.now();
+    const finished = [...jobs.values()]
+      .filter((job) => isJobFinished(job))
+      .sort((a, b) => Date.parse(a.updated_at) - Date.parse(b.updated_at));
+
+    for (const job of finished) {
+      const expired = now - Date.parse(job.updated_at) > ttlMs;
+      if (!expired && jobs.size <= maxJobs) break;
+      jobs.delete(job.id);
+    }
+  }
+
+  async function run(job) {
+    running++;
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    try {
+      const ctx = createContext(controller.signal);
+      while (!isJobFinished(job)) {
+        await advanceJob(job, ctx);
+      }
+    } catch (error) {
+      if (job.status !== JOB_STATUS.CANCELLED) {
+        failJob(job, error);
+      }
+    } finally {
+      controllers.delete(job.id);
+      running--;
+      pump();
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && waiting.length > 0) {
+      const job = jobs.get(waiting.shift());
+      if (job && !isJobFinished(job)) run(job);
+    }
+  }
+
+  return {
+    submit(input) {
+      prune();
+      const job = createJob(input);
+      jobs.set(job.id, job);
+      waiting.push(job.id);
+      pump();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (cancelJob(job)) {
+        const waitingIndex = waiting.indexOf(id);
+        if (waitingIndex !== -1) waiting.splice(waitingIndex, 1);
+        controllers.get(id)?.abort();
+      }
+      return job;
+    }
+  };
+}
@@ -0,0 +1,78 @@
+import { jsonrepair } from "jsonrepair";
+
+// 模型输出的 JSON 解析与确定性修复，与前端 index.html 中的 escapeBackslashesInStrings / extractJsonText 一致。
+
+export function escapeBackslashesInStrings(text) {
+  let out = "";
+  let inStr = false;
+  let escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (!inStr) {
+      if (ch === '"') {
+        inStr = true;
+      }
+      out += ch;
+      continue;
+    }
+
+    if (ch === '"' && !escaped) {
+      inStr = false;
+      out += ch;
+      continue;
+    }
+
+    if (ch === '\\') {
+      out += '\\\\';
+      escaped = true;
+      continue;
+    }
+
+    if (ch === '\n' || ch === '\r') {
+      out += '\\n';
+      escaped = false;
+      continue;
+    }
+
+    out += ch;
+    escaped = false;
+  }
+  return out;
+}
+
+export function extractJsonText(raw) {
+  if (!raw) return "";
+  let text = String(raw).trim();
+  text = text.replace(/^\uFEFF/, "");
+  text = text.replace(/```json/gi, "").replace(/```/g, "");
+  const first = text.indexOf("{");
+  const last = text.lastIndexOf("}");
+  if (first === -1 || last === -1 || last <= first) return "";
+  text = text.slice(first, last + 1);
+  text = text.replace(/[“”]/g, "\"").replace(/[‘’]/g, "'");
+  text = text.replace(/,\s*([}\]])/g, "$1");
+  text = escapeBackslashesInStrings(text);
+  return text;
+}
+
+/** 宽松解析模型输出的 JSON：直接解析失败时提取 {...} 片段并用 jsonrepair 修复 */
+export function parseJsonContent(raw) {
+  if (raw && typeof raw === "object") return raw;
+  if (typeof raw !== "string" || !raw.trim()) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    // 继续尝试下面的修复手段
+  }
+  const jsonText = extractJsonText(raw);
+  if (!jsonText) return null;
+  try {
+    return JSON.parse(jsonText);
+  } catch {
+    try {
+      return JSON.parse(jsonrepair(jsonText));
+    } catch {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,34 @@
+import { AI_REQUEST_OPTIONS } from "./analysis-pipeline.js";
+import { resolveStructuredContent } from "./json-schemas.js";
+
+// 服务端专用：json-schemas.js 依赖 jsonrepair 包，前端页面无法加载，因此不放在 analysis-pipeline.js 中。
+
+/**
+ * 服务端版 getJsonWithRepair：按命名 schema（见 ./json-schemas.js）解析与校验，
+ * 确定性修复后仍不合格时才请求一次模型重新整理格式。
+ * createCompletion 形如 client.chat.completions.create；resolveModel(stage) 按阶段选择模型，未提供时统一使用 model。
+ */
+export function createJsonRequester({ createCompletion, model, resolveModel, signal }) {
+  const complete = async (messages, stage) => {
+    const completion = await createCompletion({
+      model: resolveModel?.(stage) || model,
+      messages,
+      response_format: { type: "json_object" },
+      ...AI_REQUEST_OPTIONS
+    }, { signal });
+    return completion?.choices?.[0]?.message?.content ?? "";
+  };
+
+  return async function requestJson(messages, schemaName, stage) {
+    const { parsed, validation } = await resolveStructuredContent({
+      content: await complete(messages, stage),
+      schemaName,
+      reformat: (prompt) => complete([{ role: "user", content: prompt }], "repair")
+    });
+    // 部分字段不合格时仍返回修正后的结果，由 normalizeAnalysis / normalizeVariationItems 逐项取舍
+    if (parsed) return parsed;
+    const error = new Error("AI生成的数据格式有误，请重试");
+    error.validation = validation;
+    throw error;
+  };
+}
@@ -0,0 +1,268 @@
+import { parseJsonContent } from "./json-repair.js";
+
+// 模型结构化输出的命名 Schema（JSON Schema 子集：type / properties / required / items / enum / minLength / minimum / minItems / default）。
+// 校验前先做确定性修正（类型转换、补默认值、还原被 JSON 转义吞掉的 LaTeX 反斜杠），仍不合格时才请求模型重新整理格式。
+
+const SVG_ITEM_SCHEMA = {
+  type: "object",
+  properties: {
+    index: { type: "integer", minimum: 0 },
+    is_valid: { type: "boolean" },
+    violations: { type: "array", items: { type: "string" }, default: [] },
+    corrected_svg: { type: "string", default: "" }
+  },
+  required: ["index", "is_valid", "violations", "corrected_svg"]
+};
+
+export const JSON_SCHEMAS = {
+  analysis: {
+    type: "object",
+    properties: {
+      subject: { type: "string", minLength: 1 },
+      knowledge_point: { type: "string", minLength: 1 },
+      trap_analysis: { type: "string", minLength: 1 },
+      has_graphics: { type: "boolean", default: false },
+      problem_summary: { type: "string", default: "" },
+      graphic_constraints: { type: "string", default: "" },
+      sub_questions: { type: "array", items: { type: "string" }, default: [] }
+    },
+    required: ["subject", "knowledge_point", "trap_analysis", "has_graphics"]
+  },
+  variation_batch: {
+    type: "object",
+    properties: {
+      items: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            question: { type: "string", minLength: 1 },
+            answer: { type: "string", minLength: 1 },
+            solution: { type: "string", minLength: 1 },
+            // 类型与数据的细节由 normalizeDiagramSpec 检查，不合格时退回 svg，不为此重新整理格式
+            diagram: { type: "object", properties: { type: { type: "string" }, title: { type: "string" }, data: { type: "object" } } },
+            svg: { type: "string" }
+          },
+          required: ["question", "answer", "solution"]
+        }
+      }
+    },
+    required: ["items"]
+  },
+  physics_audit: {
+    type: "object",
+    properties: {
+      items: { type: "array", items: SVG_ITEM_SCHEMA }
+    },
+    required: ["items"]
+  },
+  svg_render: {
+    type: "object",
+    properties: {
+      svg: { type: "string", minLength: 1 },
+      renderer: { type: "string" },
+      notes: { type: "string" }
+    },
+    required: ["svg"]
+  },
+  svg_audit: {
+    type: "object",
+    properties: {
+      is_valid: { type: "boolean" },
+      violations: { type: "array", items: { type: "string" }, default: [] },
+      corrected_svg: { type: "string", default: "" }
+    },
+    required: ["is_valid", "corrected_svg"]
+  }
+};
+
+export const JSON_SCHEMA_NAMES = Object.keys(JSON_SCHEMAS);
+
+export function getJsonSchema(name) {
+  const schema = Object.prototype.hasOwnProperty.call(JSON_SCHEMAS, name) ? JSON_SCHEMAS[name] : null;
+  if (!schema) {
+    const error = new Error(`未知的 schema：${name}（可选：${JSON_SCHEMA_NAMES.join(" / ")}）`);
+    error.status = 400;
+    throw error;
+  }
+  return schema;
+}
+
+/** 紧凑的字段结构提示，如 analysis:{subject,knowledge_point,sub_questions[]?}，与原先手写的结构提示格式一致 */
+export function describeSchema(name) {
+  const describe = (schema) => {
+    if (schema?.type === "array") {
+      return `[${schema.items?.type === "object" ? describe(schema.items) : ""}]`;
+    }
+    if (schema?.type !== "object") return "";
+    const required = new Set(schema.required || []);
+    const fields = Object.entries(schema.properties || {})
+      .map(([key, child]) => `${key}${describe(child)}${required.has(key) ? "" : "?"}`);
+    return `{${fields.join(",")}}`;
+  };
+  return `${name}:${describe(getJsonSchema(name))}`;
+}
+
+// JSON.parse 会把 "\frac" "\times" "\neq" 等未转义的 LaTeX 命令解析成控制字符（吞掉命令首字母），这里按命令名的剩余部分还原
+const SWALLOWED_LATEX_COMMANDS = [
+  ["\b", /\u0008(?=(?:eta|ar|inom|ig|oxed|ot|mod|ullet|egin|ecause)(?![a-z]))/g, "\\b"],
+  ["\f", /\u000c(?=(?:rac|orall|lat)(?![a-z]))/g, "\\f"],
+  ["\t", /\t(?=(?:imes|heta|au|an|ext|extbf|frac|op|riangle|ilde|herefore)(?![a-z]))/g, "\\t"],
+  ["\r", /\r(?=(?:ight|ho|angle|ceil|floor)(?![a-z]))/g, "\\r"],
+  ["\n", /\n(?=(?:eq|abla|ot|ewline|eg|gtr|less)(?![a-z]))/g, "\\n"]
+];
+
+// \nu \ne \ni \to \rm 只剩一个字母，与真实换行、制表后的普通文字无法区分，只在 $…$ 公式内还原
+const SWALLOWED_SHORT_LATEX_COMMANDS = [
+  ["\t", /\t(?=o(?![a-z]))/g, "\\t"],
+  ["\r", /\r(?=m(?![a-z]))/g, "\\r"],
+  ["\n", /\n(?=[uei](?![a-z]))/g, "\\n"]
+];
+
+function replaceSwallowed(text, rules) {
+  return rules.reduce(
+    (result, [char, pattern, replacement]) => (result.includes(char) ? result.replace(pattern, replacement) : result),
+    text
+  );
+}
+
+function restoreLatexEscapes(text) {
+  const restored = replaceSwallowed(text, SWALLOWED_LATEX_COMMANDS);
+  if (!restored.includes("$")) return restored;
+  return restored.replace(/\$\$[\s\S]*?\$\$|\$[^$]*\$/g, (formula) => replaceSwallowed(formula, SWALLOWED_SHORT_LATEX_COMMANDS));
+}
+
+const TRUE_STRINGS = new Set(["true", "yes", "1", "是", "有", "对"]);
+const FALSE_STRINGS = new Set(["false", "no", "0", "否", "无", "没有", "错", ""]);
+
+/** 按 schema 做确定性修正，不改变无法判断的值，交给 validateJson 报错 */
+export function coerceJson(schema, value) {
+  if (!schema) return value;
+  switch (schema.type) {
+    case "string":
+      if (typeof value === "number" || typeof value === "boolean") return String(value);
+      return typeof value === "string" ? restoreLatexEscapes(value).trim() : value;
+    case "boolean":
+      if (typeof value === "number") return value !== 0;
+      if (typeof value === "string") {
+        const text = value.trim().toLowerCase();
+        if (TRUE_STRINGS.has(text)) return true;
+        if (FALSE_STRINGS.has(text)) return false;
+      }
+      return value;
+    case "number":
+    case "integer":
+      if (typeof value === "string" && value.trim() && Number.isFinite(Number(value))) return Number(value);
+      return value;
+    case "array": {
+      if (value === null || value === undefined) return value;
+      // 单个值按一项处理，如 sub_questions 返回了一个字符串
+      const list = Array.isArray(value) ? value : [value];
+      return list.map((item) => coerceJson(schema.items, item));
+    }
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+      const output = { ...value };
+      Object.entries(schema.properties || {}).forEach(([key, child]) => {
+        if (output[key] === undefined || output[key] === null) {
+          if (child.default !== undefined) output[key] = structuredClone(child.default);
+          else delete output[key];
+          return;
+        }
+        output[key] = coerceJson(child, output[key]);
+      });
+      return output;
+    }
+    default:
+      return value;
+  }
+}
+
+function typeOfJson(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/** 返回 [{ path, message }]，为空表示通过 */
+export function validateJson(schema, value, path = "$") {
+  const actual = typeOfJson(value);
+  const matchesType = schema.type === actual || (schema.type === "number" && actual === "integer");
+  if (schema.type && !matchesType) {
+    return [{ path, message: `应为 ${schema.type}，实际为 ${actual}` }];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `取值应为 ${schema.enum.join(" / ")} 之一` });
+  }
+  if (schema.minLength !== undefined && typeof value === "string" && value.length < schema.minLength) {
+    errors.push({ path, message: value ? `长度至少为 ${schema.minLength}` : "不能为空" });
+  }
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    errors.push({ path, message: `不能小于 ${schema.minimum}` });
+  }
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `至少需要 ${schema.minItems} 项` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJson(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+  if (schema.type === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: "缺少必填字段" });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, child]) => {
+      if (value[key] !== undefined) errors.push(...validateJson(child, value[key], `${path}.${key}`));
+    });
+  }
+  return errors;
+}
+
+function checkContent(schema, content) {
+  const data = parseJsonContent(content);
+  if (!data) return { data: null, errors: [{ path: "$", message: "不是合法 JSON" }] };
+  const coerced = coerceJson(schema, data);
+  return { data: coerced, errors: validateJson(schema, coerced) };
+}
+
+export function buildReformatPrompt({ schemaName, content, errors }) {
+  const errorLines = errors.slice(0, 20).map((error) => `- ${error.path}：${error.message}`).join("\n");
+  return `你是一名严格的JSON修复器。请把下面内容整理为**严格JSON**，不要输出任何解释或Markdown。\n` +
+    `要求：保持语义不变，不要编造缺失的内容，字段名必须符合以下结构提示：${describeSchema(schemaName)}\n` +
+    `JSON Schema：${JSON.stringify(getJsonSchema(schemaName))}\n` +
+    `当前校验错误：\n${errorLines}\n` +
+    `注意：JSON字符串中的反斜杠必须转义（例如：LaTeX 用双反斜杠）。\n` +
+    `待修复内容：\n${content}`;
+}
+
+/**
+ * 解析并按命名 schema 校验模型输出。
+ * reformat(prompt) 可选，返回模型重新整理后的文本；只在确定性修复后仍不合格时调用一次。
+ * 返回 { parsed, validation: { schema, valid, errors, reformatted } }，不合格时 parsed 为修正后的部分结果或 null。
+ */
+export async function resolveStructuredContent({ content, schemaName, reformat }) {
+  const schema = getJsonSchema(schemaName);
+  let result = checkContent(schema, content);
+  let reformatted = false;
+
+  if (result.errors.length > 0 && reformat) {
+    try {
+      const retried = checkContent(schema, await reformat(buildReformatPrompt({ schemaName, content, errors: result.errors })));
+      reformatted = true;
+      if (!result.data || retried.errors.length <= result.errors.length) result = retried;
+    } catch (error) {
+      if (error?.name === "AbortError" || error?.constructor?.name === "APIUserAbortError") throw error;
+      // 整理请求失败时保留确定性修复的结果与校验错误
+      console.warn("JSON 格式整理请求失败：", error?.message);
+    }
+  }
+
+  return {
+    parsed: result.data,
+    validation: { schema: schemaName, valid: result.errors.length === 0, errors: result.errors, reformatted }
+  };
+}
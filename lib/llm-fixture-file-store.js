@@ -0,0 +1,27 @@
+import fs from "fs/promises";
+import path from "path";
+
+// server.js 使用的 LLM 录制存储：每条录制一个 <请求哈希>.json，便于提交到仓库做回归测试。
+
+export function createFileFixtureStore({ dir }) {
+  const fileOf = (key) => path.join(dir, `${String(key).replace(/[^a-z0-9]/gi, "")}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileOf(key), "utf8"));
+      } catch (error) {
+        if (error?.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async put(key, fixture) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileOf(key);
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmpFile, `${JSON.stringify(fixture, null, 2)}\n`, "utf8");
+      await fs.rename(tmpFile, file);
+    }
+  };
+}
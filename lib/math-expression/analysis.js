@@ -0,0 +1,161 @@
+import { compileExpression, expressionError } from "./index.js";
+
+// 由函数值数值推出的特征：导数、零点、极值（两函数的交点即差函数的零点），
+// 以及线性规划题中线性约束的可行域。f(x) 在定义域外返回 NaN。
+
+const DEFAULT_SAMPLES = 400;
+const ITERATIONS = 80;
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+/** 中心差分求导；左右导数不一致（尖点）或无定义时返回 NaN */
+export function derivative(f, x) {
+  const h = 1e-5 * Math.max(1, Math.abs(x));
+  const y = f(x);
+  const left = (y - f(x - h)) / h;
+  const right = (f(x + h) - y) / h;
+  if (![y, left, right].every(Number.isFinite)) return NaN;
+  if (Math.abs(left - right) > 1e-3 * Math.max(1, Math.abs(left), Math.abs(right))) return NaN;
+  return (f(x + h) - f(x - h)) / (2 * h);
+}
+
+function samplePoints(f, [a, b], samples) {
+  return Array.from({ length: samples + 1 }, (_, index) => {
+    const x = a + ((b - a) * index) / samples;
+    return [x, f(x)];
+  });
+}
+
+function dedupe(values, gap, key = (value) => value) {
+  return values
+    .sort((p, q) => key(p) - key(q))
+    .filter((value, index, sorted) => index === 0 || key(value) - key(sorted[index - 1]) > gap);
+}
+
+// 黄金分割搜索 [a, b] 上的最小值点
+function minimize(f, a, b) {
+  let x1 = b - GOLDEN * (b - a);
+  let x2 = a + GOLDEN * (b - a);
+  let y1 = f(x1);
+  let y2 = f(x2);
+  for (let step = 0; step < ITERATIONS && b - a > 1e-12 * Math.max(1, Math.abs(a)); step += 1) {
+    if (y1 <= y2) {
+      [b, x2, y2] = [x2, x1, y1];
+      x1 = b - GOLDEN * (b - a);
+      y1 = f(x1);
+    } else {
+      [a, x1, y1] = [x1, x2, y2];
+      x2 = a + GOLDEN * (b - a);
+      y2 = f(x2);
+    }
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * [a, b] 内部的极值点，返回 [{ x, y, kind: "max" | "min" }]；
+ * 取样找出局部最高/最低处后细化，平台（如 floor）与定义域端点不算。
+ */
+export function findExtrema(f, domain, { samples = DEFAULT_SAMPLES } = {}) {
+  const points = samplePoints(f, domain, samples);
+  const step = (domain[1] - domain[0]) / samples;
+  const extrema = [];
+  for (let index = 1; index < points.length - 1; index += 1) {
+    const [[x0, y0], [, y1], [x2, y2]] = points.slice(index - 1, index + 2);
+    if (![y0, y1, y2].every(Number.isFinite)) continue;
+    [["max", -1], ["min", 1]].forEach(([kind, sign]) => {
+      const [a, b, c] = [y0 * sign, y1 * sign, y2 * sign];
+      if (!(b <= a && b <= c && (b < a || b < c))) return;
+      const x = minimize((t) => sign * f(t), x0, x2);
+      const y = f(x);
+      const delta = step / 4;
+      // 两侧都严格更差才是极值，排除平台与跳跃；细化后远超取样落差的是无穷间断（如 tan x 的渐近线）
+      if (!Number.isFinite(y) || !(sign * f(x - delta) > sign * y && sign * f(x + delta) > sign * y)) return;
+      if (Math.abs(y - y1) > 2 * Math.max(Math.abs(y0 - y1), Math.abs(y2 - y1)) + 1e-9 * Math.max(1, Math.abs(y1))) return;
+      extrema.push({ x, y, kind });
+    });
+  }
+  return dedupe(extrema, step / 2, (item) => item.x);
+}
+
+/**
+ * [a, b] 内的零点（升序）：变号处二分求根（排除 1/x 这类跨过无穷间断的变号），
+ * 再补上不变号的切点零点（如 x² 在 0 处）。
+ */
+export function findZeros(f, domain, { samples = DEFAULT_SAMPLES } = {}) {
+  const points = samplePoints(f, domain, samples);
+  const scale = Math.max(1, ...points.map(([, y]) => (Number.isFinite(y) ? Math.abs(y) : 0)));
+  const tolerance = 1e-7 * scale;
+  const zeros = [];
+  points.forEach(([x, y], index) => {
+    // 恰好取到的零点：相邻取样也为 0 的是平台（如 floor x 在 [0,1)），不算
+    const neighbours = [points[index - 1], points[index + 1]].filter(Boolean);
+    if (y === 0 && neighbours.every(([, value]) => value !== 0)) zeros.push(x);
+    if (index === 0) return;
+    let [a, ya] = points[index - 1];
+    let b = x;
+    if (!Number.isFinite(ya) || !Number.isFinite(y) || ya === 0 || y === 0 || Math.sign(ya) === Math.sign(y)) return;
+    for (let step = 0; step < ITERATIONS; step += 1) {
+      const mid = (a + b) / 2;
+      const ym = f(mid);
+      if (!Number.isFinite(ym)) return;
+      if (Math.sign(ym) === Math.sign(ya)) [a, ya] = [mid, ym];
+      else b = mid;
+    }
+    const root = (a + b) / 2;
+    if (Math.abs(f(root)) <= tolerance) zeros.push(root);
+  });
+  findExtrema(f, domain, { samples }).forEach(({ x, y }) => Math.abs(y) <= tolerance && zeros.push(x));
+  return dedupe(zeros, (domain[1] - domain[0]) / samples / 2);
+}
+
+/**
+ * 线性约束，如 "x+2y<=4"、"y>=0"、"x - y > -1"：返回 { a, b, c, strict, text }，表示 a·x + b·y + c ≤ 0（strict 时为 <）。
+ * 不是关于 x、y 的一次不等式时抛出 status=400 的错误。
+ */
+export function parseLinearConstraint(input) {
+  const text = String(input ?? "").trim();
+  const match = /^(.+?)(<=|>=|≤|≥|⩽|⩾|<|>)(.+)$/.exec(text);
+  if (!match) throw expressionError(text, "线性约束须含 <、<=、>、>= 之一");
+  const { evaluate } = compileExpression(`(${match[1]})-(${match[3]})`, { variables: ["x", "y"] });
+  const g = (x, y) => evaluate({ x, y });
+  const c = g(0, 0);
+  const a = g(1, 0) - c;
+  const b = g(0, 1) - c;
+  const linear = [[2.3, -1.7], [-3.1, 4.2]].every(([x, y]) => Math.abs(g(x, y) - (a * x + b * y + c)) <= 1e-9 * Math.max(1, Math.abs(g(x, y))));
+  if (![a, b, c].every(Number.isFinite) || !linear || (a === 0 && b === 0)) throw expressionError(text, "不是关于 x、y 的一次不等式");
+  const sign = /^(<|<=|≤|⩽)$/.test(match[2]) ? 1 : -1;
+  return { a: a * sign, b: b * sign, c: c * sign, strict: match[2] === "<" || match[2] === ">", text };
+}
+
+/** 直线 a·x + b·y + c = 0 落在矩形 [x0,x1]×[y0,y1] 内的线段，不相交时返回 null */
+export function lineInBox({ a, b, c }, [x0, x1], [y0, y1]) {
+  const candidates = [];
+  if (b !== 0) [x0, x1].forEach((x) => candidates.push([x, -(a * x + c) / b]));
+  if (a !== 0) [y0, y1].forEach((y) => candidates.push([-(b * y + c) / a, y]));
+  const epsilon = 1e-9 * Math.max(1, x1 - x0, y1 - y0);
+  const inside = candidates.filter(([x, y]) => x >= x0 - epsilon && x <= x1 + epsilon && y >= y0 - epsilon && y <= y1 + epsilon);
+  if (inside.length < 2) return null;
+  const along = ([x, y]) => b * x - a * y;
+  inside.sort((p, q) => along(p) - along(q));
+  return [inside[0], inside[inside.length - 1]];
+}
+
+/** 线性约束在矩形范围内的可行域（凸多边形顶点，逆时针），为空时返回 [] */
+export function feasibleRegion(constraints, [x0, x1], [y0, y1]) {
+  let polygon = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+  constraints.forEach(({ a, b, c }) => {
+    const value = ([x, y]) => a * x + b * y + c;
+    const clipped = [];
+    polygon.forEach((point, index) => {
+      const next = polygon[(index + 1) % polygon.length];
+      const [v0, v1] = [value(point), value(next)];
+      if (v0 <= 0) clipped.push(point);
+      if ((v0 < 0 && v1 > 0) || (v0 > 0 && v1 < 0)) {
+        const t = v0 / (v0 - v1);
+        clipped.push([point[0] + (next[0] - point[0]) * t, point[1] + (next[1] - point[1]) * t]);
+      }
+    });
+    polygon = clipped;
+  });
+  return polygon.length >= 3 ? polygon : [];
+}
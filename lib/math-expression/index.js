@@ -0,0 +1,388 @@
+// 函数表达式：解析为语法树后逐点求值，不使用 eval / new Function，声明式绘图与 DiagramRenderer 共用。
+// 三角函数按弧度计算；支持 ^ 与 **、隐式乘法（2x、x(x-1)、3sin x、xsinx）、绝对值 |x|、
+// 以 log_2 / log_{2} 写底数、sin^2 x、分段函数 piecewise(值, 条件, …, 其余情况) 与具名常数。
+// 不支持 2e-1 这类科学计数法：e 是常数，2e-1 按 2·e − 1 解析。
+// 负数的分数次幂在分母为奇数时取实数根：x^(1/3)、x^(2/3) 在 x < 0 处有定义。
+// 曲线采样（sample.js）与导数、零点、极值、线性约束可行域等数值分析（analysis.js）也从这里导出。
+
+export { derivative, feasibleRegion, findExtrema, findZeros, lineInBox, parseLinearConstraint } from "./analysis.js";
+export { sampleCurve, sampleParametricCurve } from "./sample.js";
+
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_ROOT_DENOMINATOR = 99;
+
+/** 把指数还原成最简分数 p/q（q ≤ MAX_ROOT_DENOMINATOR），找不到时返回 null */
+function toFraction(value) {
+  let [h0, h1, k0, k1] = [0, 1, 1, 0];
+  let rest = value;
+  for (let i = 0; i < 20; i++) {
+    const whole = Math.floor(rest);
+    [h0, h1] = [h1, whole * h1 + h0];
+    [k0, k1] = [k1, whole * k1 + k0];
+    if (k1 > MAX_ROOT_DENOMINATOR) return null;
+    if (Math.abs(h1 / k1 - value) < 1e-12) return { p: h1, q: k1 };
+    rest = 1 / (rest - whole);
+    if (!Number.isFinite(rest)) return null;
+  }
+  return null;
+}
+
+// 负底数配分母为奇数的分数指数时取实数根，如 (-8)^(1/3) = -2、(-8)^(2/3) = 4
+function realPower(base, exponent) {
+  if (base >= 0 || Number.isInteger(exponent) || !Number.isFinite(exponent)) return base ** exponent;
+  const fraction = toFraction(exponent);
+  if (!fraction || fraction.q % 2 === 0) return NaN;
+  const magnitude = (-base) ** exponent;
+  return fraction.p % 2 === 0 ? magnitude : -magnitude;
+}
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan,
+  atan2: Math.atan2,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log,
+  lg: Math.log10,
+  log10: Math.log10,
+  log2: Math.log2,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  sign: Math.sign,
+  min: Math.min,
+  max: Math.max,
+  pow: realPower
+};
+
+const CONSTANTS = { pi: Math.PI, PI: Math.PI, e: Math.E };
+
+// 全角与数学排版字符 → ASCII 写法
+const CHARACTER_ALIASES = {
+  "−": "-", "－": "-", "＋": "+", "·": "*", "×": "*", "∗": "*", "÷": "/", "（": "(", "）": ")", "，": ",",
+  "｜": "|", "≤": "<=", "⩽": "<=", "≥": ">=", "⩾": ">=", "＜": "<", "＞": ">", "²": "^2", "³": "^3", "π": "pi", "θ": "theta", "√": "sqrt"
+};
+
+const COMPARISONS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+export function expressionError(text, message) {
+  const error = new Error(`表达式“${text}”无效：${message}`);
+  error.status = 400;
+  return error;
+}
+
+// 连写的名称按已知名称拆开（xsinx → x sin x、ln2 → ln 2），拆不开时返回 null
+function splitWord(word, isName) {
+  const tokens = [];
+  let rest = word;
+  while (rest) {
+    const digits = /^\d+/.exec(rest);
+    if (digits) {
+      tokens.push({ type: "number", value: Number(digits[0]) });
+      rest = rest.slice(digits[0].length);
+      continue;
+    }
+    let length = rest.length;
+    while (length > 0 && !isName(rest.slice(0, length))) length -= 1;
+    if (!length) return null;
+    tokens.push({ type: "word", value: rest.slice(0, length) });
+    rest = rest.slice(length);
+  }
+  return tokens;
+}
+
+function tokenize(text, isName) {
+  const source = [...text].map((ch) => (hasOwn(CHARACTER_ALIASES, ch) ? ` ${CHARACTER_ALIASES[ch]} ` : ch)).join("");
+  const tokens = [];
+  let index = 0;
+  while (index < source.length) {
+    const ch = source[index];
+    const rest = source.slice(index);
+    if (/\s/.test(ch)) {
+      index += 1;
+      continue;
+    }
+    const number = /^(?:\d+\.?\d*|\.\d+)/.exec(rest);
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]) });
+      index += number[0].length;
+      continue;
+    }
+    // log_2 x、log_{10}(x)、log_a(x)：底数为数字或常数名，多个字母的常数名要写在花括号中
+    const logBase = /^log_(?:\{\s*(\d+(?:\.\d+)?|[A-Za-z][A-Za-z0-9]*)\s*\}|(\d+(?:\.\d+)?|[A-Za-z]))/.exec(rest);
+    if (logBase) {
+      tokens.push({ type: "word", value: "log", base: logBase[1] || logBase[2] });
+      index += logBase[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest);
+    if (word) {
+      const parts = isName(word[0]) ? [{ type: "word", value: word[0] }] : splitWord(word[0], isName);
+      if (!parts) throw expressionError(text, `未知的名称“${word[0]}”`);
+      tokens.push(...parts);
+      index += word[0].length;
+      continue;
+    }
+    const op = /^(\*\*|<=|>=|[+\-*/^(),|<>])/.exec(rest);
+    if (op) {
+      tokens.push({ type: "op", value: op[0] === "**" ? "^" : op[0] });
+      index += op[0].length;
+      continue;
+    }
+    throw expressionError(text, `无法识别的字符“${ch}”`);
+  }
+  return tokens;
+}
+
+function resolveConstants(text, variables, extra) {
+  const constants = { ...CONSTANTS };
+  Object.entries(extra || {}).forEach(([name, value]) => {
+    if (!/^[A-Za-z][A-Za-z0-9]*$/.test(name) || hasOwn(FUNCTIONS, name) || variables.includes(name) || name === "piecewise") {
+      throw expressionError(text, `常数名“${name}”不可用`);
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) throw expressionError(text, `常数“${name}”必须是有限数`);
+    constants[name] = value;
+  });
+  return constants;
+}
+
+/**
+ * 编译表达式，返回 { text, variables, evaluate(scope) }；evaluate 在定义域外（含分段函数未覆盖的区间）返回 NaN。
+ * variables 为允许出现的自变量名，如 ["x"]；constants 为额外的具名常数，如 { a: 2 }；
+ * logBase 为不写底数时 log 的底（默认 e，与 numpy 一致）。
+ */
+export function compileExpression(input, { variables = ["x"], constants: extraConstants = null, logBase = Math.E } = {}) {
+  // 去掉 y = / f(x) = 前缀
+  const text = String(input ?? "").trim().replace(/^(?:y|[fgh]\s*\(\s*[a-z]\s*\))\s*=(?!=)\s*/, "");
+  if (!text) throw expressionError(text, "为空");
+  if (text.length > MAX_EXPRESSION_LENGTH) throw expressionError(text.slice(0, 40), `超过 ${MAX_EXPRESSION_LENGTH} 字符`);
+  const constants = resolveConstants(text, variables, extraConstants);
+  const isFunction = (name) => hasOwn(FUNCTIONS, name) || name === "piecewise";
+  const tokens = tokenize(text, (name) => isFunction(name) || variables.includes(name) || hasOwn(constants, name));
+  const used = new Set();
+  let position = 0;
+  let absDepth = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw expressionError(text, `缺少“${value}”`);
+    position += 1;
+  };
+  // 数字、名称、左括号或（不在绝对值内时的）“|”紧跟在操作数之后时视为省略了乘号
+  const startsOperand = () => {
+    const token = peek();
+    if (!token) return false;
+    if (token.type !== "op") return true;
+    return token.value === "(" || (token.value === "|" && absDepth === 0);
+  };
+  const startsFunction = () => peek()?.type === "word" && isFunction(peek().value);
+
+  const logOfBase = (base) => {
+    const value = /^\d/.test(base) ? Number(base) : constants[base];
+    if (!(value > 0) || value === 1) throw expressionError(text, `对数的底“${base}”无效`);
+    return value;
+  };
+
+  const parseArguments = (parse) => {
+    expect("(");
+    const args = [parse()];
+    while (isOp(",")) {
+      position += 1;
+      args.push(parse());
+    }
+    expect(")");
+    return args;
+  };
+
+  // sin x、sin 2x、ln x 这类省略括号的参数：到下一个运算符或函数名为止
+  const parseImplicitArgument = () => {
+    let node = parsePower();
+    while (startsOperand() && !startsFunction() && !isOp("(")) {
+      node = { type: "binary", op: "*", left: node, right: parsePower() };
+    }
+    return node;
+  };
+
+  const parseCall = (token) => {
+    const name = token.value;
+    if (name === "piecewise") {
+      const args = parseArguments(parseCondition);
+      const pieces = [];
+      for (let index = 0; index + 1 < args.length; index += 2) {
+        if (args[index].type === "compare") throw expressionError(text, "piecewise 的参数应为“值, 条件, 值, 条件, …”");
+        pieces.push({ value: args[index], condition: args[index + 1] });
+      }
+      const otherwise = args.length % 2 ? args[args.length - 1] : null;
+      if (otherwise?.type === "compare") throw expressionError(text, "piecewise 的最后一项应为值");
+      return { type: "piecewise", pieces, otherwise };
+    }
+    // sin^2 x = (sin x)^2
+    let power = null;
+    if (isOp("^")) {
+      position += 1;
+      power = parseUnary();
+    }
+    const args = isOp("(") ? parseArguments(parseSum) : [parseImplicitArgument()];
+    const base = token.base ? logOfBase(token.base) : name === "log" ? logBase : Math.E;
+    let node = base !== Math.E ? { type: "log", base, args } : { type: "call", name, args };
+    if (power) node = { type: "binary", op: "^", left: node, right: power };
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw expressionError(text, "不完整");
+    position += 1;
+    if (token.type === "number") return { type: "number", value: token.value };
+    if (token.type === "op" && token.value === "(") {
+      const node = parseSum();
+      expect(")");
+      return node;
+    }
+    if (token.type === "op" && token.value === "|") {
+      absDepth += 1;
+      const node = parseSum();
+      absDepth -= 1;
+      expect("|");
+      return { type: "call", name: "abs", args: [node] };
+    }
+    if (token.type === "word") {
+      const name = token.value;
+      if (isFunction(name)) return parseCall(token);
+      if (variables.includes(name)) {
+        used.add(name);
+        return { type: "variable", name };
+      }
+      if (hasOwn(constants, name)) return { type: "number", value: constants[name] };
+      throw expressionError(text, `未知的名称“${name}”`);
+    }
+    throw expressionError(text, `多余的“${token.value}”`);
+  };
+
+  // 乘方右结合，且优先于一元负号：-x^2 = -(x^2)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isOp("^")) return base;
+    position += 1;
+    return { type: "binary", op: "^", left: base, right: parseUnary() };
+  };
+
+  const parseUnary = () => {
+    if (isOp("-")) {
+      position += 1;
+      return { type: "negate", operand: parseUnary() };
+    }
+    if (isOp("+")) {
+      position += 1;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    for (;;) {
+      if (isOp("*") || isOp("/")) {
+        const op = peek().value;
+        position += 1;
+        node = { type: "binary", op, left: node, right: parseUnary() };
+      } else if (startsOperand()) {
+        node = { type: "binary", op: "*", left: node, right: parsePower() };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isOp("+") || isOp("-")) {
+      const op = peek().value;
+      position += 1;
+      node = { type: "binary", op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  // 比较只出现在 piecewise 的条件中，可连写：0 <= x < 2
+  const parseCondition = () => {
+    const operands = [parseSum()];
+    const ops = [];
+    while (peek()?.type === "op" && hasOwn(COMPARISONS, peek().value)) {
+      ops.push(peek().value);
+      position += 1;
+      operands.push(parseSum());
+    }
+    return ops.length ? { type: "compare", ops, operands } : operands[0];
+  };
+
+  const tree = parseSum();
+  if (position < tokens.length) {
+    const token = peek();
+    if (token.type === "op" && hasOwn(COMPARISONS, token.value)) throw expressionError(text, "比较运算只能用在 piecewise 的条件中");
+    throw expressionError(text, `多余的“${token.value}”`);
+  }
+
+  const evaluateNode = (node, scope) => {
+    switch (node.type) {
+      case "number":
+        return node.value;
+      case "variable":
+        return Number(scope[node.name]);
+      case "negate":
+        return -evaluateNode(node.operand, scope);
+      case "call":
+        return FUNCTIONS[node.name](...node.args.map((arg) => evaluateNode(arg, scope)));
+      case "log":
+        return Math.log(evaluateNode(node.args[0], scope)) / Math.log(node.base);
+      case "compare": {
+        const values = node.operands.map((operand) => evaluateNode(operand, scope));
+        return node.ops.every((op, index) => COMPARISONS[op](values[index], values[index + 1])) ? 1 : 0;
+      }
+      case "piecewise": {
+        const piece = node.pieces.find((item) => evaluateNode(item.condition, scope) === 1);
+        if (piece) return evaluateNode(piece.value, scope);
+        return node.otherwise ? evaluateNode(node.otherwise, scope) : NaN;
+      }
+      default: {
+        const left = evaluateNode(node.left, scope);
+        const right = evaluateNode(node.right, scope);
+        if (node.op === "+") return left + right;
+        if (node.op === "-") return left - right;
+        if (node.op === "*") return left * right;
+        if (node.op === "/") return left / right;
+        return realPower(left, right);
+      }
+    }
+  };
+
+  return {
+    text,
+    variables: [...used],
+    evaluate(scope = {}) {
+      const value = evaluateNode(tree, scope);
+      return Number.isFinite(value) ? value : NaN;
+    }
+  };
+}
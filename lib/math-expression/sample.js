@@ -0,0 +1,207 @@
+// 函数曲线采样：均匀取点后按弯曲程度自适应加密，在间断点（跳跃、无穷间断、定义域边界）处断开，
+// 并在纵向范围的边界处截断，使 1/x、tan x 这类曲线不会跨过渐近线连成竖线。
+
+const DEFAULT_SAMPLES = 240;
+const MAX_DEPTH = 8;
+const BISECTIONS = 48;
+
+/**
+ * evaluate(x) 在定义域外返回 NaN；domain 为 [a, b]，yRange 为可见的纵向范围。
+ * 返回 { paths, discontinuities }：paths 为若干条折线（[[x, y], …]，y 均在 yRange 内），
+ * discontinuities 为断开处 { x, kind }，kind 为 jump（有限跳跃）/ pole（趋于无穷）/ domain（定义域边界）。
+ */
+export function sampleCurve(evaluate, domain, { yRange, samples = DEFAULT_SAMPLES } = {}) {
+  const [a, b] = domain;
+  const [yMin, yMax] = yRange;
+  const span = yMax - yMin;
+  const tolerance = span * 0.002;
+  const f = (x) => {
+    const y = evaluate(x);
+    return Number.isFinite(y) ? y : NaN;
+  };
+  // 两端都在可见范围同一侧之外的线段画不出来，不必加密或检查
+  const hidden = (y0, y1) => (y0 > yMax && y1 > yMax) || (y0 < yMin && y1 < yMin);
+
+  // 1. 均匀取点，弯曲处二分加密
+  const points = [];
+  const refine = (x0, y0, x1, y1, depth) => {
+    const xm = (x0 + x1) / 2;
+    const ym = f(xm);
+    const finite = [y0, ym, y1].filter(Number.isFinite).length;
+    // 三点都无定义（定义域外）或都在可见范围同一侧之外、或已足够平直时不再加密
+    const straight = finite === 0 ||
+      (finite === 3 && ((hidden(y0, y1) && hidden(y0, ym)) || Math.abs(ym - (y0 + y1) / 2) <= tolerance));
+    if (depth >= MAX_DEPTH || straight) {
+      points.push([x1, y1]);
+      return;
+    }
+    refine(x0, y0, xm, ym, depth + 1);
+    refine(xm, ym, x1, y1, depth + 1);
+  };
+  let previous = [a, f(a)];
+  points.push(previous);
+  for (let index = 1; index <= samples; index += 1) {
+    const x = a + ((b - a) * index) / samples;
+    const current = [x, f(x)];
+    refine(previous[0], previous[1], current[0], current[1], 0);
+    previous = current;
+  }
+
+  // 2. 相邻两点间函数是否连续：二分逼近变化最大的一侧，落差不随区间缩小而缩小即为间断；
+  //    中途遇到无定义的点时记为 hole
+  const locateBreak = (x0, y0, x1, y1) => {
+    for (let step = 0; step < BISECTIONS; step += 1) {
+      const xm = (x0 + x1) / 2;
+      const ym = f(xm);
+      if (!Number.isFinite(ym)) return { x0, y0, x1, y1, hole: xm };
+      if (Math.abs(ym - y0) > Math.abs(y1 - ym)) [x1, y1] = [xm, ym];
+      else [x0, y0] = [xm, ym];
+      if (Math.abs(y1 - y0) <= tolerance) return null;
+    }
+    return { x0, y0, x1, y1 };
+  };
+  // 有限值与 NaN 之间：二分找到定义域边界上最后一个有定义的点
+  const locateEdge = (inside, outside) => {
+    for (let step = 0; step < BISECTIONS; step += 1) {
+      const xm = (inside + outside) / 2;
+      if (Number.isFinite(f(xm))) inside = xm;
+      else outside = xm;
+    }
+    return [inside, f(inside)];
+  };
+  // 逼近到极小区间后函数值仍远超可见范围，说明趋于无穷
+  const isPole = (...values) => values.some((y) => Math.abs(y) > span * 1e3 + Math.abs(yMin) + Math.abs(yMax));
+
+  const runs = [];
+  const discontinuities = [];
+  let run = [];
+  const breakAt = (x, kind, last, first) => {
+    run.push(last);
+    runs.push(run);
+    run = first ? [first] : [];
+    if (!discontinuities.some((item) => Math.abs(item.x - x) < 1e-9)) discontinuities.push({ x, kind });
+  };
+  points.forEach(([x, y], index) => {
+    const [px, py] = index > 0 ? points[index - 1] : [x, NaN];
+    const previousFinite = Number.isFinite(py);
+    if (!Number.isFinite(y)) {
+      if (previousFinite) {
+        const edge = locateEdge(px, x);
+        breakAt(edge[0], isPole(edge[1]) ? "pole" : "domain", edge);
+      }
+      return;
+    }
+    if (index > 0 && !previousFinite) {
+      const edge = locateEdge(x, px);
+      run.push(edge);
+      if (!discontinuities.some((item) => Math.abs(item.x - edge[0]) < 1e-9)) {
+        discontinuities.push({ x: edge[0], kind: isPole(edge[1]) ? "pole" : "domain" });
+      }
+    } else if (previousFinite && Math.abs(y - py) > tolerance * 10 && !hidden(py, y)) {
+      const gap = locateBreak(px, py, x, y);
+      if (gap?.hole !== undefined) {
+        const left = locateEdge(gap.x0, gap.hole);
+        const right = locateEdge(gap.x1, gap.hole);
+        breakAt(gap.hole, isPole(left[1], right[1]) ? "pole" : "domain", left, right);
+      } else if (gap) {
+        breakAt((gap.x0 + gap.x1) / 2, isPole(gap.y0, gap.y1) ? "pole" : "jump", [gap.x0, gap.y0], [gap.x1, gap.y1]);
+      }
+    }
+    run.push([x, y]);
+  });
+  if (run.length) runs.push(run);
+
+  return { paths: runs.flatMap((points) => clipToRange(points, yMin, yMax)), discontinuities };
+}
+
+// 截掉纵向范围之外的部分，穿出边界处按线性插值补上交点
+function clipToRange(points, yMin, yMax) {
+  const paths = [];
+  let path = [];
+  const inside = ([, y]) => y >= yMin && y <= yMax;
+  const edgeOf = ([, y]) => (y > yMax ? yMax : yMin);
+  const at = ([x0, y0], [x1, y1], edge) => [x0 + ((x1 - x0) * (edge - y0)) / (y1 - y0), edge];
+  // 只剩一个点（如跳跃恰好落在区间端点）的不画
+  const flush = () => {
+    if (path.length > 1 && path.some(([x, y]) => x !== path[0][0] || y !== path[0][1])) paths.push(path);
+    path = [];
+  };
+  points.forEach((point, index) => {
+    const previous = points[index - 1];
+    if (inside(point)) {
+      if (previous && !inside(previous)) path.push(at(previous, point, edgeOf(previous)));
+      path.push(point);
+      return;
+    }
+    if (previous && inside(previous)) {
+      path.push(at(previous, point, edgeOf(point)));
+    } else if (previous && edgeOf(previous) !== edgeOf(point)) {
+      // 一步从上方越到下方（或反之）：只剩穿过可见范围的一段
+      path = [at(previous, point, edgeOf(previous)), at(previous, point, edgeOf(point))];
+    }
+    flush();
+  });
+  flush();
+  return paths;
+}
+
+// Liang–Barsky：线段落在矩形内的部分，不相交时返回 null
+function clipSegment([x0, y0], [x1, y1], [xMin, xMax], [yMin, yMax]) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  let enter = 0;
+  let leave = 1;
+  const checks = [[-dx, x0 - xMin], [dx, xMax - x0], [-dy, y0 - yMin], [dy, yMax - y0]];
+  for (const [p, q] of checks) {
+    if (p === 0) {
+      if (q < 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) enter = Math.max(enter, t);
+    else leave = Math.min(leave, t);
+    if (enter > leave) return null;
+  }
+  // 端点未被截时原样返回，便于与相邻线段首尾相接
+  const at = (t) => (t === 0 ? [x0, y0] : t === 1 ? [x1, y1] : [x0 + dx * t, y0 + dy * t]);
+  return [at(enter), at(leave)];
+}
+
+/**
+ * 参数曲线（极坐标曲线先换成参数式）：evaluate(t) 返回 [x, y]，range 为 [t0, t1]。
+ * 无定义处、一步跨过大半个画面处（经过无穷远）断开，超出 xRange × yRange 的部分截掉；返回若干条折线。
+ */
+export function sampleParametricCurve(evaluate, [t0, t1], { xRange, yRange, samples = DEFAULT_SAMPLES * 2 } = {}) {
+  const jump = Math.hypot(xRange[1] - xRange[0], yRange[1] - yRange[0]) / 2;
+  const paths = [];
+  let path = [];
+  const flush = () => {
+    if (path.length > 1) paths.push(path);
+    path = [];
+  };
+  let previous = null;
+  for (let index = 0; index <= samples; index += 1) {
+    const point = evaluate(t0 + ((t1 - t0) * index) / samples);
+    if (!point.every(Number.isFinite)) {
+      flush();
+      previous = null;
+      continue;
+    }
+    const segment = previous && Math.hypot(point[0] - previous[0], point[1] - previous[1]) <= jump
+      ? clipSegment(previous, point, xRange, yRange)
+      : null;
+    if (!segment) {
+      flush();
+    } else {
+      const last = path[path.length - 1];
+      if (!last || last[0] !== segment[0][0] || last[1] !== segment[0][1]) {
+        flush();
+        path.push(segment[0]);
+      }
+      path.push(segment[1]);
+    }
+    previous = point;
+  }
+  flush();
+  return paths;
+}
@@ -0,0 +1,99 @@
+// \ce{...}（mhchem 写法的常用子集）→ 普通 LaTeX：元素后的数字为下标、末尾的 2+ / - 为电荷、
+// ->[条件] <=> 等为带条件的箭头、^ / v 为气体 / 沉淀符号、* 为结晶水的点。
+
+const ARROWS = {
+  "->": "xrightarrow",
+  "<-": "xleftarrow",
+  "<->": "xleftrightarrow",
+  "<=>": "xrightleftharpoons",
+  "<=>>": "xrightleftharpoons",
+  "<<=>": "xrightleftharpoons"
+};
+
+const TOKEN_PATTERN = /(?:<=>>|<<=>|<=>|<->|->|<-)(?:\[[^\]]*\])*|\S+/g;
+const STATE_PATTERN = /^\((?:s|l|g|aq|sln|cr)\)$/;
+
+// 箭头上下的条件同样按化学式解析
+function arrowToLatex(token) {
+  const [, arrow, rest] = /^(<=>>|<<=>|<=>|<->|->|<-)(.*)$/.exec(token);
+  const conditions = [...rest.matchAll(/\[([^\]]*)\]/g)].map((match) => match[1].trim());
+  const above = conditions[0] ? convertChemistry(conditions[0]) : "";
+  const below = conditions[1] ? convertChemistry(conditions[1]) : "";
+  return `\\${ARROWS[arrow]}${below ? `[${below}]` : ""}{${above}}`;
+}
+
+function splitCharge(body) {
+  // Fe^3+、SO4^{2-}
+  const explicit = /\^\{?(\d*[+-])\}?$/.exec(body);
+  if (explicit) return [body.slice(0, explicit.index), explicit[1]];
+  // Ca2+ 这类单原子离子的数字是电荷；NH4+、HCO3- 的数字仍是下标
+  const trailing = /(\d*)([+-])$/.exec(body);
+  if (!trailing || trailing.index === 0) return [body, ""];
+  const formula = body.slice(0, trailing.index);
+  if (trailing[1] && /^[A-Z][a-z]?$/.test(formula)) return [formula, `${trailing[1]}${trailing[2]}`];
+  return [`${formula}${trailing[1]}`, trailing[2]];
+}
+
+function formulaToLatex(formula) {
+  let output = "";
+  let index = 0;
+  while (index < formula.length) {
+    const ch = formula[index];
+    if (/\d/.test(ch) && /[A-Za-z)\]]/.test(formula[index - 1] || "")) {
+      const digits = /^\d+/.exec(formula.slice(index))[0];
+      output += `_{${digits}}`;
+      index += digits.length;
+    } else if (ch === "^") {
+      const match = /^\^(\{[^{}]*\}|[\dIVX+-]+)/.exec(formula.slice(index));
+      if (!match) {
+        index += 1;
+        continue;
+      }
+      output += `^{${match[1].replace(/^\{|\}$/g, "")}}`;
+      index += match[0].length;
+    } else if (ch === "*" || ch === "·" || (ch === "." && index > 0)) {
+      output += "\\cdot ";
+      index += 1;
+    } else if (ch === "-" || ch === "=") {
+      // 结构简式中的单键、双键
+      output += `{${ch === "-" ? "\\text{-}" : "="}}`;
+      index += 1;
+    } else if (ch === "#") {
+      output += "{\\equiv}";
+      index += 1;
+    } else {
+      output += ch;
+      index += 1;
+    }
+  }
+  return output;
+}
+
+function speciesToLatex(token) {
+  if (STATE_PATTERN.test(token)) return `\\text{${token}}`;
+  if (/[^\x20-\x7e]/.test(token) && !/[·]/.test(token)) return `\\text{${token}}`;
+  const coefficient = /^(\d+\/\d+|\d+(?:\.\d+)?)(?=[A-Za-z([])/.exec(token);
+  const rest = coefficient ? token.slice(coefficient[0].length) : token;
+  if (/^\d+(?:\.\d+)?$/.test(rest)) return rest;
+  const state = /\((?:s|l|g|aq|sln|cr)\)$/.exec(rest);
+  const body = state ? rest.slice(0, state.index) : rest;
+  const [formula, charge] = splitCharge(body);
+  return [
+    coefficient ? coefficient[0] : "",
+    `\\mathrm{${formulaToLatex(formula)}${charge ? `^{${charge}}` : ""}}`,
+    state ? `\\text{${state[0]}}` : ""
+  ].join("");
+}
+
+/** 把 \ce{} 的参数转成 LaTeX 数学式 */
+export function convertChemistry(input) {
+  const tokens = String(input || "").match(TOKEN_PATTERN) || [];
+  return tokens.map((token) => {
+    if (/^(?:<=>>|<<=>|<=>|<->|->|<-)/.test(token)) return arrowToLatex(token);
+    if (token === "+") return "+";
+    if (token === "=") return "=";
+    if (token === "^") return "\\uparrow";
+    if (token === "v") return "\\downarrow";
+    return speciesToLatex(token);
+  }).join(" ");
+}
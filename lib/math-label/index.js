@@ -0,0 +1,219 @@
+import { layoutRow } from "./layout.js";
+import { measureTextWidth } from "./metrics.js";
+import { parseLabel } from "./parse.js";
+
+// 题图标注的 LaTeX 排版：解析 → 盒子排版 → SVG。分数、根号、上下标叠放、向量箭头、弧与线段的上划线、
+// \ce{} 化学式都在服务端排好，输出 <text>/<tspan> 加少量路径，与题干中 MathJax 的显示一致。
+// 同时提供纯文本的线性化（H₂O、√2、a/b），供只能放一段文字的地方使用。
+
+export { measureTextWidth } from "./metrics.js";
+export { parseLabel } from "./parse.js";
+
+const SUPERSCRIPTS = {
+  "0": "⁰", "1": "¹", "2": "²", "3": "³", "4": "⁴", "5": "⁵", "6": "⁶", "7": "⁷", "8": "⁸", "9": "⁹",
+  "+": "⁺", "-": "⁻", "−": "⁻", "=": "⁼", "(": "⁽", ")": "⁾", a: "ᵃ", b: "ᵇ", c: "ᶜ", d: "ᵈ", e: "ᵉ",
+  f: "ᶠ", g: "ᵍ", h: "ʰ", i: "ⁱ", j: "ʲ", k: "ᵏ", l: "ˡ", m: "ᵐ", n: "ⁿ", o: "ᵒ", p: "ᵖ", r: "ʳ", s: "ˢ",
+  t: "ᵗ", u: "ᵘ", v: "ᵛ", w: "ʷ", x: "ˣ", y: "ʸ", z: "ᶻ", "′": "′"
+};
+
+const SUBSCRIPTS = {
+  "0": "₀", "1": "₁", "2": "₂", "3": "₃", "4": "₄", "5": "₅", "6": "₆", "7": "₇", "8": "₈", "9": "₉",
+  "+": "₊", "-": "₋", "−": "₋", "=": "₌", "(": "₍", ")": "₎", a: "ₐ", e: "ₑ", h: "ₕ", i: "ᵢ", j: "ⱼ",
+  k: "ₖ", l: "ₗ", m: "ₘ", n: "ₙ", o: "ₒ", p: "ₚ", r: "ᵣ", s: "ₛ", t: "ₜ", u: "ᵤ", v: "ᵥ", x: "ₓ"
+};
+
+// 重音 → 组合字符：[末字符, 其余字符]
+const COMBINING_ACCENTS = {
+  vec: ["⃗", "̅"],
+  larrow: ["̅", "̅"],
+  overline: ["̅", "̅"],
+  underline: ["̲", "̲"],
+  hat: ["̂", ""],
+  widehat: ["̂", ""],
+  tilde: ["̃", ""],
+  dot: ["̇", ""],
+  ddot: ["̈", ""]
+};
+
+const ARROW_TEXT = { right: "→", left: "←", both: "↔", equilibrium: "⇌", equal: "═" };
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function fmt(value) {
+  return Number(value.toFixed(2));
+}
+
+// ---------- 纯文本 ----------
+
+function mapScript(text, table) {
+  return [...text].map((ch) => table[ch] || ch).join("");
+}
+
+function isAtomic(text) {
+  return [...text].length <= 1 || /^\d+(?:\.\d+)?$/.test(text);
+}
+
+function withAccent(text, accent) {
+  const chars = [...text];
+  if (!chars.length) return text;
+  if (accent === "arc") return `⌒${text}`;
+  const [last, rest] = COMBINING_ACCENTS[accent] || ["", ""];
+  if (accent === "larrow") return chars.map((ch, index) => `${ch}${index === 0 ? "⃖" : rest}`).join("");
+  return chars.map((ch, index) => `${ch}${index === chars.length - 1 ? last : rest}`).join("");
+}
+
+function plainNode(node) {
+  switch (node.type) {
+    case "sym":
+      return node.text;
+    case "space":
+      return node.em >= 0.25 ? " " : "";
+    case "group":
+      return plainRow(node.body);
+    case "scripts":
+      return `${node.base ? plainNode(node.base) : ""}${node.sub ? mapScript(plainRow(node.sub), SUBSCRIPTS) : ""}${node.sup ? mapScript(plainRow(node.sup), SUPERSCRIPTS) : ""}`;
+    case "frac": {
+      const num = plainRow(node.num);
+      const den = plainRow(node.den);
+      if (!node.bar) return `${num}, ${den}`;
+      return `${isAtomic(num) ? num : `(${num})`}/${isAtomic(den) ? den : `(${den})`}`;
+    }
+    case "sqrt": {
+      const body = plainRow(node.body);
+      const index = node.index ? mapScript(plainRow(node.index), SUPERSCRIPTS) : "";
+      return `${index}√${isAtomic(body) ? body : `(${body})`}`;
+    }
+    case "accent":
+      return withAccent(plainRow(node.body), node.accent);
+    case "over":
+      return `${plainRow(node.body)}${node.top ? mapScript(plainRow(node.top), SUPERSCRIPTS) : ""}${node.bottom ? mapScript(plainRow(node.bottom), SUBSCRIPTS) : ""}`;
+    case "arrow": {
+      const conditions = [node.top, node.bottom].filter((part) => part?.length).map(plainRow);
+      return `${ARROW_TEXT[node.arrow] || "→"}${conditions.length ? `(${conditions.join("/")})` : ""}`;
+    }
+    case "delim":
+      return `${node.left}${plainRow(node.body)}${node.right}`;
+    default:
+      return "";
+  }
+}
+
+function plainRow(nodes) {
+  return nodes.map((node, index) => {
+    const text = plainNode(node);
+    // sin x：函数名与紧跟的字母之间留空格
+    const next = nodes[index + 1];
+    return node.cls === "fn" && next && /^[\p{L}\d]/u.test(plainNode(next)) ? `${text} ` : text;
+  }).join("");
+}
+
+/** 标注 → 单行纯文本（上下标尽量用 Unicode 上下标字符） */
+export function mathLabelText(raw) {
+  return parseLabel(raw)
+    .map(plainRow)
+    .join(" ")
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+}
+
+/** 比较标注是否相同时使用：去掉上下标、重音与括号等排版差异 */
+export function foldLabelText(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[̀-ͯ⃐-⃿]/g, "")
+    .replace(/[\s(){}√^_$⌒]/g, "")
+    .replace(/−/g, "-");
+}
+
+// ---------- 排版与 SVG ----------
+
+/** 标注 → 行盒子数组（字号 size，像素）；每行 { width, ascent, descent, items } */
+export function layoutMathLabel(raw, size) {
+  const context = { baseSize: size };
+  return parseLabel(raw).map((nodes) => layoutRow(nodes, size, context));
+}
+
+function fontAttributes(font) {
+  return `${font === "it" || font === "bfit" ? ` font-style="italic"` : ""}${font === "bf" || font === "bfit" ? ` font-weight="bold"` : ""}`;
+}
+
+// 同一基线、同字号、同字体且首尾相接的字形合并为一段
+function glyphRuns(items) {
+  const runs = [];
+  items.filter((item) => item.kind === "glyph").forEach((item) => {
+    const width = measureTextWidth(item.text, item.size);
+    const last = runs[runs.length - 1];
+    if (last && last.y === item.y && last.size === item.size && last.font === item.font && Math.abs(last.x + last.width - item.x) < 0.01) {
+      last.text += item.text;
+      last.width += width;
+      return;
+    }
+    runs.push({ ...item, width });
+  });
+  return runs;
+}
+
+// 只含一行正常字号文字时输出普通 <text>，间距用空格表示，交给 text-anchor 对齐
+function isSimpleLine(line, size) {
+  return line.items.every((item) => item.kind === "glyph" && item.y === 0 && item.size === size);
+}
+
+function simpleContent(runs, size) {
+  let cursor = 0;
+  return runs.map((run) => {
+    const gap = run.x - cursor > 0.12 * size ? " " : "";
+    cursor = run.x + run.width;
+    const font = fontAttributes(run.font);
+    return `${gap}${font ? `<tspan${font}>${escapeXml(run.text)}</tspan>` : escapeXml(run.text)}`;
+  }).join("");
+}
+
+function decorationMarkup(item, dx, dy, color) {
+  const points = item.points?.map(([px, py]) => `${fmt(px + dx)},${fmt(py + dy)}`).join(" ");
+  if (item.kind === "stroke") {
+    return `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="${fmt(item.width)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+  }
+  if (item.kind === "fill") return `<polygon points="${points}" fill="${color}"/>`;
+  if (item.kind === "dot") return `<circle cx="${fmt(item.x + dx)}" cy="${fmt(item.y + dy)}" r="${fmt(item.r)}" fill="${color}"/>`;
+  return "";
+}
+
+/**
+ * 一行标注的 SVG。x / y 为对齐点与基线，anchor 为 start / middle / end；
+ * attributes 为附加在最外层元素上的属性串（如 opacity、transform）。
+ */
+export function renderLabelLine(line, { x, y, size, anchor = "middle", color = "#000000", fontFamily, attributes = "" }) {
+  if (!line.items.length) return "";
+  const runs = glyphRuns(line.items);
+  const family = fontFamily ? ` font-family="${fontFamily}"` : "";
+  if (isSimpleLine(line, size)) {
+    return `<text x="${fmt(x)}" y="${fmt(y)}" text-anchor="${anchor}" font-size="${fmt(size)}"${family} fill="${color}"${attributes}>${simpleContent(runs, size)}</text>`;
+  }
+
+  // 每段按估算宽度绝对定位，并用 textLength 把实际字宽对齐到估算值，字形与分数线、根号等路径始终对得上
+  const left = anchor === "middle" ? x - line.width / 2 : anchor === "end" ? x - line.width : x;
+  const spans = runs.map((run) => {
+    const sizeAttribute = run.size === size ? "" : ` font-size="${fmt(run.size)}"`;
+    return `<tspan x="${fmt(left + run.x)}" y="${fmt(y + run.y)}" textLength="${fmt(run.width)}" lengthAdjust="spacingAndGlyphs"${sizeAttribute}${fontAttributes(run.font)}>${escapeXml(run.text)}</tspan>`;
+  }).join("");
+  const text = spans ? `<text font-size="${fmt(size)}"${family} fill="${color}">${spans}</text>` : "";
+  const decorations = line.items.map((item) => decorationMarkup(item, left, y, color)).join("");
+  return `<g class="math-label"${attributes}>${text}${decorations}</g>`;
+}
+
+/**
+ * 标注 → SVG：y 为第一行基线，多行按 1.2 倍字号向下排列。
+ * options：{ x, y, size, anchor, color, fontFamily, attributes }
+ */
+export function renderMathLabel(raw, options) {
+  const lines = layoutMathLabel(raw, options.size);
+  if (lines.length === 1) return renderLabelLine(lines[0], options);
+  const markup = lines.map((line, index) => renderLabelLine(line, { ...options, y: options.y + index * options.size * 1.2, attributes: "" })).join("");
+  return markup ? `<g${options.attributes || ""}>${markup}</g>` : "";
+}
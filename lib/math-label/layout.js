@@ -0,0 +1,397 @@
+import { GLYPH_ASCENT, glyphDescent, glyphWidth } from "./metrics.js";
+
+// 解析树 → 盒子排版（仿 TeX 的简化版）。盒子：{ width, ascent, descent, items }，
+// 坐标以左端基线为原点、y 向下为正（与 SVG 一致），长度单位为像素。items：
+//   { kind: "glyph", x, y, text, size, font }
+//   { kind: "stroke", points, width }   折线（分数线、根号、箭头杆等）
+//   { kind: "fill", points }            实心多边形（箭头）
+//   { kind: "dot", x, y, r }
+
+const SCRIPT_SCALE = 0.7;
+const FRACTION_SCALE = { frac: 0.8, dfrac: 1, tfrac: SCRIPT_SCALE };
+// 上下标、分子分母最小缩到行字号的一半
+const MIN_SCALE = 0.5;
+// 数学轴高度：分数线、箭头、运算符的垂直中心
+const AXIS = 0.25;
+
+function emptyBox() {
+  return { width: 0, ascent: 0, descent: 0, items: [] };
+}
+
+function ruleWidth(size) {
+  return Math.max(0.05 * size, 0.6);
+}
+
+function shifted(items, dx, dy) {
+  return items.map((item) => {
+    if (item.points) return { ...item, points: item.points.map(([x, y]) => [x + dx, y + dy]) };
+    return { ...item, x: item.x + dx, y: item.y + dy };
+  });
+}
+
+function glyphBox(text, size, font, dy = 0) {
+  const chars = [...text];
+  return {
+    width: chars.reduce((sum, ch) => sum + glyphWidth(ch), 0) * size,
+    ascent: GLYPH_ASCENT * size - dy,
+    descent: Math.max(0, ...chars.map(glyphDescent)) * size + dy,
+    items: [{ kind: "glyph", x: 0, y: dy, text, size, font }]
+  };
+}
+
+// 数学模式的原子间距（em）；非二元的 + − 已由 atomClasses 改为 ord
+function spacing(previous, current) {
+  if (!previous || previous === "text" || current === "text") return 0;
+  if (previous === "op") return ["rel", "close", "punct"].includes(current) ? 0 : 0.22;
+  if (current === "op") return 0.22;
+  if (previous === "rel" || current === "rel") {
+    if (previous === "rel" && current === "rel") return 0;
+    if (previous === "open" || current === "close" || current === "punct") return 0;
+    return 0.28;
+  }
+  if (previous === "punct") return 0.17;
+  if (current === "fn" && ["ord", "close", "fn"].includes(previous)) return 0.17;
+  if ((previous === "fn" || previous === "large") && (current === "ord" || current === "fn" || current === "large")) return 0.17;
+  return 0;
+}
+
+function layoutScripts(node, size, context) {
+  const base = node.base ? layoutNode(node.base, size, context) : { box: emptyBox(), cls: "ord" };
+  const box = base.box;
+  const scriptSize = Math.max(size * SCRIPT_SCALE, context.baseSize * MIN_SCALE);
+  const sup = node.sup ? layoutRow(node.sup, scriptSize, context) : null;
+  const sub = node.sub ? layoutRow(node.sub, scriptSize, context) : null;
+
+  let supShift = Math.max(0.42 * size, box.ascent - 0.28 * size);
+  let subShift = Math.max(0.2 * size, box.descent * 0.8);
+  if (sup && sub) {
+    subShift = Math.max(subShift, 0.25 * size);
+    const gap = (supShift - sup.descent) - (sub.ascent - subShift);
+    if (gap < 0.12 * size) subShift += 0.12 * size - gap;
+  }
+
+  const items = [...box.items];
+  let ascent = box.ascent;
+  let descent = box.descent;
+  if (sup) {
+    items.push(...shifted(sup.items, box.width, -supShift));
+    ascent = Math.max(ascent, supShift + sup.ascent);
+    descent = Math.max(descent, sup.descent - supShift);
+  }
+  if (sub) {
+    items.push(...shifted(sub.items, box.width, subShift));
+    ascent = Math.max(ascent, sub.ascent - subShift);
+    descent = Math.max(descent, subShift + sub.descent);
+  }
+  const width = box.width + Math.max(sup?.width || 0, sub?.width || 0);
+  return { box: { width, ascent, descent, items }, cls: base.cls };
+}
+
+function layoutFraction(node, size, context) {
+  const partSize = Math.max(size * (FRACTION_SCALE[node.style] || FRACTION_SCALE.frac), context.baseSize * MIN_SCALE);
+  const num = layoutRow(node.num, partSize, context);
+  const den = layoutRow(node.den, partSize, context);
+  const rule = ruleWidth(size);
+  const gap = (node.bar ? 0.12 : 0.2) * size;
+  const axis = AXIS * size;
+  const width = Math.max(num.width, den.width) + 0.2 * size;
+  const numShift = axis + rule / 2 + gap + num.descent;
+  const denShift = den.ascent + gap + rule / 2 - axis;
+
+  const items = [
+    ...shifted(num.items, (width - num.width) / 2, -numShift),
+    ...shifted(den.items, (width - den.width) / 2, denShift)
+  ];
+  if (node.bar) items.push({ kind: "stroke", points: [[0.06 * size, -axis], [width - 0.06 * size, -axis]], width: rule });
+  return { width, ascent: numShift + num.ascent, descent: denShift + den.descent, items };
+}
+
+function layoutRadical(node, size, context) {
+  const body = layoutRow(node.body, size, context);
+  const rule = ruleWidth(size);
+  const top = body.ascent + 0.1 * size + rule / 2;
+  const signWidth = 0.55 * size;
+  let offset = 0;
+  const items = [];
+
+  if (node.index) {
+    const index = layoutRow(node.index, Math.max(size * 0.55, context.baseSize * MIN_SCALE), context);
+    offset = Math.max(0, index.width - 0.3 * size);
+    items.push(...shifted(index.items, offset + 0.3 * size - index.width, -0.44 * size - index.descent));
+  }
+  items.push({
+    kind: "stroke",
+    points: [
+      [offset + 0.02 * size, -0.28 * size],
+      [offset + 0.13 * size, -0.36 * size],
+      [offset + 0.3 * size, body.descent],
+      [offset + signWidth, -top],
+      [offset + signWidth + body.width + 0.08 * size, -top]
+    ],
+    width: rule
+  });
+  items.push(...shifted(body.items, offset + signWidth + 0.04 * size, 0));
+  return { width: offset + signWidth + body.width + 0.12 * size, ascent: top + rule, descent: body.descent + rule, items };
+}
+
+function arrowHead(x, y, direction, size) {
+  const length = 0.2 * size;
+  const half = 0.08 * size;
+  return { kind: "fill", points: [[x, y], [x - direction * length, y - half], [x - direction * length, y + half]] };
+}
+
+function layoutAccent(node, size, context) {
+  const body = layoutRow(node.body, size, context);
+  const rule = ruleWidth(size);
+  const items = [...body.items];
+  const center = body.width / 2;
+  // 单个字母上的短记号居中，其余铺满整个宽度
+  const narrow = body.width < 0.8 * size;
+  const x0 = narrow ? center - 0.25 * size : 0.02 * size;
+  const x1 = narrow ? center + 0.25 * size : body.width - 0.02 * size;
+  let ascent = body.ascent;
+  let descent = body.descent;
+
+  switch (node.accent) {
+    case "vec":
+    case "larrow": {
+      const y = -(body.ascent + 0.16 * size);
+      const direction = node.accent === "vec" ? 1 : -1;
+      items.push({ kind: "stroke", points: [[x0, y], [x1, y]], width: rule });
+      items.push(arrowHead(direction > 0 ? x1 + 0.04 * size : x0 - 0.04 * size, y, direction, size));
+      ascent += 0.26 * size;
+      break;
+    }
+    case "overline": {
+      const y = -(body.ascent + 0.1 * size);
+      items.push({ kind: "stroke", points: [[0.02 * size, y], [Math.max(body.width - 0.02 * size, 0.3 * size), y]], width: rule });
+      ascent += 0.1 * size + rule;
+      break;
+    }
+    case "underline": {
+      const y = body.descent + 0.1 * size;
+      items.push({ kind: "stroke", points: [[0.02 * size, y], [Math.max(body.width - 0.02 * size, 0.3 * size), y]], width: rule });
+      descent += 0.1 * size + rule;
+      break;
+    }
+    case "hat":
+    case "widehat": {
+      const [left, right] = node.accent === "hat" ? [center - 0.2 * size, center + 0.2 * size] : [x0, x1];
+      const base = -(body.ascent + 0.06 * size);
+      items.push({ kind: "stroke", points: [[left, base], [(left + right) / 2, base - 0.16 * size], [right, base]], width: rule });
+      ascent += 0.24 * size;
+      break;
+    }
+    case "tilde": {
+      const y = -(body.ascent + 0.14 * size);
+      const points = Array.from({ length: 9 }, (_, step) => [x0 + ((x1 - x0) * step) / 8, y - Math.sin((step / 8) * 2 * Math.PI) * 0.05 * size]);
+      items.push({ kind: "stroke", points, width: rule });
+      ascent += 0.22 * size;
+      break;
+    }
+    case "dot":
+    case "ddot": {
+      const y = -(body.ascent + 0.12 * size);
+      const xs = node.accent === "dot" ? [center] : [center - 0.12 * size, center + 0.12 * size];
+      xs.forEach((x) => items.push({ kind: "dot", x, y, r: 0.05 * size }));
+      ascent += 0.18 * size;
+      break;
+    }
+    case "arc": {
+      // 弧 AB 的记号：跨过整个宽度的浅弧
+      const base = -(body.ascent + 0.08 * size);
+      const left = 0.02 * size;
+      const right = Math.max(body.width - 0.02 * size, 0.4 * size);
+      const points = Array.from({ length: 11 }, (_, step) => {
+        const t = step / 10;
+        return [left + (right - left) * t, base - 4 * t * (1 - t) * 0.14 * size];
+      });
+      items.push({ kind: "stroke", points, width: rule });
+      ascent += 0.22 * size + rule;
+      break;
+    }
+    default:
+      break;
+  }
+  return { width: body.width, ascent, descent, items };
+}
+
+function layoutOver(node, size, context) {
+  const body = layoutRow(node.body, size, context);
+  const markSize = Math.max(size * SCRIPT_SCALE, context.baseSize * MIN_SCALE);
+  const top = node.top ? layoutRow(node.top, markSize, context) : null;
+  const bottom = node.bottom ? layoutRow(node.bottom, markSize, context) : null;
+  const width = Math.max(body.width, top?.width || 0, bottom?.width || 0);
+  const items = shifted(body.items, (width - body.width) / 2, 0);
+  let ascent = body.ascent;
+  let descent = body.descent;
+  if (top) {
+    const baseline = -(body.ascent + 0.08 * size + top.descent);
+    items.push(...shifted(top.items, (width - top.width) / 2, baseline));
+    ascent = -baseline + top.ascent;
+  }
+  if (bottom) {
+    const baseline = body.descent + 0.08 * size + bottom.ascent;
+    items.push(...shifted(bottom.items, (width - bottom.width) / 2, baseline));
+    descent = baseline + bottom.descent;
+  }
+  return { width, ascent, descent, items };
+}
+
+// 可伸长箭头：上下可带条件（化学方程式的 ->[点燃]）
+function layoutArrow(node, size, context) {
+  const markSize = Math.max(size * SCRIPT_SCALE, context.baseSize * MIN_SCALE);
+  const top = node.top?.length ? layoutRow(node.top, markSize, context) : null;
+  const bottom = node.bottom?.length ? layoutRow(node.bottom, markSize, context) : null;
+  const width = Math.max(1.1 * size, (top?.width || 0) + 0.5 * size, (bottom?.width || 0) + 0.5 * size);
+  const rule = ruleWidth(size);
+  const axis = -AXIS * size;
+  const x0 = 0.06 * size;
+  const x1 = width - 0.06 * size;
+  const items = [];
+
+  if (node.arrow === "equilibrium") {
+    const upper = axis - 0.09 * size;
+    const lower = axis + 0.09 * size;
+    items.push({ kind: "stroke", points: [[x0, upper], [x1, upper], [x1 - 0.2 * size, upper - 0.12 * size]], width: rule });
+    items.push({ kind: "stroke", points: [[x1, lower], [x0, lower], [x0 + 0.2 * size, lower + 0.12 * size]], width: rule });
+  } else if (node.arrow === "equal") {
+    items.push({ kind: "stroke", points: [[x0, axis - 0.07 * size], [x1, axis - 0.07 * size]], width: rule });
+    items.push({ kind: "stroke", points: [[x0, axis + 0.07 * size], [x1, axis + 0.07 * size]], width: rule });
+  } else {
+    const left = node.arrow === "left" || node.arrow === "both";
+    const right = node.arrow === "right" || node.arrow === "both";
+    items.push({ kind: "stroke", points: [[x0 + (left ? 0.1 * size : 0), axis], [x1 - (right ? 0.1 * size : 0), axis]], width: rule });
+    if (right) items.push(arrowHead(x1, axis, 1, size));
+    if (left) items.push(arrowHead(x0, axis, -1, size));
+  }
+
+  let ascent = -axis + 0.2 * size;
+  let descent = 0;
+  if (top) {
+    const baseline = axis - 0.18 * size - top.descent;
+    items.push(...shifted(top.items, (width - top.width) / 2, baseline));
+    ascent = Math.max(ascent, -baseline + top.ascent);
+  }
+  if (bottom) {
+    const baseline = axis + 0.18 * size + bottom.ascent;
+    items.push(...shifted(bottom.items, (width - bottom.width) / 2, baseline));
+    descent = baseline + bottom.descent;
+  }
+  return { width, ascent, descent, items };
+}
+
+// 圆括号、方括号、竖线按内容高度画成折线，其余定界符放大字号
+function delimiterBox(symbol, body, size) {
+  if (!symbol) return emptyBox();
+  const height = body.ascent + body.descent;
+  if (height <= 1.15 * size) return glyphBox(symbol, size, "rm");
+
+  const y0 = -(body.ascent + 0.04 * size);
+  const y1 = body.descent + 0.04 * size;
+  const width = 0.4 * size;
+  const rule = ruleWidth(size) * 1.2;
+  let strokes = null;
+  if (symbol === "(" || symbol === ")") {
+    const points = Array.from({ length: 13 }, (_, step) => {
+      const t = step / 6 - 1;
+      const bulge = width * (0.22 + 0.56 * t * t);
+      return [symbol === "(" ? bulge : width - bulge, (y0 + y1) / 2 + ((y1 - y0) / 2) * t];
+    });
+    strokes = [points];
+  } else if (symbol === "[" || symbol === "]") {
+    const [outer, inner] = symbol === "[" ? [width * 0.3, width * 0.75] : [width * 0.7, width * 0.25];
+    strokes = [[[inner, y0], [outer, y0], [outer, y1], [inner, y1]]];
+  } else if (symbol === "|") {
+    strokes = [[[width / 2, y0], [width / 2, y1]]];
+  } else if (symbol === "‖") {
+    strokes = [[[width * 0.35, y0], [width * 0.35, y1]], [[width * 0.65, y0], [width * 0.65, y1]]];
+  }
+  if (strokes) {
+    return { width, ascent: -y0, descent: y1, items: strokes.map((points) => ({ kind: "stroke", points, width: rule })) };
+  }
+  const scale = Math.min(height / (0.94 * size), 3);
+  const glyphSize = size * scale;
+  const center = (body.ascent - body.descent) / 2;
+  return glyphBox(symbol, glyphSize, "rm", AXIS * glyphSize - center);
+}
+
+function layoutDelimited(node, size, context) {
+  const body = layoutRow(node.body, size, context);
+  const left = delimiterBox(node.left, body, size);
+  const right = delimiterBox(node.right, body, size);
+  const items = [
+    ...left.items,
+    ...shifted(body.items, left.width, 0),
+    ...shifted(right.items, left.width + body.width, 0)
+  ];
+  return {
+    width: left.width + body.width + right.width,
+    ascent: Math.max(left.ascent, body.ascent, right.ascent),
+    descent: Math.max(left.descent, body.descent, right.descent),
+    items
+  };
+}
+
+function layoutNode(node, size, context) {
+  switch (node.type) {
+    case "sym":
+      if (node.cls === "large") return { box: glyphBox(node.text, size * 1.25, node.font, 0.06 * size), cls: "large" };
+      return { box: glyphBox(node.text, size, node.font), cls: node.cls };
+    case "group":
+      return { box: layoutRow(node.body, size, context), cls: "ord" };
+    case "scripts":
+      return layoutScripts(node, size, context);
+    case "frac":
+      return { box: layoutFraction(node, size, context), cls: "ord" };
+    case "sqrt":
+      return { box: layoutRadical(node, size, context), cls: "ord" };
+    case "accent":
+      return { box: layoutAccent(node, size, context), cls: "ord" };
+    case "over":
+      return { box: layoutOver(node, size, context), cls: node.body.length === 1 && node.body[0].cls === "rel" ? "rel" : "ord" };
+    case "arrow":
+      return { box: layoutArrow(node, size, context), cls: "rel" };
+    case "delim":
+      return { box: layoutDelimited(node, size, context), cls: "ord" };
+    default:
+      return { box: emptyBox(), cls: "ord" };
+  }
+}
+
+// TeX 的规则：行首、紧跟运算符 / 关系符 / 左括号，或位于行尾、右括号与关系符之前的 + − 不是二元运算（正负号、电荷）
+function atomClasses(laid) {
+  const atoms = laid.filter((entry) => entry.box);
+  atoms.forEach((entry, index) => {
+    if (entry.cls !== "op") return;
+    const previous = atoms[index - 1]?.cls;
+    const next = atoms[index + 1]?.cls;
+    if (!previous || ["op", "rel", "open", "punct", "large"].includes(previous) || !next || ["rel", "close", "punct"].includes(next)) {
+      entry.cls = "ord";
+    }
+  });
+  return laid;
+}
+
+/** 一行节点 → 盒子 */
+export function layoutRow(nodes, size, context) {
+  const laid = atomClasses(nodes.map((node) => (node.type === "space" ? { space: node.em } : layoutNode(node, size, context))));
+  const items = [];
+  let x = 0;
+  let ascent = 0;
+  let descent = 0;
+  let previous = null;
+  laid.forEach(({ box, cls, space }) => {
+    if (!box) {
+      x += space * size;
+      return;
+    }
+    x += spacing(previous, cls) * size;
+    items.push(...shifted(box.items, x, 0));
+    x += box.width;
+    ascent = Math.max(ascent, box.ascent);
+    descent = Math.max(descent, box.descent);
+    previous = cls;
+  });
+  return { width: Math.max(x, 0), ascent, descent, items };
+}
@@ -0,0 +1,29 @@
+// 字形尺寸估算（单位：字号 em）。服务端没有字体度量，按字符类别取经验值，TikZ 节点、绘图标注与 svg-lint 共用。
+
+/** 单个字符的宽度（em） */
+export function glyphWidth(ch) {
+  if (/[⺀-鿿豈-﫿＀-￯]/.test(ch)) return 1;
+  if (/[\u0300-\u036f\u20d0-\u20ff]/.test(ch)) return 0;
+  if (/[²³¹⁰-₟ᵃ-ᶿ]/.test(ch)) return 0.35;
+  if (/[∑∏∫∬∮⋃⋂]/.test(ch)) return 0.9;
+  if (/[→←↔⇌⇒⇔⟶]/.test(ch)) return 1;
+  if (/[=+−±×÷<>≤≥≠≈≡∝]/.test(ch)) return 0.58;
+  if (/[mwMW]/.test(ch)) return 0.78;
+  if (/[A-Z]/.test(ch)) return 0.68;
+  if (/[il.,:;'|!′]/.test(ch)) return 0.28;
+  if (ch === " ") return 0.3;
+  return 0.52;
+}
+
+/** 单行文字宽度（像素） */
+export function measureTextWidth(text, fontSize) {
+  return [...String(text)].reduce((sum, ch) => sum + glyphWidth(ch), 0) * fontSize;
+}
+
+// 基线以上的高度（em），各字符统一取大写字母高度
+export const GLYPH_ASCENT = 0.72;
+
+/** 基线以下的深度（em）：带下伸部的字母、括号与汉字向下多占一些 */
+export function glyphDescent(ch) {
+  return /[gjpqy(),;[\]{}|⺀-鿿豈-﫿＀-￯∑∏∫]/.test(ch) ? 0.22 : 0.02;
+}
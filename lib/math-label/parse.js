@@ -0,0 +1,387 @@
+import { convertChemistry } from "./chemistry.js";
+import { BLACKBOARD, FUNCTIONS, GREEK, IGNORED_COMMANDS, SPACES, charClass, lookupSymbol } from "./symbols.js";
+
+// 标注文字的 LaTeX 解析。$...$、\(...\) 内为数学模式，其余为文本模式；文本模式同样接受 ^ _ 与命令，
+// 兼容不带 $ 的标注。结果为行数组（按顶层的 \\ 分行），每行是节点数组：
+//   { type: "sym", text, font, cls }       font：it / rm / bf / bfit；cls 见 symbols.js，文本模式为 text
+//   { type: "space", em }
+//   { type: "group", body }
+//   { type: "scripts", base, sup, sub }     base 为单个节点或 null，sup / sub 为节点数组或 null
+//   { type: "frac", num, den, style, bar }  style：frac / dfrac / tfrac；bar 为 false 时是 \binom
+//   { type: "sqrt", body, index }
+//   { type: "accent", accent, body }        accent：vec / larrow / overline / underline / hat / widehat / tilde / dot / ddot / arc
+//   { type: "over", body, top, bottom }     \overset / \underset / \stackrel
+//   { type: "arrow", arrow, top, bottom }   \xrightarrow 等可伸长箭头，arrow：right / left / both / equilibrium
+//   { type: "delim", left, right, body }    \left ... \right
+
+const MAX_LABEL_LENGTH = 2000;
+const MAX_DEPTH = 24;
+
+const ACCENTS = {
+  vec: "vec", overrightarrow: "vec", overleftarrow: "larrow", overline: "overline", bar: "overline",
+  underline: "underline", hat: "hat", widehat: "widehat", tilde: "tilde", widetilde: "tilde", dot: "dot",
+  ddot: "ddot", overparen: "arc", wideparen: "arc", overarc: "arc", arc: "arc"
+};
+
+const STRETCHY_ARROWS = {
+  xrightarrow: "right", xleftarrow: "left", xleftrightarrow: "both", xrightleftharpoons: "equilibrium",
+  xlongequal: "equal"
+};
+
+const MATH_ONLY_COMMANDS = new Set([
+  "frac", "dfrac", "tfrac", "cfrac", "binom", "dbinom", "tbinom", "sqrt", "overset", "stackrel", "underset", "pmod"
+]);
+
+// 带一个参数、只切换字体的命令：[字体, 参数按文本模式解析, 类别]
+const FONT_COMMANDS = {
+  text: ["rm", true], textrm: ["rm", true], textup: ["rm", true], textnormal: ["rm", true], mbox: ["rm", true],
+  hbox: ["rm", true], textsf: ["rm", true], texttt: ["rm", true], pu: ["rm", true],
+  textbf: ["bf", true], textit: ["it", true], emph: ["it", true],
+  mathrm: ["rm", false], mathsf: ["rm", false], mathtt: ["rm", false], mathcal: ["rm", false],
+  mathscr: ["rm", false], mathbf: ["bf", false], mathit: ["it", false], boldsymbol: ["bfit", false],
+  bm: ["bfit", false], operatorname: ["rm", false, "fn"]
+};
+
+// 纯文本里的箭头写法（沿用原 normalizeScientificLabel 的转换）
+const ASCII_ARROWS = [["<=>", "⇌"], ["<->", "⇌"], ["->", "→"], ["=>", "→"], ["<=", "≤"], [">=", "≥"], ["!=", "≠"], ["⇄", "⇌"]];
+
+function sym(text, font, cls) {
+  return { type: "sym", text, font, cls };
+}
+
+function createState(source) {
+  return { source, index: 0, depth: 0 };
+}
+
+function peek(state, offset = 0) {
+  return state.source[state.index + offset] || "";
+}
+
+function skipSpaces(state) {
+  while (/\s/.test(peek(state))) state.index += 1;
+}
+
+function readCommandName(state) {
+  // 当前位于反斜杠
+  state.index += 1;
+  const match = /^[A-Za-z]+/.exec(state.source.slice(state.index));
+  if (match) {
+    state.index += match[0].length;
+    return match[0];
+  }
+  const ch = peek(state);
+  state.index += ch ? 1 : 0;
+  return ch;
+}
+
+// 读取花括号内的原文（支持嵌套），不在花括号时读取一个字符或命令
+function readRawArgument(state) {
+  skipSpaces(state);
+  if (peek(state) !== "{") {
+    if (peek(state) === "\\") {
+      const start = state.index;
+      readCommandName(state);
+      return state.source.slice(start, state.index);
+    }
+    const ch = peek(state);
+    state.index += ch ? 1 : 0;
+    return ch;
+  }
+  let depth = 0;
+  const start = state.index + 1;
+  for (; state.index < state.source.length; state.index += 1) {
+    const ch = peek(state);
+    if (ch === "\\") {
+      state.index += 1;
+    } else if (ch === "{") {
+      depth += 1;
+    } else if (ch === "}") {
+      depth -= 1;
+      if (depth === 0) break;
+    }
+  }
+  const raw = state.source.slice(start, state.index);
+  state.index += 1;
+  return raw;
+}
+
+// 可选参数 [..]，不存在时返回 null
+function readOptionalRaw(state) {
+  skipSpaces(state);
+  if (peek(state) !== "[") return null;
+  let depth = 0;
+  const start = state.index + 1;
+  for (; state.index < state.source.length; state.index += 1) {
+    const ch = peek(state);
+    if (ch === "{") depth += 1;
+    else if (ch === "}") depth -= 1;
+    else if (ch === "]" && depth === 0) break;
+  }
+  const raw = state.source.slice(start, state.index);
+  state.index += 1;
+  return raw;
+}
+
+function parseNested(raw, context, state) {
+  if (state.depth >= MAX_DEPTH) return [sym(raw.replace(/[\\{}]/g, ""), "rm", "ord")];
+  const nested = createState(raw);
+  nested.depth = state.depth + 1;
+  return parseRow(nested, context, null).body;
+}
+
+function readArgument(state, context) {
+  return parseNested(readRawArgument(state), context, state);
+}
+
+function charNode(ch, context) {
+  if (context.mode === "text") return sym(ch, context.font || "rm", "text");
+  const cls = charClass(ch);
+  if (ch === "-") return sym("−", context.font || "rm", "op");
+  if (ch === "*") return sym("∗", context.font || "rm", "op");
+  if (ch === "'") return sym("′", context.font || "rm", "ord");
+  const italic = /[A-Za-z]/.test(ch) || /[α-ω]/.test(ch);
+  return sym(ch, context.font || (italic ? "it" : "rm"), cls);
+}
+
+// 分数、根号、重音等只在数学模式中有意义，漏写 $ 时参数按数学模式解析
+function mathContext(context) {
+  return context.mode === "math" ? context : { mode: "math", font: context.font };
+}
+
+function commandNode(name, state, context) {
+  if (SPACES[name] !== undefined) return { type: "space", em: SPACES[name] };
+  if (IGNORED_COMMANDS.has(name)) return null;
+  if (/^[{}_%$&#]$/.test(name)) return sym(name, context.font || "rm", context.mode === "text" ? "text" : "ord");
+
+  if (MATH_ONLY_COMMANDS.has(name) || ACCENTS[name] || STRETCHY_ARROWS[name]) context = mathContext(context);
+
+  if (name === "frac" || name === "dfrac" || name === "tfrac" || name === "cfrac") {
+    const num = readArgument(state, context);
+    const den = readArgument(state, context);
+    return { type: "frac", num, den, style: name === "cfrac" ? "dfrac" : name, bar: true };
+  }
+  if (name === "binom" || name === "dbinom" || name === "tbinom") {
+    const num = readArgument(state, context);
+    const den = readArgument(state, context);
+    return { type: "delim", left: "(", right: ")", body: [{ type: "frac", num, den, style: name === "binom" ? "frac" : name.slice(0, 1) + "frac", bar: false }] };
+  }
+  if (name === "sqrt") {
+    const indexRaw = readOptionalRaw(state);
+    const body = readArgument(state, context);
+    return { type: "sqrt", body, index: indexRaw ? parseNested(indexRaw, context, state) : null };
+  }
+  if (ACCENTS[name]) {
+    return { type: "accent", accent: ACCENTS[name], body: readArgument(state, context) };
+  }
+  if (name === "overset" || name === "stackrel" || name === "underset") {
+    const mark = readArgument(state, context);
+    const body = readArgument(state, context);
+    // \overset{\frown}{AB} 是弧的写法
+    if (name !== "underset" && mark.length === 1 && mark[0].text === "⌒") return { type: "accent", accent: "arc", body };
+    return name === "underset" ? { type: "over", body, top: null, bottom: mark } : { type: "over", body, top: mark, bottom: null };
+  }
+  if (STRETCHY_ARROWS[name]) {
+    const bottomRaw = readOptionalRaw(state);
+    const top = readArgument(state, context);
+    return { type: "arrow", arrow: STRETCHY_ARROWS[name], top, bottom: bottomRaw ? parseNested(bottomRaw, context, state) : null };
+  }
+  if (name === "ce") {
+    const raw = readRawArgument(state);
+    return { type: "group", body: parseNested(convertChemistry(raw), { mode: "math", font: "rm" }, state) };
+  }
+  if (name === "mathbb") {
+    const raw = readRawArgument(state);
+    return sym([...raw].map((ch) => BLACKBOARD[ch] || ch).join(""), "rm", "ord");
+  }
+  if (name === "pmod") {
+    const body = readArgument(state, context);
+    return { type: "group", body: [{ type: "space", em: 0.5 }, sym("(mod", "rm", "ord"), { type: "space", em: 0.3 }, ...body, sym(")", "rm", "close")] };
+  }
+  if (FONT_COMMANDS[name]) {
+    const [font, textMode, cls] = FONT_COMMANDS[name];
+    const body = readArgument(state, { mode: textMode ? "text" : context.mode, font });
+    if (cls) return sym(body.map((node) => node.text || "").join(""), "rm", cls);
+    return { type: "group", body };
+  }
+
+  const symbol = lookupSymbol(name);
+  if (symbol) {
+    if (context.mode === "text" && symbol.cls !== "fn") return sym(symbol.text, context.font || "rm", "text");
+    // 小写希腊字母在数学模式下为斜体，大写为正体（与 MathJax 一致）
+    const italic = symbol.greek && GREEK[name] && /[a-z]/.test(name[0]);
+    return sym(symbol.text, context.font || (italic ? "it" : "rm"), symbol.cls);
+  }
+  // 未知命令：去掉反斜杠按正体显示
+  return sym(name, "rm", FUNCTIONS.has(name) ? "fn" : context.mode === "text" ? "text" : "ord");
+}
+
+// \circ 作上标时就是度数符号
+function isDegreeScript(nodes) {
+  return nodes.length === 1 && nodes[0].type === "sym" && (nodes[0].text === "∘" || nodes[0].text === "°");
+}
+
+function attachScript(body, kind, script) {
+  const last = body[body.length - 1];
+  if (kind === "sup" && isDegreeScript(script)) {
+    body.push(sym("°", "rm", "ord"));
+    return;
+  }
+  if (last && last.type === "scripts" && !last[kind]) {
+    last[kind] = script;
+    return;
+  }
+  const base = last && last.type !== "space" ? body.pop() : null;
+  body.push({ type: "scripts", base, sup: kind === "sup" ? script : null, sub: kind === "sub" ? script : null });
+}
+
+/**
+ * 解析到 stop（"}"、"]"、"$"、"\\)"、"\\]"、"\\right"）或结尾。
+ * 返回 { body, lines }：lines 只在顶层收集 \\ 分出的行。
+ */
+function parseRow(state, context, stop, lines = null) {
+  let body = [];
+  let textBuffer = "";
+  const flush = () => {
+    if (!textBuffer) return;
+    // 文本模式的连续空白合成一个
+    const text = context.mode === "text" ? textBuffer.replace(/\s+/g, " ") : textBuffer;
+    [...text].forEach((ch) => body.push(charNode(ch, context)));
+    textBuffer = "";
+  };
+
+  while (state.index < state.source.length) {
+    const ch = peek(state);
+    if (stop === "}" && ch === "}") {
+      state.index += 1;
+      break;
+    }
+    if (stop === "]" && ch === "]") {
+      state.index += 1;
+      break;
+    }
+    if (stop === "$" && ch === "$") {
+      state.index += peek(state, 1) === "$" ? 2 : 1;
+      break;
+    }
+    if ((stop === "\\)" || stop === "\\]") && ch === "\\" && peek(state, 1) === stop[1]) {
+      state.index += 2;
+      break;
+    }
+    if (stop === "\\right" && state.source.startsWith("\\right", state.index) && !/[A-Za-z]/.test(peek(state, 6))) break;
+
+    if (ch === "$" || (ch === "\\" && (peek(state, 1) === "(" || peek(state, 1) === "["))) {
+      flush();
+      const closing = ch === "$" ? "$" : peek(state, 1) === "(" ? "\\)" : "\\]";
+      state.index += ch === "$" && peek(state, 1) !== "$" ? 1 : 2;
+      // 数学模式里多余的 $ 直接忽略
+      if (context.mode === "math") continue;
+      body.push(...parseRow(state, { mode: "math", font: null }, closing).body);
+      continue;
+    }
+    if (ch === "\\" && peek(state, 1) === "\\") {
+      flush();
+      state.index += 2;
+      // 跳过 \\[2pt] 这类行距参数
+      if (peek(state) === "[") readOptionalRaw(state);
+      if (lines) {
+        lines.push(body);
+        body = [];
+      } else {
+        body.push({ type: "space", em: 0.3 });
+      }
+      continue;
+    }
+    if (ch === "\\") {
+      flush();
+      if (state.source.startsWith("\\left", state.index) && !/[A-Za-z]/.test(peek(state, 5))) {
+        state.index += 5;
+        const left = readDelimiter(state);
+        const inner = parseRow(state, context, "\\right");
+        let right = "";
+        if (state.source.startsWith("\\right", state.index)) {
+          state.index += 6;
+          right = readDelimiter(state);
+        }
+        body.push({ type: "delim", left, right, body: inner.body });
+        continue;
+      }
+      const name = readCommandName(state);
+      const node = commandNode(name, state, context);
+      if (node) body.push(node);
+      continue;
+    }
+    if (ch === "{") {
+      flush();
+      if (state.depth >= MAX_DEPTH) {
+        body.push(sym(readRawArgument(state).replace(/[\\{}]/g, ""), "rm", "ord"));
+        continue;
+      }
+      state.index += 1;
+      state.depth += 1;
+      body.push({ type: "group", body: parseRow(state, context, "}").body });
+      state.depth -= 1;
+      continue;
+    }
+    if (ch === "^" || ch === "_") {
+      flush();
+      state.index += 1;
+      attachScript(body, ch === "^" ? "sup" : "sub", readArgument(state, context));
+      continue;
+    }
+    if (ch === "~") {
+      flush();
+      state.index += 1;
+      body.push({ type: "space", em: 0.33 });
+      continue;
+    }
+    if (context.mode === "math" && /\s/.test(ch)) {
+      flush();
+      state.index += 1;
+      continue;
+    }
+    const arrow = ASCII_ARROWS.find(([pattern]) => state.source.startsWith(pattern, state.index));
+    if (arrow) {
+      flush();
+      state.index += arrow[0].length;
+      body.push(sym(arrow[1], context.font || "rm", context.mode === "text" ? "text" : "rel"));
+      continue;
+    }
+    textBuffer += ch;
+    state.index += 1;
+  }
+  flush();
+  return { body, lines };
+}
+
+function readDelimiter(state) {
+  skipSpaces(state);
+  const ch = peek(state);
+  if (ch === "\\") {
+    const name = readCommandName(state);
+    if (name === "{" || name === "}") return name;
+    return lookupSymbol(name)?.text || (name === "|" ? "‖" : "");
+  }
+  state.index += ch ? 1 : 0;
+  return ch === "." ? "" : ch;
+}
+
+/** 解析标注文字，返回行数组 */
+export function parseLabel(input) {
+  const source = String(input ?? "").slice(0, MAX_LABEL_LENGTH);
+  const state = createState(source);
+  const lines = [];
+  const last = parseRow(state, { mode: "text", font: null }, null, lines);
+  lines.push(last.body);
+  // 丢掉空行（如结尾多写的 \\）
+  return lines.map(trimLine).filter((nodes, index, all) => nodes.length > 0 || all.length === 1);
+}
+
+// 去掉行首行尾的文本空格
+function trimLine(nodes) {
+  let start = 0;
+  let end = nodes.length;
+  const isBlank = (node) => node.type === "sym" && node.cls === "text" && node.text === " ";
+  while (start < end && isBlank(nodes[start])) start += 1;
+  while (end > start && isBlank(nodes[end - 1])) end -= 1;
+  return nodes.slice(start, end);
+}
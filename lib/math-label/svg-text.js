@@ -0,0 +1,62 @@
+import { layoutMathLabel, renderLabelLine } from "./index.js";
+
+// AI 生成的 SVG 里直接写 LaTeX 的 <text>（如 $\frac{1}{2}mv^2$、\vec{F}）：按 math-label 重新排版。
+// 输入须是 sanitizeSvgDocument 的输出（属性一律双引号、文字已转义），只处理不含子元素、
+// 用单个 x / y 定位的 <text>；其余情况交给 normalizeScientificLabel 的纯文本转换。
+
+const TEXT_PATTERN = /<text\b([^>]*)>([^<]*)<\/text>/g;
+const ATTRIBUTE_PATTERN = /([\w:-]+)="([^"]*)"/g;
+const LATEX_HINT = /[$\\^_]/;
+// 这些属性会改变基线或逐字位置，排版结果无法对齐，保持原样
+const UNSUPPORTED_ATTRIBUTES = new Set(["dx", "dy", "rotate", "textLength", "alignment-baseline", "baseline-shift", "writing-mode", "style"]);
+const CONSUMED_ATTRIBUTES = new Set(["x", "y", "font-size", "text-anchor", "fill", "font-family", "class", "dominant-baseline"]);
+// dominant-baseline 换算成相对字母基线的下移量（em）
+const BASELINE_OFFSETS = { auto: 0, alphabetic: 0, middle: 0.35, central: 0.35, hanging: 0.72, "text-before-edge": 0.72, "text-after-edge": -0.22 };
+const DEFAULT_FONT_SIZE = 16;
+
+function decodeText(value) {
+  return value.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&amp;/g, "&");
+}
+
+function singleNumber(value) {
+  return value !== undefined && /^\s*-?[\d.]+(?:e-?\d+)?\s*$/i.test(value) ? Number(value) : null;
+}
+
+/** 把含 LaTeX 的 <text> 换成排好的标注；返回 { svg, count } */
+export function layoutSvgMathText(svg) {
+  let count = 0;
+  const output = String(svg || "").replace(TEXT_PATTERN, (match, rawAttributes, rawText) => {
+    const text = decodeText(rawText);
+    if (!LATEX_HINT.test(text)) return match;
+    const attributes = Object.fromEntries([...rawAttributes.matchAll(ATTRIBUTE_PATTERN)].map(([, name, value]) => [name, value]));
+    if (Object.keys(attributes).some((name) => UNSUPPORTED_ATTRIBUTES.has(name))) return match;
+    const x = singleNumber(attributes.x ?? "0");
+    const y = singleNumber(attributes.y ?? "0");
+    const size = attributes["font-size"] === undefined ? DEFAULT_FONT_SIZE : singleNumber(attributes["font-size"].replace(/px$/, ""));
+    const offset = BASELINE_OFFSETS[attributes["dominant-baseline"] ?? "auto"];
+    if (x === null || y === null || !size || offset === undefined) return match;
+
+    const lines = layoutMathLabel(text, size);
+    if (!lines.length) return match;
+    const anchor = ["start", "middle", "end"].includes(attributes["text-anchor"]) ? attributes["text-anchor"] : "start";
+    const extra = Object.entries(attributes)
+      .filter(([name]) => !CONSUMED_ATTRIBUTES.has(name))
+      .map(([name, value]) => ` ${name}="${value}"`)
+      .join("");
+    const markup = lines.map((line, index) => renderLabelLine(line, {
+      x,
+      y: y + offset * size + index * size * 1.2,
+      size,
+      anchor,
+      color: attributes.fill || "currentColor",
+      fontFamily: attributes["font-family"],
+      attributes: lines.length === 1 ? extra : ""
+    })).join("");
+    if (!markup) return match;
+    count += 1;
+    // 原有的 class 放在外层，避免与 math-label 的 class 冲突
+    const classAttribute = attributes.class ? ` class="${attributes.class}"` : "";
+    return lines.length === 1 && !classAttribute ? markup : `<g${classAttribute}${lines.length === 1 ? "" : extra}>${markup}</g>`;
+  });
+  return { svg: output, count };
+}
@@ -0,0 +1,92 @@
+// LaTeX 命令 → 字符与类别。类别决定数学模式下的间距：
+// op 二元运算、rel 关系、punct 标点、open / close 括号、large 大型运算符、fn 函数名，其余为 ord。
+
+export const GREEK = {
+  alpha: "α", beta: "β", gamma: "γ", delta: "δ", epsilon: "ϵ", varepsilon: "ε", zeta: "ζ", eta: "η",
+  theta: "θ", vartheta: "ϑ", iota: "ι", kappa: "κ", lambda: "λ", mu: "μ", nu: "ν", xi: "ξ", pi: "π",
+  varpi: "ϖ", rho: "ρ", varrho: "ϱ", sigma: "σ", varsigma: "ς", tau: "τ", upsilon: "υ", phi: "ϕ",
+  varphi: "φ", chi: "χ", psi: "ψ", omega: "ω",
+  Gamma: "Γ", Delta: "Δ", Theta: "Θ", Lambda: "Λ", Xi: "Ξ", Pi: "Π", Sigma: "Σ", Upsilon: "Υ",
+  Phi: "Φ", Psi: "Ψ", Omega: "Ω"
+};
+
+const OPS = {
+  times: "×", div: "÷", pm: "±", mp: "∓", cdot: "·", ast: "∗", star: "⋆", circ: "∘", bullet: "•",
+  oplus: "⊕", otimes: "⊗", odot: "⊙", cup: "∪", cap: "∩", setminus: "∖", wedge: "∧", vee: "∨", bmod: "mod"
+};
+
+const RELATIONS = {
+  leq: "≤", le: "≤", leqslant: "⩽", geq: "≥", ge: "≥", geqslant: "⩾", neq: "≠", ne: "≠", approx: "≈",
+  equiv: "≡", sim: "∼", simeq: "≃", cong: "≅", propto: "∝", parallel: "∥", nparallel: "∦", perp: "⊥",
+  in: "∈", notin: "∉", ni: "∋", subset: "⊂", subseteq: "⊆", subsetneq: "⊊", supset: "⊃", supseteq: "⊇",
+  to: "→", rightarrow: "→", longrightarrow: "⟶", leftarrow: "←", longleftarrow: "⟵", gets: "←",
+  leftrightarrow: "↔", Rightarrow: "⇒", Longrightarrow: "⟹", implies: "⟹", Leftarrow: "⇐",
+  Leftrightarrow: "⇔", iff: "⟺", rightleftharpoons: "⇌", uparrow: "↑", downarrow: "↓", mapsto: "↦",
+  ll: "≪", gg: "≫", mid: "∣", asymp: "≍", doteq: "≐"
+};
+
+const ORDINARY = {
+  infty: "∞", partial: "∂", nabla: "∇", angle: "∠", measuredangle: "∡", triangle: "△", square: "□",
+  Box: "□", therefore: "∴", because: "∵", forall: "∀", exists: "∃", emptyset: "∅", varnothing: "∅",
+  prime: "′", ldots: "…", cdots: "⋯", dots: "…", vdots: "⋮", ddots: "⋱", hbar: "ℏ", ell: "ℓ",
+  degree: "°", frown: "⌒", neg: "¬", lnot: "¬", Re: "ℜ", Im: "ℑ", aleph: "ℵ", backslash: "\\",
+  checkmark: "✓", celsius: "℃", ohm: "Ω", perthousand: "‰", S: "§", vert: "|", Vert: "‖", "|": "‖"
+};
+
+const DELIMITERS = {
+  langle: ["⟨", "open"], rangle: ["⟩", "close"], lbrace: ["{", "open"], rbrace: ["}", "close"],
+  lfloor: ["⌊", "open"], rfloor: ["⌋", "close"], lceil: ["⌈", "open"], rceil: ["⌉", "close"],
+  lvert: ["|", "open"], rvert: ["|", "close"], lVert: ["‖", "open"], rVert: ["‖", "close"]
+};
+
+const LARGE_OPERATORS = {
+  sum: "∑", prod: "∏", coprod: "∐", int: "∫", iint: "∬", iiint: "∭", oint: "∮", bigcup: "⋃", bigcap: "⋂"
+};
+
+export const FUNCTIONS = new Set([
+  "sin", "cos", "tan", "cot", "sec", "csc", "arcsin", "arccos", "arctan", "sinh", "cosh", "tanh", "coth",
+  "log", "ln", "lg", "exp", "lim", "limsup", "liminf", "max", "min", "sup", "inf", "det", "gcd", "deg",
+  "dim", "ker", "arg", "Pr"
+]);
+
+/** 命令名 → { text, cls }，未知命令返回 null */
+export function lookupSymbol(name) {
+  if (GREEK[name]) return { text: GREEK[name], cls: "ord", greek: true };
+  if (OPS[name]) return { text: OPS[name], cls: "op" };
+  if (RELATIONS[name]) return { text: RELATIONS[name], cls: "rel" };
+  if (ORDINARY[name]) return { text: ORDINARY[name], cls: "ord" };
+  if (DELIMITERS[name]) return { text: DELIMITERS[name][0], cls: DELIMITERS[name][1] };
+  if (LARGE_OPERATORS[name]) return { text: LARGE_OPERATORS[name], cls: "large" };
+  if (FUNCTIONS.has(name)) return { text: name, cls: "fn" };
+  return null;
+}
+
+// 直接输入的 Unicode 字符在数学模式下的类别
+const OP_CHARS = "+−×÷±∓·∗∘•⊕⊗⊙∪∩";
+const REL_CHARS = "=<>≤≥≠≈≡∼≃≅∝∥⊥∈∉⊂⊆⊃⊇→←↔⇒⇐⇔⇌↑↓⟶⟵:";
+const PUNCT_CHARS = ",;，；、";
+const OPEN_CHARS = "([⟨⌊⌈";
+const CLOSE_CHARS = ")]⟩⌋⌉!";
+
+export function charClass(ch) {
+  if (OP_CHARS.includes(ch)) return "op";
+  if (REL_CHARS.includes(ch)) return "rel";
+  if (PUNCT_CHARS.includes(ch)) return "punct";
+  if (OPEN_CHARS.includes(ch)) return "open";
+  if (CLOSE_CHARS.includes(ch)) return "close";
+  return "ord";
+}
+
+// \mathbb 常用字母
+export const BLACKBOARD = { R: "ℝ", N: "ℕ", Z: "ℤ", Q: "ℚ", C: "ℂ", P: "ℙ" };
+
+// 忽略的排版命令（字号、样式切换、定界符尺寸等）
+export const IGNORED_COMMANDS = new Set([
+  "displaystyle", "textstyle", "scriptstyle", "scriptscriptstyle", "big", "Big", "bigg", "Bigg", "bigl",
+  "bigr", "Bigl", "Bigr", "biggl", "biggr", "Biggl", "Biggr", "limits", "nolimits", "tiny", "scriptsize",
+  "footnotesize", "small", "normalsize", "large", "Large", "LARGE", "huge", "Huge", "bfseries", "itshape",
+  "rmfamily", "mdseries", "upshape", "normalfont", "centering", "noindent", "nonumber", "notag", "middle"
+]);
+
+// 空白命令 → 宽度（em）
+export const SPACES = { ",": 0.17, thinspace: 0.17, ":": 0.22, medspace: 0.22, ";": 0.28, thickspace: 0.28, " ": 0.28, enspace: 0.5, quad: 1, qquad: 2, "!": -0.17, negthinspace: -0.17 };
@@ -0,0 +1,211 @@
+import fs from "fs/promises";
+import path from "path";
+import { normalizeAnalysis, normalizeVariationItems, sanitizeReadableText } from "./analysis-pipeline.js";
+
+// 错题本存储（server.js 使用）：条目写入 mistakes.json，原图单独存放在 images/ 下，
+// 所有写操作串行执行，并通过“写临时文件再 rename”保证文件完整。
+
+const IMAGE_MIME_EXT = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif"
+};
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseImageDataUrl(dataUrl) {
+  const match = /^data:(image\/[a-z+.-]+);base64,([\s\S]+)$/i.exec(String(dataUrl || "").trim());
+  if (!match) return null;
+  const mime = match[1].toLowerCase();
+  const ext = IMAGE_MIME_EXT[mime];
+  if (!ext) throw httpError(400, "仅支持 JPG/PNG/WEBP/GIF 图片");
+  const buffer = Buffer.from(match[2], "base64");
+  if (buffer.length > MAX_IMAGE_BYTES) throw httpError(400, "图片过大，请压缩后重试");
+  return { mime, ext, buffer };
+}
+
+function parseAnalysis(rawAnalysis) {
+  try {
+    return normalizeAnalysis(rawAnalysis);
+  } catch (error) {
+    throw httpError(400, `分析结果不完整：${error.message}`);
+  }
+}
+
+function normalizeVariations(rawVariations, hasGraphics) {
+  if (!Array.isArray(rawVariations)) return [];
+  return rawVariations
+    .map((group) => ({
+      type: sanitizeReadableText(group?.type || ""),
+      items: normalizeVariationItems(group?.items, hasGraphics)
+    }))
+    .filter((group) => group.type);
+}
+
+function toSummary(entry) {
+  return {
+    id: entry.id,
+    created_at: entry.created_at,
+    updated_at: entry.updated_at,
+    subject: entry.analysis.subject,
+    knowledge_point: entry.analysis.knowledge_point,
+    problem_summary: entry.analysis.problem_summary,
+    note: entry.note,
+    has_image: Boolean(entry.image),
+    variation_count: entry.variations.reduce((sum, group) => sum + group.items.length, 0)
+  };
+}
+
+function buildFacets(entries) {
+  const subjects = new Map();
+  entries.forEach((entry) => {
+    const { subject, knowledge_point: knowledgePoint } = entry.analysis;
+    if (!subjects.has(subject)) subjects.set(subject, { subject, count: 0, knowledge_points: new Map() });
+    const bucket = subjects.get(subject);
+    bucket.count++;
+    bucket.knowledge_points.set(knowledgePoint, (bucket.knowledge_points.get(knowledgePoint) || 0) + 1);
+  });
+  return [...subjects.values()].map((bucket) => ({
+    subject: bucket.subject,
+    count: bucket.count,
+    knowledge_points: [...bucket.knowledge_points.entries()].map(([name, count]) => ({ name, count }))
+  }));
+}
+
+export function toPublicMistake(entry) {
+  const { image, ...rest } = entry;
+  return {
+    ...rest,
+    image_url: image ? `/api/mistakes/${entry.id}/image` : null
+  };
+}
+
+export function createMistakeStore({ dataDir }) {
+  const indexFile = path.join(dataDir, "mistakes.json");
+  const imageDir = path.join(dataDir, "images");
+  let entries = null;
+  let writeChain = Promise.resolve();
+
+  async function load() {
+    if (entries) return entries;
+    try {
+      const parsed = JSON.parse(await fs.readFile(indexFile, "utf8"));
+      entries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+    } catch (error) {
+      if (error?.code !== "ENOENT") throw error;
+      entries = [];
+    }
+    return entries;
+  }
+
+  async function persist() {
+    await fs.mkdir(dataDir, { recursive: true });
+    const tmpFile = `${indexFile}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ entries }, null, 2), "utf8");
+    await fs.rename(tmpFile, indexFile);
+  }
+
+  // 串行化写操作，避免并发请求交错读写同一个文件
+  function mutate(task) {
+    const run = writeChain.then(async () => {
+      await load();
+      return task();
+    });
+    writeChain = run.catch(() => {});
+    return run;
+  }
+
+  async function saveImage(id, dataUrl) {
+    const image = parseImageDataUrl(dataUrl);
+    if (!image) return null;
+    await fs.mkdir(imageDir, { recursive: true });
+    const file = `${id}.${image.ext}`;
+    await fs.writeFile(path.join(imageDir, file), image.buffer);
+    return { file, mime: image.mime };
+  }
+
+  function findEntry(id) {
+    const entry = entries.find((item) => item.id === id);
+    if (!entry) throw httpError(404, "错题不存在");
+    return entry;
+  }
+
+  return {
+    async list({ subject, knowledgePoint } = {}) {
+      const all = await load();
+      const safeSubject = sanitizeReadableText(subject || "");
+      const safeKnowledge = sanitizeReadableText(knowledgePoint || "");
+      const matched = all
+        .filter((entry) => !safeSubject || entry.analysis.subject === safeSubject)
+        .filter((entry) => !safeKnowledge || entry.analysis.knowledge_point === safeKnowledge)
+        .sort((a, b) => Date.parse(b.updated_at) - Date.parse(a.updated_at));
+      return { items: matched.map(toSummary), facets: buildFacets(all) };
+    },
+
+    async get(id) {
+      await load();
+      return findEntry(id);
+    },
+
+    create(input) {
+      return mutate(async () => {
+        const analysis = parseAnalysis(input?.analysis);
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+        const entry = {
+          id,
+          created_at: now,
+          updated_at: now,
+          analysis,
+          variations: normalizeVariations(input?.variations, analysis.has_graphics),
+          note: sanitizeReadableText(input?.note || ""),
+          image: await saveImage(id, input?.image)
+        };
+        entries.push(entry);
+        await persist();
+        return entry;
+      });
+    },
+
+    update(id, patch) {
+      return mutate(async () => {
+        const entry = findEntry(id);
+        if (patch?.analysis) entry.analysis = parseAnalysis(patch.analysis);
+        if (Array.isArray(patch?.variations)) {
+          entry.variations = normalizeVariations(patch.variations, entry.analysis.has_graphics);
+        }
+        if (typeof patch?.note === "string") entry.note = sanitizeReadableText(patch.note);
+        entry.updated_at = new Date().toISOString();
+        await persist();
+        return entry;
+      });
+    },
+
+    remove(id) {
+      return mutate(async () => {
+        const entry = findEntry(id);
+        entries = entries.filter((item) => item.id !== id);
+        await persist();
+        if (entry.image) {
+          await fs.rm(path.join(imageDir, entry.image.file), { force: true });
+        }
+      });
+    },
+
+    async readImage(id) {
+      await load();
+      const entry = findEntry(id);
+      if (!entry.image) throw httpError(404, "该错题没有保存原图");
+      return {
+        mime: entry.image.mime,
+        buffer: await fs.readFile(path.join(imageDir, entry.image.file))
+      };
+    }
+  };
+}
@@ -0,0 +1,7 @@
+// 声明式绘图：JSON 描述（函数曲线、数据序列、散点、柱状、阴影区域、渐近线、标注）在本地渲染为 SVG，
+// 另可把常见的 matplotlib 脚本转换为同样的描述。
+
+export { compileExpression } from "../math-expression/index.js";
+export { translateMatplotlib } from "./matplotlib.js";
+export { renderPlotSvg } from "./render.js";
+export { PLOT_LIMITS, normalizePlotSpec } from "./spec.js";
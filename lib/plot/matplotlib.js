@@ -0,0 +1,781 @@
+import { normalizePlotSpec } from "./spec.js";
+
+// matplotlib 脚本 → 声明式绘图描述。只识别常见写法（linspace / arange、numpy 函数、plot / scatter / bar /
+// axhline / axvline / fill_between / annotate / text 与坐标轴设置），不执行任何代码；
+// 遇到循环、自定义函数等无法静态转换的语句时抛出 status=400 的错误，由调用方改走其他渲染路径。
+
+const MAX_SCRIPT_LENGTH = 20000;
+const MAX_STATEMENTS = 300;
+const MAX_ARRAY_LENGTH = 5000;
+const INCH_PX = 80;
+
+// numpy / math 函数 → 表达式函数名与数值实现
+const NUMPY_FUNCTIONS = {
+  sin: ["sin", Math.sin],
+  cos: ["cos", Math.cos],
+  tan: ["tan", Math.tan],
+  arcsin: ["asin", Math.asin],
+  arccos: ["acos", Math.acos],
+  arctan: ["atan", Math.atan],
+  asin: ["asin", Math.asin],
+  acos: ["acos", Math.acos],
+  atan: ["atan", Math.atan],
+  sinh: ["sinh", Math.sinh],
+  cosh: ["cosh", Math.cosh],
+  tanh: ["tanh", Math.tanh],
+  sqrt: ["sqrt", Math.sqrt],
+  cbrt: ["cbrt", Math.cbrt],
+  abs: ["abs", Math.abs],
+  fabs: ["abs", Math.abs],
+  absolute: ["abs", Math.abs],
+  exp: ["exp", Math.exp],
+  log: ["ln", Math.log],
+  log10: ["log10", Math.log10],
+  log2: ["log2", Math.log2],
+  floor: ["floor", Math.floor],
+  ceil: ["ceil", Math.ceil],
+  sign: ["sign", Math.sign]
+};
+
+const COLOR_LETTERS = "bgrcmykw";
+const MARKER_CHARS = "os^vxd*+.";
+
+function matplotlibError(message) {
+  const error = new Error(`matplotlib 脚本无法转换：${message}`);
+  error.status = 400;
+  return error;
+}
+
+// ---------- 词法与语句切分 ----------
+
+function tokenize(line) {
+  const tokens = [];
+  let index = 0;
+  while (index < line.length) {
+    const ch = line[index];
+    if (ch === " " || ch === "\t" || ch === "\n") {
+      index += 1;
+      continue;
+    }
+    const string = /^[rRfFbBuU]{0,2}("""|'''|"|')/.exec(line.slice(index));
+    if (string) {
+      const quote = string[1];
+      let cursor = index + string[0].length;
+      let value = "";
+      while (cursor < line.length && !line.startsWith(quote, cursor)) {
+        if (line[cursor] === "\\" && !/[rR]/.test(string[0][0]) && cursor + 1 < line.length) {
+          const next = line[cursor + 1];
+          value += next === "n" ? "\n" : next;
+          cursor += 2;
+          continue;
+        }
+        value += line[cursor];
+        cursor += 1;
+      }
+      if (cursor >= line.length) throw matplotlibError("字符串未闭合");
+      tokens.push({ type: "string", value });
+      index = cursor + quote.length;
+      continue;
+    }
+    const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(line.slice(index));
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]) });
+      index += number[0].length;
+      continue;
+    }
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(line.slice(index));
+    if (name) {
+      tokens.push({ type: "name", value: name[0] });
+      index += name[0].length;
+      continue;
+    }
+    const op = ["**", "==", "!=", "<=", ">="].find((candidate) => line.startsWith(candidate, index)) || ch;
+    if (!"()[]{},.=+-*/%:<>".includes(op[0])) throw matplotlibError(`无法识别的字符“${ch}”`);
+    tokens.push({ type: "op", value: op });
+    index += op.length;
+  }
+  return tokens;
+}
+
+// 去掉注释，按括号深度与续行符把多行调用合并成一条语句
+function splitStatements(script) {
+  const statements = [];
+  let current = "";
+  let depth = 0;
+  let quote = null;
+  for (let index = 0; index < script.length; index += 1) {
+    const ch = script[index];
+    if (quote) {
+      current += ch;
+      if (ch === "\\") {
+        current += script[index + 1] || "";
+        index += 1;
+      } else if (script.startsWith(quote, index)) {
+        current += quote.slice(1);
+        index += quote.length - 1;
+        quote = null;
+      }
+      continue;
+    }
+    if (ch === "#") {
+      while (index < script.length && script[index] !== "\n") index += 1;
+      index -= 1;
+      continue;
+    }
+    if (ch === "\"" || ch === "'") {
+      quote = script.startsWith(ch.repeat(3), index) ? ch.repeat(3) : ch;
+      current += quote;
+      index += quote.length - 1;
+      continue;
+    }
+    if ("([{".includes(ch)) depth += 1;
+    if (")]}".includes(ch)) depth = Math.max(0, depth - 1);
+    if (ch === "\\" && script[index + 1] === "\n") {
+      index += 1;
+      continue;
+    }
+    if ((ch === "\n" || ch === ";") && depth === 0) {
+      if (current.trim()) statements.push(current);
+      current = "";
+      continue;
+    }
+    current += ch === "\n" ? " " : ch;
+  }
+  if (current.trim()) statements.push(current);
+  return statements;
+}
+
+// ---------- 语法分析：赋值与表达式 ----------
+
+function parseStatement(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw matplotlibError(`语句“${text.trim()}”缺少“${value}”`);
+    position += 1;
+  };
+
+  const parseCallArguments = () => {
+    const args = [];
+    const kwargs = {};
+    while (!isOp(")")) {
+      if (peek()?.type === "name" && tokens[position + 1]?.type === "op" && tokens[position + 1].value === "=") {
+        const key = peek().value;
+        position += 2;
+        kwargs[key] = parseExpression();
+      } else {
+        if (isOp("*")) throw matplotlibError("不支持 *args 展开");
+        args.push(parseExpression());
+      }
+      if (!isOp(",")) break;
+      position += 1;
+    }
+    expect(")");
+    return { args, kwargs };
+  };
+
+  const parseSequence = (close) => {
+    const items = [];
+    let trailingComma = false;
+    while (!isOp(close)) {
+      items.push(parseExpression());
+      trailingComma = false;
+      if (!isOp(",")) break;
+      position += 1;
+      trailingComma = true;
+    }
+    expect(close);
+    return { items, trailingComma };
+  };
+
+  const parseAtom = () => {
+    const token = peek();
+    if (!token) throw matplotlibError(`语句“${text.trim()}”不完整`);
+    position += 1;
+    if (token.type === "number") return { type: "number", value: token.value };
+    if (token.type === "string") {
+      let value = token.value;
+      // 相邻字符串字面量自动拼接
+      while (peek()?.type === "string") {
+        value += peek().value;
+        position += 1;
+      }
+      return { type: "string", value };
+    }
+    if (token.type === "name") return { type: "name", name: token.value };
+    if (token.value === "(") {
+      const { items, trailingComma } = parseSequence(")");
+      return items.length === 1 && !trailingComma ? items[0] : { type: "tuple", items };
+    }
+    if (token.value === "[") {
+      if (tokens.slice(position).some((item) => item.type === "name" && item.value === "for")) throw matplotlibError("不支持列表推导式");
+      return { type: "list", items: parseSequence("]").items };
+    }
+    if (token.value === "{") {
+      const entries = {};
+      while (!isOp("}")) {
+        const key = parseExpression();
+        expect(":");
+        entries[key.type === "string" ? key.value : JSON.stringify(key)] = parseExpression();
+        if (!isOp(",")) break;
+        position += 1;
+      }
+      expect("}");
+      return { type: "dict", entries };
+    }
+    throw matplotlibError(`语句“${text.trim()}”中有多余的“${token.value}”`);
+  };
+
+  const parsePostfix = () => {
+    let node = parseAtom();
+    for (;;) {
+      if (isOp(".")) {
+        position += 1;
+        const name = peek();
+        if (name?.type !== "name") throw matplotlibError("属性名缺失");
+        position += 1;
+        node = { type: "attribute", object: node, name: name.value };
+      } else if (isOp("(")) {
+        position += 1;
+        node = { type: "call", callee: node, ...parseCallArguments() };
+      } else if (isOp("[")) {
+        position += 1;
+        const index = parseExpression();
+        expect("]");
+        node = { type: "index", object: node, index };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parsePower = () => {
+    const base = parsePostfix();
+    if (!isOp("**")) return base;
+    position += 1;
+    return { type: "binary", op: "**", left: base, right: parseUnary() };
+  };
+
+  const parseUnary = () => {
+    if (isOp("-") || isOp("+")) {
+      const op = peek().value;
+      position += 1;
+      const operand = parseUnary();
+      return op === "-" ? { type: "negate", operand } : operand;
+    }
+    return parsePower();
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    while (isOp("*") || isOp("/") || isOp("%")) {
+      const op = peek().value;
+      position += 1;
+      node = { type: "binary", op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseExpression = () => {
+    if (peek()?.type === "name" && peek().value === "lambda") throw matplotlibError("不支持 lambda");
+    let node = parseProduct();
+    while (isOp("+") || isOp("-")) {
+      const op = peek().value;
+      position += 1;
+      node = { type: "binary", op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  // 赋值语句：a = ...、fig, ax = ...；只看括号外的第一个 =
+  let targets = null;
+  let depth = 0;
+  const equals = tokens.findIndex((token) => {
+    if (token.type !== "op") return false;
+    if ("([{".includes(token.value)) depth += 1;
+    if (")]}".includes(token.value)) depth -= 1;
+    return depth === 0 && token.value === "=";
+  });
+  if (equals > 0) {
+    const head = tokens.slice(0, equals);
+    targets = head.every((token) => token.type === "name" || (token.type === "op" && [",", "(", ")"].includes(token.value)))
+      ? head.filter((token) => token.type === "name").map((token) => token.value)
+      : { subscript: true };
+    position = equals + 1;
+  }
+  const value = parseExpression();
+  if (position < tokens.length) throw matplotlibError(`语句“${text.trim()}”有多余内容`);
+  return { targets, value };
+}
+
+// ---------- 求值：数值、数组、采样网格上的符号表达式 ----------
+
+const number = (value) => ({ kind: "number", value });
+const expression = (text, grid) => ({ kind: "expr", text, grid });
+
+function toExpressionText(value) {
+  if (value.kind === "number") return value.value < 0 ? `(${value.value})` : String(value.value);
+  if (value.kind === "expr") return /^[\w.]+$/.test(value.text) ? value.text : `(${value.text})`;
+  throw matplotlibError("表达式中混入了无法转换的值");
+}
+
+function combine(op, left, right) {
+  const symbolOp = op === "**" ? "^" : op;
+  if (left.kind === "number" && right.kind === "number") {
+    const a = left.value;
+    const b = right.value;
+    return number(op === "+" ? a + b : op === "-" ? a - b : op === "*" ? a * b : op === "/" ? a / b : op === "%" ? a % b : a ** b);
+  }
+  if (left.kind === "array" || right.kind === "array") {
+    const length = left.kind === "array" ? left.values.length : right.values.length;
+    if (!["array", "number"].includes(left.kind) || !["array", "number"].includes(right.kind)) throw matplotlibError("数组与符号表达式不能混合运算");
+    if (left.kind === "array" && right.kind === "array" && left.values.length !== right.values.length) throw matplotlibError("数组长度不一致");
+    const at = (value, index) => (value.kind === "array" ? value.values[index] : value.value);
+    return {
+      kind: "array",
+      values: Array.from({ length }, (_, index) => combine(op, number(at(left, index)), number(at(right, index))).value)
+    };
+  }
+  if (op === "%") throw matplotlibError("表达式中不支持 %");
+  const grid = left.grid || right.grid;
+  if (left.grid && right.grid && left.grid !== right.grid) throw matplotlibError("不同 linspace 变量不能混合运算");
+  return expression(`${toExpressionText(left)}${symbolOp}${toExpressionText(right)}`, grid);
+}
+
+function linspace(args, kwargs) {
+  const [start, stop, count] = [args[0], args[1], args[2] ?? kwargs.num];
+  return {
+    kind: "grid",
+    domain: [start.value, stop.value],
+    samples: Math.min(Math.max(Math.round(count?.value ?? 50), 2), 2000)
+  };
+}
+
+function arange(args) {
+  const values = args.map((arg) => arg.value);
+  const [start, stop, step] = values.length === 1 ? [0, values[0], 1] : [values[0], values[1], values[2] ?? 1];
+  if (!step) throw matplotlibError("arange 步长不能为 0");
+  const result = [];
+  for (let value = start; step > 0 ? value < stop - 1e-12 : value > stop + 1e-12; value += step) {
+    result.push(Number(value.toFixed(10)));
+    if (result.length > MAX_ARRAY_LENGTH) throw matplotlibError(`数组超过 ${MAX_ARRAY_LENGTH} 项`);
+  }
+  return { kind: "array", values: result };
+}
+
+function createEvaluator() {
+  const variables = new Map();
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case "number":
+        return number(node.value);
+      case "string":
+        return { kind: "string", value: node.value };
+      case "name": {
+        if (node.name === "True" || node.name === "False") return { kind: "bool", value: node.name === "True" };
+        if (node.name === "None") return { kind: "none" };
+        if (!variables.has(node.name)) throw matplotlibError(`未定义的变量 ${node.name}`);
+        return variables.get(node.name);
+      }
+      case "tuple":
+      case "list": {
+        const items = node.items.map(evaluate);
+        if (items.length && items.every((item) => item.kind === "number")) return { kind: "array", values: items.map((item) => item.value), tuple: node.type === "tuple" };
+        return { kind: "list", items };
+      }
+      case "dict":
+        return { kind: "dict", entries: Object.fromEntries(Object.entries(node.entries).map(([key, value]) => [key, evaluate(value)])) };
+      case "negate": {
+        const value = evaluate(node.operand);
+        if (value.kind === "number") return number(-value.value);
+        if (value.kind === "array") return { kind: "array", values: value.values.map((item) => -item) };
+        if (value.kind === "expr") return expression(`-(${value.text})`, value.grid);
+        throw matplotlibError("无法取负");
+      }
+      case "binary": {
+        const left = asOperand(evaluate(node.left));
+        const right = asOperand(evaluate(node.right));
+        return combine(node.op, left, right);
+      }
+      case "attribute": {
+        const module = moduleName(node.object);
+        if (module === "np" || module === "math") {
+          if (node.name === "pi") return number(Math.PI);
+          if (node.name === "e") return number(Math.E);
+          if (node.name === "inf") throw matplotlibError("不支持 inf");
+        }
+        throw matplotlibError(`不支持的属性 ${node.name}`);
+      }
+      case "call":
+        return evaluateCall(node);
+      default:
+        throw matplotlibError("不支持的写法");
+    }
+  };
+
+  // linspace 网格本身参与运算时就是自变量 x
+  const asOperand = (value) => (value.kind === "grid" ? expression("x", value) : value);
+
+  const evaluateCall = (node) => {
+    const module = node.callee.type === "attribute" ? moduleName(node.callee.object) : null;
+    const name = node.callee.type === "attribute" ? node.callee.name : node.callee.name;
+    const args = node.args.map(evaluate);
+    const kwargs = Object.fromEntries(Object.entries(node.kwargs).map(([key, value]) => [key, evaluate(value)]));
+
+    if (module === "np" || module === "math" || (!module && NUMPY_FUNCTIONS[name])) {
+      if (name === "linspace") return linspace(args, kwargs);
+      if (name === "arange") return arange(args);
+      if (name === "array" || name === "asarray") return args[0];
+      if (name === "power" || name === "pow") return combine("**", asOperand(args[0]), asOperand(args[1]));
+      const entry = NUMPY_FUNCTIONS[name];
+      if (!entry || args.length !== 1) throw matplotlibError(`不支持的函数 ${module ? `${module}.` : ""}${name}`);
+      const [symbol, numeric] = entry;
+      const value = asOperand(args[0]);
+      if (value.kind === "number") return number(numeric(value.value));
+      if (value.kind === "array") return { kind: "array", values: value.values.map(numeric) };
+      if (value.kind === "expr") return expression(`${symbol}(${value.text})`, value.grid);
+      throw matplotlibError(`${name} 的参数无法转换`);
+    }
+    if (!module && (name === "float" || name === "int") && args[0]?.kind === "number") {
+      return number(name === "int" ? Math.trunc(args[0].value) : args[0].value);
+    }
+    if (!module && (name === "list" || name === "range")) {
+      if (name === "list") return args[0];
+      return arange(args);
+    }
+    if (!module && name === "dict") return { kind: "dict", entries: kwargs };
+    throw matplotlibError(`不支持的函数 ${name}`);
+  };
+
+  return { variables, evaluate, asOperand };
+}
+
+function moduleName(node) {
+  if (node.type !== "name") return null;
+  if (["np", "numpy"].includes(node.name)) return "np";
+  if (node.name === "math") return "math";
+  return null;
+}
+
+// ---------- 绘图调用 → 描述 ----------
+
+// 'r--o' 这类格式串
+function parseFormat(format) {
+  const result = {};
+  let rest = format;
+  const lineStyle = ["--", "-.", "-", ":"].find((style) => rest.includes(style));
+  if (lineStyle) {
+    result.line_style = lineStyle;
+    rest = rest.replace(lineStyle, "");
+  }
+  for (const ch of rest) {
+    if (COLOR_LETTERS.includes(ch)) result.color = ch;
+    else if (MARKER_CHARS.includes(ch)) result.marker = ch === "." ? "o" : ch;
+    else throw matplotlibError(`无法识别的格式串“${format}”`);
+  }
+  return result;
+}
+
+function stringOf(value) {
+  return value?.kind === "string" ? value.value : value?.kind === "number" ? String(value.value) : undefined;
+}
+
+function numberOf(value) {
+  return value?.kind === "number" ? value.value : undefined;
+}
+
+function styleKeywords(kwargs) {
+  const style = {};
+  const color = stringOf(kwargs.color ?? kwargs.c);
+  if (color) style.color = color;
+  const label = stringOf(kwargs.label);
+  if (label && !label.startsWith("_")) style.label = label;
+  const lineStyle = stringOf(kwargs.linestyle ?? kwargs.ls);
+  if (lineStyle) style.line_style = lineStyle;
+  const lineWidth = numberOf(kwargs.linewidth ?? kwargs.lw);
+  if (lineWidth !== undefined) style.line_width = lineWidth * 1.3;
+  const alpha = numberOf(kwargs.alpha);
+  if (alpha !== undefined) style.opacity = alpha;
+  return style;
+}
+
+function pointsOf(xs, ys) {
+  if (xs.kind !== "array" || ys.kind !== "array") throw matplotlibError("数据序列必须是数值列表");
+  if (xs.values.length !== ys.values.length) throw matplotlibError("x 与 y 长度不一致");
+  return xs.values.map((x, index) => [x, ys.values[index]]);
+}
+
+// y 是 linspace 网格上的表达式 → 函数曲线；数组 → 折线
+function seriesFromXY(x, y, style, asOperand) {
+  const xv = asOperand(x);
+  const yv = asOperand(y);
+  if (yv.kind === "expr" || (yv.kind === "number" && xv.kind === "expr")) {
+    const grid = yv.grid || xv.grid;
+    if (xv.kind !== "expr" || xv.text !== "x") throw matplotlibError("曲线的 x 必须直接使用 linspace 变量");
+    return {
+      type: "function",
+      expr: yv.kind === "number" ? String(yv.value) : yv.text,
+      domain: grid.domain,
+      samples: Math.max(grid.samples, 200),
+      ...style
+    };
+  }
+  if (xv.kind === "expr") throw matplotlibError("linspace 变量需要与表达式配对");
+  return { type: "line", points: pointsOf(xv, yv), ...style };
+}
+
+function applyPlotCall(spec, method, args, kwargs, asOperand) {
+  const axis = (name) => (spec[name] = spec[name] || {});
+  switch (method) {
+    case "plot": {
+      // plot(y)、plot(x, y, fmt)、plot(x1, y1, x2, y2, ...)
+      const groups = [];
+      for (let index = 0; index < args.length;) {
+        const [first, second, third] = args.slice(index, index + 3);
+        if (second === undefined || second.kind === "string") {
+          if (first.kind !== "array") throw matplotlibError("plot(y) 的 y 必须是数值列表");
+          groups.push([{ kind: "array", values: first.values.map((_, position) => position) }, first, second]);
+          index += second ? 2 : 1;
+        } else {
+          const format = third?.kind === "string" ? third : undefined;
+          groups.push([first, second, format]);
+          index += format ? 3 : 2;
+        }
+      }
+      if (!groups.length) throw matplotlibError("plot() 缺少数据");
+      groups.forEach(([xs, ys, formatText]) => {
+        const format = formatText ? parseFormat(formatText.value) : {};
+        const style = { ...format, ...styleKeywords(kwargs) };
+        const marker = stringOf(kwargs.marker) || format.marker;
+        const markerSize = numberOf(kwargs.markersize ?? kwargs.ms);
+        const series = seriesFromXY(xs, ys, style, asOperand);
+        delete series.marker;
+        if (marker && series.type === "line") {
+          series.marker = MARKER_CHARS.includes(marker) ? (marker === "." ? "o" : marker) : "o";
+          series.size = markerSize !== undefined ? markerSize / 2 : 3.5;
+          if (format.marker && !format.line_style && !stringOf(kwargs.linestyle ?? kwargs.ls)) series.type = "scatter";
+        }
+        spec.series.push(series);
+      });
+      return;
+    }
+    case "scatter": {
+      const style = styleKeywords(kwargs);
+      const size = numberOf(kwargs.s);
+      const marker = stringOf(kwargs.marker);
+      spec.series.push({
+        type: "scatter",
+        points: pointsOf(asOperand(args[0]), asOperand(args[1])),
+        ...(size !== undefined ? { size: Math.sqrt(size) / 1.6 } : {}),
+        ...(marker ? { marker: marker === "." ? "o" : marker } : {}),
+        ...style
+      });
+      return;
+    }
+    case "bar": {
+      const [xs, heights] = [args[0], args[1] ?? kwargs.height];
+      const categories = xs.kind === "list" ? xs.items.map(stringOf) : xs.values;
+      if (heights?.kind !== "array") throw matplotlibError("bar 的高度必须是数值列表");
+      const width = numberOf(args[2] ?? kwargs.width);
+      spec.series.push({ type: "bar", x: categories, y: heights.values, ...(width !== undefined ? { bar_width: width } : {}), ...styleKeywords(kwargs) });
+      return;
+    }
+    case "axhline":
+    case "axvline": {
+      const value = numberOf(args[0] ?? kwargs[method === "axhline" ? "y" : "x"]) ?? 0;
+      spec.reference_lines.push({ [method === "axhline" ? "y" : "x"]: value, ...styleKeywords(kwargs) });
+      return;
+    }
+    case "fill_between": {
+      if (kwargs.where) throw matplotlibError("fill_between 暂不支持 where 参数");
+      const grid = asOperand(args[0]);
+      if (grid.kind !== "expr" || grid.text !== "x") throw matplotlibError("fill_between 的 x 必须是 linspace 变量");
+      const bound = (value) => {
+        if (value === undefined) return 0;
+        const operand = asOperand(value);
+        if (operand.kind === "number") return operand.value;
+        if (operand.kind === "expr") return operand.text;
+        throw matplotlibError("fill_between 的边界必须是表达式或常数");
+      };
+      const style = styleKeywords(kwargs);
+      spec.shaded.push({
+        upper: bound(args[1] ?? kwargs.y1),
+        lower: bound(args[2] ?? kwargs.y2),
+        domain: grid.grid.domain,
+        ...(style.color ? { color: style.color } : {}),
+        ...(style.opacity !== undefined ? { opacity: style.opacity } : {}),
+        ...(style.label ? { label: style.label } : {})
+      });
+      return;
+    }
+    case "annotate": {
+      const xy = args[1] ?? kwargs.xy;
+      const xytext = args[2] ?? kwargs.xytext;
+      if (xy?.kind !== "array") throw matplotlibError("annotate 缺少 xy");
+      spec.annotations.push({
+        text: stringOf(args[0] ?? kwargs.text) || "",
+        at: xy.values,
+        ...(xytext?.kind === "array" ? { text_at: xytext.values } : {}),
+        arrow: Boolean(kwargs.arrowprops) && xytext?.kind === "array",
+        ...(stringOf(kwargs.color) ? { color: stringOf(kwargs.color) } : {})
+      });
+      return;
+    }
+    case "text": {
+      const [x, y, text] = args;
+      spec.annotations.push({ text: stringOf(text) || "", at: [numberOf(x), numberOf(y)], ...(stringOf(kwargs.color) ? { color: stringOf(kwargs.color) } : {}) });
+      return;
+    }
+    case "xlim":
+    case "ylim":
+    case "set_xlim":
+    case "set_ylim": {
+      const name = method.includes("x") ? "x" : "y";
+      const range = args.length === 1 && args[0].kind === "array" ? args[0].values : args.map(numberOf);
+      const low = range[0] ?? numberOf(kwargs.left ?? kwargs.bottom);
+      const high = range[1] ?? numberOf(kwargs.right ?? kwargs.top);
+      if (low !== undefined && high !== undefined) axis(name).range = [low, high];
+      return;
+    }
+    case "xlabel":
+    case "ylabel":
+    case "set_xlabel":
+    case "set_ylabel":
+      axis(method.includes("x") ? "x" : "y").label = stringOf(args[0]) || "";
+      return;
+    case "title":
+    case "set_title":
+    case "suptitle":
+      spec.title = stringOf(args[0]) || "";
+      return;
+    case "xticks":
+    case "yticks":
+    case "set_xticks":
+    case "set_yticks": {
+      const target = axis(method.includes("x") ? "x" : "y");
+      if (args[0]?.kind === "array") target.ticks = args[0].values;
+      if (args[1]?.kind === "list" || args[1]?.kind === "array") target.tick_labels = (args[1].items || args[1].values.map(number)).map(stringOf);
+      return;
+    }
+    case "set_xticklabels":
+    case "set_yticklabels": {
+      const target = axis(method.includes("x") ? "x" : "y");
+      const labels = args[0];
+      if (labels?.kind === "list" || labels?.kind === "array") target.tick_labels = (labels.items || labels.values.map(number)).map(stringOf);
+      return;
+    }
+    case "grid":
+      spec.grid = args[0]?.kind === "bool" ? args[0].value : true;
+      return;
+    case "legend":
+      spec.legend = true;
+      return;
+    case "axis":
+      if (stringOf(args[0]) === "equal" || stringOf(args[0]) === "scaled") spec.equal = true;
+      else if (stringOf(args[0]) === "off") throw matplotlibError("不支持 axis('off')");
+      return;
+    case "set_aspect":
+      if (stringOf(args[0]) === "equal" || numberOf(args[0]) === 1) spec.equal = true;
+      return;
+    case "figure":
+    case "subplots": {
+      if (method === "subplots" && args.some((arg) => numberOf(arg) > 1)) throw matplotlibError("暂不支持多子图");
+      const size = kwargs.figsize;
+      if (size?.kind === "array") {
+        spec.width = size.values[0] * INCH_PX;
+        spec.height = size.values[1] * INCH_PX;
+      }
+      return;
+    }
+    case "show":
+    case "savefig":
+    case "tight_layout":
+    case "close":
+    case "clf":
+    case "cla":
+    case "gca":
+    case "gcf":
+    case "minorticks_on":
+    case "tick_params":
+    case "margins":
+      return;
+    default:
+      throw matplotlibError(`不支持 ${method}()`);
+  }
+}
+
+/**
+ * 把 matplotlib 脚本转换为规范化的绘图描述（normalizePlotSpec 的结果）；无法转换时抛出 status=400 的错误。
+ * skipped 传入数组时，无法转换的语句跳过并追加到数组中（后端保证示意图用），只有整体没有绘图内容时才抛错。
+ */
+export function translateMatplotlib(script, { skipped = null } = {}) {
+  const source = String(script || "");
+  if (!source.trim()) throw matplotlibError("脚本为空");
+  if (source.length > MAX_SCRIPT_LENGTH) throw matplotlibError(`脚本超过 ${MAX_SCRIPT_LENGTH} 字符`);
+
+  const statements = splitStatements(source);
+  if (statements.length > MAX_STATEMENTS) throw matplotlibError(`语句超过 ${MAX_STATEMENTS} 条`);
+  const spec = { series: [], reference_lines: [], shaded: [], annotations: [], axes_style: "box" };
+  const { variables, evaluate, asOperand } = createEvaluator();
+  const plotTargets = new Set(["plt"]);
+
+  const translateStatement = (raw) => {
+    const text = raw.trim();
+    if (/^(import|from)\s/.test(text)) return;
+    if (/^(def|for|while|if|class|with|try|return)\b/.test(text)) throw matplotlibError(`不支持 ${text.split(/\s/)[0]} 语句`);
+    if (/^(plt\.)?rcParams\b|^(mpl|matplotlib)\.(rcParams|use)\b/.test(text)) return;
+
+    const { targets, value } = parseStatement(text);
+
+    // spines / xaxis 等链式设置：移到原点视为教材样式坐标轴，其余忽略
+    const chainRoot = (node) => (node.type === "call" ? chainRoot(node.callee) : node.type === "attribute" || node.type === "index" ? chainRoot(node.object) : node);
+    const chainHas = (node, name) => node && (node.name === name || (node.object && chainHas(node.object, name)) || (node.callee && chainHas(node.callee, name)));
+    if (value.type === "call" && value.callee.type === "attribute" && (chainHas(value.callee.object, "spines") || chainHas(value.callee.object, "xaxis") || chainHas(value.callee.object, "yaxis"))) {
+      const root = chainRoot(value);
+      if (root.type !== "name" || !plotTargets.has(root.name)) throw matplotlibError(`不支持的语句“${text}”`);
+      if (value.callee.name === "set_position" && ["zero", "center"].includes(stringOf(evaluate(value.args[0] || { type: "string", value: "" })))) spec.axes_style = "cross";
+      return;
+    }
+
+    const isPlotCall = value.type === "call" && value.callee.type === "attribute" && value.callee.object.type === "name" && plotTargets.has(value.callee.object.name);
+    if (isPlotCall) {
+      const method = value.callee.name;
+      const args = value.args.map(evaluate);
+      const kwargs = Object.fromEntries(Object.entries(value.kwargs).map(([key, node]) => [key, evaluate(node)]));
+      applyPlotCall(spec, method, args, kwargs, asOperand);
+      // fig, ax = plt.subplots() / ax = plt.gca() / ax = fig.add_subplot()
+      if (Array.isArray(targets) && ["subplots", "gca", "axes"].includes(method)) targets.forEach((name) => plotTargets.add(name));
+      return;
+    }
+    if (Array.isArray(targets) && value.type === "call" && value.callee.type === "attribute" && value.callee.name === "add_subplot") {
+      targets.forEach((name) => plotTargets.add(name));
+      return;
+    }
+
+    if (!targets) throw matplotlibError(`不支持的语句“${text}”`);
+    if (!Array.isArray(targets)) throw matplotlibError(`不支持下标赋值“${text}”`);
+    const result = evaluate(value);
+    if (targets.length === 1) {
+      variables.set(targets[0], result);
+      return;
+    }
+    const items = result.kind === "array" ? result.values.map(number) : result.kind === "list" ? result.items : null;
+    if (!items || items.length !== targets.length) throw matplotlibError(`无法解包赋值“${text}”`);
+    targets.forEach((name, index) => variables.set(name, items[index]));
+  };
+
+  statements.forEach((raw) => {
+    try {
+      translateStatement(raw);
+    } catch (error) {
+      if (!skipped || !error.status) throw error;
+      skipped.push(raw.trim());
+    }
+  });
+
+  if (!spec.series.length && !spec.shaded.length) throw matplotlibError("脚本中没有可转换的绘图调用");
+  return normalizePlotSpec(spec);
+}
@@ -0,0 +1,441 @@
+import { layoutMathLabel, renderMathLabel } from "../math-label/index.js";
+import { compileExpression } from "../math-expression/index.js";
+import { plotError } from "./spec.js";
+
+// 声明式绘图描述 → SVG：坐标轴（过原点的箭头轴或边框轴）、刻度、网格、函数曲线、折线、散点、柱状、
+// 阴影区域、渐近线 / 参考线、标注与图例。函数在间断处自动断开。
+
+const FONT_FAMILY = "Times New Roman, STSong, SimSun, serif";
+const PALETTE = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#7f7f7f", "#bcbd22", "#17becf"];
+const NAMED_COLORS = { b: "#1f77b4", g: "#2ca02c", r: "#d62728", c: "#17becf", m: "#9467bd", y: "#bcbd22", k: "#000000", w: "#ffffff" };
+const DASH_PATTERNS = { solid: null, dashed: [6, 4], dotted: [1.5, 3], dashdot: [6, 3, 1.5, 3] };
+const SHADE_SAMPLES = 200;
+
+function fmt(value) {
+  return Number(value.toFixed(2));
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function hashText(text) {
+  let hash = 5381;
+  for (let index = 0; index < text.length; index += 1) hash = ((hash * 33) ^ text.charCodeAt(index)) >>> 0;
+  return hash.toString(36);
+}
+
+function resolveColor(value, index) {
+  if (!value) return PALETTE[index % PALETTE.length];
+  if (/^C\d$/.test(value)) return PALETTE[Number(value[1])];
+  return NAMED_COLORS[value] || value;
+}
+
+function dashAttribute(style, width) {
+  const pattern = DASH_PATTERNS[style];
+  if (!pattern) return "";
+  const scale = Math.max(1, width / 1.5);
+  return ` stroke-dasharray="${pattern.map((value) => fmt(value * scale)).join(",")}"${style === "dotted" ? ` stroke-linecap="round"` : ""}`;
+}
+
+// 标注按 LaTeX 排版（math-label），y 为基线
+function textMarkup(raw, { x, y, size = 13, anchor = "middle", color = "#000000", rotate = null }) {
+  const transform = rotate === null ? "" : ` transform="rotate(${rotate} ${fmt(x)} ${fmt(y)})"`;
+  return renderMathLabel(raw, { x, y, size, anchor, color, fontFamily: FONT_FAMILY, attributes: transform });
+}
+
+function estimateWidth(raw, size) {
+  return Math.max(0, ...layoutMathLabel(raw, size).map((line) => line.width));
+}
+
+function markerMarkup(marker, x, y, size, color) {
+  const r = size;
+  if (marker === "s") return `<rect x="${fmt(x - r)}" y="${fmt(y - r)}" width="${fmt(r * 2)}" height="${fmt(r * 2)}" fill="${color}"/>`;
+  if (marker === "^" || marker === "v") {
+    const dir = marker === "^" ? -1 : 1;
+    return `<polygon points="${fmt(x)},${fmt(y + dir * r * 1.2)} ${fmt(x - r)},${fmt(y - dir * r * 0.8)} ${fmt(x + r)},${fmt(y - dir * r * 0.8)}" fill="${color}"/>`;
+  }
+  if (marker === "d") return `<polygon points="${fmt(x)},${fmt(y - r * 1.2)} ${fmt(x + r)},${fmt(y)} ${fmt(x)},${fmt(y + r * 1.2)} ${fmt(x - r)},${fmt(y)}" fill="${color}"/>`;
+  if (marker === "x") return `<path d="M${fmt(x - r)} ${fmt(y - r)}L${fmt(x + r)} ${fmt(y + r)}M${fmt(x - r)} ${fmt(y + r)}L${fmt(x + r)} ${fmt(y - r)}" stroke="${color}" stroke-width="1.5"/>`;
+  if (marker === "+") return `<path d="M${fmt(x - r)} ${fmt(y)}L${fmt(x + r)} ${fmt(y)}M${fmt(x)} ${fmt(y - r)}L${fmt(x)} ${fmt(y + r)}" stroke="${color}" stroke-width="1.5"/>`;
+  if (marker === "*") return `<path d="M${fmt(x - r)} ${fmt(y)}L${fmt(x + r)} ${fmt(y)}M${fmt(x)} ${fmt(y - r)}L${fmt(x)} ${fmt(y + r)}M${fmt(x - r * 0.7)} ${fmt(y - r * 0.7)}L${fmt(x + r * 0.7)} ${fmt(y + r * 0.7)}M${fmt(x - r * 0.7)} ${fmt(y + r * 0.7)}L${fmt(x + r * 0.7)} ${fmt(y - r * 0.7)}" stroke="${color}" stroke-width="1.2"/>`;
+  return `<circle cx="${fmt(x)}" cy="${fmt(y)}" r="${fmt(r)}" fill="${color}"/>`;
+}
+
+function niceStep(span, target) {
+  const raw = span / Math.max(target, 1);
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const normalized = raw / magnitude;
+  const nice = normalized < 1.5 ? 1 : normalized < 3 ? 2 : normalized < 7 ? 5 : 10;
+  return nice * magnitude;
+}
+
+function formatNumber(value, step) {
+  const decimals = Math.max(0, Math.min(6, -Math.floor(Math.log10(step) + 1e-9)));
+  const text = value.toFixed(decimals);
+  return Number(text) === 0 ? "0" : text.replace(/^-/, "−");
+}
+
+// kπ/2 形式的刻度文字
+function formatPi(value) {
+  const halves = Math.round((value / Math.PI) * 2);
+  if (Math.abs(value / Math.PI * 2 - halves) > 1e-6) return formatNumber(value, 0.01);
+  if (halves === 0) return "0";
+  const sign = halves < 0 ? "−" : "";
+  const abs = Math.abs(halves);
+  if (abs % 2 === 0) return `${sign}${abs / 2 === 1 ? "" : abs / 2}π`;
+  return `${sign}${abs === 1 ? "" : abs}π/2`;
+}
+
+function buildTicks(axis, range, lengthPx) {
+  if (axis.ticks) {
+    return axis.ticks
+      .map((value, index) => ({ value, label: axis.tick_labels ? axis.tick_labels[index] : formatNumber(value, niceStep(range[1] - range[0], 6)) }))
+      .filter(({ value }) => value >= range[0] - 1e-9 && value <= range[1] + 1e-9);
+  }
+  const step = axis.tick_step || (axis.tick_format === "pi"
+    ? (Math.PI / 2) * Math.max(1, Math.round((range[1] - range[0]) / (Math.PI / 2) / Math.max(lengthPx / 60, 1)))
+    : niceStep(range[1] - range[0], Math.max(2, Math.min(10, lengthPx / 50))));
+  const ticks = [];
+  const first = Math.ceil(range[0] / step - 1e-9);
+  for (let index = first; index * step <= range[1] + step * 1e-9 && ticks.length < 60; index += 1) {
+    const value = index * step;
+    ticks.push({ value, label: axis.tick_format === "pi" ? formatPi(value) : formatNumber(value, step) });
+  }
+  return ticks;
+}
+
+function sampleFunction(compiled, domain, samples) {
+  const points = [];
+  for (let index = 0; index < samples; index += 1) {
+    const x = domain[0] + ((domain[1] - domain[0]) * index) / (samples - 1);
+    points.push([x, compiled.evaluate({ x })]);
+  }
+  return points;
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return 0;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// 函数值跨越整个纵向范围（如 1/x、tan x 的渐近线两侧）时断开，避免连出竖线
+function splitCurve(points, yRange) {
+  const span = yRange[1] - yRange[0];
+  const runs = [];
+  let run = [];
+  points.forEach(([x, y], index) => {
+    if (!Number.isFinite(y)) {
+      if (run.length) runs.push(run);
+      run = [];
+      return;
+    }
+    const previous = index > 0 ? points[index - 1][1] : NaN;
+    const jumps = Number.isFinite(previous) && Math.abs(y - previous) > span &&
+      ((previous > yRange[1] && y < yRange[0]) || (previous < yRange[0] && y > yRange[1]));
+    if (jumps && run.length) {
+      runs.push(run);
+      run = [];
+    }
+    run.push([x, y]);
+  });
+  if (run.length) runs.push(run);
+  return runs.filter((points) => points.length > 1);
+}
+
+function padRange(range, ratio) {
+  const span = range[1] - range[0] || Math.max(Math.abs(range[0]), 1);
+  return [range[0] - span * ratio, range[1] + span * ratio];
+}
+
+/** 确定坐标范围；没有显式范围时由数据推算（函数曲线用分位数排除渐近线附近的极端值） */
+function resolveRanges(spec, compiledSeries) {
+  let xRange = spec.x.range;
+  if (!xRange) {
+    const xs = [];
+    spec.series.forEach((series) => {
+      if (series.type === "function" && series.domain) xs.push(...series.domain);
+      if (series.points) {
+        const half = series.type === "bar" ? series.bar_width / 2 : 0;
+        series.points.forEach(([x]) => xs.push(x - half, x + half));
+      }
+    });
+    spec.shaded.forEach((region) => region.domain && xs.push(...region.domain));
+    spec.annotations.forEach((annotation) => xs.push(annotation.at[0], ...(annotation.text_at ? [annotation.text_at[0]] : [])));
+    spec.lines.forEach((line) => line.orientation === "vertical" && xs.push(line.value));
+    const onlyDomains = spec.series.every((series) => series.type === "function");
+    xRange = xs.length ? [Math.min(...xs), Math.max(...xs)] : [-5, 5];
+    if (xRange[1] - xRange[0] < 1e-9) xRange = [xRange[0] - 1, xRange[1] + 1];
+    else if (!onlyDomains) xRange = padRange(xRange, 0.05);
+  }
+
+  const sampled = compiledSeries.map((entry) => (entry.compiled
+    ? sampleFunction(entry.compiled, entry.series.domain || xRange, entry.series.samples)
+    : null));
+
+  let yRange = spec.y.range;
+  if (!yRange) {
+    const fixed = [];
+    spec.series.forEach((series) => {
+      if (series.points) series.points.forEach(([, y]) => fixed.push(y));
+      if (series.type === "bar") fixed.push(0);
+    });
+    spec.shaded.forEach((region) => [region.upper, region.lower].forEach((bound) => typeof bound === "number" && fixed.push(bound)));
+    spec.annotations.forEach((annotation) => fixed.push(annotation.at[1], ...(annotation.text_at ? [annotation.text_at[1]] : [])));
+    spec.lines.forEach((line) => line.orientation === "horizontal" && fixed.push(line.value));
+
+    const curveValues = sampled.flatMap((points) => (points ? points.map(([, y]) => y).filter(Number.isFinite) : [])).sort((a, b) => a - b);
+    let curveRange = null;
+    if (curveValues.length) {
+      const full = [curveValues[0], curveValues[curveValues.length - 1]];
+      const inner = [quantile(curveValues, 0.05), quantile(curveValues, 0.95)];
+      const innerSpan = inner[1] - inner[0];
+      curveRange = innerSpan > 0 && full[1] - full[0] > innerSpan * 4 ? padRange(inner, 0.4) : full;
+    }
+    const all = [...fixed, ...(curveRange || [])];
+    yRange = all.length ? [Math.min(...all), Math.max(...all)] : [-5, 5];
+    yRange = yRange[1] - yRange[0] < 1e-9 ? [yRange[0] - 1, yRange[1] + 1] : padRange(yRange, 0.06);
+    // 柱状图从 0 起画，不在 0 下方留白
+    if (spec.series.some((series) => series.type === "bar") && all.every((value) => value >= 0)) yRange[0] = 0;
+  }
+  return { xRange, yRange, sampled };
+}
+
+/**
+ * 渲染规范化后的绘图描述（见 normalizePlotSpec），返回 { svg }。
+ */
+export function renderPlotSvg(spec) {
+  const compiledSeries = spec.series.map((series) => ({
+    series,
+    compiled: series.type === "function" ? compileExpression(series.expr) : null
+  }));
+  let { xRange, yRange, sampled } = resolveRanges(spec, compiledSeries);
+
+  const crossZero = xRange[0] <= 0 && xRange[1] >= 0 && yRange[0] <= 0 && yRange[1] >= 0;
+  const categorical = spec.series.some((series) => series.categories);
+  const axesStyle = spec.axes_style === "auto" ? (crossZero && !categorical ? "cross" : "box") : spec.axes_style;
+  const box = axesStyle === "box";
+  const margin = {
+    left: box ? (spec.y.label ? 64 : 48) : 24,
+    right: 28,
+    top: (spec.title ? 30 : 12) + (box ? 4 : 14),
+    bottom: box ? (spec.x.label ? 50 : 32) : 24
+  };
+  const width = spec.width;
+  const height = spec.height;
+  let plotW = width - margin.left - margin.right;
+  let plotH = height - margin.top - margin.bottom;
+
+  // 等比例：放大单位较小的方向的范围
+  if (spec.equal) {
+    const unitX = plotW / (xRange[1] - xRange[0]);
+    const unitY = plotH / (yRange[1] - yRange[0]);
+    if (unitX > unitY) {
+      const extra = (plotW / unitY - (xRange[1] - xRange[0])) / 2;
+      xRange = [xRange[0] - extra, xRange[1] + extra];
+    } else {
+      const extra = (plotH / unitX - (yRange[1] - yRange[0])) / 2;
+      yRange = [yRange[0] - extra, yRange[1] + extra];
+    }
+  }
+
+  const px = (x) => margin.left + ((x - xRange[0]) / (xRange[1] - xRange[0])) * plotW;
+  const py = (y) => margin.top + ((yRange[1] - y) / (yRange[1] - yRange[0])) * plotH;
+  // 曲线先夹到可视范围附近，避免极端值产生过长的坐标
+  const clampY = (y) => Math.min(Math.max(y, yRange[0] - (yRange[1] - yRange[0]) * 2), yRange[1] + (yRange[1] - yRange[0]) * 2);
+  const polyline = (points) => points.map(([x, y], index) => `${index ? "L" : "M"}${fmt(px(x))} ${fmt(py(clampY(y)))}`).join("");
+
+  const clipId = `plot-clip-${hashText(JSON.stringify(spec))}`;
+  const layers = { grid: [], shaded: [], data: [], lines: [], axes: [], labels: [] };
+  const legend = [];
+
+  const xTicks = buildTicks(spec.x, xRange, plotW);
+  const yTicks = buildTicks(spec.y, yRange, plotH);
+  const categories = spec.series.find((series) => series.categories)?.categories;
+  const xTickList = categories
+    ? categories.map((label, index) => ({ value: index, label })).filter(({ value }) => value >= xRange[0] && value <= xRange[1])
+    : xTicks;
+
+  if (spec.grid) {
+    xTickList.forEach(({ value }) => layers.grid.push(`<line x1="${fmt(px(value))}" y1="${fmt(margin.top)}" x2="${fmt(px(value))}" y2="${fmt(margin.top + plotH)}" stroke="#d9d9d9" stroke-width="0.8"/>`));
+    yTicks.forEach(({ value }) => layers.grid.push(`<line x1="${fmt(margin.left)}" y1="${fmt(py(value))}" x2="${fmt(margin.left + plotW)}" y2="${fmt(py(value))}" stroke="#d9d9d9" stroke-width="0.8"/>`));
+  }
+
+  // 阴影区域：upper 缺省时取第一条函数曲线
+  spec.shaded.forEach((region, index) => {
+    const upperSource = region.upper ?? spec.series.find((series) => series.type === "function")?.expr;
+    if (upperSource === undefined || upperSource === null) throw plotError(`shaded[${index}] 缺少 upper`);
+    const bound = (source) => (typeof source === "number" ? () => source : ((compiled) => (x) => compiled.evaluate({ x }))(compileExpression(source)));
+    const upper = bound(upperSource);
+    const lower = bound(region.lower);
+    const domain = region.domain || xRange;
+    const top = [];
+    const bottom = [];
+    for (let step = 0; step <= SHADE_SAMPLES; step += 1) {
+      const x = domain[0] + ((domain[1] - domain[0]) * step) / SHADE_SAMPLES;
+      const a = upper(x);
+      const b = lower(x);
+      if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+      top.push([x, a]);
+      bottom.push([x, b]);
+    }
+    if (top.length < 2) return;
+    const color = resolveColor(region.color, index + 1);
+    layers.shaded.push(`<path d="${polyline([...top, ...bottom.reverse()])}Z" fill="${color}" fill-opacity="${region.opacity}" stroke="none"/>`);
+    if (region.label) legend.push({ label: region.label, color, kind: "area", opacity: region.opacity });
+  });
+
+  compiledSeries.forEach(({ series }, index) => {
+    const color = resolveColor(series.color, index);
+    const opacity = series.opacity < 1 ? ` opacity="${series.opacity}"` : "";
+    const stroke = `stroke="${color}" stroke-width="${series.line_width}"${dashAttribute(series.line_style, series.line_width)}`;
+    if (series.type === "function") {
+      splitCurve(sampled[index], yRange).forEach((run) => {
+        layers.data.push(`<path d="${polyline(run)}" fill="none" ${stroke} stroke-linejoin="round"${opacity}/>`);
+      });
+    } else if (series.type === "line") {
+      layers.data.push(`<path d="${polyline(series.points)}" fill="none" ${stroke} stroke-linejoin="round"${opacity}/>`);
+    } else if (series.type === "bar") {
+      const half = series.bar_width / 2;
+      series.points.forEach(([x, y]) => {
+        const left = px(x - half);
+        const right = px(x + half);
+        const top = py(Math.max(y, 0));
+        const bottom = py(Math.min(y, 0));
+        layers.data.push(`<rect x="${fmt(left)}" y="${fmt(top)}" width="${fmt(right - left)}" height="${fmt(bottom - top)}" fill="${color}"${opacity}/>`);
+      });
+    }
+    if (series.size > 0 && series.points) {
+      series.points.forEach(([x, y]) => layers.data.push(markerMarkup(series.marker, px(x), py(y), series.size, color)));
+    }
+    if (series.label) legend.push({ label: series.label, color, kind: series.type === "bar" ? "area" : series.type === "scatter" ? "marker" : "line", series });
+  });
+
+  const left = margin.left;
+  const right = margin.left + plotW;
+  const top = margin.top;
+  const bottom = margin.top + plotH;
+  spec.lines.forEach((line, index) => {
+    const color = line.color ? resolveColor(line.color, index) : line.kind === "asymptotes" ? "#666666" : "#000000";
+    const stroke = `stroke="${color}" stroke-width="${line.line_width}"${dashAttribute(line.line_style, line.line_width)}`;
+    if (line.orientation === "vertical") {
+      layers.lines.push(`<line x1="${fmt(px(line.value))}" y1="${fmt(top)}" x2="${fmt(px(line.value))}" y2="${fmt(bottom)}" ${stroke}/>`);
+    } else if (line.orientation === "horizontal") {
+      layers.lines.push(`<line x1="${fmt(left)}" y1="${fmt(py(line.value))}" x2="${fmt(right)}" y2="${fmt(py(line.value))}" ${stroke}/>`);
+    } else {
+      const at = (x) => [x, line.slope * x + line.intercept];
+      layers.lines.push(`<path d="${polyline([at(xRange[0]), at(xRange[1])])}" fill="none" ${stroke}/>`);
+    }
+    if (line.label) legend.push({ label: line.label, color, kind: "line", series: line });
+  });
+
+  // 坐标轴
+  const axisColor = "#000000";
+  if (box) {
+    layers.axes.push(`<rect x="${fmt(left)}" y="${fmt(top)}" width="${fmt(plotW)}" height="${fmt(plotH)}" fill="none" stroke="${axisColor}" stroke-width="1"/>`);
+    xTickList.forEach(({ value, label }) => {
+      const x = px(value);
+      layers.axes.push(`<line x1="${fmt(x)}" y1="${fmt(bottom)}" x2="${fmt(x)}" y2="${fmt(bottom + 4)}" stroke="${axisColor}" stroke-width="1"/>`);
+      layers.labels.push(textMarkup(label, { x, y: bottom + 17 }));
+    });
+    yTicks.forEach(({ value, label }) => {
+      const y = py(value);
+      layers.axes.push(`<line x1="${fmt(left - 4)}" y1="${fmt(y)}" x2="${fmt(left)}" y2="${fmt(y)}" stroke="${axisColor}" stroke-width="1"/>`);
+      layers.labels.push(textMarkup(label, { x: left - 7, y: y + 4.5, anchor: "end" }));
+    });
+    if (spec.x.label) layers.labels.push(textMarkup(spec.x.label, { x: left + plotW / 2, y: bottom + 38, size: 14 }));
+    if (spec.y.label) layers.labels.push(textMarkup(spec.y.label, { x: 16, y: top + plotH / 2, size: 14, rotate: -90 }));
+  } else {
+    // 过原点的箭头轴（教材样式）；原点不在范围内时轴放在靠近的一侧
+    const axisY = py(Math.min(Math.max(0, yRange[0]), yRange[1]));
+    const axisX = px(Math.min(Math.max(0, xRange[0]), xRange[1]));
+    const arrow = (x, y, dx, dy) => `<polygon points="${fmt(x)},${fmt(y)} ${fmt(x - dx * 9 - dy * 3.5)},${fmt(y - dy * 9 + dx * 3.5)} ${fmt(x - dx * 9 + dy * 3.5)},${fmt(y - dy * 9 - dx * 3.5)}" fill="${axisColor}"/>`;
+    layers.axes.push(`<line x1="${fmt(left)}" y1="${fmt(axisY)}" x2="${fmt(right + 12)}" y2="${fmt(axisY)}" stroke="${axisColor}" stroke-width="1"/>`);
+    layers.axes.push(arrow(right + 14, axisY, 1, 0));
+    layers.axes.push(`<line x1="${fmt(axisX)}" y1="${fmt(bottom)}" x2="${fmt(axisX)}" y2="${fmt(top - 12)}" stroke="${axisColor}" stroke-width="1"/>`);
+    layers.axes.push(arrow(axisX, top - 14, 0, -1));
+    layers.labels.push(textMarkup(spec.x.label || "$x$", { x: right + 16, y: axisY + 18, size: 14, anchor: "end" }));
+    layers.labels.push(textMarkup(spec.y.label || "$y$", { x: axisX - 8, y: top - 4, size: 14, anchor: "end" }));
+    layers.labels.push(textMarkup("$O$", { x: axisX - 5, y: axisY + 15, anchor: "end" }));
+    xTickList.forEach(({ value, label }) => {
+      if (Math.abs(value) < 1e-9) return;
+      const x = px(value);
+      layers.axes.push(`<line x1="${fmt(x)}" y1="${fmt(axisY)}" x2="${fmt(x)}" y2="${fmt(axisY - 4)}" stroke="${axisColor}" stroke-width="1"/>`);
+      layers.labels.push(textMarkup(label, { x, y: axisY + 15 }));
+    });
+    yTicks.forEach(({ value, label }) => {
+      if (Math.abs(value) < 1e-9) return;
+      const y = py(value);
+      layers.axes.push(`<line x1="${fmt(axisX)}" y1="${fmt(y)}" x2="${fmt(axisX + 4)}" y2="${fmt(y)}" stroke="${axisColor}" stroke-width="1"/>`);
+      layers.labels.push(textMarkup(label, { x: axisX - 5, y: y + 4.5, anchor: "end" }));
+    });
+  }
+
+  spec.annotations.forEach((annotation) => {
+    const color = annotation.color ? resolveColor(annotation.color, 0) : "#000000";
+    const ax = px(annotation.at[0]);
+    const ay = py(annotation.at[1]);
+    if (annotation.point) layers.labels.push(`<circle cx="${fmt(ax)}" cy="${fmt(ay)}" r="3" fill="${color}"/>`);
+    const [tx, ty] = annotation.text_at ? [px(annotation.text_at[0]), py(annotation.text_at[1])] : [ax + 6, ay - 6];
+    if (annotation.arrow && annotation.text_at) {
+      const dx = ax - tx;
+      const dy = ay - ty;
+      const length = Math.hypot(dx, dy);
+      if (length > 12) {
+        const ux = dx / length;
+        const uy = dy / length;
+        const sx = tx + ux * 8;
+        const sy = ty + uy * 8;
+        const ex = ax - ux * 3;
+        const ey = ay - uy * 3;
+        layers.labels.push(`<line x1="${fmt(sx)}" y1="${fmt(sy)}" x2="${fmt(ex - ux * 6)}" y2="${fmt(ey - uy * 6)}" stroke="${color}" stroke-width="1"/>`);
+        layers.labels.push(`<polygon points="${fmt(ex)},${fmt(ey)} ${fmt(ex - ux * 8 - uy * 3)},${fmt(ey - uy * 8 + ux * 3)} ${fmt(ex - ux * 8 + uy * 3)},${fmt(ey - uy * 8 - ux * 3)}" fill="${color}"/>`);
+      }
+    }
+    if (annotation.text) {
+      const anchor = annotation.text_at ? "middle" : "start";
+      layers.labels.push(textMarkup(annotation.text, { x: tx, y: annotation.text_at ? ty + 4.5 : ty, anchor, color }));
+    }
+  });
+
+  const showLegend = spec.legend ?? legend.length > 0;
+  if (showLegend && legend.length) {
+    const rowHeight = 18;
+    const legendWidth = Math.max(...legend.map((entry) => estimateWidth(entry.label, 12))) + 40;
+    const lx = right - legendWidth - 6;
+    const ly = top + 6;
+    layers.labels.push(`<rect x="${fmt(lx)}" y="${fmt(ly)}" width="${fmt(legendWidth)}" height="${legend.length * rowHeight + 6}" fill="#ffffff" fill-opacity="0.85" stroke="#cccccc" stroke-width="0.8"/>`);
+    legend.forEach((entry, index) => {
+      const cy = ly + 12 + index * rowHeight;
+      if (entry.kind === "area") {
+        layers.labels.push(`<rect x="${fmt(lx + 8)}" y="${fmt(cy - 5)}" width="20" height="10" fill="${entry.color}" fill-opacity="${entry.opacity ?? 1}"/>`);
+      } else if (entry.kind === "marker") {
+        layers.labels.push(markerMarkup(entry.series.marker, lx + 18, cy, entry.series.size || 4, entry.color));
+      } else {
+        layers.labels.push(`<line x1="${fmt(lx + 6)}" y1="${fmt(cy)}" x2="${fmt(lx + 30)}" y2="${fmt(cy)}" stroke="${entry.color}" stroke-width="${entry.series.line_width}"${dashAttribute(entry.series.line_style, entry.series.line_width)}/>`);
+      }
+      layers.labels.push(textMarkup(entry.label, { x: lx + 36, y: cy + 4, size: 12, anchor: "start" }));
+    });
+  }
+
+  if (spec.title) layers.labels.push(textMarkup(spec.title, { x: width / 2, y: 20, size: 15 }));
+
+  const clipped = [...layers.shaded, ...layers.data, ...layers.lines].join("");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(spec.title || "函数图像")}">` +
+    `<defs><clipPath id="${clipId}"><rect x="${fmt(left)}" y="${fmt(top)}" width="${fmt(plotW)}" height="${fmt(plotH)}"/></clipPath></defs>` +
+    `<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>` +
+    layers.grid.join("") +
+    `<g clip-path="url(#${clipId})">${clipped}</g>` +
+    layers.axes.join("") +
+    layers.labels.join("") +
+    `</svg>`;
+  return { svg };
+}
+
@@ -0,0 +1,261 @@
+import { sanitizeText } from "../scientific-text.js";
+import { compileExpression } from "../math-expression/index.js";
+
+// 声明式绘图描述的校验与规范化：只保留白名单字段，数值全部转为有限数，表达式预先编译检查。
+// 规范化结果是纯 JSON，可直接参与缓存键计算。
+
+export const PLOT_LIMITS = {
+  series: 20,
+  points: 5000,
+  samples: 2000,
+  annotations: 30,
+  lines: 20,
+  shaded: 10,
+  ticks: 40
+};
+
+const SERIES_TYPES = ["function", "line", "scatter", "bar"];
+const LINE_STYLES = ["solid", "dashed", "dotted", "dashdot"];
+const MARKERS = ["o", "s", "^", "v", "x", "+", "d", "*"];
+
+export function plotError(message) {
+  const error = new Error(`绘图描述无效：${message}`);
+  error.status = 400;
+  return error;
+}
+
+function toNumber(value, label) {
+  const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof number !== "number" || !Number.isFinite(number)) throw plotError(`${label} 必须是有限数值`);
+  return number;
+}
+
+function optionalNumber(value, label, fallback = null) {
+  return value === undefined || value === null || value === "" ? fallback : toNumber(value, label);
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function normalizeRange(value, label) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value) || value.length !== 2) throw plotError(`${label} 必须是 [最小值, 最大值]`);
+  const range = [toNumber(value[0], label), toNumber(value[1], label)];
+  if (!(range[1] > range[0])) throw plotError(`${label} 的最大值必须大于最小值`);
+  return range;
+}
+
+// 颜色只接受 #hex 与字母组成的颜色名，避免属性注入
+function normalizeColor(value) {
+  const text = sanitizeText(value);
+  if (/^#[0-9a-f]{3,8}$/i.test(text) || /^[a-z]{1,20}$/i.test(text) || /^C\d$/.test(text)) return text;
+  return null;
+}
+
+function normalizeLineStyle(value, fallback = "solid") {
+  const text = sanitizeText(value).toLowerCase();
+  const aliases = { "-": "solid", "--": "dashed", ":": "dotted", "-.": "dashdot", dash: "dashed", dot: "dotted" };
+  const style = aliases[text] || text;
+  return LINE_STYLES.includes(style) ? style : fallback;
+}
+
+function checkExpression(value, label) {
+  const text = sanitizeText(value);
+  if (!text) throw plotError(`${label} 缺少表达式`);
+  compileExpression(text);
+  return text;
+}
+
+function normalizePoints(input, label) {
+  let points;
+  if (Array.isArray(input.points)) {
+    points = input.points.map((point, index) => {
+      if (!Array.isArray(point) || point.length < 2) throw plotError(`${label} 第 ${index + 1} 个点必须是 [x, y]`);
+      return [toNumber(point[0], `${label}.points`), toNumber(point[1], `${label}.points`)];
+    });
+  } else if (Array.isArray(input.y)) {
+    const xs = Array.isArray(input.x) ? input.x : input.y.map((_, index) => index);
+    if (xs.length !== input.y.length) throw plotError(`${label} 的 x 与 y 长度不一致`);
+    points = input.y.map((y, index) => [toNumber(xs[index], `${label}.x`), toNumber(y, `${label}.y`)]);
+  } else {
+    throw plotError(`${label} 缺少 points 或 x / y 数据`);
+  }
+  if (points.length > PLOT_LIMITS.points) throw plotError(`${label} 超过 ${PLOT_LIMITS.points} 个点`);
+  return points;
+}
+
+function normalizeCommonStyle(input) {
+  return {
+    color: normalizeColor(input.color),
+    label: sanitizeText(input.label).slice(0, 60),
+    line_style: normalizeLineStyle(input.line_style ?? input.linestyle),
+    line_width: clamp(optionalNumber(input.line_width ?? input.linewidth, "line_width", 2), 0.5, 8),
+    opacity: clamp(optionalNumber(input.opacity ?? input.alpha, "opacity", 1), 0, 1)
+  };
+}
+
+function normalizeSeries(input, index) {
+  const label = `series[${index}]`;
+  if (!input || typeof input !== "object") throw plotError(`${label} 必须是对象`);
+  const type = sanitizeText(input.type || (input.expr || input.fn ? "function" : "line")).toLowerCase();
+  if (!SERIES_TYPES.includes(type)) throw plotError(`${label}.type 只支持 ${SERIES_TYPES.join(" / ")}`);
+  const common = normalizeCommonStyle(input);
+
+  if (type === "function") {
+    return {
+      type,
+      expr: checkExpression(input.expr ?? input.fn, label),
+      domain: normalizeRange(input.domain, `${label}.domain`),
+      samples: clamp(Math.round(optionalNumber(input.samples, `${label}.samples`, 400)), 2, PLOT_LIMITS.samples),
+      ...common
+    };
+  }
+
+  if (type === "bar") {
+    if (!Array.isArray(input.y)) throw plotError(`${label} 缺少 y 数据`);
+    const xs = Array.isArray(input.x) ? input.x : input.y.map((_, position) => position);
+    if (xs.length !== input.y.length) throw plotError(`${label} 的 x 与 y 长度不一致`);
+    if (xs.length > PLOT_LIMITS.points) throw plotError(`${label} 超过 ${PLOT_LIMITS.points} 个数据`);
+    // x 为文字时按类别等距排列，类别名作为刻度
+    const categorical = xs.some((value) => typeof value === "string" && !Number.isFinite(Number(value)));
+    return {
+      type,
+      points: input.y.map((y, position) => [categorical ? position : toNumber(xs[position], `${label}.x`), toNumber(y, `${label}.y`)]),
+      categories: categorical ? xs.map((value) => sanitizeText(value).slice(0, 20)) : null,
+      bar_width: clamp(optionalNumber(input.bar_width ?? input.width, `${label}.bar_width`, 0.8), 0.05, 10),
+      ...common
+    };
+  }
+
+  return {
+    type,
+    points: normalizePoints(input, label),
+    marker: MARKERS.includes(input.marker) ? input.marker : "o",
+    size: clamp(optionalNumber(input.size ?? input.marker_size, `${label}.size`, type === "scatter" ? 4 : 0), 0, 20),
+    ...common
+  };
+}
+
+function normalizeAxis(input, name) {
+  const axis = input && typeof input === "object" ? input : {};
+  const ticks = Array.isArray(axis.ticks) ? axis.ticks.slice(0, PLOT_LIMITS.ticks).map((value) => toNumber(value, `${name}.ticks`)) : null;
+  const tickLabels = Array.isArray(axis.tick_labels) ? axis.tick_labels.slice(0, PLOT_LIMITS.ticks).map((value) => sanitizeText(value).slice(0, 20)) : null;
+  if (tickLabels && (!ticks || tickLabels.length !== ticks.length)) throw plotError(`${name}.tick_labels 必须与 ticks 一一对应`);
+  const step = optionalNumber(axis.tick_step, `${name}.tick_step`);
+  if (step !== null && step <= 0) throw plotError(`${name}.tick_step 必须大于 0`);
+  return {
+    range: normalizeRange(axis.range, `${name}.range`),
+    label: sanitizeText(axis.label).slice(0, 40),
+    ticks,
+    tick_labels: tickLabels,
+    tick_step: step,
+    tick_format: axis.tick_format === "pi" ? "pi" : "number"
+  };
+}
+
+// x= 竖线、y= 横线、slope + intercept 斜线
+function normalizeLine(input, index, kind) {
+  const label = `${kind}[${index}]`;
+  if (!input || typeof input !== "object") throw plotError(`${label} 必须是对象`);
+  const base = {
+    kind,
+    color: normalizeColor(input.color),
+    label: sanitizeText(input.label).slice(0, 40),
+    line_style: normalizeLineStyle(input.line_style ?? input.linestyle, kind === "asymptotes" ? "dashed" : "solid"),
+    line_width: clamp(optionalNumber(input.line_width ?? input.linewidth, `${label}.line_width`, 1.2), 0.5, 8)
+  };
+  if (input.x !== undefined) return { ...base, orientation: "vertical", value: toNumber(input.x, `${label}.x`) };
+  if (input.y !== undefined) return { ...base, orientation: "horizontal", value: toNumber(input.y, `${label}.y`) };
+  if (input.slope !== undefined) {
+    return {
+      ...base,
+      orientation: "oblique",
+      slope: toNumber(input.slope, `${label}.slope`),
+      intercept: optionalNumber(input.intercept, `${label}.intercept`, 0)
+    };
+  }
+  throw plotError(`${label} 需要 x、y 或 slope`);
+}
+
+// 上下边界可以是常数或表达式
+function normalizeBound(value, label, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  if (typeof value === "number") return toNumber(value, label);
+  const text = sanitizeText(value);
+  if (Number.isFinite(Number(text))) return Number(text);
+  return checkExpression(text, label);
+}
+
+function normalizeShaded(input, index) {
+  const label = `shaded[${index}]`;
+  if (!input || typeof input !== "object") throw plotError(`${label} 必须是对象`);
+  return {
+    upper: normalizeBound(input.upper ?? input.y1, `${label}.upper`, null),
+    lower: normalizeBound(input.lower ?? input.y2, `${label}.lower`, 0),
+    domain: normalizeRange(input.domain, `${label}.domain`),
+    color: normalizeColor(input.color),
+    opacity: clamp(optionalNumber(input.opacity ?? input.alpha, `${label}.opacity`, 0.25), 0, 1),
+    label: sanitizeText(input.label).slice(0, 40)
+  };
+}
+
+function normalizePair(value, label) {
+  if (!Array.isArray(value) || value.length < 2) throw plotError(`${label} 必须是 [x, y]`);
+  return [toNumber(value[0], label), toNumber(value[1], label)];
+}
+
+function normalizeAnnotation(input, index) {
+  const label = `annotations[${index}]`;
+  if (!input || typeof input !== "object") throw plotError(`${label} 必须是对象`);
+  const text = sanitizeText(input.text).slice(0, 60);
+  const at = normalizePair(input.at ?? input.xy, `${label}.at`);
+  const textAt = input.text_at ?? input.xytext;
+  return {
+    text,
+    at,
+    text_at: textAt ? normalizePair(textAt, `${label}.text_at`) : null,
+    arrow: Boolean(input.arrow ?? textAt),
+    point: Boolean(input.point),
+    color: normalizeColor(input.color)
+  };
+}
+
+function limitedList(value, limit, label) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw plotError(`${label} 必须是数组`);
+  if (value.length > limit) throw plotError(`${label} 最多 ${limit} 项`);
+  return value;
+}
+
+/**
+ * 规范化绘图描述；字段不合法时抛出 status=400 的错误。
+ */
+export function normalizePlotSpec(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw plotError("plot 必须是对象");
+  const series = limitedList(input.series, PLOT_LIMITS.series, "series").map(normalizeSeries);
+  const lines = [
+    ...limitedList(input.asymptotes, PLOT_LIMITS.lines, "asymptotes").map((line, index) => normalizeLine(line, index, "asymptotes")),
+    ...limitedList(input.reference_lines, PLOT_LIMITS.lines, "reference_lines").map((line, index) => normalizeLine(line, index, "reference_lines"))
+  ];
+  const shaded = limitedList(input.shaded, PLOT_LIMITS.shaded, "shaded").map(normalizeShaded);
+  const annotations = limitedList(input.annotations, PLOT_LIMITS.annotations, "annotations").map(normalizeAnnotation);
+  if (!series.length && !shaded.length && !lines.length && !annotations.length) throw plotError("至少需要一条 series");
+
+  const axesStyle = sanitizeText(input.axes_style).toLowerCase();
+  return {
+    title: sanitizeText(input.title).slice(0, 60),
+    width: Math.round(clamp(optionalNumber(input.width, "width", 480), 200, 1200)),
+    height: Math.round(clamp(optionalNumber(input.height, "height", 320), 150, 900)),
+    x: normalizeAxis(input.x ?? input.x_axis, "x"),
+    y: normalizeAxis(input.y ?? input.y_axis, "y"),
+    grid: Boolean(input.grid),
+    axes_style: ["cross", "box"].includes(axesStyle) ? axesStyle : "auto",
+    equal: Boolean(input.equal),
+    legend: input.legend === undefined ? null : Boolean(input.legend),
+    series,
+    lines,
+    shaded,
+    annotations
+  };
+}
@@ -0,0 +1,126 @@
+import {
+  assertOk,
+  parseDataUrl,
+  providerError,
+  readSseEvents,
+  toChatChunk,
+  toChatCompletion,
+  toContentParts,
+  toUsage,
+  trimBaseURL
+} from "./shared.js";
+
+// Anthropic Messages 接口
+
+const ANTHROPIC_VERSION = "2023-06-01";
+const DEFAULT_MAX_TOKENS = 4096;
+const JSON_ONLY_INSTRUCTION = "只输出一个合法的 JSON 对象，不要输出任何解释或 Markdown。";
+
+const FINISH_REASONS = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  refusal: "content_filter"
+};
+
+function toAnthropicBlocks(content) {
+  return toContentParts(content).map((part) => {
+    if (part.type === "text") return { type: "text", text: part.text };
+    const inline = parseDataUrl(part.url);
+    if (inline) {
+      return { type: "image", source: { type: "base64", media_type: inline.mimeType, data: inline.data } };
+    }
+    return { type: "image", source: { type: "url", url: part.url } };
+  });
+}
+
+// Messages 接口要求 user/assistant 交替出现，相邻同角色的消息需要合并
+function buildRequestBody(params) {
+  const system = [];
+  const messages = [];
+  (params.messages || []).forEach((message) => {
+    const blocks = toAnthropicBlocks(message?.content);
+    if (blocks.length === 0) return;
+    if (message.role === "system") {
+      system.push(...blocks.filter((block) => block.type === "text").map((block) => block.text));
+      return;
+    }
+    const role = message.role === "assistant" ? "assistant" : "user";
+    const last = messages[messages.length - 1];
+    if (last?.role === role) last.content.push(...blocks);
+    else messages.push({ role, content: blocks });
+  });
+
+  if (params.response_format?.type === "json_object") system.push(JSON_ONLY_INSTRUCTION);
+
+  const body = {
+    model: params.model,
+    max_tokens: params.max_tokens || DEFAULT_MAX_TOKENS,
+    messages,
+    ...(system.length ? { system: system.join("\n\n") } : {}),
+    temperature: params.temperature === undefined ? undefined : Math.min(1, params.temperature),
+    top_p: params.top_p,
+    stop_sequences: params.stop === undefined ? undefined : [].concat(params.stop)
+  };
+  Object.keys(body).forEach((key) => {
+    if (body[key] === undefined) delete body[key];
+  });
+  return body;
+}
+
+export function createAnthropicProvider({ apiKey, baseURL }) {
+  const root = trimBaseURL(baseURL, "https://api.anthropic.com");
+
+  const post = async (body, signal) => {
+    const response = await fetch(`${root}/v1/messages`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": ANTHROPIC_VERSION
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+    return assertOk("anthropic", response);
+  };
+
+  return {
+    name: "anthropic",
+
+    async complete(params, { signal } = {}) {
+      const data = await (await post(buildRequestBody(params), signal)).json();
+      const content = (data?.content || [])
+        .filter((block) => block?.type === "text")
+        .map((block) => block.text)
+        .join("");
+      return toChatCompletion({
+        model: params.model,
+        content,
+        finishReason: FINISH_REASONS[data?.stop_reason] || "stop",
+        usage: toUsage(data?.usage?.input_tokens, data?.usage?.output_tokens)
+      });
+    },
+
+    async *stream(params, { signal } = {}) {
+      const response = await post({ ...buildRequestBody(params), stream: true }, signal);
+      let inputTokens;
+      for await (const { event, data } of readSseEvents(response)) {
+        if (event === "error" || data?.type === "error") {
+          throw providerError("anthropic", 502, data?.error?.message || "anthropic 流式响应中断");
+        }
+        if (data?.type === "message_start") {
+          inputTokens = data.message?.usage?.input_tokens;
+        } else if (data?.type === "content_block_delta" && data.delta?.type === "text_delta") {
+          yield toChatChunk({ model: params.model, content: data.delta.text });
+        } else if (data?.type === "message_delta" && data.delta?.stop_reason) {
+          yield toChatChunk({
+            model: params.model,
+            finishReason: FINISH_REASONS[data.delta.stop_reason] || "stop",
+            usage: toUsage(inputTokens, data.usage?.output_tokens)
+          });
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,135 @@
+import {
+  assertOk,
+  parseDataUrl,
+  providerError,
+  readSseEvents,
+  toChatChunk,
+  toChatCompletion,
+  toContentParts,
+  toUsage,
+  trimBaseURL
+} from "./shared.js";
+
+// Gemini 原生接口（generateContent / streamGenerateContent）
+
+const FINISH_REASONS = {
+  STOP: "stop",
+  MAX_TOKENS: "length",
+  SAFETY: "content_filter",
+  RECITATION: "content_filter",
+  PROHIBITED_CONTENT: "content_filter",
+  BLOCKLIST: "content_filter"
+};
+
+function guessMimeType(url) {
+  const ext = /\.([a-z0-9]+)(?:[?#]|$)/i.exec(url)?.[1]?.toLowerCase();
+  return { png: "image/png", webp: "image/webp", gif: "image/gif" }[ext] || "image/jpeg";
+}
+
+function toGeminiParts(content) {
+  return toContentParts(content).map((part) => {
+    if (part.type === "text") return { text: part.text };
+    const inline = parseDataUrl(part.url);
+    if (inline) return { inlineData: inline };
+    return { fileData: { mimeType: guessMimeType(part.url), fileUri: part.url } };
+  });
+}
+
+function buildRequestBody(params) {
+  const systemParts = [];
+  const contents = [];
+  (params.messages || []).forEach((message) => {
+    const parts = toGeminiParts(message?.content);
+    if (parts.length === 0) return;
+    if (message.role === "system") {
+      systemParts.push(...parts);
+      return;
+    }
+    const role = message.role === "assistant" ? "model" : "user";
+    const last = contents[contents.length - 1];
+    if (last?.role === role) last.parts.push(...parts);
+    else contents.push({ role, parts });
+  });
+
+  const generationConfig = {
+    temperature: params.temperature,
+    topP: params.top_p,
+    maxOutputTokens: params.max_tokens,
+    candidateCount: params.n,
+    seed: params.seed,
+    presencePenalty: params.presence_penalty,
+    frequencyPenalty: params.frequency_penalty,
+    stopSequences: params.stop === undefined ? undefined : [].concat(params.stop),
+    responseMimeType: params.response_format?.type === "json_object" ? "application/json" : undefined
+  };
+  Object.keys(generationConfig).forEach((key) => {
+    if (generationConfig[key] === undefined) delete generationConfig[key];
+  });
+
+  return {
+    contents,
+    ...(systemParts.length ? { systemInstruction: { parts: systemParts } } : {}),
+    generationConfig
+  };
+}
+
+// 思考模型会返回 thought 部分，只保留最终文本
+function readCandidateText(candidate) {
+  return (candidate?.content?.parts || [])
+    .filter((part) => typeof part?.text === "string" && !part.thought)
+    .map((part) => part.text)
+    .join("");
+}
+
+function readUsage(data) {
+  const usage = data?.usageMetadata;
+  return usage ? toUsage(usage.promptTokenCount, usage.candidatesTokenCount) : null;
+}
+
+export function createGeminiProvider({ apiKey, baseURL }) {
+  const root = trimBaseURL(baseURL, "https://generativelanguage.googleapis.com/v1beta");
+
+  const post = async (params, action, signal) => {
+    const response = await fetch(`${root}/models/${encodeURIComponent(params.model)}:${action}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-goog-api-key": apiKey },
+      body: JSON.stringify(buildRequestBody(params)),
+      signal
+    });
+    return assertOk("gemini", response);
+  };
+
+  return {
+    name: "gemini",
+
+    async complete(params, { signal } = {}) {
+      const data = await (await post(params, "generateContent", signal)).json();
+      const candidate = data?.candidates?.[0];
+      if (!candidate) {
+        throw providerError("gemini", 502, data?.promptFeedback?.blockReason
+          ? `gemini 拒绝了请求：${data.promptFeedback.blockReason}`
+          : "gemini 未返回候选结果");
+      }
+      return toChatCompletion({
+        model: params.model,
+        content: readCandidateText(candidate),
+        finishReason: FINISH_REASONS[candidate.finishReason] || "stop",
+        usage: readUsage(data)
+      });
+    },
+
+    async *stream(params, { signal } = {}) {
+      const response = await post(params, "streamGenerateContent?alt=sse", signal);
+      for await (const { data } of readSseEvents(response)) {
+        const candidate = data?.candidates?.[0];
+        const finishReason = candidate?.finishReason ? FINISH_REASONS[candidate.finishReason] || "stop" : null;
+        yield toChatChunk({
+          model: params.model,
+          content: readCandidateText(candidate),
+          finishReason,
+          usage: finishReason ? readUsage(data) : null
+        });
+      }
+    }
+  };
+}
@@ -0,0 +1,179 @@
+import { createAnthropicProvider } from "./anthropic.js";
+import { createGeminiProvider } from "./gemini.js";
+import { applyLlmMode } from "./llm-mode.js";
+import { createOllamaProvider } from "./ollama.js";
+import { createOpenAIProvider } from "./openai.js";
+
+export { normalizeOpenAIBaseURL } from "./openai.js";
+
+// 模型服务适配层：对外暴露与 OpenAI SDK 相同的 chat.completions.create，
+// 按 LLM_PROVIDER_CHAIN 依次尝试各个服务，前一个不可用时回退到下一个。
+//
+// 环境变量：
+//   LLM_MODE             live（默认）/ record / replay / mock
+//   LLM_PROVIDER_CHAIN   逗号分隔，默认 "openai"，例如 "openai,gemini,ollama"
+//   OPENAI_API_KEY / OPENAI_BASE_URL
+//   GEMINI_API_KEY / GEMINI_BASE_URL / GEMINI_MODEL
+//   ANTHROPIC_API_KEY / ANTHROPIC_BASE_URL / ANTHROPIC_MODEL
+//   OLLAMA_BASE_URL / OLLAMA_MODEL
+// *_MODEL 用于覆盖策略选出的模型名（各家模型命名不同，回退时通常需要指定）。
+
+const PROVIDERS = {
+  openai: {
+    create: (env) => createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL }),
+    isConfigured: (env) => Boolean(env.OPENAI_API_KEY)
+  },
+  gemini: {
+    create: (env) => createGeminiProvider({ apiKey: env.GEMINI_API_KEY, baseURL: env.GEMINI_BASE_URL }),
+    isConfigured: (env) => Boolean(env.GEMINI_API_KEY),
+    modelKey: "GEMINI_MODEL"
+  },
+  anthropic: {
+    create: (env) => createAnthropicProvider({ apiKey: env.ANTHROPIC_API_KEY, baseURL: env.ANTHROPIC_BASE_URL }),
+    isConfigured: (env) => Boolean(env.ANTHROPIC_API_KEY),
+    modelKey: "ANTHROPIC_MODEL"
+  },
+  ollama: {
+    create: (env) => createOllamaProvider({ baseURL: env.OLLAMA_BASE_URL }),
+    isConfigured: () => true,
+    modelKey: "OLLAMA_MODEL"
+  }
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+const FALLBACK_MESSAGE_PATTERN = /无可用渠道|no available channel|model.+(not found|does not exist|unavailable|overloaded)|overloaded|fetch failed|ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|socket hang up/i;
+
+function isAbortError(error) {
+  const name = String(error?.name || error?.constructor?.name || "");
+  return name === "AbortError" || name === "APIUserAbortError";
+}
+
+/** 网络错误、限流、5xx、鉴权失败、模型不存在时换下一个服务；参数错误等请求本身的问题不回退 */
+export function shouldFallbackToNextProvider(error) {
+  if (isAbortError(error)) return false;
+  const status = Number(error?.status);
+  if (!status) return true;
+  if (status === 429 || status >= 500) return true;
+  if ([401, 403, 404].includes(status)) return true;
+  return FALLBACK_MESSAGE_PATTERN.test(String(error?.message || ""));
+}
+
+export function readProviderChain(env = {}) {
+  const names = String(env.LLM_PROVIDER_CHAIN || "openai")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter((name) => !PROVIDERS[name]);
+  if (unknown.length > 0) {
+    const error = new Error(`LLM_PROVIDER_CHAIN 包含未知的服务：${unknown.join(", ")}（可选 ${PROVIDER_NAMES.join(", ")}）`);
+    error.status = 500;
+    throw error;
+  }
+
+  return [...new Set(names)].filter((name) => PROVIDERS[name].isConfigured(env));
+}
+
+function linkAbortSignal(signal, controller) {
+  if (!signal) return;
+  if (signal.aborted) controller.abort();
+  else signal.addEventListener("abort", () => controller.abort(), { once: true });
+}
+
+function tagError(error, provider) {
+  if (error && typeof error === "object" && !error.provider) error.provider = provider;
+  return error;
+}
+
+function createProviderChainClient(env) {
+  const chain = readProviderChain(env).map((name) => ({
+    name,
+    provider: PROVIDERS[name].create(env),
+    model: PROVIDERS[name].modelKey ? env[PROVIDERS[name].modelKey] : ""
+  }));
+
+  const withModel = (entry, params) => (entry.model ? { ...params, model: entry.model } : params);
+
+  const warnFallback = (entry, index, error) => {
+    const next = chain[index + 1];
+    if (next) console.warn(`模型服务 ${entry.name} 不可用，回退到 ${next.name}：${error?.message || error}`);
+  };
+
+  const assertConfigured = () => {
+    if (chain.length === 0) {
+      const error = new Error("未配置任何可用的模型服务");
+      error.status = 500;
+      throw error;
+    }
+  };
+
+  async function complete(params, { signal } = {}) {
+    assertConfigured();
+    let lastError;
+    for (const [index, entry] of chain.entries()) {
+      try {
+        return await entry.provider.complete(withModel(entry, params), { signal });
+      } catch (error) {
+        lastError = tagError(error, entry.name);
+        if (signal?.aborted || !shouldFallbackToNextProvider(error)) throw lastError;
+        warnFallback(entry, index, error);
+      }
+    }
+    throw lastError;
+  }
+
+  // 只有在拿到第一个 chunk 之前失败才回退，已经开始输出的流无法无缝切换
+  async function stream(params, { signal } = {}) {
+    assertConfigured();
+    const controller = new AbortController();
+    linkAbortSignal(signal, controller);
+
+    let lastError;
+    for (const [index, entry] of chain.entries()) {
+      const iterator = entry.provider.stream(withModel(entry, params), { signal: controller.signal });
+      try {
+        const first = await iterator.next();
+        async function* resume() {
+          try {
+            if (!first.done) yield first.value;
+            while (true) {
+              const { value, done } = await iterator.next();
+              if (done) return;
+              yield value;
+            }
+          } catch (error) {
+            throw tagError(error, entry.name);
+          } finally {
+            await iterator.return?.();
+          }
+        }
+        return Object.assign(resume(), { controller, provider: entry.name });
+      } catch (error) {
+        lastError = tagError(error, entry.name);
+        if (controller.signal.aborted || !shouldFallbackToNextProvider(error)) throw lastError;
+        warnFallback(entry, index, error);
+      }
+    }
+    throw lastError;
+  }
+
+  return {
+    providers: chain.map((entry) => entry.name),
+    chat: {
+      completions: {
+        create(params, options = {}) {
+          return params?.stream ? stream(params, options) : complete(params, options);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * 按 LLM_MODE（live / record / replay / mock，见 ./llm-mode.js）返回 client。
+ * fixtureStore 为录制存储，server.js 传入文件存储，Pages 缺省按 env 选择。
+ */
+export function createLlmClient(env = {}, { fixtureStore } = {}) {
+  return applyLlmMode(env, () => createProviderChainClient(env), { fixtureStore });
+}
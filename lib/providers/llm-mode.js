@@ -0,0 +1,173 @@
+import { buildCompletionFromStream, sha256Hex, stableStringify } from "../response-cache.js";
+import { createMockProvider, readMockOptions, streamFromCompletion } from "./mock.js";
+
+// LLM_MODE：离线开发与回归测试用的模型替身。
+//   live（默认） 正常请求模型服务
+//   record      正常请求，同时把 请求 → 响应 存为录制文件
+//   replay      不联网，按请求哈希返回录制的响应，找不到时报 404
+//   mock        不联网，返回结构合法的模拟数据，见 ./mock.js
+// 录制存储：server.js 写入 LLM_FIXTURES_DIR（默认 .data/llm-fixtures）；Pages 绑定 LLM_FIXTURES_KV，未绑定时仅存于内存。
+
+export const LLM_MODES = ["live", "record", "replay", "mock"];
+
+const FIXTURE_KEY_PREFIX = "fixture:";
+
+let sharedMemoryFixtureStore = null;
+
+export function readLlmMode(env = {}) {
+  const mode = String(env.LLM_MODE || "live").trim().toLowerCase();
+  if (!LLM_MODES.includes(mode)) {
+    const error = new Error(`LLM_MODE 只能是 ${LLM_MODES.join(" / ")}`);
+    error.status = 500;
+    throw error;
+  }
+  return mode;
+}
+
+/** 与响应缓存相同的请求哈希：模型、消息（含图片 data URL）、response_format、temperature */
+export async function createFixtureKey({ model, messages, response_format, temperature }) {
+  return sha256Hex(stableStringify({ model, messages, response_format, temperature }));
+}
+
+// 录制文件里的请求只用于人工查看，图片 data URL 替换为长度说明，避免文件过大
+function summarizeRequest(params) {
+  return JSON.parse(JSON.stringify({
+    model: params.model,
+    messages: params.messages,
+    response_format: params.response_format,
+    temperature: params.temperature
+  }, (key, value) => (typeof value === "string" && value.startsWith("data:") && value.length > 256
+    ? `${value.slice(0, value.indexOf(",") + 1)}…(${value.length} chars)`
+    : value)));
+}
+
+export function createMemoryFixtureStore() {
+  const fixtures = new Map();
+  return {
+    async get(key) {
+      return fixtures.get(key) || null;
+    },
+    async put(key, fixture) {
+      fixtures.set(key, fixture);
+    }
+  };
+}
+
+export function createKvFixtureStore(kv) {
+  return {
+    async get(key) {
+      return kv.get(`${FIXTURE_KEY_PREFIX}${key}`, { type: "json" });
+    },
+    async put(key, fixture) {
+      await kv.put(`${FIXTURE_KEY_PREFIX}${key}`, JSON.stringify(fixture));
+    }
+  };
+}
+
+export function getFixtureStore(env = {}) {
+  if (env.LLM_FIXTURES_KV) return createKvFixtureStore(env.LLM_FIXTURES_KV);
+  sharedMemoryFixtureStore ||= createMemoryFixtureStore();
+  return sharedMemoryFixtureStore;
+}
+
+function withStreamShape(iterable, provider) {
+  return Object.assign(iterable, { controller: new AbortController(), provider });
+}
+
+function createReplayClient(store) {
+  const complete = async (params) => {
+    const key = await createFixtureKey(params);
+    const fixture = await store.get(key);
+    if (!fixture?.response) {
+      const error = new Error(`回放模式下没有找到对应的录制（${key}），请先用 LLM_MODE=record 录制`);
+      error.status = 404;
+      throw error;
+    }
+    return fixture.response;
+  };
+
+  return {
+    providers: ["replay"],
+    chat: {
+      completions: {
+        async create(params) {
+          const completion = await complete(params);
+          return params?.stream ? withStreamShape(streamFromCompletion(completion), "replay") : completion;
+        }
+      }
+    }
+  };
+}
+
+function createRecordingClient(client, store) {
+  const save = async (params, response) => {
+    try {
+      const key = await createFixtureKey(params);
+      await store.put(key, { key, recorded_at: new Date().toISOString(), request: summarizeRequest(params), response });
+    } catch (error) {
+      console.warn("LLM 录制写入失败：", error?.message);
+    }
+  };
+
+  return {
+    providers: client.providers,
+    chat: {
+      completions: {
+        async create(params, options = {}) {
+          if (!params?.stream) {
+            const completion = await client.chat.completions.create(params, options);
+            await save(params, completion);
+            return completion;
+          }
+
+          // 流式：边转发边累积，完整结束后按非流式格式录制
+          const stream = await client.chat.completions.create(params, options);
+          async function* record() {
+            let content = "";
+            let finishReason = null;
+            let usage = null;
+            for await (const chunk of stream) {
+              const choice = chunk?.choices?.[0];
+              content += choice?.delta?.content || "";
+              if (choice?.finish_reason) finishReason = choice.finish_reason;
+              if (chunk?.usage) usage = chunk.usage;
+              yield chunk;
+            }
+            await save(params, buildCompletionFromStream({ model: params.model, content, finishReason, usage }));
+          }
+          return Object.assign(record(), { controller: stream.controller, provider: stream.provider });
+        }
+      }
+    }
+  };
+}
+
+function createMockClient(options) {
+  const provider = createMockProvider(options);
+  return {
+    providers: ["mock"],
+    chat: {
+      completions: {
+        async create(params) {
+          return params?.stream
+            ? withStreamShape(provider.stream(params), "mock")
+            : provider.complete(params);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * 按 LLM_MODE 返回 client；fixtureStore 缺省时按 getFixtureStore(env) 选择。
+ * createLiveClient 只在 live / record 模式下调用，replay / mock 模式不需要任何模型服务配置。
+ * 命中响应缓存的请求不会经过 client，录制前可用 Cache-Control: no-cache 绕过缓存。
+ */
+export function applyLlmMode(env, createLiveClient, { fixtureStore } = {}) {
+  const mode = readLlmMode(env);
+  if (mode === "mock") return createMockClient(readMockOptions(env));
+  if (mode === "replay") return createReplayClient(fixtureStore || getFixtureStore(env));
+  const client = createLiveClient();
+  if (mode === "record") return createRecordingClient(client, fixtureStore || getFixtureStore(env));
+  return client;
+}
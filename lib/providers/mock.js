@@ -0,0 +1,180 @@
+import { toChatChunk, toChatCompletion, toContentParts, toUsage } from "./shared.js";
+
+// LLM_MODE=mock：不联网，按提示词识别请求类型，返回结构合法的模拟数据（分析 / 变式题 / 审计 / SVG）。
+// LLM_MOCK_MALFORMED=1|all|analysis,variation,audit,svg 时，对应请求先返回损坏的 JSON，用于演练修复流程。
+
+const MOCK_MODEL = "mock";
+const MALFORMED_PREFIX = "（模拟的损坏输出，用于演练修复流程）";
+
+function readPromptText(params) {
+  return (params?.messages || [])
+    .flatMap((message) => toContentParts(message?.content))
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+// 确定性的短哈希，让同一请求得到同样的模拟结果、不同请求的题干互不重复
+function shortHash(text) {
+  let hash = 2166136261;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function buildMockSvg(label) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="240" height="160" viewBox="0 0 240 160">` +
+    `<polygon points="40,130 200,130 120,30" fill="none" stroke="#1d4ed8" stroke-width="2"/>` +
+    `<text x="34" y="148" font-size="14">A</text><text x="200" y="148" font-size="14">B</text>` +
+    `<text x="116" y="24" font-size="14">C</text>` +
+    `<text x="8" y="16" font-size="11" fill="#64748b">${label}</text></svg>`;
+}
+
+function classifyPrompt(text) {
+  const isRepair = /严格的JSON修复器|一行严格JSON/.test(text);
+  // 修复请求里只有结构提示和原文，按结构提示判断原请求类型
+  const schema = isRepair ? (/(?:结构提示|字段结构提示)：([^\n]*)/.exec(text)?.[1] || "") : text;
+  let kind = "generic";
+  if (/trap_analysis|knowledge_point/.test(schema)) kind = "analysis";
+  else if (/corrected_svg/.test(schema)) kind = /"items"|items\[/.test(schema) ? "audit" : "svg_audit";
+  else if (/"question"|question,answer/.test(schema)) kind = "variation";
+  else if (/学科图形渲染适配器|"svg"\s*:|\bsvg\b/.test(schema)) kind = "svg";
+  return { isRepair, kind };
+}
+
+function buildAnalysis() {
+  return {
+    subject: "初中数学",
+    knowledge_point: "一元二次方程的根与系数关系",
+    trap_analysis: "（模拟）忽略判别式 Δ≥0 的前提，直接套用韦达定理。",
+    has_graphics: false,
+    problem_summary: "（模拟）已知方程 x²-5x+6=0，求两根之和与两根之积。",
+    graphic_constraints: "",
+    sub_questions: ["（1）求两根之和", "（2）求两根之积"]
+  };
+}
+
+function buildVariationItems(text) {
+  const count = Math.max(1, Math.min(10, Number(/(?:生成|补齐) (\d+) 题/.exec(text)?.[1]) || 1));
+  const typeName = /类型：([^\n]+)/.exec(text)?.[1]?.trim() || "变式";
+  const withSvg = /需要SVG/.test(text) && !/不需要SVG/.test(text);
+  const seed = shortHash(text);
+  return Array.from({ length: count }, (_, index) => {
+    const tag = `${seed}-${index + 1}`;
+    return {
+      question: `（模拟·${typeName}·${tag}）已知方程 $x^2-${index + 5}x+${index + 6}=0$，（1）判断根的情况；（2）求两根之和。`,
+      answer: `（1）有两个实数根；（2）两根之和为 ${index + 5}`,
+      solution: `由 $\\Delta=(${index + 5})^2-4\\times${index + 6}\\ge0$ 知有实根，再由韦达定理 $x_1+x_2=${index + 5}$。`,
+      ...(withSvg ? { svg: buildMockSvg(`mock ${tag}`) } : {})
+    };
+  });
+}
+
+// 审计请求会附带待审计题目数组，原样返回其中的 svg
+function buildAuditItems(text) {
+  const marker = "输入题目数组（JSON）：";
+  const start = text.indexOf(marker);
+  let rows = [];
+  if (start !== -1) {
+    const rest = text.slice(start + marker.length);
+    const end = rest.indexOf("\n输出格式");
+    try {
+      rows = JSON.parse((end === -1 ? rest : rest.slice(0, end)).trim());
+    } catch {
+      rows = [];
+    }
+  }
+  return (Array.isArray(rows) ? rows : []).map((row, index) => ({
+    index: Number.isFinite(Number(row?.index)) ? Number(row.index) : index,
+    is_valid: true,
+    violations: [],
+    corrected_svg: row?.svg || buildMockSvg("mock audit")
+  }));
+}
+
+// 损坏方式可逆：花括号换成 ⟦⟧，宽松解析找不到 JSON 必然走修复请求，修复时再换回来
+function corrupt(content) {
+  return `${MALFORMED_PREFIX}${content.replace(/\{/g, "⟦").replace(/\}/g, "⟧")}`;
+}
+
+function restoreCorrupted(text) {
+  const start = text.lastIndexOf(MALFORMED_PREFIX);
+  if (start === -1) return "";
+  return text.slice(start + MALFORMED_PREFIX.length).trim().replace(/⟦/g, "{").replace(/⟧/g, "}");
+}
+
+export function buildMockContent(params, { malformed = [] } = {}) {
+  const text = readPromptText(params);
+  const { isRepair, kind } = classifyPrompt(text);
+  const wantsJson = params?.response_format?.type === "json_object" || isRepair;
+
+  if (isRepair) {
+    const restored = restoreCorrupted(text);
+    if (restored) return restored;
+  }
+  const content = buildContent(kind, text, wantsJson);
+  const shouldCorrupt = malformed.includes("all") || malformed.includes(kind === "svg_audit" ? "svg" : kind);
+  return !isRepair && shouldCorrupt && content.startsWith("{") ? corrupt(content) : content;
+}
+
+function buildContent(kind, text, wantsJson) {
+  switch (kind) {
+    case "analysis":
+      return JSON.stringify(buildAnalysis());
+    case "variation":
+      return JSON.stringify({ items: buildVariationItems(text) });
+    case "audit":
+      return JSON.stringify({ items: buildAuditItems(text) });
+    case "svg_audit":
+      return JSON.stringify({ is_valid: true, violations: [], corrected_svg: buildMockSvg("mock render") });
+    case "svg":
+      return JSON.stringify({ svg: buildMockSvg("mock render"), renderer: "mock-svg-renderer", notes: "LLM_MODE=mock 生成的模拟图" });
+    default:
+      return wantsJson ? JSON.stringify({ mock: true }) : "（模拟回复）";
+  }
+}
+
+export function readMockOptions(env = {}) {
+  const raw = String(env.LLM_MOCK_MALFORMED || "").trim().toLowerCase();
+  const malformed = /^(1|true|on|yes|all)$/.test(raw)
+    ? ["all"]
+    : raw.split(",").map((item) => item.trim()).filter(Boolean);
+  return { malformed };
+}
+
+/** 把完整 completion 切成几段 chunk，模拟流式输出 */
+export async function* streamFromCompletion(completion) {
+  const choice = completion?.choices?.[0];
+  const content = choice?.message?.content ?? "";
+  const size = Math.max(16, Math.ceil(content.length / 4));
+  for (let offset = 0; offset < content.length; offset += size) {
+    yield toChatChunk({ model: completion.model, content: content.slice(offset, offset + size) });
+  }
+  yield toChatChunk({
+    model: completion.model,
+    finishReason: choice?.finish_reason || "stop",
+    usage: completion.usage || null
+  });
+}
+
+export function createMockProvider(options = {}) {
+  const complete = async (params) => {
+    const content = buildMockContent(params, options);
+    return toChatCompletion({
+      model: params?.model || MOCK_MODEL,
+      content,
+      finishReason: "stop",
+      usage: toUsage(readPromptText(params).length, content.length)
+    });
+  };
+
+  return {
+    name: "mock",
+    complete,
+    async *stream(params) {
+      yield* streamFromCompletion(await complete(params));
+    }
+  };
+}
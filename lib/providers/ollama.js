@@ -0,0 +1,97 @@
+import {
+  assertOk,
+  parseDataUrl,
+  providerError,
+  readJsonLines,
+  toChatChunk,
+  toChatCompletion,
+  toContentParts,
+  toUsage,
+  trimBaseURL
+} from "./shared.js";
+
+// Ollama 原生 /api/chat（本地模型无需密钥）
+
+function toOllamaMessage(message) {
+  const parts = toContentParts(message?.content);
+  const images = parts
+    .filter((part) => part.type === "image")
+    .map((part) => {
+      const inline = parseDataUrl(part.url);
+      if (!inline) throw providerError("ollama", 400, "ollama 仅支持 data URL 形式的图片");
+      return inline.data;
+    });
+  return {
+    role: ["system", "assistant"].includes(message?.role) ? message.role : "user",
+    content: parts.filter((part) => part.type === "text").map((part) => part.text).join("\n"),
+    ...(images.length ? { images } : {})
+  };
+}
+
+function buildRequestBody(params, stream) {
+  const options = {
+    temperature: params.temperature,
+    top_p: params.top_p,
+    num_predict: params.max_tokens,
+    seed: params.seed,
+    presence_penalty: params.presence_penalty,
+    frequency_penalty: params.frequency_penalty,
+    stop: params.stop === undefined ? undefined : [].concat(params.stop)
+  };
+  Object.keys(options).forEach((key) => {
+    if (options[key] === undefined) delete options[key];
+  });
+
+  return {
+    model: params.model,
+    messages: (params.messages || []).map(toOllamaMessage),
+    stream,
+    ...(params.response_format?.type === "json_object" ? { format: "json" } : {}),
+    options
+  };
+}
+
+function readFinishReason(data) {
+  return data?.done_reason === "length" ? "length" : "stop";
+}
+
+export function createOllamaProvider({ baseURL }) {
+  const root = trimBaseURL(baseURL, "http://127.0.0.1:11434");
+
+  const post = async (body, signal) => {
+    const response = await fetch(`${root}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal
+    });
+    return assertOk("ollama", response);
+  };
+
+  return {
+    name: "ollama",
+
+    async complete(params, { signal } = {}) {
+      const data = await (await post(buildRequestBody(params, false), signal)).json();
+      return toChatCompletion({
+        model: params.model,
+        content: data?.message?.content || "",
+        finishReason: readFinishReason(data),
+        usage: toUsage(data?.prompt_eval_count, data?.eval_count)
+      });
+    },
+
+    async *stream(params, { signal } = {}) {
+      const response = await post(buildRequestBody(params, true), signal);
+      for await (const data of readJsonLines(response)) {
+        if (data?.error) throw providerError("ollama", 502, `ollama 流式响应中断：${data.error}`);
+        yield toChatChunk({
+          model: params.model,
+          content: data?.message?.content || "",
+          finishReason: data?.done ? readFinishReason(data) : null,
+          usage: data?.done ? toUsage(data.prompt_eval_count, data.eval_count) : null
+        });
+      }
+    }
+  };
+}
@@ -0,0 +1,35 @@
+import OpenAI from "openai";
+import { trimBaseURL } from "./shared.js";
+
+// OpenAI 及各类 OpenAI 兼容服务（中转、llama.cpp server、vLLM 等）
+
+export function normalizeOpenAIBaseURL(rawBaseURL) {
+  const normalized = trimBaseURL(rawBaseURL, "https://api.openai.com/v1");
+  const completionsSuffix = "/chat/completions";
+  if (normalized.endsWith(completionsSuffix)) {
+    return normalized.slice(0, -completionsSuffix.length);
+  }
+  return normalized;
+}
+
+export function createOpenAIProvider({ apiKey, baseURL }) {
+  const client = new OpenAI({
+    apiKey,
+    baseURL: normalizeOpenAIBaseURL(baseURL)
+  });
+
+  return {
+    name: "openai",
+
+    complete(params, { signal } = {}) {
+      return client.chat.completions.create({ ...params, stream: false }, { signal });
+    },
+
+    async *stream(params, { signal } = {}) {
+      const stream = await client.chat.completions.create({ ...params, stream: true }, { signal });
+      for await (const chunk of stream) {
+        yield chunk;
+      }
+    }
+  };
+}
@@ -0,0 +1,138 @@
+// 各模型服务适配器共用的工具：统一错误、OpenAI 格式的 completion/chunk、流式响应解析。
+
+export function providerError(provider, status, message) {
+  const error = new Error(message || `${provider} 请求失败`);
+  error.status = status;
+  error.provider = provider;
+  return error;
+}
+
+export function trimBaseURL(rawBaseURL, fallback) {
+  return String(rawBaseURL || fallback).trim().replace(/\/+$/, "");
+}
+
+/** 非 2xx 响应统一转成带 status 的错误，尽量取出服务端返回的错误信息 */
+export async function assertOk(provider, response) {
+  if (response.ok) return response;
+  let message = "";
+  try {
+    const text = await response.text();
+    try {
+      const data = JSON.parse(text);
+      message = data?.error?.message || data?.error || data?.message || text;
+    } catch {
+      message = text;
+    }
+  } catch {
+    message = "";
+  }
+  throw providerError(provider, response.status, `${provider} 请求失败(${response.status})：${String(message).slice(0, 300)}`);
+}
+
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,([\s\S]*)$/i.exec(String(url || "").trim());
+  if (!match) return null;
+  return { mimeType: match[1].toLowerCase(), data: match[2] };
+}
+
+/** content 可能是字符串，也可能是 OpenAI 的 [{type:"text"}, {type:"image_url"}] 数组 */
+export function toContentParts(content) {
+  if (typeof content === "string") return [{ type: "text", text: content }];
+  if (!Array.isArray(content)) return [];
+  return content
+    .map((part) => {
+      if (part?.type === "text") return { type: "text", text: String(part.text || "") };
+      if (part?.type === "image_url") return { type: "image", url: String(part.image_url?.url || "") };
+      return null;
+    })
+    .filter(Boolean);
+}
+
+export function toChatCompletion({ model, content, finishReason, usage }) {
+  return {
+    id: `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: { role: "assistant", content },
+      finish_reason: finishReason
+    }],
+    usage: usage || null
+  };
+}
+
+export function toChatChunk({ model, content = "", finishReason = null, usage = null }) {
+  return {
+    object: "chat.completion.chunk",
+    model,
+    choices: [{ index: 0, delta: content ? { content } : {}, finish_reason: finishReason }],
+    ...(usage ? { usage } : {})
+  };
+}
+
+export function toUsage(promptTokens, completionTokens) {
+  if (promptTokens === undefined && completionTokens === undefined) return null;
+  const prompt = Number(promptTokens) || 0;
+  const completion = Number(completionTokens) || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+async function* readLines(response, separator) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  let finished = false;
+  try {
+    while (!finished) {
+      const { value, done } = await reader.read();
+      finished = done;
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+      const blocks = buffer.split(separator);
+      buffer = done ? "" : blocks.pop();
+      for (const block of blocks) {
+        if (block.trim()) yield block;
+      }
+    }
+  } finally {
+    // 调用方提前结束（中止、异常）时释放上游连接
+    if (!finished) reader.cancel().catch(() => {});
+  }
+}
+
+/** 解析 SSE：逐个产出 { event, data }，data 已按 JSON 解析 */
+export async function* readSseEvents(response) {
+  for await (const block of readLines(response, /\r?\n\r?\n/)) {
+    let event = "message";
+    const dataLines = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) dataLines.push(line.slice(5).replace(/^ /, ""));
+    });
+    const data = dataLines.join("\n");
+    if (!data || data === "[DONE]") continue;
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      // 忽略无法解析的心跳或注释行
+      continue;
+    }
+    yield { event, data: parsed };
+  }
+}
+
+/** 解析换行分隔的 JSON（Ollama 的流式格式） */
+export async function* readJsonLines(response) {
+  for await (const line of readLines(response, /\r?\n/)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch {
+      // 忽略不完整的行
+      continue;
+    }
+    yield parsed;
+  }
+}
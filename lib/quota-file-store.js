@@ -0,0 +1,58 @@
+import fs from "fs/promises";
+import path from "path";
+import { createMapQuotaStore } from "./quota.js";
+
+// server.js 使用的额度账户存储：读入内存后按 createMapQuotaStore 读写，变更后合并写入 quota.json（写临时文件再 rename）。
+
+const FLUSH_DELAY_MS = 500;
+
+export function createFileQuotaStore({ dataDir }) {
+  const file = path.join(dataDir, "quota.json");
+  let accounts = null;
+  let flushTimer = null;
+  let writeChain = Promise.resolve();
+
+  let loading = null;
+
+  // 并发的首批请求共用同一次读取，避免各自建出不同的账户表
+  function load() {
+    loading ||= fs.readFile(file, "utf8")
+      .then((text) => {
+        const parsed = JSON.parse(text);
+        return new Map((Array.isArray(parsed?.accounts) ? parsed.accounts : []).map((item) => [item.id, item]));
+      })
+      .catch((error) => {
+        if (error?.code !== "ENOENT") {
+          loading = null;
+          throw error;
+        }
+        return new Map();
+      })
+      .then((map) => {
+        accounts = map;
+        return map;
+      });
+    return loading;
+  }
+
+  function flush() {
+    flushTimer = null;
+    writeChain = writeChain
+      .then(async () => {
+        await fs.mkdir(dataDir, { recursive: true });
+        const tmpFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify({ accounts: [...accounts.values()] }, null, 2), "utf8");
+        await fs.rename(tmpFile, file);
+      })
+      .catch((error) => console.warn("额度数据写入失败：", error?.message));
+  }
+
+  // 合并短时间内的多次扣点再落盘
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+    flushTimer.unref?.();
+  }
+
+  return createMapQuotaStore({ load, onChange: scheduleFlush });
+}
@@ -0,0 +1,449 @@
+import { INITIAL_BATCH_PLAN, VARIATION_TYPES } from "./analysis-pipeline.js";
+
+// 服务端额度与限流（server.js 与 functions/api/* 共用）：
+// 带 API Token 的请求按 Token 记账（Token 需由管理员充值创建），其余按客户端 IP 记账。
+// 限流默认开启；点数计费需显式开启，否则同一出口 IP 后的整个班级很快就会用完一次性的初始点数。
+// 环境变量：
+//   CREDITS_ENABLED=1           开启点数计费（默认关闭，只限流）
+//   CREDITS_INITIAL             新 IP 账户的一次性初始点数（默认 50，不会自动补充，由管理员充值）
+//   CREDIT_COSTS                各 stage 的点数，JSON，如 {"analysis":2,"variation":1}
+//   RATE_LIMIT_MAX / RATE_LIMIT_WINDOW_SECONDS  每个账户每个窗口的请求数（默认 60 秒 30 次，任一为 0 即不限流）
+//   ADMIN_TOKEN                 管理接口 /api/admin/credits 的令牌，未配置时管理接口关闭
+// Pages 上优先绑定 D1（QUOTA_DB）：扣点与限流计数都是单条 SQL 原子完成；只绑定 KV（QUOTA_KV）时
+// 限流在 Worker 实例内存中进行，KV 只在点数变化时写入（KV 无原子操作，并发扣点可能丢失更新）。
+
+const DEFAULT_STAGE_COSTS = {
+  analysis: 2,
+  variation: 1,
+  variation_fill: 1,
+  repair: 0,
+  audit: 0,
+  render: 0,
+  default: 1
+};
+const DEFAULT_INITIAL_CREDITS = 50;
+const DEFAULT_RATE_LIMIT_MAX = 30;
+const DEFAULT_RATE_LIMIT_WINDOW_SECONDS = 60;
+const ACCOUNT_KEY_PREFIX = "quota:";
+
+function quotaError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function readNonNegativeNumber(value, fallback) {
+  if (value === undefined || value === null || String(value).trim() === "") return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function readStageCosts(raw) {
+  if (!raw) return { ...DEFAULT_STAGE_COSTS };
+  try {
+    const parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+    const costs = { ...DEFAULT_STAGE_COSTS };
+    Object.entries(parsed || {}).forEach(([stage, cost]) => {
+      costs[stage] = readNonNegativeNumber(cost, costs[stage] ?? DEFAULT_STAGE_COSTS.default);
+    });
+    return costs;
+  } catch {
+    console.warn("CREDIT_COSTS 不是合法 JSON，已使用默认点数");
+    return { ...DEFAULT_STAGE_COSTS };
+  }
+}
+
+export function readQuotaOptions(env = {}) {
+  return {
+    creditsEnabled: /^(1|true|on|yes)$/i.test(String(env.CREDITS_ENABLED || "").trim()),
+    initialCredits: readNonNegativeNumber(env.CREDITS_INITIAL, DEFAULT_INITIAL_CREDITS),
+    costs: readStageCosts(env.CREDIT_COSTS),
+    rateLimitMax: readNonNegativeNumber(env.RATE_LIMIT_MAX, DEFAULT_RATE_LIMIT_MAX),
+    rateLimitWindowMs: readNonNegativeNumber(env.RATE_LIMIT_WINDOW_SECONDS, DEFAULT_RATE_LIMIT_WINDOW_SECONDS) * 1000,
+    adminToken: String(env.ADMIN_TOKEN || "").trim()
+  };
+}
+
+function hasImageContent(messages) {
+  return Array.isArray(messages) && messages.some((message) => (
+    Array.isArray(message?.content) && message.content.some((part) => part?.type === "image_url")
+  ));
+}
+
+/** 带图片的请求一律按 analysis 计费，避免客户端把识图请求标成免费阶段 */
+export function resolveBillingStage({ stage, messages }) {
+  if (hasImageContent(messages)) return "analysis";
+  const normalized = String(stage || "").trim().toLowerCase();
+  return normalized || "default";
+}
+
+export function getStageCost(options, stage) {
+  return options.costs[stage] ?? options.costs.default;
+}
+
+/** 一个分析任务包含一次分析和三类变式的全部批次，提交时一次性扣除 */
+export function getJobCost(options) {
+  return getStageCost(options, "analysis")
+    + getStageCost(options, "variation") * VARIATION_TYPES.length * INITIAL_BATCH_PLAN.length;
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+export async function getTokenAccountId(token) {
+  return `token:${(await sha256Hex(String(token).trim())).slice(0, 32)}`;
+}
+
+/** authorization 为 Authorization 请求头，apiToken 为 X-Api-Token 请求头 */
+export async function resolveQuotaIdentity({ authorization, apiToken, ip }) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(String(authorization || "").trim())?.[1];
+  const token = String(apiToken || bearer || "").trim();
+  if (token) {
+    return { id: await getTokenAccountId(token), isToken: true };
+  }
+  return { id: `ip:${String(ip || "unknown").trim()}`, isToken: false };
+}
+
+/** 标准 Request：客户端 IP 默认取 Cloudflare 写入的 CF-Connecting-IP，其他平台由调用方传入 */
+export function resolveFetchIdentity(request, ip = request.headers.get("CF-Connecting-IP")) {
+  return resolveQuotaIdentity({
+    authorization: request.headers.get("Authorization"),
+    apiToken: request.headers.get("X-Api-Token"),
+    ip
+  });
+}
+
+export function toPublicAccount(account) {
+  return {
+    id: account.id,
+    balance: account.balance,
+    spent: account.spent,
+    created_at: account.created_at,
+    updated_at: account.updated_at
+  };
+}
+
+/** 未开启计费时 balance 为 null，不返回余额头 */
+export function creditHeaders(billing) {
+  return billing?.balance === null || billing?.balance === undefined
+    ? {}
+    : { "X-Credits-Remaining": String(billing.balance) };
+}
+
+function createAccount(id, balance) {
+  const now = new Date().toISOString();
+  return { id, balance, spent: 0, created_at: now, updated_at: now };
+}
+
+/**
+ * store 负责账户余额，各方法自身保证原子性：
+ *   get(id) / list()
+ *   debit(id, amount, { initialBalance })  → { status: "ok" | "missing" | "insufficient", balance }；
+ *                                            initialBalance 为 null 时账户不存在即 missing，否则按该余额新建
+ *   credit(id, amount, { refund })          refund 时退回已扣点数（账户不存在则忽略），否则为充值（不存在则新建，余额不低于 0）
+ * limiter 负责限流：hit(id, { max, windowMs }) → { allowed, retryAfter }
+ */
+export function createQuota({ store, options, limiter = getSharedRateLimiter() }) {
+  return {
+    options,
+
+    /**
+     * 先做限流，再扣点数；未开启计费时只校验 Token 是否存在，不读写账户余额。
+     * 失败时抛出带 status 的错误：401 未知 Token、429 限流（附 retryAfter 秒数）、402 点数不足。
+     */
+    async charge({ id, isToken = false, cost = 0 }) {
+      // 窗口为 0 时 D1 计数的窗口编号会变成 Infinity，与次数为 0 一样视为不限流
+      if (options.rateLimitMax > 0 && options.rateLimitWindowMs > 0) {
+        const { allowed, retryAfter } = await limiter.hit(id, { max: options.rateLimitMax, windowMs: options.rateLimitWindowMs });
+        if (!allowed) throw quotaError(429, `请求过于频繁，请 ${retryAfter} 秒后再试`, { retryAfter });
+      }
+
+      if (!options.creditsEnabled) {
+        if (isToken && !(await store.get(id))) throw quotaError(401, "无效的 API Token");
+        return { id, charged: 0, balance: null };
+      }
+
+      const result = await store.debit(id, cost, { initialBalance: isToken ? null : options.initialCredits });
+      if (result.status === "missing") throw quotaError(401, "无效的 API Token");
+      if (result.status === "insufficient") {
+        throw quotaError(402, `额度不足：本次需要 ${cost} 点，剩余 ${result.balance} 点`, {
+          balance: result.balance
+        });
+      }
+      return { id, charged: cost, balance: result.balance };
+    },
+
+    /** 上游调用失败时退回已扣点数 */
+    async refund(id, amount) {
+      if (!amount) return;
+      await store.credit(id, amount, { refund: true });
+    },
+
+    async topUp(id, amount) {
+      const delta = Number(amount);
+      if (!Number.isFinite(delta) || delta === 0) {
+        throw quotaError(400, "amount 必须是非零数字");
+      }
+      return store.credit(id, delta);
+    },
+
+    async inspect(id) {
+      const account = await store.get(id);
+      if (!account) throw quotaError(404, "账户不存在");
+      return account;
+    },
+
+    list() {
+      return store.list();
+    }
+  };
+}
+
+/** 校验管理接口的 Authorization: Bearer <ADMIN_TOKEN>；未配置 ADMIN_TOKEN 时管理接口关闭 */
+export function assertAdmin(options, authorization) {
+  if (!options.adminToken) throw quotaError(404, "管理接口未启用");
+  const token = /^Bearer\s+(.+)$/i.exec(String(authorization || "").trim())?.[1];
+  if (token !== options.adminToken) throw quotaError(401, "管理员令牌无效");
+}
+
+/** 管理接口按 id 或 token 定位账户 */
+export async function resolveAdminAccountId({ id, token }) {
+  if (token) return getTokenAccountId(token);
+  const accountId = String(id || "").trim();
+  if (!accountId) throw quotaError(400, "需要提供 id 或 token");
+  return accountId;
+}
+
+/**
+ * 内存中的账户表：load 返回 Map（文件存储在这里读入），onChange 在账户变化后调用。
+ * 读入之后的每个操作都在同一轮同步代码里完成，不会与并发请求交错。
+ */
+export function createMapQuotaStore({ load = null, onChange = () => {} } = {}) {
+  const memory = new Map();
+  const accounts = load || (async () => memory);
+  return {
+    async get(id) {
+      return (await accounts()).get(id) || null;
+    },
+    async debit(id, amount, { initialBalance = null } = {}) {
+      const map = await accounts();
+      let account = map.get(id);
+      if (!account) {
+        if (initialBalance === null) return { status: "missing" };
+        account = createAccount(id, initialBalance);
+        map.set(id, account);
+        onChange();
+      }
+      if (amount > account.balance) return { status: "insufficient", balance: account.balance };
+      if (amount > 0) {
+        account.balance -= amount;
+        account.spent += amount;
+        account.updated_at = new Date().toISOString();
+        onChange();
+      }
+      return { status: "ok", balance: account.balance };
+    },
+    async credit(id, amount, { refund = false } = {}) {
+      const map = await accounts();
+      let account = map.get(id);
+      if (!account) {
+        if (refund) return null;
+        account = createAccount(id, 0);
+        map.set(id, account);
+      }
+      account.balance = refund ? account.balance + amount : Math.max(0, account.balance + amount);
+      if (refund) account.spent = Math.max(0, account.spent - amount);
+      account.updated_at = new Date().toISOString();
+      onChange();
+      return account;
+    },
+    async list() {
+      return [...(await accounts()).values()];
+    }
+  };
+}
+
+export function createMemoryQuotaStore() {
+  return createMapQuotaStore();
+}
+
+/** Pages KV：只在点数变化时写入；读改写不是原子的，需要准确计费时改用 D1 */
+export function createKvQuotaStore(kv) {
+  const key = (id) => `${ACCOUNT_KEY_PREFIX}${id}`;
+  const get = (id) => kv.get(key(id), { type: "json" });
+  const put = (account) => kv.put(key(account.id), JSON.stringify(account));
+  return {
+    get,
+    async debit(id, amount, { initialBalance = null } = {}) {
+      let account = await get(id);
+      const created = !account;
+      if (created) {
+        if (initialBalance === null) return { status: "missing" };
+        account = createAccount(id, initialBalance);
+      }
+      if (amount > account.balance) return { status: "insufficient", balance: account.balance };
+      if (amount > 0) {
+        account.balance -= amount;
+        account.spent += amount;
+        account.updated_at = new Date().toISOString();
+      }
+      if (created || amount > 0) await put(account);
+      return { status: "ok", balance: account.balance };
+    },
+    async credit(id, amount, { refund = false } = {}) {
+      let account = await get(id);
+      if (!account) {
+        if (refund) return null;
+        account = createAccount(id, 0);
+      }
+      account.balance = refund ? account.balance + amount : Math.max(0, account.balance + amount);
+      if (refund) account.spent = Math.max(0, account.spent - amount);
+      account.updated_at = new Date().toISOString();
+      await put(account);
+      return account;
+    },
+    async list() {
+      const accounts = [];
+      let cursor;
+      do {
+        const page = await kv.list({ prefix: ACCOUNT_KEY_PREFIX, cursor });
+        for (const item of page.keys) {
+          const account = await kv.get(item.name, { type: "json" });
+          if (account) accounts.push(account);
+        }
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor);
+      return accounts;
+    }
+  };
+}
+
+const D1_SCHEMA = [
+  "CREATE TABLE IF NOT EXISTS quota_accounts (id TEXT PRIMARY KEY, balance REAL NOT NULL, spent REAL NOT NULL DEFAULT 0, created_at TEXT NOT NULL, updated_at TEXT NOT NULL)",
+  "CREATE TABLE IF NOT EXISTS quota_hits (id TEXT NOT NULL, window INTEGER NOT NULL, count INTEGER NOT NULL, PRIMARY KEY (id, window))"
+];
+const d1SchemaReady = new WeakMap();
+
+// 每个 Worker 实例对同一个数据库只建一次表
+function ensureD1Schema(db) {
+  if (!d1SchemaReady.has(db)) {
+    d1SchemaReady.set(db, db.batch(D1_SCHEMA.map((sql) => db.prepare(sql))).catch((error) => {
+      d1SchemaReady.delete(db);
+      throw error;
+    }));
+  }
+  return d1SchemaReady.get(db);
+}
+
+/** Pages D1：扣点为带余额条件的单条 UPDATE，并发请求不会丢失更新或透支 */
+export function createD1QuotaStore(db) {
+  const run = async (sql, ...params) => {
+    await ensureD1Schema(db);
+    return db.prepare(sql).bind(...params);
+  };
+  return {
+    async get(id) {
+      return (await run("SELECT * FROM quota_accounts WHERE id = ?1", id)).first();
+    },
+    async debit(id, amount, { initialBalance = null } = {}) {
+      const now = new Date().toISOString();
+      if (initialBalance !== null) {
+        await (await run(
+          "INSERT INTO quota_accounts (id, balance, spent, created_at, updated_at) VALUES (?1, ?2, 0, ?3, ?3) ON CONFLICT(id) DO NOTHING",
+          id, initialBalance, now
+        )).run();
+      }
+      const updated = await (await run(
+        "UPDATE quota_accounts SET balance = balance - ?2, spent = spent + ?2, updated_at = ?3 WHERE id = ?1 AND balance >= ?2 RETURNING balance",
+        id, amount, now
+      )).first();
+      if (updated) return { status: "ok", balance: updated.balance };
+      const account = await this.get(id);
+      return account ? { status: "insufficient", balance: account.balance } : { status: "missing" };
+    },
+    async credit(id, amount, { refund = false } = {}) {
+      const now = new Date().toISOString();
+      if (refund) {
+        return (await run(
+          "UPDATE quota_accounts SET balance = balance + ?2, spent = MAX(0, spent - ?2), updated_at = ?3 WHERE id = ?1 RETURNING *",
+          id, amount, now
+        )).first();
+      }
+      return (await run(
+        "INSERT INTO quota_accounts (id, balance, spent, created_at, updated_at) VALUES (?1, MAX(0, ?2), 0, ?3, ?3) " +
+          "ON CONFLICT(id) DO UPDATE SET balance = MAX(0, balance + ?2), updated_at = ?3 RETURNING *",
+        id, amount, now
+      )).first();
+    },
+    async list() {
+      const { results } = await (await run("SELECT * FROM quota_accounts ORDER BY updated_at DESC")).all();
+      return results || [];
+    }
+  };
+}
+
+const MAX_TRACKED_CLIENTS = 10_000;
+
+/** 滑动窗口限流，记录在进程（Worker 实例）内存中 */
+export function createMemoryRateLimiter() {
+  const hitsById = new Map();
+  return {
+    async hit(id, { max, windowMs, now = Date.now() }) {
+      const hits = (hitsById.get(id) || []).filter((time) => now - time < windowMs);
+      if (hits.length >= max) {
+        hitsById.set(id, hits);
+        return { allowed: false, retryAfter: Math.max(1, Math.ceil((hits[0] + windowMs - now) / 1000)) };
+      }
+      hitsById.set(id, hits.concat(now));
+      // 客户端过多时清掉已过期的记录
+      if (hitsById.size > MAX_TRACKED_CLIENTS) {
+        hitsById.forEach((times, key) => {
+          if (times.every((time) => now - time >= windowMs)) hitsById.delete(key);
+        });
+      }
+      return { allowed: true };
+    }
+  };
+}
+
+/** D1 固定窗口计数：每次请求一条自增 UPSERT，窗口内的第一次请求顺带清掉该账户的旧窗口 */
+export function createD1RateLimiter(db) {
+  return {
+    async hit(id, { max, windowMs, now = Date.now() }) {
+      await ensureD1Schema(db);
+      const window = Math.floor(now / windowMs);
+      const row = await db.prepare(
+        "INSERT INTO quota_hits (id, window, count) VALUES (?1, ?2, 1) ON CONFLICT(id, window) DO UPDATE SET count = count + 1 RETURNING count"
+      ).bind(id, window).first();
+      if (row.count === 1) await db.prepare("DELETE FROM quota_hits WHERE id = ?1 AND window < ?2").bind(id, window).run();
+      if (row.count > max) {
+        return { allowed: false, retryAfter: Math.max(1, Math.ceil(((window + 1) * windowMs - now) / 1000)) };
+      }
+      return { allowed: true };
+    }
+  };
+}
+
+let sharedMemoryStore = null;
+let sharedRateLimiter = null;
+
+function getSharedRateLimiter() {
+  sharedRateLimiter ||= createMemoryRateLimiter();
+  return sharedRateLimiter;
+}
+
+/** Pages 使用：优先 D1（QUOTA_DB），其次 KV（QUOTA_KV），都没有时退化为单个 Worker 实例内的内存记账 */
+export function getQuota(env = {}) {
+  const options = readQuotaOptions(env);
+  if (env.QUOTA_DB) {
+    return createQuota({ store: createD1QuotaStore(env.QUOTA_DB), options, limiter: createD1RateLimiter(env.QUOTA_DB) });
+  }
+  if (env.QUOTA_KV) {
+    return createQuota({ store: createKvQuotaStore(env.QUOTA_KV), options });
+  }
+  sharedMemoryStore ||= createMemoryQuotaStore();
+  return createQuota({ store: sharedMemoryStore, options });
+}
@@ -0,0 +1,658 @@
+import { DiagramRenderer } from "../diagram-renderer.js";
+import { DIAGRAM_TYPES, normalizeDiagramSpec } from "./diagram-spec.js";
+import { buildGuaranteedDiagramSvg } from "./guaranteed-figure/index.js";
+import { resolveStructuredContent } from "./json-schemas.js";
+import { layoutSvgMathText } from "./math-label/svg-text.js";
+import { normalizePlotSpec, renderPlotSvg, translateMatplotlib } from "./plot/index.js";
+import { normalizeScientificLabel, sanitizeText } from "./scientific-text.js";
+import { renderSmilesSvg } from "./smiles/index.js";
+import { lintSvg } from "./svg-lint/index.js";
+import { sanitizeSvgDocument } from "./svg-sanitizer.js";
+import { MAX_TIKZ_LENGTH, renderTikzSvg } from "./tikz/index.js";
+
+// 题图渲染管线：结构化题图（DiagramRenderer）、内置 SMILES 渲染、内置 TikZ 子集渲染、声明式绘图（含 matplotlib 脚本转换）、AI SVG 渲染与审计、后端保证示意图。
+// 与平台无关，Express 与 Pages Functions 共用。
+
+// AI 渲染结果的审计轮数（render 阶段的 audit_rounds），0 表示不审计
+const DEFAULT_AUDIT_ROUNDS = 2;
+const MAX_AUDIT_ROUNDS = 5;
+
+// removed 传入数组时，追加清洗器删除的内容清单
+function sanitizeSvg(svgInput, removed = null) {
+  const result = sanitizeSvgDocument(svgInput);
+  if (removed) removed.push(...result.removed);
+  return result.svg;
+}
+
+function normalizeSvgTextNodes(svgInput, removed = null) {
+  const sanitized = sanitizeSvg(svgInput, removed);
+  if (!sanitized) return "";
+  // 含 LaTeX 的标注先按公式排版（与题干的 MathJax 一致），剩下的文字再做纯文本转换
+  const laidOut = layoutSvgMathText(sanitized);
+  const safeSvg = laidOut.count ? sanitizeSvg(laidOut.svg) || sanitized : sanitized;
+
+  if (typeof DOMParser === "undefined" || typeof XMLSerializer === "undefined") {
+    return safeSvg;
+  }
+
+  try {
+    const parser = new DOMParser();
+    const xml = parser.parseFromString(safeSvg, "image/svg+xml");
+    if (xml.querySelector("parsererror")) {
+      return safeSvg;
+    }
+
+    xml.querySelectorAll("text, tspan").forEach((node) => {
+      if (node.closest(".math-label") || node.querySelector("tspan")) return;
+      const raw = node.textContent || "";
+      node.textContent = normalizeScientificLabel(raw);
+    });
+
+    const root = xml.documentElement;
+    if (!root || root.nodeName.toLowerCase() !== "svg") {
+      return safeSvg;
+    }
+
+    const serialized = new XMLSerializer().serializeToString(root);
+    return sanitizeSvg(serialized) || safeSvg;
+  } catch {
+    return safeSvg;
+  }
+}
+
+export function normalizeFigureSpec(input) {
+  if (!input || typeof input !== "object") return null;
+  const mode = sanitizeText(input.mode || input.type || "svg").toLowerCase();
+  const description = sanitizeText(input.description || input.caption || input.prompt || "");
+
+  // 结构化题图：mode 为 diagram（题图在 diagram 字段），或直接以题图类型作 type；格式不合法时抛出 status=400 的错误
+  if (mode === "diagram" || DIAGRAM_TYPES.includes(mode)) {
+    const diagramInput = mode === "diagram" ? input.diagram : input;
+    const diagram = normalizeDiagramSpec(diagramInput);
+    if (diagramInput && !diagram) {
+      const error = new Error(`diagram 格式不正确，type 须为 ${DIAGRAM_TYPES.join(" / ")} 之一且 data 不能为空`);
+      error.status = 400;
+      throw error;
+    }
+    if (!diagram && !description) return null;
+    return { mode: "diagram", diagram, description };
+  }
+
+  if (mode.includes("smiles")) {
+    const smiles = sanitizeText(input.smiles);
+    if (!smiles && !description) return null;
+    return {
+      mode: "smiles_rdkit",
+      smiles,
+      style: sanitizeText(input.style || "2d"),
+      description
+    };
+  }
+
+  // 声明式绘图：plot 字段不合法时抛出 status=400 的错误
+  if (mode === "plot" || mode === "chart") {
+    const plotInput = input.plot ?? (Array.isArray(input.series) ? input : null);
+    if (!plotInput && !description) return null;
+    return {
+      mode: "plot",
+      plot: plotInput ? normalizePlotSpec(plotInput) : null,
+      description
+    };
+  }
+
+  if (mode.includes("tikz") || mode.includes("matplotlib") || mode.includes("python")) {
+    const tikz = sanitizeText(input.tikz || input.latex || "");
+    const python = sanitizeText(input.python || input.matplotlib || "");
+    if (!tikz && !python && !description) return null;
+    return {
+      mode: "tikz_or_matplotlib",
+      tikz,
+      python,
+      prefer: sanitizeText(input.prefer || (tikz ? "tikz" : "matplotlib")),
+      description
+    };
+  }
+
+  const { svg, removed } = sanitizeSvgDocument(input.svg || "");
+  if (!svg && !description) return null;
+  return { mode: "svg", svg, description, ...(svg && removed.length ? { sanitizer_removed: removed } : {}) };
+}
+
+function collectScientificTokens(figureSpec) {
+  const sourceParts = [
+    sanitizeText(figureSpec?.tikz || ""),
+    sanitizeText(figureSpec?.python || ""),
+    sanitizeText(figureSpec?.smiles || ""),
+    sanitizeText(figureSpec?.description || "")
+  ].filter(Boolean);
+
+  const source = sourceParts.join("\n");
+  const tokens = new Set();
+
+  const formulaRegex = /([A-Za-z]{1,3}(?:_[0-9]+|\^[0-9+\-]+|[0-9]){1,4})/g;
+  const greekRegex = /(alpha|beta|gamma|lambda|mu|omega|Omega)/g;
+  const relationRegex = /(<=|>=|!=|->|<->|<=>|\\rightarrow|\\leftrightarrow|\\rightleftharpoons)/g;
+
+  const addMatches = (regex, formatter) => {
+    let match;
+    while ((match = regex.exec(source)) !== null) {
+      const raw = match[0];
+      const formatted = formatter ? formatter(raw) : raw;
+      if (formatted) tokens.add(formatted);
+    }
+  };
+
+  addMatches(formulaRegex, (raw) => normalizeScientificLabel(raw));
+  addMatches(greekRegex, (raw) => normalizeScientificLabel(`\\${raw}`));
+  addMatches(relationRegex, (raw) => normalizeScientificLabel(raw));
+
+  return Array.from(tokens).filter(Boolean).slice(0, 12);
+}
+
+function appendScientificHintsToSvg(svgInput, figureSpec, removed = null) {
+  const baseSvg = normalizeSvgTextNodes(svgInput, removed);
+  if (!baseSvg) return "";
+
+  const hints = collectScientificTokens(figureSpec);
+  if (!hints.length) return baseSvg;
+
+  if (typeof DOMParser === "undefined" || typeof XMLSerializer === "undefined") {
+    return baseSvg;
+  }
+
+  try {
+    const parser = new DOMParser();
+    const xml = parser.parseFromString(baseSvg, "image/svg+xml");
+    if (xml.querySelector("parsererror")) {
+      return baseSvg;
+    }
+
+    const root = xml.documentElement;
+    if (!root || root.nodeName.toLowerCase() !== "svg") {
+      return baseSvg;
+    }
+
+    const height = Number(root.getAttribute("height") || 280);
+
+    const defs = xml.createElementNS("http://www.w3.org/2000/svg", "defs");
+    const style = xml.createElementNS("http://www.w3.org/2000/svg", "style");
+    style.textContent = ".render-hint{font-family:Arial, PingFang SC, Microsoft YaHei; font-size:12px; fill:#334155;}";
+    defs.appendChild(style);
+    root.insertBefore(defs, root.firstChild);
+
+    const panel = xml.createElementNS("http://www.w3.org/2000/svg", "g");
+    panel.setAttribute("transform", `translate(12, ${Math.max(16, height - 16 - hints.length * 14)})`);
+
+    hints.forEach((token, index) => {
+      const text = xml.createElementNS("http://www.w3.org/2000/svg", "text");
+      text.setAttribute("class", "render-hint");
+      text.setAttribute("x", "0");
+      text.setAttribute("y", String(14 * (index + 1)));
+      text.textContent = token;
+      panel.appendChild(text);
+    });
+
+    root.appendChild(panel);
+
+    const serialized = new XMLSerializer().serializeToString(root);
+    return sanitizeSvg(serialized) || baseSvg;
+  } catch {
+    return baseSvg;
+  }
+}
+
+function buildPhysicsSvgAuditPrompt({ subject, figureSpec, svg }) {
+  return `
+你是“题图物理一致性审计器 + SVG修复器”。
+任务：对给定 SVG 做真实世界规则审计，若有错误必须修复后输出。
+
+输入：
+- 学科：${sanitizeText(subject)}
+- figure_spec：${JSON.stringify(figureSpec)}
+- svg：${sanitizeText(svg)}
+
+必须满足的硬约束：
+1. 元素映射：figure_spec 中对象、符号、数值、单位、方向全部一一对应。
+2. 空间关系：上下/左右/内外/中间/邻接/相交/重合/接触/包含/平行/垂直必须成立。
+3. 接触与穿透：接触对象只能边界接触，禁止穿透（例如滑块进入斜面内部）。
+4. 力学规律：重力竖直向下、法线垂直接触面、摩擦沿切向、绳力沿绳方向。
+5. 连通规律：电路端点真实连通无悬空，光路反射折射与法线关系正确。
+6. 标注规律：标签、上下标、编号、单位与题干一致且不遮挡关键结构。
+
+输出严格JSON（不要解释、不要Markdown）：
+{
+  "is_valid": true,
+  "violations": [],
+  "corrected_svg": "<svg ...>...</svg>"
+}
+
+输出要求：
+- 无论是否违规，都必须返回 corrected_svg。
+- corrected_svg 必须是单个可渲染 SVG 根节点。
+`;
+}
+
+// 单轮审计，返回 { svg, isValid, violations }
+async function auditAndFixSvgByAi({ client, model, subject, figureSpec, svg, removed = null }) {
+  const safeInput = sanitizeSvg(svg);
+  if (!safeInput) return { svg: "", isValid: false, violations: [] };
+
+  const prompt = buildPhysicsSvgAuditPrompt({
+    subject,
+    figureSpec,
+    svg: safeInput
+  });
+
+  const completion = await client.chat.completions.create({
+    model,
+    messages: [{ role: "user", content: prompt }],
+    response_format: { type: "json_object" },
+    temperature: 0.1
+  });
+
+  const { parsed } = await resolveStructuredContent({
+    content: completion?.choices?.[0]?.message?.content || "",
+    schemaName: "svg_audit"
+  });
+  const corrected = sanitizeSvg(parsed?.corrected_svg || parsed?.svg || "", removed);
+  const violations = (Array.isArray(parsed?.violations) ? parsed.violations : [])
+    .map((item) => sanitizeText(item))
+    .filter(Boolean)
+    .slice(0, 20);
+  return { svg: corrected || safeInput, isValid: parsed?.is_valid === true, violations };
+}
+
+function skippedAudit(message) {
+  return { status: "skipped", is_valid: null, unverified: true, rounds: [], message };
+}
+
+/**
+ * 多轮审计：修正后的 SVG 再送审，直到 is_valid 或达到轮数上限。
+ * 返回 { svg, audit }；audit.status 为 passed / failed / error / skipped，unverified 表示最终图形未通过审计。
+ */
+async function auditSvgRounds({ client, model, subject, figureSpec, svg, removed, maxRounds }) {
+  if (maxRounds <= 0) return { svg, audit: skippedAudit("已关闭 AI 审计，图形未经核对") };
+
+  const rounds = [];
+  let current = svg;
+  for (let round = 1; round <= maxRounds; round += 1) {
+    let result;
+    try {
+      result = await auditAndFixSvgByAi({ client, model, subject, figureSpec, svg: current, removed });
+    } catch (error) {
+      const message = sanitizeText(error?.message || "未知错误");
+      rounds.push({ round, error: message });
+      return {
+        svg: current,
+        audit: { status: "error", is_valid: null, unverified: true, rounds, message: `第 ${round} 轮审计失败：${message}，图形未经核对，打印前请人工检查` }
+      };
+    }
+    rounds.push({ round, is_valid: result.isValid, violations: result.violations, corrected: Boolean(result.svg) && result.svg !== current });
+    current = result.svg || current;
+    if (result.isValid) {
+      return { svg: current, audit: { status: "passed", is_valid: true, unverified: false, rounds } };
+    }
+  }
+  return {
+    svg: current,
+    audit: {
+      status: "failed",
+      is_valid: false,
+      unverified: true,
+      rounds,
+      message: `审计 ${maxRounds} 轮后仍有问题，最后一次修正未经复核，打印前请人工检查`
+    }
+  };
+}
+
+function renderByPlot(plot) {
+  if (!plot) {
+    throw new Error("绘图描述为空");
+  }
+
+  const safe = sanitizeSvg(renderPlotSvg(plot).svg);
+  if (!safe) {
+    throw new Error("绘图结果不是有效 SVG");
+  }
+
+  return {
+    svg: safe,
+    renderer: "builtin-plot",
+    notes: "声明式绘图描述本地渲染"
+  };
+}
+
+// matplotlib 脚本不再外发执行，只做静态转换
+function renderByMatplotlibScript(pythonCode) {
+  const code = sanitizeText(pythonCode);
+  if (!code) {
+    throw new Error("Matplotlib 脚本为空");
+  }
+
+  return {
+    ...renderByPlot(translateMatplotlib(code)),
+    notes: "matplotlib 脚本已转换为声明式绘图描述，本地渲染"
+  };
+}
+
+// 与页面上的 DiagramRenderer 同一份代码，输出相同的 SVG
+function renderByDiagram(diagram) {
+  const { svg, warnings } = DiagramRenderer.renderToString(diagram);
+  const safe = sanitizeSvg(svg);
+  if (!safe) {
+    throw new Error("题图渲染结果不是有效 SVG");
+  }
+
+  return {
+    svg: safe,
+    renderer: "builtin-diagram",
+    notes: "按结构化题图描述本地渲染",
+    warnings
+  };
+}
+
+function renderBySmiles(smiles) {
+  const safeSmiles = sanitizeText(smiles);
+  if (!safeSmiles) {
+    throw new Error("SMILES 为空");
+  }
+
+  const { svg } = renderSmilesSvg(safeSmiles);
+  const safe = sanitizeSvg(svg);
+  if (!safe) {
+    throw new Error("SMILES 渲染结果不是有效 SVG");
+  }
+
+  return {
+    svg: safe,
+    renderer: "builtin-smiles",
+    notes: "内置 SMILES 解析与二维排布渲染（离线）"
+  };
+}
+
+function renderByTikz(tikz) {
+  const source = sanitizeText(tikz);
+  if (!source) {
+    throw new Error("TikZ 源码为空");
+  }
+  if (source.length > MAX_TIKZ_LENGTH) {
+    throw new Error(`TikZ 源码超过 ${MAX_TIKZ_LENGTH} 字符`);
+  }
+
+  const { svg } = renderTikzSvg(source);
+  const safe = sanitizeSvg(svg);
+  if (!safe) {
+    throw new Error("TikZ 渲染结果不是有效 SVG");
+  }
+
+  return {
+    svg: safe,
+    renderer: "builtin-tikz",
+    notes: "内置 TikZ 子集解释器渲染（离线）"
+  };
+}
+
+async function callAiSvgRenderer({ client, model, subject, figureSpec, auditRounds }) {
+  const prompt = `
+你是一个“学科图形渲染适配器”。
+任务：根据 figure_spec 产出可直接渲染的单个 SVG 字符串。
+
+要求：
+1. 只输出 JSON：{"svg":"<svg ...>...</svg>","renderer":"...","notes":"..."}
+2. SVG 必须完整可渲染，不要 markdown，不要解释文本。
+3. 数学/物理：优先忠实表达 TikZ/Matplotlib 的坐标与标注。
+4. 化学：严格按 SMILES 表达，结构与键型合理。
+5. 生物/电路：保持符号规范、连线清晰。
+6. 图中文字不要输出 LaTeX 语法（禁止 ^2、_2、\frac 这类未转义文本），请直接输出可显示字符（如 x²、H₂O、SO₄²⁻）。
+7. 元素精确映射：figure_spec 中每个元素必须有且仅有一个正确图形对应；禁止漏画、错位、重名、错误连接、擅自增删元素。
+8. 空间关系强约束：上下/左右/内外/中间/邻接/相交/重合/接触/包含/平行/垂直必须全部满足；固定点不可漂移，点线面归属必须正确。
+9. 物理世界一致性：
+   - 力学对象必须位于可接触表面或空间中，禁止“物体嵌入斜面/墙体/地面”等违背真实世界的错误。
+   - 电路必须电气连通且极性、方向、开关状态正确，禁止悬空断线。
+   - 光学必须满足反射/折射与法线关系，光线路径可追踪且自洽。
+   - 化学结构、键型、官能团、装置连接关系必须符合化学常识。
+   - 生物与地理图示层级、方向、区域关系必须符合教材规范与客观事实。
+10. 输出前自检：逐项核对元素清单、几何/拓扑关系、标注文字与单位；若任一项不满足，必须先修正再输出。
+
+subject: ${sanitizeText(subject)}
+figure_spec:
+${JSON.stringify(figureSpec)}
+`;
+
+  const completion = await client.chat.completions.create({
+    model,
+    messages: [{ role: "user", content: prompt }],
+    response_format: { type: "json_object" },
+    temperature: 0.1
+  });
+
+  const { parsed } = await resolveStructuredContent({
+    content: completion?.choices?.[0]?.message?.content || "",
+    schemaName: "svg_render"
+  });
+  const rawSvg = parsed?.svg || "";
+  const removed = [];
+  const svgWithHints = appendScientificHintsToSvg(rawSvg, figureSpec, removed);
+  if (!svgWithHints) {
+    throw new Error("AI 渲染结果未返回有效 SVG");
+  }
+
+  const { svg, audit } = await auditSvgRounds({
+    client,
+    model,
+    subject,
+    figureSpec,
+    svg: svgWithHints,
+    removed,
+    maxRounds: auditRounds
+  });
+
+  return {
+    svg,
+    renderer: sanitizeText(parsed?.renderer || "ai-svg-renderer"),
+    notes: sanitizeText(parsed?.notes || ""),
+    removed,
+    audit
+  };
+}
+
+function shouldRetryWithFallbackModel(error) {
+  const message = sanitizeText(error?.message || "");
+  const status = Number(error?.status || error?.response?.status || 0);
+  if (status === 503) return true;
+  return /无可用渠道|distributor|model.*unavailable|Service Unavailable/i.test(message);
+}
+
+async function callAiSvgRendererWithFallback({
+  client,
+  model,
+  fallbackModel,
+  subject,
+  figureSpec,
+  auditRounds
+}) {
+  try {
+    const rendered = await callAiSvgRenderer({
+      client,
+      model,
+      subject,
+      figureSpec,
+      auditRounds
+    });
+    return {
+      ...rendered,
+      modelUsed: model,
+      warning: ""
+    };
+  } catch (error) {
+    if (!fallbackModel || fallbackModel === model || !shouldRetryWithFallbackModel(error)) {
+      throw error;
+    }
+
+    const rendered = await callAiSvgRenderer({
+      client,
+      model: fallbackModel,
+      subject,
+      figureSpec,
+      auditRounds
+    });
+
+    return {
+      ...rendered,
+      modelUsed: fallbackModel,
+      warning: `主渲染模型 ${model} 不可用，已自动回退到 ${fallbackModel}`
+    };
+  }
+}
+
+/**
+ * 后端保证示意图的响应体；renderer 以 guaranteed 开头，这类结果不写缓存。
+ */
+export function guaranteedFigureResult({ subject, figureSpec, renderer, warning }) {
+  return {
+    ok: true,
+    mode: figureSpec.mode,
+    svg: sanitizeSvg(buildGuaranteedDiagramSvg({ subject, mode: figureSpec.mode, figureSpec })),
+    renderer,
+    audit: skippedAudit("后端保证示意图仅为示意，未经审计"),
+    warning
+  };
+}
+
+/**
+ * 按 figure_spec 选择渲染路径，返回响应体（不含计费与缓存）。
+ * client 为 createLlmClient 的返回值；renderStage 为策略中的 render 阶段配置（model / fallback_model / audit_rounds）。
+ * 结果中的 audit 说明图形是否经过 AI 审计：本地渲染与保证示意图不审计，unverified 为 true；
+ * 结构化题图照常绘出但有问题时（如声明的关系与坐标不符、未加标记）附带 warnings 数组。
+ */
+export async function renderFigure({ subject, figureSpec, client, renderStage = {} }) {
+  if (figureSpec.mode === "svg" && figureSpec.svg) {
+    return {
+      ok: true,
+      mode: "svg",
+      svg: appendScientificHintsToSvg(figureSpec.svg, figureSpec),
+      renderer: "passthrough",
+      audit: skippedAudit("直接使用提供的 SVG，未经审计"),
+      ...(figureSpec.sanitizer_removed ? { sanitizer: { removed: figureSpec.sanitizer_removed } } : {})
+    };
+  }
+
+  // 本地渲染（结构化题图 / SMILES / TikZ / 绘图描述 / matplotlib 转换）按顺序尝试，失败时记录原因，随后走 AI 或保证示意图
+  const attempts = [];
+  if (figureSpec.mode === "diagram" && figureSpec.diagram) {
+    attempts.push({ label: "结构化题图", field: "diagram_warning", render: () => renderByDiagram(figureSpec.diagram) });
+  }
+  if (figureSpec.mode === "smiles_rdkit") {
+    attempts.push({ label: "SMILES", field: "smiles_warning", render: () => renderBySmiles(figureSpec.smiles) });
+  }
+  if (figureSpec.mode === "plot" && figureSpec.plot) {
+    attempts.push({ label: "绘图描述", field: "plot_warning", render: () => renderByPlot(figureSpec.plot) });
+  }
+  if (figureSpec.mode === "tikz_or_matplotlib") {
+    const tikz = { label: "TikZ", field: "tikz_warning", render: () => renderByTikz(figureSpec.tikz) };
+    const matplotlib = { label: "matplotlib", field: "matplotlib_warning", render: () => renderByMatplotlibScript(figureSpec.python) };
+    if (figureSpec.tikz) attempts.push(tikz);
+    if (figureSpec.python) {
+      if (figureSpec.prefer === "matplotlib") attempts.unshift(matplotlib);
+      else attempts.push(matplotlib);
+    }
+  }
+
+  let localFailure = null;
+  for (const attempt of attempts) {
+    let rendered;
+    try {
+      rendered = attempt.render();
+    } catch (error) {
+      localFailure = { label: attempt.label, field: attempt.field, error };
+      continue;
+    }
+    return {
+      ok: true,
+      mode: figureSpec.mode,
+      // 结构化题图、TikZ 与绘图描述按源码逐条绘制，不再追加从源码里抽取的提示标注
+      svg: rendered.renderer === "builtin-smiles" ? appendScientificHintsToSvg(rendered.svg, figureSpec) : rendered.svg,
+      renderer: rendered.renderer,
+      notes: rendered.notes,
+      audit: skippedAudit("按源码确定性渲染，未做 AI 审计"),
+      ...(rendered.warnings?.length ? { warnings: rendered.warnings } : {}),
+      ...(localFailure ? { [localFailure.field]: `${localFailure.label} 渲染失败：${localFailure.error?.message || "未知错误"}` } : {})
+    };
+  }
+
+  const localFailureMessage = localFailure
+    ? `${localFailure.label} 渲染失败：${localFailure.error?.message || "未知错误"}`
+    : "";
+
+  // 跨服务回退在 client 内部完成；这里只处理同一服务内的模型回退
+  const model = sanitizeText(renderStage.model);
+  const fallbackModel = sanitizeText(renderStage.fallback_model || renderStage.model);
+
+  if (client.providers.length === 0) {
+    return guaranteedFigureResult({
+      subject,
+      figureSpec,
+      renderer: "guaranteed-no-api-key",
+      warning: localFailure
+        ? `${localFailure.label} 渲染失败，且未配置任何模型服务，已使用后端保证示意图：${localFailure.error?.message || "未知错误"}`
+        : "未配置任何模型服务，已使用后端保证示意图"
+    });
+  }
+
+  const auditRounds = Math.min(Math.max(Math.round(Number(renderStage.audit_rounds ?? DEFAULT_AUDIT_ROUNDS)) || 0, 0), MAX_AUDIT_ROUNDS);
+  let rendered = null;
+  try {
+    rendered = await callAiSvgRendererWithFallback({
+      client,
+      model,
+      fallbackModel,
+      subject,
+      figureSpec,
+      auditRounds
+    });
+  } catch (renderError) {
+    return {
+      ...guaranteedFigureResult({
+        subject,
+        figureSpec,
+        renderer: "guaranteed-on-render-error",
+        warning: `AI 渲染失败，已切换后端保证示意图：${renderError?.message || "未知错误"}`
+      }),
+      ...(localFailure ? { [localFailure.field]: localFailureMessage } : {})
+    };
+  }
+
+  return {
+    ok: true,
+    mode: figureSpec.mode,
+    svg: appendScientificHintsToSvg(rendered.svg, figureSpec),
+    renderer: rendered.renderer,
+    notes: rendered.notes,
+    model: rendered.modelUsed,
+    ...(rendered.removed.length ? { sanitizer: { removed: rendered.removed } } : {}),
+    audit: rendered.audit,
+    ...(localFailure ? { warning: `${localFailure.label} 渲染失败，已切换 AI 渲染：${localFailure.error?.message || "未知错误"}` } : {}),
+    ...(rendered.warning ? { model_warning: rendered.warning } : {})
+  };
+}
+
+/**
+ * 对 renderFigure 的结果做确定性检查，附加 lint（并按 fix 自动修复）。
+ * 缓存保存的是检查前的结果，命中缓存时同样经过这里，因此不同的 lint_fix 请求可共用缓存。
+ */
+export function lintRenderResult(result, figureSpec, { fix = [] } = {}) {
+  if (!result.svg) return result;
+  const { svg, lint, fixes } = lintSvg(result.svg, {
+    // SMILES 的环编号、TikZ 的箭头语法都不是图中标注
+    expectedLabels: collectScientificTokens({ ...figureSpec, smiles: "" }).filter((token) => /[\p{L}\d]/u.test(token)),
+    fix,
+    // 键线式里端基碳本来就不连接其他图形
+    ignore: figureSpec.mode === "smiles_rdkit" ? ["dangling_endpoint"] : []
+  });
+  return {
+    ...result,
+    svg,
+    lint,
+    ...(fixes.length ? { lint_fixes: fixes } : {})
+  };
+}
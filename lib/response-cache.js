@@ -0,0 +1,162 @@
+// 响应缓存（/api/chat、/api/render 共用）：以请求内容的 SHA-256 作为键，
+// 同一张图片、同一段提示词重复请求时直接返回上次结果，不再调用模型。
+// 默认关闭，设置 RESPONSE_CACHE=1 开启；Pages 绑定了 CACHE_KV 时写入 KV，否则使用进程内存。
+
+const DEFAULT_CHAT_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_RENDER_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+const DEFAULT_MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+const KV_MIN_TTL_SECONDS = 60;
+const CACHE_KEY_PREFIX = "cache:";
+
+let sharedMemoryCache = null;
+
+function readPositiveNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function readCacheOptions(env = {}) {
+  return {
+    enabled: /^(1|true|on|yes)$/i.test(String(env.RESPONSE_CACHE || "").trim()),
+    chatTtlSeconds: readPositiveNumber(env.CHAT_CACHE_TTL_SECONDS, DEFAULT_CHAT_TTL_SECONDS),
+    renderTtlSeconds: readPositiveNumber(env.RENDER_CACHE_TTL_SECONDS, DEFAULT_RENDER_TTL_SECONDS),
+    maxBytes: readPositiveNumber(env.RESPONSE_CACHE_MAX_BYTES, DEFAULT_MAX_BYTES),
+    maxEntryBytes: readPositiveNumber(env.RESPONSE_CACHE_MAX_ENTRY_BYTES, DEFAULT_MAX_ENTRY_BYTES)
+  };
+}
+
+/** 客户端带 Cache-Control: no-cache / no-store 时跳过读取缓存（结果仍会写回） */
+export function isCacheBypassed(cacheControl) {
+  return /\bno-(cache|store)\b/i.test(String(cacheControl || ""));
+}
+
+// 对象键排序后再序列化，保证同一内容得到同一个键
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * params 为 applyChatPolicy 过滤后的完整请求参数（max_tokens、top_p、seed、stop、n 等都参与哈希），
+ * schemaName 决定服务端的校验与修复结果，也计入键。messages 中的图片以 data URL 形式参与哈希，同一张图得到同一个键。
+ */
+export async function createChatCacheKey(params, schemaName) {
+  const hash = await sha256Hex(stableStringify({ params, schema: schemaName ?? null }));
+  return `chat:${hash}`;
+}
+
+export async function createRenderCacheKey({ subject, figureSpec }) {
+  const hash = await sha256Hex(stableStringify({ subject, figure_spec: figureSpec }));
+  return `render:${hash}`;
+}
+
+/** 流式响应结束后拼成与非流式一致的 completion，命中时两种模式都能复用 */
+export function buildCompletionFromStream({ model, content, finishReason, usage }) {
+  return {
+    id: `cached-${Date.now().toString(36)}`,
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: { role: "assistant", content },
+      finish_reason: finishReason
+    }],
+    usage: usage || null
+  };
+}
+
+// 被截断或被过滤的结果不缓存，避免把坏结果反复返回
+export function isCacheableCompletion(completion) {
+  const choice = completion?.choices?.[0];
+  const content = choice?.message?.content;
+  if (typeof content !== "string" || !content.trim()) return false;
+  return choice.finish_reason !== "length" && choice.finish_reason !== "content_filter";
+}
+
+/** 进程内 LRU：按条目过期时间和总字节数淘汰 */
+export function createMemoryCache({ maxBytes = DEFAULT_MAX_BYTES, maxEntryBytes = DEFAULT_MAX_ENTRY_BYTES } = {}) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function drop(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.size;
+    entries.delete(key);
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        drop(key);
+        return null;
+      }
+      // 重新插入，移到最近使用的位置
+      entries.delete(key);
+      entries.set(key, entry);
+      return JSON.parse(entry.text);
+    },
+
+    async set(key, value, ttlSeconds) {
+      const text = JSON.stringify(value);
+      const size = text.length * 2;
+      if (size > maxEntryBytes) return false;
+
+      drop(key);
+      entries.set(key, { text, size, expiresAt: Date.now() + ttlSeconds * 1000 });
+      totalBytes += size;
+      for (const oldestKey of entries.keys()) {
+        if (totalBytes <= maxBytes) break;
+        drop(oldestKey);
+      }
+      return true;
+    }
+  };
+}
+
+/** Pages KV：过期交给 expirationTtl，单条超过上限的不写入 */
+export function createKvCache(kv, { maxEntryBytes = DEFAULT_MAX_ENTRY_BYTES } = {}) {
+  return {
+    async get(key) {
+      return kv.get(`${CACHE_KEY_PREFIX}${key}`, { type: "json" });
+    },
+
+    async set(key, value, ttlSeconds) {
+      const text = JSON.stringify(value);
+      if (new TextEncoder().encode(text).length > maxEntryBytes) return false;
+      await kv.put(`${CACHE_KEY_PREFIX}${key}`, text, {
+        expirationTtl: Math.max(KV_MIN_TTL_SECONDS, Math.ceil(ttlSeconds))
+      });
+      return true;
+    }
+  };
+}
+
+/**
+ * 按环境变量返回缓存实例，未开启时返回 null。
+ * 返回 { store, options }；内存缓存在同一进程（或 Worker 实例）内共享。
+ */
+export function getResponseCache(env = {}) {
+  const options = readCacheOptions(env);
+  if (!options.enabled) return null;
+  if (env.CACHE_KV) {
+    return { store: createKvCache(env.CACHE_KV, options), options };
+  }
+  sharedMemoryCache ||= createMemoryCache(options);
+  return { store: sharedMemoryCache, options };
+}
@@ -0,0 +1,19 @@
+import { mathLabelText } from "./math-label/index.js";
+
+// 题图文字的通用清洗：去除控制字符，把常见 LaTeX 记号转成可直接显示的 Unicode。
+
+export function sanitizeText(value) {
+  if (value === null || value === undefined) return "";
+  return String(value)
+    .replace(/\r\n/g, "\n")
+    .replace(/\r/g, "\n")
+    .replace(/^\uFEFF/, "")
+    .replace(/\uFFFD/g, "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, "")
+    .trim();
+}
+
+/** 标注 → 单行可显示文本：按 LaTeX 解析后线性化（上下标用 Unicode 字符，分数写成 a/b） */
+export function normalizeScientificLabel(textInput) {
+  return mathLabelText(sanitizeText(textInput || ""));
+}
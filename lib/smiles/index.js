@@ -0,0 +1,21 @@
+import { layoutMolecule } from "./layout.js";
+import { buildMolecule } from "./molecule.js";
+import { parseSmiles } from "./parse.js";
+import { assignWedges } from "./stereo.js";
+import { renderMoleculeSvg } from "./svg.js";
+
+// 离线 SMILES → SVG：解析、凯库勒化、二维排布、楔形键与键线式绘制，不依赖任何网络服务。
+
+export { parseSmiles } from "./parse.js";
+
+/**
+ * 返回 { svg, atomCount, kekulized }；SMILES 不合法时抛出 status=400 的错误。
+ * options.aromatic = "kekule"（默认，画交替双键）| "circle"（芳香环画内圆）
+ */
+export function renderSmilesSvg(smiles, { aromatic = "kekule" } = {}) {
+  const molecule = buildMolecule(parseSmiles(smiles), { kekulize: aromatic !== "circle" });
+  const coordinates = layoutMolecule(molecule);
+  const wedges = assignWedges(molecule, coordinates);
+  const svg = renderMoleculeSvg(molecule, coordinates, { wedges, title: `化学结构式：${smiles}` });
+  return { svg, atomCount: molecule.atoms.length, kekulized: molecule.kekulized };
+}
@@ -0,0 +1,500 @@
+// 二维坐标排布（键长为 1，y 轴向上）：环系按正多边形拼接，链按 120° 锯齿延伸，最后按 / \ 校正双键顺反。
+
+const TAU = Math.PI * 2;
+const DEG = Math.PI / 180;
+
+function vec(x, y) {
+  return { x, y };
+}
+
+function sub(p, q) {
+  return vec(p.x - q.x, p.y - q.y);
+}
+
+function add(p, q) {
+  return vec(p.x + q.x, p.y + q.y);
+}
+
+function scale(p, k) {
+  return vec(p.x * k, p.y * k);
+}
+
+function length(p) {
+  return Math.hypot(p.x, p.y);
+}
+
+function unit(p) {
+  const len = length(p);
+  return len < 1e-9 ? vec(0, 0) : scale(p, 1 / len);
+}
+
+function fromAngle(angle) {
+  return vec(Math.cos(angle), Math.sin(angle));
+}
+
+function angleOf(p) {
+  return Math.atan2(p.y, p.x);
+}
+
+function rotate(p, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return vec(p.x * cos - p.y * sin, p.x * sin + p.y * cos);
+}
+
+function centroid(points) {
+  if (points.length === 0) return vec(0, 0);
+  return scale(points.reduce((sum, point) => add(sum, point), vec(0, 0)), 1 / points.length);
+}
+
+function dot(p, q) {
+  return p.x * q.x + p.y * q.y;
+}
+
+function cross(p, q) {
+  return p.x * q.y - p.y * q.x;
+}
+
+// 关于直线 (origin, direction) 的镜像
+function reflect(p, origin, direction) {
+  const d = unit(direction);
+  const rel = sub(p, origin);
+  const along = rel.x * d.x + rel.y * d.y;
+  return sub(add(origin, scale(d, 2 * along)), rel);
+}
+
+/** 把环按共享原子合并成环系，返回 [{ atoms:Set, rings:[ring] }] */
+function groupRingSystems(rings) {
+  const systems = [];
+  rings.forEach((ring) => {
+    const merged = { atoms: new Set(ring), rings: [ring] };
+    for (let index = systems.length - 1; index >= 0; index -= 1) {
+      const system = systems[index];
+      if (ring.some((atom) => system.atoms.has(atom))) {
+        system.atoms.forEach((atom) => merged.atoms.add(atom));
+        merged.rings.push(...system.rings);
+        systems.splice(index, 1);
+      }
+    }
+    systems.push(merged);
+  });
+  return systems;
+}
+
+// 在已放置的 p、q 之间沿圆弧放置 count 个原子，弧向 away 方向凸出；count+1 段弦长均为 1
+function placeArc(p, q, count, away) {
+  const chord = length(sub(q, p));
+  const segments = count + 1;
+  const mid = scale(add(p, q), 0.5);
+  const normal = unit(vec(-(q.y - p.y), q.x - p.x));
+  const bulge = dot(normal, away) >= 0 ? normal : scale(normal, -1);
+
+  if (chord < 1e-6 || segments <= chord) {
+    return Array.from({ length: count }, (_, index) => add(p, scale(sub(q, p), (index + 1) / segments)));
+  }
+
+  // 二分求每段圆心角 theta：弦长 1 的 segments 段拼出的总弦长等于 |pq|
+  let low = 1e-6;
+  let high = TAU / segments - 1e-6;
+  for (let step = 0; step < 60; step += 1) {
+    const theta = (low + high) / 2;
+    const span = Math.sin((segments * theta) / 2) / Math.sin(theta / 2);
+    if (span > chord) low = theta;
+    else high = theta;
+  }
+  const theta = (low + high) / 2;
+  const radius = 1 / (2 * Math.sin(theta / 2));
+  const total = segments * theta;
+  const offset = Math.sqrt(Math.max(0, radius * radius - (chord / 2) ** 2));
+  // 总圆心角小于 180° 时圆心在凸出方向的反侧
+  const center = add(mid, scale(bulge, total > Math.PI ? offset : -offset));
+  const start = angleOf(sub(p, center));
+  // 从 p 出发先进入凸出一侧的转向即为所求
+  const [forward, backward] = [1, -1].map((sign) => dot(sub(add(center, scale(fromAngle(start + sign * theta), radius)), mid), bulge));
+  const direction = forward >= backward ? 1 : -1;
+  return Array.from({ length: count }, (_, index) => add(center, scale(fromAngle(start + direction * theta * (index + 1)), radius)));
+}
+
+/** 环系的局部坐标：第一个环为正多边形，其余环依次贴在已放置的原子上 */
+function layoutRingSystem(system) {
+  const positions = new Map();
+  const rings = [...system.rings].sort((a, b) => b.length - a.length || a[0] - b[0]);
+  const first = rings.shift();
+  const radius = 1 / (2 * Math.sin(Math.PI / first.length));
+  const startAngle = first.length === 4 ? 45 * DEG : 90 * DEG;
+  first.forEach((atom, index) => {
+    positions.set(atom, scale(fromAngle(startAngle - (TAU * index) / first.length), radius));
+  });
+
+  while (rings.length > 0) {
+    // 优先处理已放置原子最多的环
+    rings.sort((a, b) => b.filter((atom) => positions.has(atom)).length - a.filter((atom) => positions.has(atom)).length);
+    const ring = rings.shift();
+    const placedCount = ring.filter((atom) => positions.has(atom)).length;
+
+    if (placedCount === 0) {
+      // 与已放置部分只通过其他环间接相连，留到下一轮
+      rings.push(ring);
+      if (rings.every((other) => other.every((atom) => !positions.has(atom)))) break;
+      continue;
+    }
+
+    const systemCenter = centroid([...positions.values()]);
+    if (placedCount === 1) {
+      // 螺环：新环圆心沿共享原子的外侧方向
+      const shared = ring.find((atom) => positions.has(atom));
+      const sharedPos = positions.get(shared);
+      const outward = unit(sub(sharedPos, systemCenter));
+      const ringRadius = 1 / (2 * Math.sin(Math.PI / ring.length));
+      const center = add(sharedPos, scale(outward.x || outward.y ? outward : vec(1, 0), ringRadius));
+      const base = angleOf(sub(sharedPos, center));
+      const offset = ring.indexOf(shared);
+      ring.forEach((atom, index) => {
+        if (positions.has(atom)) return;
+        const step = (index - offset + ring.length) % ring.length;
+        positions.set(atom, add(center, scale(fromAngle(base + (TAU * step) / ring.length), ringRadius)));
+      });
+      continue;
+    }
+
+    // 稠环 / 桥环：对每段未放置的连续原子，在两端已放置原子之间沿圆弧补齐
+    const n = ring.length;
+    const startIndex = ring.findIndex((atom, index) => positions.has(atom) && !positions.has(ring[(index + 1) % n]));
+    if (startIndex === -1) continue;
+    for (let offset = 0; offset < n; offset += 1) {
+      const index = (startIndex + offset) % n;
+      if (!positions.has(ring[index]) || positions.has(ring[(index + 1) % n])) continue;
+      const gap = [];
+      let cursor = (index + 1) % n;
+      while (!positions.has(ring[cursor])) {
+        gap.push(ring[cursor]);
+        cursor = (cursor + 1) % n;
+      }
+      const p = positions.get(ring[index]);
+      const q = positions.get(ring[cursor]);
+      const away = sub(scale(add(p, q), 0.5), systemCenter);
+      placeArc(p, q, gap.length, length(away) < 1e-6 ? vec(-(q.y - p.y), q.x - p.x) : away)
+        .forEach((point, gapIndex) => positions.set(gap[gapIndex], point));
+    }
+  }
+
+  return positions;
+}
+
+function clashScore(candidates, placed) {
+  let score = 0;
+  candidates.forEach((point) => {
+    placed.forEach((other) => {
+      const distance = length(sub(point, other));
+      if (distance < 0.8) score += (0.8 - distance) ** 2 * 10 + 1;
+    });
+  });
+  return score;
+}
+
+function subtreeSize(neighbors, start, blocked) {
+  const seen = new Set([blocked, start]);
+  const stack = [start];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    neighbors[current].forEach(({ atom }) => {
+      if (seen.has(atom)) return;
+      seen.add(atom);
+      stack.push(atom);
+    });
+  }
+  return seen.size - 1;
+}
+
+// 从 start 出发、不经过 blocked 可达的原子
+function collectSide(neighbors, start, blocked) {
+  const seen = new Set([start]);
+  const stack = [start];
+  while (stack.length > 0) {
+    const current = stack.pop();
+    neighbors[current].forEach(({ atom }) => {
+      if (atom === blocked || seen.has(atom)) return;
+      seen.add(atom);
+      stack.push(atom);
+    });
+  }
+  return seen;
+}
+
+function isLinearCenter(molecule, atom) {
+  const list = molecule.neighbors[atom];
+  if (list.length !== 2) return false;
+  const orders = list.map(({ bond }) => molecule.bonds[bond].order);
+  return orders.includes(3) || orders.every((order) => order === 2);
+}
+
+function layoutComponent(molecule, component, systemsByAtom) {
+  const { neighbors } = molecule;
+  const positions = new Map();
+  const turns = new Map();
+  const queue = [];
+
+  const placeSystem = (system, local, anchorAtom, anchorPos, towardParent) => {
+    let transformed = local;
+    if (anchorAtom !== null) {
+      // 让环系在连接原子处的外侧方向指向父原子，并在两种镜像中选冲突更少的
+      const inner = neighbors[anchorAtom].filter(({ atom }) => system.atoms.has(atom)).map(({ atom }) => local.get(atom));
+      const anchorLocal = local.get(anchorAtom);
+      let exterior = scale(inner.reduce((sum, point) => add(sum, unit(sub(point, anchorLocal))), vec(0, 0)), -1);
+      if (length(exterior) < 1e-6) exterior = sub(anchorLocal, centroid([...local.values()]));
+      const angle = angleOf(towardParent) - angleOf(exterior);
+      const options = [false, true].map((mirror) => {
+        const map = new Map();
+        local.forEach((point, atom) => {
+          let rel = sub(point, anchorLocal);
+          if (mirror) rel = reflect(rel, vec(0, 0), exterior);
+          map.set(atom, add(anchorPos, rotate(rel, angle)));
+        });
+        return map;
+      });
+      const placed = [...positions.values()];
+      const scores = options.map((map) => clashScore([...map.values()], placed));
+      transformed = scores[1] < scores[0] ? options[1] : options[0];
+    }
+    transformed.forEach((point, atom) => {
+      positions.set(atom, point);
+      queue.push(atom);
+    });
+  };
+
+  const placeAtom = (atom, point, turn) => {
+    positions.set(atom, point);
+    turns.set(atom, turn);
+    queue.push(atom);
+  };
+
+  const attach = (parent, child, direction, turn) => {
+    const point = add(positions.get(parent), direction);
+    const system = systemsByAtom.get(child);
+    if (system) {
+      placeSystem(system, system.local, child, point, scale(direction, -1));
+    } else {
+      placeAtom(child, point, turn);
+    }
+  };
+
+  const root = component.find((atom) => systemsByAtom.has(atom)) ?? component[0];
+  if (systemsByAtom.has(root)) {
+    // 从最大的环系开始
+    const largest = component
+      .map((atom) => systemsByAtom.get(atom))
+      .filter(Boolean)
+      .sort((a, b) => b.atoms.size - a.atoms.size)[0];
+    placeSystem(largest, largest.local, null);
+  } else {
+    placeAtom(root, vec(0, 0), -1);
+  }
+
+  while (queue.length > 0) {
+    const atom = queue.shift();
+    const origin = positions.get(atom);
+    const placedNeighbors = neighbors[atom].filter(({ atom: other }) => positions.has(other)).map(({ atom: other }) => other);
+    const pending = neighbors[atom]
+      .filter(({ atom: other }) => !positions.has(other))
+      .map(({ atom: other }) => other)
+      .sort((a, b) => subtreeSize(neighbors, b, atom) - subtreeSize(neighbors, a, atom));
+    if (pending.length === 0) continue;
+
+    const placed = [...positions.values()];
+    if (placedNeighbors.length === 0) {
+      // 起点：第一个键朝右上，使主链水平锯齿排列
+      pending.forEach((child, index) => {
+        attach(atom, child, fromAngle(30 * DEG + (TAU * index) / pending.length), 1);
+      });
+      continue;
+    }
+
+    if (placedNeighbors.length === 1 && !systemsByAtom.has(atom)) {
+      const incoming = angleOf(sub(positions.get(placedNeighbors[0]), origin));
+      // turn 为本原子的转向，子原子取相反转向形成锯齿
+      const turn = turns.get(atom) ?? 1;
+      if (isLinearCenter(molecule, atom) && pending.length === 1) {
+        attach(atom, pending[0], fromAngle(incoming + Math.PI), turn);
+        continue;
+      }
+      if (pending.length === 1) {
+        const signs = [turn, -turn];
+        const scores = signs.map((sign) => clashScore([add(origin, fromAngle(incoming + sign * 120 * DEG))], placed));
+        const sign = scores[1] < scores[0] ? signs[1] : signs[0];
+        attach(atom, pending[0], fromAngle(incoming + sign * 120 * DEG), -sign);
+        continue;
+      }
+      if (pending.length === 2) {
+        attach(atom, pending[0], fromAngle(incoming + turn * 120 * DEG), -turn);
+        attach(atom, pending[1], fromAngle(incoming - turn * 120 * DEG), turn);
+        continue;
+      }
+      // 三个及以上分支：主链仍沿锯齿方向，其余在剩下的角度内均分
+      const main = incoming + turn * 120 * DEG;
+      attach(atom, pending[0], fromAngle(main), -turn);
+      const rest = pending.slice(1);
+      rest.forEach((child, index) => {
+        attach(atom, child, fromAngle(main + (turn * 240 * DEG * (index + 1)) / (rest.length + 1)), 1);
+      });
+      continue;
+    }
+
+    // 环原子或多个已放置邻居：在最大的空余角度内均匀分布
+    const occupied = placedNeighbors
+      .map((other) => angleOf(sub(positions.get(other), origin)))
+      .sort((a, b) => a - b);
+    // 稠环连接处几个空隙大小相近，优先选不含环内部的空隙
+    const ringCenters = molecule.rings
+      .filter((ring) => ring.includes(atom) && ring.every((member) => positions.has(member)))
+      .map((ring) => angleOf(sub(centroid(ring.map((member) => positions.get(member))), origin)));
+    let gapStart = 0;
+    let gapSize = 0;
+    let bestScore = -Infinity;
+    occupied.forEach((start, index) => {
+      const size = (index + 1 < occupied.length ? occupied[index + 1] : occupied[0] + TAU) - start;
+      const inside = ringCenters.some((center) => {
+        const relative = (((center - start) % TAU) + TAU) % TAU;
+        return relative > 1e-6 && relative < size - 1e-6;
+      });
+      const score = inside ? size - TAU : size;
+      if (score > bestScore) {
+        bestScore = score;
+        gapStart = start;
+        gapSize = size;
+      }
+    });
+    // 环上的偕二取代基在外角平分线两侧各偏 30°
+    const spread = pending.length === 2 && placedNeighbors.length === 2 ? Math.min(gapSize, 180 * DEG) : gapSize;
+    const begin = gapStart + (gapSize - spread) / 2;
+    pending.forEach((child, index) => {
+      attach(atom, child, fromAngle(begin + (spread * (index + 1)) / (pending.length + 1)), 1);
+    });
+  }
+
+  return positions;
+}
+
+function overlapScore(component, positions, bonded) {
+  let score = 0;
+  for (let i = 0; i < component.length; i += 1) {
+    for (let j = i + 1; j < component.length; j += 1) {
+      if (bonded.has(`${component[i]}-${component[j]}`)) continue;
+      const distance = length(sub(positions.get(component[i]), positions.get(component[j])));
+      if (distance < 0.7) score += (0.7 - distance) ** 2 + 0.1;
+    }
+  }
+  return score;
+}
+
+/** 锯齿排布只看一步，分支多时仍会重叠：沿非环键把一侧镜像翻转，保留总重叠最小的方案 */
+function resolveOverlaps(molecule, component, positions) {
+  const bonded = new Set();
+  molecule.bonds.forEach((bond) => {
+    bonded.add(`${bond.a}-${bond.b}`);
+    bonded.add(`${bond.b}-${bond.a}`);
+  });
+  const inComponent = new Set(component);
+  const flippable = molecule.bonds.filter((bond) => !bond.inRing && inComponent.has(bond.a) && bond.order < 3);
+  let score = overlapScore(component, positions, bonded);
+
+  for (let round = 0; round < 8 && score > 0; round += 1) {
+    let best = null;
+    flippable.forEach((bond) => {
+      const side = collectSide(molecule.neighbors, bond.b, bond.a);
+      const moving = side.size <= component.length / 2 ? side : collectSide(molecule.neighbors, bond.a, bond.b);
+      const pivot = moving === side ? bond.b : bond.a;
+      const other = pivot === bond.b ? bond.a : bond.b;
+      const origin = positions.get(pivot);
+      const axis = sub(origin, positions.get(other));
+      const backup = new Map();
+      moving.forEach((atom) => {
+        backup.set(atom, positions.get(atom));
+        positions.set(atom, reflect(positions.get(atom), origin, axis));
+      });
+      const candidate = overlapScore(component, positions, bonded);
+      backup.forEach((point, atom) => positions.set(atom, point));
+      if (candidate < score - 1e-6 && (!best || candidate < best.score)) best = { score: candidate, moving, origin, axis };
+    });
+    if (!best) break;
+    best.moving.forEach((atom) => positions.set(atom, reflect(positions.get(atom), best.origin, best.axis)));
+    score = best.score;
+  }
+}
+
+// 双键两侧取代基的期望关系：同侧返回 true，异侧返回 false，无标记返回 null
+function desiredCis(molecule, bondIndex) {
+  const { bonds, neighbors } = molecule;
+  const bond = bonds[bondIndex];
+  const sideOf = (center, other) => {
+    for (const { atom, bond: index } of neighbors[center]) {
+      if (atom === other) continue;
+      const marker = bonds[index];
+      if (!marker.direction) continue;
+      // 书写方向 x→y 的 "/" 表示 y 相对 x 在上方
+      const up = marker.direction === "/";
+      return { atom, up: marker.b === atom ? up : !up };
+    }
+    return null;
+  };
+  const left = sideOf(bond.a, bond.b);
+  const right = sideOf(bond.b, bond.a);
+  if (!left || !right) return null;
+  return { left: left.atom, right: right.atom, cis: left.up === right.up };
+}
+
+function applyDoubleBondStereo(molecule, positions) {
+  molecule.bonds.forEach((bond, index) => {
+    if (bond.order !== 2 || bond.inRing) return;
+    const desired = desiredCis(molecule, index);
+    if (!desired) return;
+    const a = positions.get(bond.a);
+    const b = positions.get(bond.b);
+    const axis = sub(b, a);
+    const sameSide = Math.sign(cross(axis, sub(positions.get(desired.left), a))) ===
+      Math.sign(cross(axis, sub(positions.get(desired.right), a)));
+    if (sameSide === desired.cis) return;
+    const side = collectSide(molecule.neighbors, bond.b, bond.a);
+    if (side.has(bond.a)) return;
+    side.delete(bond.b);
+    side.forEach((atom) => positions.set(atom, reflect(positions.get(atom), a, axis)));
+  });
+}
+
+function connectedComponents(molecule) {
+  const seen = new Set();
+  const components = [];
+  molecule.atoms.forEach((_, start) => {
+    if (seen.has(start)) return;
+    const component = [...collectSide(molecule.neighbors, start, -1)];
+    component.forEach((atom) => seen.add(atom));
+    components.push(component.sort((a, b) => a - b));
+  });
+  return components;
+}
+
+/** 返回与 atoms 等长的坐标数组；多个组分（. 分隔）从左到右排列 */
+export function layoutMolecule(molecule) {
+  const systems = groupRingSystems(molecule.rings);
+  const systemsByAtom = new Map();
+  systems.forEach((system) => {
+    system.local = layoutRingSystem(system);
+    system.atoms.forEach((atom) => systemsByAtom.set(atom, system));
+  });
+
+  const coordinates = new Array(molecule.atoms.length);
+  let cursor = 0;
+  connectedComponents(molecule).forEach((component) => {
+    const positions = layoutComponent(molecule, component, systemsByAtom);
+    resolveOverlaps(molecule, component, positions);
+    applyDoubleBondStereo(molecule, positions);
+    const points = component.map((atom) => positions.get(atom) || vec(0, 0));
+    const minX = Math.min(...points.map((point) => point.x));
+    const maxX = Math.max(...points.map((point) => point.x));
+    const midY = (Math.min(...points.map((point) => point.y)) + Math.max(...points.map((point) => point.y))) / 2;
+    component.forEach((atom, index) => {
+      coordinates[atom] = vec(points[index].x - minX + cursor, points[index].y - midY);
+    });
+    cursor += maxX - minX + 1.2;
+  });
+  return coordinates;
+}
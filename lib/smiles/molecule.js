@@ -0,0 +1,211 @@
+// 分子图的化学处理：邻接表、成环识别、芳香环凯库勒化、隐式氢计数。
+
+const DEFAULT_VALENCES = {
+  B: [3],
+  C: [4],
+  N: [3, 5],
+  O: [2],
+  P: [3, 5],
+  S: [2, 4, 6],
+  F: [1],
+  Cl: [1],
+  Br: [1],
+  I: [1]
+};
+
+const MAX_KEKULE_STEPS = 20000;
+
+export function bondKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+function buildAdjacency(atoms, bonds) {
+  const neighbors = atoms.map(() => []);
+  bonds.forEach((bond, index) => {
+    neighbors[bond.a].push({ atom: bond.b, bond: index });
+    neighbors[bond.b].push({ atom: bond.a, bond: index });
+  });
+  return neighbors;
+}
+
+// 不经过 skipBond 的最短路径，找不到时返回 null
+function shortestPath(neighbors, from, to, skipBond) {
+  const previous = new Map([[from, -1]]);
+  const queue = [from];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === to) break;
+    for (const { atom, bond } of neighbors[current]) {
+      if (bond === skipBond || previous.has(atom)) continue;
+      previous.set(atom, current);
+      queue.push(atom);
+    }
+  }
+  if (!previous.has(to)) return null;
+  const path = [];
+  for (let current = to; current !== -1; current = previous.get(current)) path.unshift(current);
+  return path;
+}
+
+/**
+ * 最小环集（SSSR）：每条键各取一个经过它的最短环作为候选，按环大小依次挑选（GF(2) 下）线性无关的环，
+ * 直到数量等于环数（键数 - 原子数 + 连通分量数）。
+ */
+function perceiveRings(atoms, bonds, neighbors) {
+  const visited = new Set();
+  let components = 0;
+  atoms.forEach((_, start) => {
+    if (visited.has(start)) return;
+    components += 1;
+    const stack = [start];
+    visited.add(start);
+    while (stack.length > 0) {
+      neighbors[stack.pop()].forEach(({ atom }) => {
+        if (visited.has(atom)) return;
+        visited.add(atom);
+        stack.push(atom);
+      });
+    }
+  });
+  const ringCount = bonds.length - atoms.length + components;
+  if (ringCount <= 0) return [];
+
+  const bondIndex = new Map(bonds.map((bond, index) => [bondKey(bond.a, bond.b), index]));
+  const candidates = [];
+  const seen = new Set();
+  bonds.forEach((bond, index) => {
+    const path = shortestPath(neighbors, bond.a, bond.b, index);
+    if (!path) return;
+    const key = [...path].sort((x, y) => x - y).join(",");
+    if (seen.has(key)) return;
+    seen.add(key);
+    let mask = 0n;
+    path.forEach((atom, position) => {
+      mask |= 1n << BigInt(bondIndex.get(bondKey(atom, path[(position + 1) % path.length])));
+    });
+    candidates.push({ path, mask });
+  });
+  candidates.sort((a, b) => a.path.length - b.path.length);
+
+  // 高斯消元维护线性无关的基
+  const basis = [];
+  const rings = [];
+  for (const { path, mask } of candidates) {
+    let reduced = mask;
+    for (const vector of basis) {
+      if ((reduced ^ vector) < reduced) reduced ^= vector;
+    }
+    if (reduced === 0n) continue;
+    basis.push(reduced);
+    basis.sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+    rings.push(path);
+    if (rings.length === ringCount) break;
+  }
+  return rings;
+}
+
+function lowestValence(element, charge) {
+  const valences = DEFAULT_VALENCES[element];
+  if (!valences) return null;
+  if (element === "C") return valences[0] - Math.abs(charge);
+  if (element === "B") return valences[0] + charge;
+  // N⁺ / O⁺ 多一个键，N⁻ / O⁻ 少一个键
+  return valences[0] + (["N", "P", "O", "S"].includes(element) ? charge : -Math.abs(charge));
+}
+
+// 芳香原子是否需要在凯库勒式中分到一个双键（吡啶 n 需要，吡咯 [nH] 与呋喃 o 不需要）
+function needsDoubleBond(atom, index, bonds, neighbors) {
+  const valence = lowestValence(atom.element, atom.charge);
+  if (valence === null) return false;
+  const used = neighbors[index].reduce((sum, { bond }) => sum + (bonds[bond].aromatic ? 1 : bonds[bond].order), 0);
+  const hydrogens = atom.bracket ? atom.hcount : 0;
+  const hasExocyclicDouble = neighbors[index].some(({ bond }) => !bonds[bond].aromatic && bonds[bond].order >= 2);
+  return !hasExocyclicDouble && used + hydrogens + 1 <= valence;
+}
+
+/** 在芳香键上找一组完美匹配作为双键；失败返回 false（保留芳香标记，绘图时画内圆） */
+function kekulize(atoms, bonds, neighbors) {
+  const candidates = atoms
+    .map((atom, index) => (atom.aromatic && needsDoubleBond(atom, index, bonds, neighbors) ? index : -1))
+    .filter((index) => index >= 0);
+  if (candidates.length === 0) return true;
+
+  const pending = new Set(candidates);
+  const options = (atom) => neighbors[atom].filter(({ atom: other, bond }) => bonds[bond].aromatic && pending.has(other));
+  const chosen = [];
+  let steps = 0;
+
+  const solve = () => {
+    if (pending.size === 0) return true;
+    if ((steps += 1) > MAX_KEKULE_STEPS) return false;
+    // 先处理可选邻居最少的原子，减少回溯
+    let atom = -1;
+    let best = null;
+    for (const candidate of pending) {
+      const list = options(candidate);
+      if (!best || list.length < best.length) {
+        atom = candidate;
+        best = list;
+      }
+      if (list.length <= 1) break;
+    }
+    for (const { atom: other, bond } of best) {
+      pending.delete(atom);
+      pending.delete(other);
+      chosen.push(bond);
+      if (solve()) return true;
+      chosen.pop();
+      pending.add(atom);
+      pending.add(other);
+    }
+    return false;
+  };
+
+  if (!solve()) return false;
+  bonds.forEach((bond) => {
+    if (bond.aromatic) bond.order = 1;
+  });
+  chosen.forEach((index) => {
+    bonds[index].order = 2;
+  });
+  bonds.forEach((bond) => {
+    bond.aromatic = false;
+  });
+  return true;
+}
+
+function countImplicitHydrogens(atom, index, bonds, neighbors, kekulized) {
+  if (atom.bracket) return atom.hcount;
+  const valences = DEFAULT_VALENCES[atom.element];
+  if (!valences) return 0;
+  let used = neighbors[index].reduce((sum, { bond }) => sum + bonds[bond].order, 0);
+  if (!kekulized && atom.aromatic && needsDoubleBond(atom, index, bonds, neighbors)) used += 1;
+  const target = valences.find((valence) => valence >= used);
+  return target === undefined ? 0 : target - used;
+}
+
+/**
+ * 由 parseSmiles 的结果构建分子：{ atoms, bonds, neighbors, rings, kekulized }。
+ * atom.hydrogens 为需要绘制的氢数；kekulize=false 时芳香环保留芳香标记。
+ */
+export function buildMolecule({ atoms, bonds }, { kekulize: shouldKekulize = true } = {}) {
+  const neighbors = buildAdjacency(atoms, bonds);
+  const rings = perceiveRings(atoms, bonds, neighbors);
+
+  const ringBondKeys = new Set();
+  rings.forEach((ring) => ring.forEach((atom, position) => {
+    ringBondKeys.add(bondKey(atom, ring[(position + 1) % ring.length]));
+  }));
+  bonds.forEach((bond) => {
+    bond.inRing = ringBondKeys.has(bondKey(bond.a, bond.b));
+    // 不在环上的芳香原子间连接（如联苯中间的键）按单键处理
+    if (bond.aromatic && !bond.inRing) bond.aromatic = false;
+  });
+
+  const kekulized = shouldKekulize ? kekulize(atoms, bonds, neighbors) : false;
+  atoms.forEach((atom, index) => {
+    atom.hydrogens = countImplicitHydrogens(atom, index, bonds, neighbors, kekulized);
+  });
+
+  return { atoms, bonds, neighbors, rings, kekulized };
+}
@@ -0,0 +1,225 @@
+// SMILES 解析：按 OpenSMILES 语法生成分子图（原子、键、书写顺序），不做化学合理性判断。
+
+const ORGANIC_SUBSET = ["Cl", "Br", "B", "C", "N", "O", "P", "S", "F", "I"];
+const AROMATIC_SUBSET = ["b", "c", "n", "o", "p", "s"];
+const AROMATIC_BRACKET = ["se", "as", "te", "b", "c", "n", "o", "p", "s"];
+const BOND_SYMBOLS = { "-": 1, "=": 2, "#": 3, "$": 4, ":": 1.5, "/": 1, "\\": 1 };
+
+export const MAX_SMILES_LENGTH = 400;
+export const MAX_SMILES_ATOMS = 160;
+
+function smilesError(message, index) {
+  const error = new Error(index === undefined ? `SMILES 解析失败：${message}` : `SMILES 解析失败（第 ${index + 1} 个字符）：${message}`);
+  error.status = 400;
+  return error;
+}
+
+function createAtom({ element, aromatic = false, bracket = false, isotope = null, chirality = null, hcount = null, charge = 0 }) {
+  return { element, aromatic, bracket, isotope, chirality, hcount, charge, order: [] };
+}
+
+// [isotope? symbol chiral? hcount? charge? class?]
+function parseBracketAtom(text, start) {
+  const end = text.indexOf("]", start);
+  if (end === -1) throw smilesError("方括号未闭合", start);
+  const body = text.slice(start + 1, end);
+  const match = /^(\d+)?(\*|[A-Z][a-z]?|se|as|te|[bcnops])(@@|@(?:TH[12])?)?(H\d*)?([+-]\d*|\+\++|--+)?(?::\d+)?$/.exec(body);
+  if (!match) throw smilesError(`无法识别的原子 [${body}]`, start);
+
+  const [, isotope, symbol, chiral, hydrogens, chargeText] = match;
+  const aromatic = AROMATIC_BRACKET.includes(symbol);
+  let charge = 0;
+  if (chargeText) {
+    const sign = chargeText[0] === "+" ? 1 : -1;
+    const digits = chargeText.slice(1);
+    charge = sign * (/^\d+$/.test(digits) ? Number(digits) : chargeText.length);
+  }
+
+  return {
+    atom: createAtom({
+      element: aromatic ? symbol[0].toUpperCase() + symbol.slice(1) : symbol,
+      aromatic,
+      bracket: true,
+      isotope: isotope ? Number(isotope) : null,
+      chirality: chiral === "@@" || chiral === "@TH2" ? "@@" : chiral ? "@" : null,
+      hcount: hydrogens ? Number(hydrogens.slice(1) || 1) : 0,
+      charge
+    }),
+    next: end + 1
+  };
+}
+
+function readOrganicAtom(text, index) {
+  const two = text.slice(index, index + 2);
+  if (two === "Cl" || two === "Br") return { atom: createAtom({ element: two }), next: index + 2 };
+  const ch = text[index];
+  if (ORGANIC_SUBSET.includes(ch)) return { atom: createAtom({ element: ch }), next: index + 1 };
+  if (AROMATIC_SUBSET.includes(ch)) return { atom: createAtom({ element: ch.toUpperCase(), aromatic: true }), next: index + 1 };
+  if (ch === "*") return { atom: createAtom({ element: "*" }), next: index + 1 };
+  return null;
+}
+
+function resolveBond(atoms, a, b, symbol) {
+  const order = symbol ? BOND_SYMBOLS[symbol] : (atoms[a].aromatic && atoms[b].aromatic ? 1.5 : 1);
+  return {
+    a,
+    b,
+    order: order === 1.5 ? 1 : order,
+    aromatic: order === 1.5,
+    // "/" "\" 记录书写方向，用于判断双键顺反
+    direction: symbol === "/" || symbol === "\\" ? symbol : null,
+    ringClosure: false
+  };
+}
+
+/**
+ * 返回 { atoms, bonds }：atom.order 为 SMILES 书写顺序下的相邻原子（"H" 表示方括号内的氢），
+ * atom.previous 为书写在它之前并与之成键的原子，二者用于手性判断。
+ * repairs 传入数组时尽量容错（跳过无法识别的字符、忽略未闭合的括号与成环编号等），
+ * 每处修补的说明追加到数组中；后端保证示意图据此画出可识别的部分。
+ */
+export function parseSmiles(input, { repairs = null } = {}) {
+  // 严格模式直接抛错；容错模式记录问题并返回 true，由调用处跳过
+  const recover = (message, at) => {
+    const error = smilesError(message, at);
+    if (!repairs) throw error;
+    repairs.push(error.message.replace(/^SMILES 解析失败/, "已忽略"));
+    return true;
+  };
+  let text = String(input || "").trim();
+  if (!text) throw smilesError("SMILES 为空");
+  if (text.length > MAX_SMILES_LENGTH) throw smilesError(`长度超过 ${MAX_SMILES_LENGTH} 个字符`);
+  if (/\s/.test(text) && recover("不能包含空白字符")) text = text.replace(/\s+/g, "");
+
+  const atoms = [];
+  const bonds = [];
+  const bondKeys = new Set();
+  const branchStack = [];
+  const openRings = new Map();
+  let prev = null;
+  let pendingBond = null;
+  let index = 0;
+
+  const addBond = (a, b, symbol, at) => {
+    if (a === b && recover("原子不能与自身成键", at)) return null;
+    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+    if (bondKeys.has(key) && recover("同一对原子之间重复成键", at)) return null;
+    bondKeys.add(key);
+    const bond = resolveBond(atoms, a, b, symbol);
+    bonds.push(bond);
+    return bond;
+  };
+
+  while (index < text.length) {
+    const ch = text[index];
+
+    if (ch === "(") {
+      if (prev !== null || !recover("分支前缺少原子", index)) branchStack.push(prev);
+      index += 1;
+      continue;
+    }
+    if (ch === ")") {
+      if (pendingBond && recover("键符号后缺少原子", index)) pendingBond = null;
+      if (branchStack.length > 0 || !recover("多余的右括号", index)) prev = branchStack.pop();
+      index += 1;
+      continue;
+    }
+    if (ch === ".") {
+      if (pendingBond && recover("键符号后缺少原子", index)) pendingBond = null;
+      prev = null;
+      index += 1;
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(BOND_SYMBOLS, ch)) {
+      if ((prev !== null && !pendingBond) || !recover(`键符号“${ch}”位置不正确`, index)) pendingBond = ch;
+      index += 1;
+      continue;
+    }
+    if (/\d/.test(ch) || ch === "%") {
+      let label = ch;
+      let next = index + 1;
+      if (ch === "%") {
+        label = text.slice(index + 1, index + 3);
+        if (!/^\d\d$/.test(label) && recover("% 后需要两位成环编号", index)) {
+          index += 1;
+          continue;
+        }
+        next = index + 3;
+      }
+      if (prev === null && recover("成环编号前缺少原子", index)) {
+        index = next;
+        continue;
+      }
+
+      const open = openRings.get(label);
+      if (open) {
+        if (pendingBond && open.symbol && pendingBond !== open.symbol && !"/\\".includes(pendingBond) &&
+          recover(`成环编号 ${label} 两端的键类型不一致`, index)) pendingBond = open.symbol;
+        const bond = addBond(open.atom, prev, pendingBond || open.symbol, index);
+        openRings.delete(label);
+        if (!bond) {
+          atoms[open.atom].order.splice(open.slot, 1);
+          pendingBond = null;
+          index = next;
+          continue;
+        }
+        bond.ringClosure = true;
+        atoms[open.atom].order[open.slot] = prev;
+        atoms[prev].order.push(open.atom);
+      } else {
+        openRings.set(label, { atom: prev, symbol: pendingBond, slot: atoms[prev].order.length });
+        atoms[prev].order.push(null);
+      }
+      pendingBond = null;
+      index = next;
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = ch === "[" ? parseBracketAtom(text, index) : readOrganicAtom(text, index);
+    } catch (error) {
+      if (!repairs) throw error;
+      repairs.push(error.message.replace(/^SMILES 解析失败/, "已忽略"));
+      // 无法识别的方括号原子整体跳过，方括号未闭合时丢弃其后的内容
+      const end = text.indexOf("]", index);
+      if (end === -1) break;
+      index = end + 1;
+      continue;
+    }
+    if (!parsed && recover(`无法识别的字符“${ch}”`, index)) {
+      index += 1;
+      continue;
+    }
+    if (atoms.length >= MAX_SMILES_ATOMS && recover(`原子数超过 ${MAX_SMILES_ATOMS}`)) break;
+
+    const current = atoms.length;
+    parsed.atom.previous = prev;
+    atoms.push(parsed.atom);
+    if (prev !== null) {
+      if (addBond(prev, current, pendingBond, index)) {
+        atoms[prev].order.push(current);
+        parsed.atom.order.push(prev);
+      }
+    } else if (pendingBond) {
+      recover("键符号前缺少原子", index);
+    }
+    if (parsed.atom.bracket && parsed.atom.hcount > 0) parsed.atom.order.push("H");
+    pendingBond = null;
+    prev = current;
+    index = parsed.next;
+  }
+
+  if (pendingBond) recover("末尾的键符号后缺少原子");
+  if (branchStack.length > 0) recover("左括号未闭合");
+  if (openRings.size > 0) {
+    recover(`成环编号 ${[...openRings.keys()].join("、")} 未闭合`);
+    // 去掉未闭合成环留下的占位
+    atoms.forEach((atom) => {
+      atom.order = atom.order.filter((neighbor) => neighbor !== null);
+    });
+  }
+  if (atoms.length === 0) throw smilesError("没有任何原子");
+
+  return { atoms, bonds };
+}
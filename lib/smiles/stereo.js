@@ -0,0 +1,75 @@
+// 四面体手性（@ / @@）转为楔形键：选一个取代基画实楔或虚楔，使平面投影与 SMILES 构型一致。
+
+// 以第一个邻居为视点，@ 表示其余邻居逆时针排列，对应 det(v1-v0, v2-v0, v3-v0) < 0
+function signedVolume([v0, v1, v2, v3]) {
+  const a = [v1[0] - v0[0], v1[1] - v0[1], v1[2] - v0[2]];
+  const b = [v2[0] - v0[0], v2[1] - v0[1], v2[2] - v0[2]];
+  const c = [v3[0] - v0[0], v3[1] - v0[1], v3[2] - v0[2]];
+  return a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
+}
+
+function direction(from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const len = Math.hypot(dx, dy) || 1;
+  return [dx / len, dy / len];
+}
+
+// 手性中心的 4 个邻居（缺少时补一个隐式氢/孤对电子），按 SMILES 书写顺序
+function readNeighborOrder(atom) {
+  const order = atom.order.filter((item) => item !== null);
+  if (order.length === 3 && !order.includes("H")) {
+    // 孤对电子与隐式氢位置相同：紧跟在前一个原子之后
+    order.splice(atom.previous === null ? 0 : 1, 0, "H");
+  }
+  return order.length === 4 ? order : null;
+}
+
+/**
+ * 返回 Map<bondIndex, { from, type: "wedge"|"hash" }>，from 为楔形窄端（手性中心）。
+ */
+export function assignWedges(molecule, coordinates) {
+  const { atoms, bonds, neighbors } = molecule;
+  const wedges = new Map();
+
+  atoms.forEach((atom, center) => {
+    if (!atom.chirality) return;
+    const order = readNeighborOrder(atom);
+    if (!order) return;
+
+    // 优先选不在环上、尚未画楔形、自身不是手性中心的键
+    const candidates = neighbors[center]
+      .filter(({ bond }) => !wedges.has(bond))
+      .map(({ atom: other, bond }) => ({
+        other,
+        bond,
+        rank: (bonds[bond].inRing ? 4 : 0) + (atoms[other].chirality ? 2 : 0) + (bonds[bond].order > 1 ? 8 : 0) + neighbors[other].length * 0.1
+      }))
+      .sort((a, b) => a.rank - b.rank);
+    const chosen = candidates[0];
+    if (!chosen) return;
+
+    const origin = coordinates[center];
+    const heavy = order.filter((item) => item !== "H");
+    const implicitDir = (() => {
+      const sum = heavy.reduce((acc, other) => {
+        const [dx, dy] = direction(origin, coordinates[other]);
+        return [acc[0] - dx, acc[1] - dy];
+      }, [0, 0]);
+      const len = Math.hypot(sum[0], sum[1]) || 1;
+      return [sum[0] / len, sum[1] / len];
+    })();
+
+    // 先按实楔（指向读者，z>0）计算，构型不符时改为虚楔
+    const vectors = order.map((item) => {
+      if (item === "H") return [implicitDir[0], implicitDir[1], heavy.length === 3 ? -0.8 : 0];
+      const [dx, dy] = direction(origin, coordinates[item]);
+      return [dx, dy, item === chosen.other ? 0.8 : 0];
+    });
+    const isAnticlockwise = signedVolume(vectors) < 0;
+    const wanted = atom.chirality === "@";
+    wedges.set(chosen.bond, { from: center, type: isAnticlockwise === wanted ? "wedge" : "hash" });
+  });
+
+  return wedges;
+}
@@ -0,0 +1,214 @@
+// 键线式 SVG：碳原子省略，杂原子标注连接的氢，双键在环内画内侧短线，手性键画实楔/虚楔。
+
+const BOND_PX = 34;
+const FONT_SIZE = 15;
+const PADDING = 22;
+const LABEL_RADIUS = 8.5;
+const STROKE = "#0f172a";
+const FONT_FAMILY = "Arial, Helvetica, sans-serif";
+
+const SUPERSCRIPT_DIGITS = { 0: "⁰", 1: "¹", 2: "²", 3: "³", 4: "⁴", 5: "⁵", 6: "⁶", 7: "⁷", 8: "⁸", 9: "⁹" };
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function fmt(value) {
+  return Number(value.toFixed(2));
+}
+
+function chargeText(charge) {
+  if (!charge) return "";
+  const sign = charge > 0 ? "+" : "−";
+  return Math.abs(charge) === 1 ? sign : `${Math.abs(charge)}${sign}`;
+}
+
+function shouldShowLabel(atom, degree) {
+  if (atom.element !== "C") return true;
+  return degree === 0 || atom.charge !== 0 || atom.isotope !== null;
+}
+
+// 氢写在没有键的一侧：键主要朝右时写成 HO-，孤立的 O / S / 卤素写成 H₂O、HCl
+function hydrogenSide(atom, index, molecule, points) {
+  const list = molecule.neighbors[index];
+  if (list.length === 0) return ["O", "S", "F", "Cl", "Br", "I"].includes(atom.element) ? "left" : "right";
+  const dx = list.reduce((sum, { atom: other }) => sum + (points[other].x - points[index].x), 0) / list.length;
+  return dx > 0.1 ? "left" : "right";
+}
+
+function measure(text, size) {
+  return [...text].length * size * 0.6;
+}
+
+/** 标注：元素符号居中于原子坐标，氢与电荷按上下标排在两侧 */
+function renderLabel(atom, index, molecule, points) {
+  const point = points[index];
+  const small = FONT_SIZE * 0.7;
+  const elementText = atom.element === "H" && atom.isotope === 2 ? "D" : atom.element;
+  const isotope = atom.isotope !== null && elementText !== "D"
+    ? String(atom.isotope).split("").map((digit) => SUPERSCRIPT_DIGITS[digit]).join("")
+    : "";
+  const hydrogens = atom.hydrogens > 0 ? [{ text: "H", size: FONT_SIZE, shift: 0 }] : [];
+  if (atom.hydrogens > 1) hydrogens.push({ text: String(atom.hydrogens), size: small, shift: 0.3 });
+  const charge = chargeText(atom.charge);
+
+  const side = hydrogenSide(atom, index, molecule, points);
+  const elementParts = [
+    ...(isotope ? [{ text: isotope, size: FONT_SIZE, shift: 0 }] : []),
+    { text: elementText, size: FONT_SIZE, shift: 0, element: true }
+  ];
+  const parts = side === "left" ? [...hydrogens, ...elementParts] : [...elementParts, ...hydrogens];
+  if (charge) parts.push({ text: charge, size: small, shift: -0.45 });
+
+  const elementIndex = parts.findIndex((part) => part.element);
+  const before = parts.slice(0, elementIndex).reduce((sum, part) => sum + measure(part.text, part.size), 0);
+  const startX = point.x - before - measure(elementText, FONT_SIZE) / 2;
+  const baseline = point.y + FONT_SIZE * 0.35;
+
+  let currentShift = 0;
+  const spans = parts.map((part) => {
+    const dy = (part.shift - currentShift) * FONT_SIZE;
+    currentShift = part.shift;
+    const attrs = [
+      dy ? `dy="${fmt(dy)}"` : "",
+      part.size !== FONT_SIZE ? `font-size="${fmt(part.size)}"` : ""
+    ].filter(Boolean).join(" ");
+    return attrs ? `<tspan ${attrs}>${escapeXml(part.text)}</tspan>` : escapeXml(part.text);
+  }).join("");
+
+  const width = parts.reduce((sum, part) => sum + measure(part.text, part.size), 0);
+  return {
+    markup: `<text x="${fmt(startX)}" y="${fmt(baseline)}" font-size="${FONT_SIZE}" font-family="${FONT_FAMILY}" fill="${STROKE}">${spans}</text>`,
+    box: { minX: startX, maxX: startX + width, minY: point.y - FONT_SIZE * 0.8, maxY: point.y + FONT_SIZE * 0.8 }
+  };
+}
+
+function line(p, q, extra = "") {
+  return `<line x1="${fmt(p.x)}" y1="${fmt(p.y)}" x2="${fmt(q.x)}" y2="${fmt(q.y)}"${extra}/>`;
+}
+
+function offsetPoint(p, normal, distance) {
+  return { x: p.x + normal.x * distance, y: p.y + normal.y * distance };
+}
+
+function shrink(p, q, fromStart, fromEnd) {
+  const dx = q.x - p.x;
+  const dy = q.y - p.y;
+  const len = Math.hypot(dx, dy) || 1;
+  return [
+    { x: p.x + (dx / len) * fromStart, y: p.y + (dy / len) * fromStart },
+    { x: q.x - (dx / len) * fromEnd, y: q.y - (dy / len) * fromEnd }
+  ];
+}
+
+function renderWedge(p, q, type) {
+  const dx = q.x - p.x;
+  const dy = q.y - p.y;
+  const len = Math.hypot(dx, dy) || 1;
+  const normal = { x: -dy / len, y: dx / len };
+  const half = BOND_PX * 0.11;
+  if (type === "wedge") {
+    const points = [p, offsetPoint(q, normal, half), offsetPoint(q, normal, -half)]
+      .map((point) => `${fmt(point.x)},${fmt(point.y)}`)
+      .join(" ");
+    return `<polygon points="${points}" fill="${STROKE}"/>`;
+  }
+  const count = 6;
+  return Array.from({ length: count }, (_, index) => {
+    const t = (index + 1) / count;
+    const center = { x: p.x + dx * t, y: p.y + dy * t };
+    return line(offsetPoint(center, normal, half * t), offsetPoint(center, normal, -half * t));
+  }).join("");
+}
+
+// 环内双键的内侧方向：指向该键所在最小环的中心
+function ringCenterFor(molecule, bond, points) {
+  const ring = molecule.rings
+    .filter((candidate) => candidate.includes(bond.a) && candidate.includes(bond.b))
+    .sort((a, b) => a.length - b.length)[0];
+  if (!ring) return null;
+  const sum = ring.reduce((acc, atom) => ({ x: acc.x + points[atom].x, y: acc.y + points[atom].y }), { x: 0, y: 0 });
+  return { x: sum.x / ring.length, y: sum.y / ring.length };
+}
+
+function renderBond(molecule, bondIndex, points, labelled, wedges) {
+  const bond = molecule.bonds[bondIndex];
+  const from = points[bond.a];
+  const to = points[bond.b];
+  const [p, q] = shrink(from, to, labelled[bond.a] ? LABEL_RADIUS : 0, labelled[bond.b] ? LABEL_RADIUS : 0);
+
+  const wedge = wedges.get(bondIndex);
+  if (wedge) {
+    return wedge.from === bond.a ? renderWedge(p, q, wedge.type) : renderWedge(q, p, wedge.type);
+  }
+
+  const dx = q.x - p.x;
+  const dy = q.y - p.y;
+  const len = Math.hypot(dx, dy) || 1;
+  const normal = { x: -dy / len, y: dx / len };
+
+  if (bond.order === 2) {
+    const center = bond.inRing ? ringCenterFor(molecule, bond, points) : null;
+    if (center) {
+      const side = (center.x - p.x) * normal.x + (center.y - p.y) * normal.y > 0 ? 1 : -1;
+      const gap = BOND_PX * 0.18 * side;
+      const [ip, iq] = shrink(offsetPoint(p, normal, gap), offsetPoint(q, normal, gap), labelled[bond.a] ? 0 : BOND_PX * 0.14, labelled[bond.b] ? 0 : BOND_PX * 0.14);
+      return line(p, q) + line(ip, iq);
+    }
+    const gap = BOND_PX * 0.09;
+    return line(offsetPoint(p, normal, gap), offsetPoint(q, normal, gap)) + line(offsetPoint(p, normal, -gap), offsetPoint(q, normal, -gap));
+  }
+  if (bond.order >= 3) {
+    const gap = BOND_PX * 0.13;
+    return line(p, q) + line(offsetPoint(p, normal, gap), offsetPoint(q, normal, gap)) + line(offsetPoint(p, normal, -gap), offsetPoint(q, normal, -gap));
+  }
+  return line(p, q);
+}
+
+/** 未能凯库勒化的芳香环画内圆 */
+function renderAromaticCircles(molecule, points) {
+  if (molecule.kekulized) return "";
+  return molecule.rings
+    .filter((ring) => ring.every((atom) => molecule.atoms[atom].aromatic))
+    .map((ring) => {
+      const center = ring.reduce((acc, atom) => ({ x: acc.x + points[atom].x / ring.length, y: acc.y + points[atom].y / ring.length }), { x: 0, y: 0 });
+      const radius = BOND_PX * 0.5 / Math.tan(Math.PI / ring.length) * 0.62;
+      return `<circle cx="${fmt(center.x)}" cy="${fmt(center.y)}" r="${fmt(radius)}" fill="none" stroke="${STROKE}" stroke-width="1.4"/>`;
+    })
+    .join("");
+}
+
+/**
+ * coordinates 为 layoutMolecule 的结果（键长 1、y 轴向上）；返回完整 SVG 字符串。
+ */
+export function renderMoleculeSvg(molecule, coordinates, { wedges = new Map(), title = "" } = {}) {
+  const points = coordinates.map((point) => ({ x: point.x * BOND_PX, y: -point.y * BOND_PX }));
+  const labelled = molecule.atoms.map((atom, index) => shouldShowLabel(atom, molecule.neighbors[index].length));
+
+  const bondMarkup = molecule.bonds.map((_, index) => renderBond(molecule, index, points, labelled, wedges)).join("");
+  const labels = molecule.atoms
+    .map((atom, index) => (labelled[index] ? renderLabel(atom, index, molecule, points) : null))
+    .filter(Boolean);
+
+  const boxes = [
+    ...points.map((point) => ({ minX: point.x, maxX: point.x, minY: point.y, maxY: point.y })),
+    ...labels.map((label) => label.box)
+  ];
+  const minX = Math.min(...boxes.map((box) => box.minX)) - PADDING;
+  const maxX = Math.max(...boxes.map((box) => box.maxX)) + PADDING;
+  const minY = Math.min(...boxes.map((box) => box.minY)) - PADDING;
+  const maxY = Math.max(...boxes.map((box) => box.maxY)) + PADDING;
+  const width = Math.ceil(maxX - minX);
+  const height = Math.ceil(maxY - minY);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${fmt(minX)} ${fmt(minY)} ${width} ${height}" role="img" aria-label="${escapeXml(title || "化学结构式")}">` +
+    `<rect x="${fmt(minX)}" y="${fmt(minY)}" width="${width}" height="${height}" fill="#ffffff"/>` +
+    `<g stroke="${STROKE}" stroke-width="1.6" stroke-linecap="round">${bondMarkup}</g>` +
+    renderAromaticCircles(molecule, points) +
+    labels.map((label) => label.markup).join("") +
+    `</svg>`;
+}
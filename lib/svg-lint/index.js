@@ -0,0 +1,435 @@
+import { foldLabelText } from "../math-label/index.js";
+import { parseSvgTree } from "../svg-sanitizer.js";
+import { applyLinear, invert } from "../tikz/geometry.js";
+import { attribute, buildScene, intersectBoxes, readViewport, setAttribute } from "./scene.js";
+
+// 渲染结果的确定性检查（不调用模型）：文字重叠、文字压线、超出画布、标注缺失或重复、悬空端点、提示标注遮挡图形。
+// 可选自动修复：去掉与图中重复的提示标注、把提示标注移到图形下方、挪开重叠文字、扩大 viewBox。
+
+export const LINT_FIXES = ["dedupe_hints", "move_hints", "nudge_labels", "expand_viewbox"];
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+const MAX_ENTRIES = 60;
+const OVERLAP_RATIO = 0.15;
+// 文字框四周各收缩这一比例后再判断压线，贴边放置的标注不算
+const TEXT_INSET = 0.15;
+const EDGE_TOLERANCE = 0.5;
+const DANGLING_MIN_LENGTH = 10;
+// 端点与其他图形的空隙在这一范围内视为“差一点接上”
+const DANGLING_GAP = 10;
+const VIEWBOX_PADDING = 4;
+const NUDGE_DIRECTIONS = [[0, -1], [0, 1], [1, 0], [-1, 0], [1, -1], [-1, -1], [1, 1], [-1, 1]];
+const NUDGE_STEPS = [0.5, 1, 1.5, 2];
+
+export function lintFixError(message) {
+  const error = new Error(`lint_fix 无效：${message}`);
+  error.status = 400;
+  return error;
+}
+
+/** 规范化请求中的 lint_fix：true 表示全部修复，数组为修复项名称 */
+export function normalizeLintFixes(input) {
+  if (input === undefined || input === null || input === false) return [];
+  if (input === true) return [...LINT_FIXES];
+  const list = Array.isArray(input) ? input : [input];
+  return [...new Set(list.map((name) => {
+    const fix = String(name || "").trim();
+    if (!LINT_FIXES.includes(fix)) throw lintFixError(`未知的修复项“${fix}”（可选：${LINT_FIXES.join(" / ")}）`);
+    return fix;
+  }))];
+}
+
+// ---------- 几何 ----------
+
+function area(box) {
+  return Math.max(0, box.x1 - box.x0) * Math.max(0, box.y1 - box.y0);
+}
+
+function overlapRatio(a, b) {
+  const common = intersectBoxes(a, b);
+  if (!common) return 0;
+  const smaller = Math.min(area(a), area(b));
+  return smaller > 0 ? area(common) / smaller : 0;
+}
+
+function inset(box, ratio) {
+  const dx = (box.x1 - box.x0) * ratio;
+  const dy = (box.y1 - box.y0) * ratio;
+  return { x0: box.x0 + dx, y0: box.y0 + dy, x1: box.x1 - dx, y1: box.y1 - dy };
+}
+
+function shiftBox(box, dx, dy) {
+  return { x0: box.x0 + dx, y0: box.y0 + dy, x1: box.x1 + dx, y1: box.y1 + dy };
+}
+
+function inflate(box, amount) {
+  return { x0: box.x0 - amount, y0: box.y0 - amount, x1: box.x1 + amount, y1: box.y1 + amount };
+}
+
+function unionBoxes(boxes) {
+  return boxes.reduce((all, box) => (all
+    ? { x0: Math.min(all.x0, box.x0), y0: Math.min(all.y0, box.y0), x1: Math.max(all.x1, box.x1), y1: Math.max(all.y1, box.y1) }
+    : box), null);
+}
+
+function containsPoint(box, [x, y]) {
+  return x >= box.x0 && x <= box.x1 && y >= box.y0 && y <= box.y1;
+}
+
+// Liang–Barsky：线段与矩形是否相交
+function segmentHitsBox(p, q, box) {
+  let t0 = 0;
+  let t1 = 1;
+  const dx = q[0] - p[0];
+  const dy = q[1] - p[1];
+  const checks = [[-dx, p[0] - box.x0], [dx, box.x1 - p[0]], [-dy, p[1] - box.y0], [dy, box.y1 - p[1]]];
+  for (const [denominator, numerator] of checks) {
+    if (denominator === 0) {
+      if (numerator < 0) return false;
+    } else {
+      const t = numerator / denominator;
+      if (denominator < 0) t0 = Math.max(t0, t);
+      else t1 = Math.min(t1, t);
+      if (t0 > t1) return false;
+    }
+  }
+  return true;
+}
+
+function pointSegmentDistance([x, y], p, q) {
+  const dx = q[0] - p[0];
+  const dy = q[1] - p[1];
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((x - p[0]) * dx + (y - p[1]) * dy) / lengthSquared)) : 0;
+  return Math.hypot(x - (p[0] + t * dx), y - (p[1] + t * dy));
+}
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+function segmentsCross(p, q, r, t) {
+  const d1 = cross(r, t, p);
+  const d2 = cross(r, t, q);
+  const d3 = cross(p, q, r);
+  const d4 = cross(p, q, t);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function segmentsOf(item) {
+  const segments = [];
+  item.subpaths.forEach((path) => {
+    for (let index = 1; index < path.points.length; index += 1) segments.push([path.points[index - 1], path.points[index]]);
+    if (path.closed && path.points.length > 2) segments.push([path.points[path.points.length - 1], path.points[0]]);
+  });
+  return segments;
+}
+
+function roundBox(box) {
+  return [box.x0, box.y0, box.x1, box.y1].map((value) => Math.round(value * 10) / 10);
+}
+
+function describe(item) {
+  return item.kind === "text" ? `文字“${item.text.slice(0, 20)}”` : `<${item.node.name}>`;
+}
+
+// ---------- 检查 ----------
+
+function keyStrokeSegments(items) {
+  return items
+    .filter((item) => item.kind === "shape" && item.keyStroke && !item.hint && !item.background)
+    .map((item) => ({ item, segments: segmentsOf(item) }));
+}
+
+function textHitsStroke(box, strokes, self = null) {
+  const inner = inset(box, TEXT_INSET);
+  return strokes.find(({ item, segments }) => item !== self && intersectBoxes(item.box, inner) &&
+    segments.some(([p, q]) => segmentHitsBox(p, q, item.clip ? intersectBoxes(inner, item.clip) || inner : inner))) || null;
+}
+
+function checkTexts(scene, entries, findings) {
+  const texts = scene.items.filter((item) => item.kind === "text" && !item.hint);
+  for (let i = 0; i < texts.length; i += 1) {
+    for (let j = i + 1; j < texts.length; j += 1) {
+      if (overlapRatio(texts[i].box, texts[j].box) > OVERLAP_RATIO) {
+        entries.push({ severity: "warning", code: "text_overlap", message: `${describe(texts[i])} 与 ${describe(texts[j])} 重叠`, box: roundBox(texts[j].box) });
+        findings.nudge.add(texts[j]);
+      }
+    }
+  }
+  const strokes = keyStrokeSegments(scene.items);
+  texts.forEach((text) => {
+    const hit = textHitsStroke(text.box, strokes);
+    if (!hit) return;
+    entries.push({ severity: "warning", code: "text_over_stroke", message: `${describe(text)} 压在 ${describe(hit.item)} 的线条上`, box: roundBox(text.box) });
+    findings.nudge.add(text);
+  });
+}
+
+function checkViewport(scene, entries, findings) {
+  if (!scene.viewport) return;
+  const bounds = inflate(scene.viewport, EDGE_TOLERANCE);
+  scene.items.filter((item) => !item.background).forEach((item) => {
+    const { box } = item;
+    if (box.x0 >= bounds.x0 && box.y0 >= bounds.y0 && box.x1 <= bounds.x1 && box.y1 <= bounds.y1) return;
+    const outside = !intersectBoxes(box, scene.viewport);
+    entries.push({
+      severity: outside ? "error" : "warning",
+      code: "outside_viewbox",
+      message: `${describe(item)} ${outside ? "完全在画布之外" : "部分超出画布"}`,
+      box: roundBox(box)
+    });
+    findings.outside = true;
+  });
+}
+
+function checkLabels(scene, expectedLabels, entries, findings) {
+  const texts = scene.items.filter((item) => item.kind === "text" && !item.hint);
+  const hints = scene.items.filter((item) => item.kind === "text" && item.hint);
+  // 排版后的公式拆成了多段 tspan（H₂O → H、2、O），比较前统一折叠上下标与重音
+  const folded = texts.map((item) => foldLabelText(item.text));
+  expectedLabels.filter(Boolean).forEach((label) => {
+    const target = foldLabelText(label);
+    const exact = folded.filter((text) => text === target).length;
+    if (exact > 1) {
+      entries.push({ severity: "warning", code: "duplicate_label", message: `标注“${label}”在图中出现 ${exact} 次` });
+    } else if (!folded.some((text) => text.includes(target))) {
+      entries.push({ severity: "info", code: "missing_label", message: `标注“${label}”未出现在图中` });
+    }
+  });
+  hints.forEach((hint) => {
+    if (!texts.some((item) => item.text === hint.text)) return;
+    entries.push({ severity: "info", code: "hint_duplicates_label", message: `提示标注“${hint.text}”与图中文字重复` });
+    findings.duplicateHints.push(hint);
+  });
+}
+
+function checkHintPanel(scene, entries, findings) {
+  const hints = scene.items.filter((item) => item.hint);
+  if (!hints.length) return;
+  const covered = scene.items.filter((item) => !item.hint && !item.background && hints.some((hint) => {
+    if (item.kind === "text") return overlapRatio(hint.box, item.box) > 0;
+    return intersectBoxes(hint.box, item.box) && (item.filled || segmentsOf(item).some(([p, q]) => segmentHitsBox(p, q, hint.box)));
+  }));
+  if (!covered.length) return;
+  entries.push({
+    severity: "warning",
+    code: "hint_panel_overlap",
+    message: `提示标注区域遮挡了 ${covered.length} 个图形元素（如 ${describe(covered[0])}）`,
+    box: roundBox(unionBoxes(hints.map((hint) => hint.box)))
+  });
+  findings.hintOverlap = true;
+}
+
+// 点到图元的距离：落在文字框或填充区域内为 0，描边图形取到线条边缘的距离
+function distanceTo(point, item) {
+  if (item.kind === "text" || item.filled) {
+    const dx = Math.max(item.box.x0 - point[0], 0, point[0] - item.box.x1);
+    const dy = Math.max(item.box.y0 - point[1], 0, point[1] - item.box.y1);
+    if (dx === 0 && dy === 0) return 0;
+    if (item.kind === "text") return Math.hypot(dx, dy);
+  }
+  return Math.max(0, Math.min(...segmentsOf(item).map(([p, q]) => pointSegmentDistance(point, p, q))) - item.strokeWidth / 2);
+}
+
+// 只检查少量直线段组成的开放折线（导线、连线）：沿线段方向再延长一小段就会碰到某个图形、却没接上时提示。
+// 远离一切的端点视为有意为之（坐标轴、单独线段），文字旁留出的空隙和箭头两翼也不算。
+function checkDangling(scene, entries) {
+  const others = scene.items.filter((item) => !item.background && !item.hint);
+  scene.items.forEach((item) => {
+    if (item.kind !== "shape" || !item.stroked || item.hint || item.subpaths.length !== 1) return;
+    const [path] = item.subpaths;
+    if (path.closed || path.curved || path.points.length > 5) return;
+    const total = segmentsOf(item).reduce((sum, [p, q]) => sum + Math.hypot(q[0] - p[0], q[1] - p[1]), 0);
+    if (total < DANGLING_MIN_LENGTH) return;
+    const tolerance = Math.max(2, item.strokeWidth);
+    const last = path.points.length - 1;
+    const ends = [
+      { point: path.points[0], previous: path.points[1], marked: item.markers.start },
+      { point: path.points[last], previous: path.points[last - 1], marked: item.markers.end }
+    ];
+    ends.forEach(({ point, previous, marked }) => {
+      if (marked) return;
+      const near = others.filter((other) => other !== item && containsPoint(inflate(other.box, DANGLING_GAP + (other.strokeWidth || 0)), point));
+      const distances = near.map((other) => ({ other, distance: distanceTo(point, other) }));
+      if (distances.some(({ distance }) => distance <= tolerance)) return;
+      const direction = [point[0] - previous[0], point[1] - previous[1]];
+      const size = Math.hypot(direction[0], direction[1]) || 1;
+      const reach = [point[0] + (direction[0] / size) * DANGLING_GAP, point[1] + (direction[1] / size) * DANGLING_GAP];
+      const closest = distances
+        .filter(({ other, distance }) => other.kind === "shape" && distance <= DANGLING_GAP &&
+          ((other.filled && containsPoint(other.box, reach)) || segmentsOf(other).some(([p, q]) => segmentsCross(point, reach, p, q))))
+        .sort((a, b) => a.distance - b.distance)[0];
+      if (!closest) return;
+      entries.push({
+        severity: "info",
+        code: "dangling_endpoint",
+        message: `${describe(item)} 的端点 (${Math.round(point[0])}, ${Math.round(point[1])}) 与 ${describe(closest.other)} 相距约 ${closest.distance.toFixed(1)}，疑似没有接上`
+      });
+    });
+  });
+}
+
+function runChecks(root, expectedLabels, ignore) {
+  const scene = buildScene(root);
+  const entries = [];
+  const findings = { nudge: new Set(), outside: false, duplicateHints: [], hintOverlap: false };
+  checkTexts(scene, entries, findings);
+  checkViewport(scene, entries, findings);
+  checkLabels(scene, expectedLabels, entries, findings);
+  checkHintPanel(scene, entries, findings);
+  if (!ignore.includes("dangling_endpoint")) checkDangling(scene, entries);
+  const kept = entries.filter((entry) => !ignore.includes(entry.code));
+  kept.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+  return { scene, entries: kept.slice(0, MAX_ENTRIES), findings };
+}
+
+// ---------- 修复 ----------
+
+function removeNodes(root, targets) {
+  let removed = 0;
+  const visit = (node) => {
+    const before = node.children.length;
+    node.children = node.children.filter((child) => !targets.has(child));
+    removed += before - node.children.length;
+    node.children.forEach((child) => child.name && visit(child));
+  };
+  visit(root);
+  return removed;
+}
+
+function findHintPanels(root) {
+  return root.children.filter((child) => child.name === "g" && child.children.some((node) => node.name === "text" && /\brender-hint\b/.test(attribute(node, "class") || "")));
+}
+
+function dedupeHints(root, findings) {
+  if (!findings.duplicateHints.length) return 0;
+  const count = removeNodes(root, new Set(findings.duplicateHints.map((hint) => hint.node)));
+  removeNodes(root, new Set(findHintPanels(root).filter((panel) => !panel.children.some((child) => child.name))));
+  return count;
+}
+
+function moveHints(root, scene, findings) {
+  if (!findings.hintOverlap) return 0;
+  const panels = findHintPanels(root);
+  const content = unionBoxes(scene.items.filter((item) => !item.hint && !item.background).map((item) => item.box));
+  if (!panels.length || !content) return 0;
+  const left = (scene.viewport?.x0 ?? content.x0) + 12;
+  panels.forEach((panel) => setAttribute(panel, "transform", `translate(${left}, ${Math.round(content.y1 + 4)})`));
+  return panels.length;
+}
+
+function applyNudge(item, dx, dy) {
+  const inverse = invert(item.parentCtm);
+  const local = inverse ? applyLinear(inverse, { x: dx, y: dy }) : { x: dx, y: dy };
+  const existing = attribute(item.node, "transform");
+  const shift = `translate(${Math.round(local.x * 100) / 100} ${Math.round(local.y * 100) / 100})`;
+  setAttribute(item.node, "transform", existing ? `${shift} ${existing}` : shift);
+  item.box = shiftBox(item.box, dx, dy);
+}
+
+function nudgeLabels(scene, findings) {
+  const texts = scene.items.filter((item) => item.kind === "text" && !item.hint);
+  const strokes = keyStrokeSegments(scene.items);
+  let count = 0;
+  findings.nudge.forEach((item) => {
+    const step = item.box.y1 - item.box.y0;
+    const isClear = (box) => (!scene.viewport || intersectBoxes(box, scene.viewport)) &&
+      texts.every((other) => other === item || overlapRatio(box, other.box) <= 0.05) &&
+      !textHitsStroke(box, strokes);
+    for (const distance of NUDGE_STEPS) {
+      const direction = NUDGE_DIRECTIONS.find(([dx, dy]) => isClear(shiftBox(item.box, dx * distance * step, dy * distance * step)));
+      if (direction) {
+        applyNudge(item, direction[0] * distance * step, direction[1] * distance * step);
+        count += 1;
+        return;
+      }
+    }
+  });
+  return count;
+}
+
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function expandViewBox(root) {
+  const scene = buildScene(root);
+  const viewport = readViewport(root);
+  const content = unionBoxes(scene.items.filter((item) => !item.background).map((item) => item.box));
+  if (!viewport || !content) return 0;
+  if (content.x0 >= viewport.x0 - EDGE_TOLERANCE && content.y0 >= viewport.y0 - EDGE_TOLERANCE &&
+    content.x1 <= viewport.x1 + EDGE_TOLERANCE && content.y1 <= viewport.y1 + EDGE_TOLERANCE) return 0;
+
+  const next = unionBoxes([viewport, inflate(content, VIEWBOX_PADDING)]);
+  const oldWidth = viewport.x1 - viewport.x0;
+  const oldHeight = viewport.y1 - viewport.y0;
+  const width = next.x1 - next.x0;
+  const height = next.y1 - next.y0;
+  setAttribute(root, "viewBox", [next.x0, next.y0, width, height].map(formatNumber).join(" "));
+  // 固定像素尺寸按比例放大，保持原有缩放比例
+  ["width", "height"].forEach((name) => {
+    const value = attribute(root, name);
+    if (value !== null && /^\s*[\d.]+(px)?\s*$/.test(value)) {
+      const ratio = name === "width" ? width / oldWidth : height / oldHeight;
+      setAttribute(root, name, formatNumber(parseFloat(value) * ratio));
+    }
+  });
+  // 铺满画布的背景矩形随之扩大
+  scene.items.filter((item) => item.background && root.children.includes(item.node) && !attribute(item.node, "transform")).forEach((item) => {
+    setAttribute(item.node, "x", formatNumber(next.x0));
+    setAttribute(item.node, "y", formatNumber(next.y0));
+    setAttribute(item.node, "width", formatNumber(width));
+    setAttribute(item.node, "height", formatNumber(height));
+  });
+  return 1;
+}
+
+// ---------- 输出 ----------
+
+function escapeText(value) {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function serializeTree(node) {
+  const attributes = node.attributes.map(([name, value]) => ` ${name}="${escapeText(String(value)).replace(/"/g, "&quot;")}"`).join("");
+  // style 内容在解析时保留原文（未解码实体），原样输出
+  const inner = node.children.map((child) => {
+    if (child.name) return serializeTree(child);
+    return node.name === "style" ? child.text : escapeText(child.text);
+  }).join("");
+  return inner ? `<${node.name}${attributes}>${inner}</${node.name}>` : `<${node.name}${attributes}/>`;
+}
+
+/**
+ * 检查（并按需修复）已清洗的 SVG。
+ * options.expectedLabels：应当出现在图中的标注文字；options.fix：LINT_FIXES 中的修复项；options.ignore：不报告的检查项 code。
+ * 返回 { svg, lint: [{ severity: "error" | "warning" | "info", code, message, box? }], fixes: [{ fix, count }] }；
+ * 未修复时 svg 原样返回，lint 为修复后的复查结果。
+ */
+export function lintSvg(svg, { expectedLabels = [], fix = [], ignore = [] } = {}) {
+  const root = parseSvgTree(svg);
+  if (!root) return { svg, lint: [], fixes: [] };
+
+  let result = runChecks(root, expectedLabels, ignore);
+  if (!fix.length) return { svg, lint: result.entries, fixes: [] };
+
+  const fixes = [];
+  const record = (name, count) => count && fixes.push({ fix: name, count });
+  if (fix.includes("dedupe_hints")) {
+    record("dedupe_hints", dedupeHints(root, result.findings));
+    result = runChecks(root, expectedLabels, ignore);
+  }
+  const moved = fix.includes("move_hints") ? moveHints(root, result.scene, result.findings) : 0;
+  record("move_hints", moved);
+  if (fix.includes("nudge_labels")) {
+    if (moved) result = runChecks(root, expectedLabels, ignore);
+    record("nudge_labels", nudgeLabels(result.scene, result.findings));
+  }
+  // 移动提示标注后图形变高，总是随之扩大 viewBox
+  if (fix.includes("expand_viewbox") || moved) record("expand_viewbox", expandViewBox(root));
+
+  if (!fixes.length) return { svg, lint: result.entries, fixes };
+  const fixed = serializeTree(root);
+  return { svg: fixed, lint: runChecks(parseSvgTree(fixed), expectedLabels, ignore).entries, fixes };
+}
@@ -0,0 +1,215 @@
+// SVG 路径数据（d 属性）解析：曲线与圆弧按固定步数取点展平，得到折线子路径。
+
+const CURVE_STEPS = 8;
+const ARC_STEPS = 12;
+
+function createReader(text) {
+  let index = 0;
+  const skip = () => {
+    while (index < text.length && /[\s,]/.test(text[index])) index += 1;
+  };
+  return {
+    command() {
+      skip();
+      const ch = text[index];
+      if (ch && /[MmLlHhVvCcSsQqTtAaZz]/.test(ch)) {
+        index += 1;
+        return ch;
+      }
+      return null;
+    },
+    hasNumber() {
+      skip();
+      return index < text.length && /[-+.\d]/.test(text[index]);
+    },
+    number() {
+      skip();
+      const match = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/.exec(text.slice(index));
+      if (!match) throw new Error("路径数据格式错误");
+      index += match[0].length;
+      return Number(match[0]);
+    },
+    // 圆弧的两个标志位允许紧挨着写，如 "a5 5 0 011 1"
+    flag() {
+      skip();
+      const ch = text[index];
+      if (ch !== "0" && ch !== "1") throw new Error("路径数据格式错误");
+      index += 1;
+      return ch === "1";
+    }
+  };
+}
+
+function cubicPoints(p0, c1, c2, p3) {
+  const points = [];
+  for (let step = 1; step <= CURVE_STEPS; step += 1) {
+    const t = step / CURVE_STEPS;
+    const u = 1 - t;
+    points.push([
+      u * u * u * p0[0] + 3 * u * u * t * c1[0] + 3 * u * t * t * c2[0] + t * t * t * p3[0],
+      u * u * u * p0[1] + 3 * u * u * t * c1[1] + 3 * u * t * t * c2[1] + t * t * t * p3[1]
+    ]);
+  }
+  return points;
+}
+
+function quadraticPoints(p0, c, p2) {
+  const points = [];
+  for (let step = 1; step <= CURVE_STEPS; step += 1) {
+    const t = step / CURVE_STEPS;
+    const u = 1 - t;
+    points.push([u * u * p0[0] + 2 * u * t * c[0] + t * t * p2[0], u * u * p0[1] + 2 * u * t * c[1] + t * t * p2[1]]);
+  }
+  return points;
+}
+
+// 端点参数化转中心参数化（SVG 规范 F.6.5）
+function arcPoints(p0, rxInput, ryInput, rotationDeg, largeArc, sweep, p1) {
+  let rx = Math.abs(rxInput);
+  let ry = Math.abs(ryInput);
+  if (!rx || !ry || (p0[0] === p1[0] && p0[1] === p1[1])) return [p1];
+  const phi = (rotationDeg * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (p0[0] - p1[0]) / 2;
+  const dy = (p0[1] - p1[1]) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = (factor * rx * y1) / ry;
+  const cy1 = (-factor * ry * x1) / rx;
+  const cx = cos * cx1 - sin * cy1 + (p0[0] + p1[0]) / 2;
+  const cy = sin * cx1 + cos * cy1 + (p0[1] + p1[1]) / 2;
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const points = [];
+  for (let step = 1; step <= ARC_STEPS; step += 1) {
+    const theta = start + (delta * step) / ARC_STEPS;
+    const ex = rx * Math.cos(theta);
+    const ey = ry * Math.sin(theta);
+    points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+  }
+  return points;
+}
+
+/**
+ * 解析路径数据，返回子路径数组 [{ points: [[x, y]], closed, curved }]；格式错误时返回已解析的部分。
+ */
+export function parsePathData(d) {
+  const reader = createReader(String(d || ""));
+  const subpaths = [];
+  let current = null;
+  let position = [0, 0];
+  let start = [0, 0];
+  let lastControl = null;
+  let lastCommand = "";
+
+  const ensure = () => {
+    if (!current) {
+      current = { points: [position], closed: false, curved: false };
+      subpaths.push(current);
+    }
+    return current;
+  };
+
+  try {
+    let command = reader.command();
+    while (command) {
+      const relative = command === command.toLowerCase();
+      const upper = command.toUpperCase();
+      const base = () => (relative ? position : [0, 0]);
+      const readPoint = () => {
+        const origin = base();
+        return [origin[0] + reader.number(), origin[1] + reader.number()];
+      };
+
+      if (upper === "Z") {
+        if (current) {
+          current.closed = true;
+          position = start;
+          current = null;
+        }
+        lastControl = null;
+      } else {
+        let first = true;
+        do {
+          if (upper === "M") {
+            position = readPoint();
+            if (first) {
+              start = position;
+              current = { points: [position], closed: false, curved: false };
+              subpaths.push(current);
+            } else {
+              ensure().points.push(position);
+            }
+            lastControl = null;
+          } else if (upper === "L") {
+            position = readPoint();
+            ensure().points.push(position);
+            lastControl = null;
+          } else if (upper === "H") {
+            position = [(relative ? position[0] : 0) + reader.number(), position[1]];
+            ensure().points.push(position);
+            lastControl = null;
+          } else if (upper === "V") {
+            position = [position[0], (relative ? position[1] : 0) + reader.number()];
+            ensure().points.push(position);
+            lastControl = null;
+          } else if (upper === "C" || upper === "S") {
+            const path = ensure();
+            const reflected = lastControl && /[CS]/i.test(lastCommand)
+              ? [2 * position[0] - lastControl[0], 2 * position[1] - lastControl[1]]
+              : position;
+            const c1 = upper === "C" ? readPoint() : reflected;
+            const c2 = readPoint();
+            const end = readPoint();
+            path.points.push(...cubicPoints(position, c1, c2, end));
+            path.curved = true;
+            lastControl = c2;
+            position = end;
+          } else if (upper === "Q" || upper === "T") {
+            const path = ensure();
+            const control = upper === "Q"
+              ? readPoint()
+              : (lastControl && /[QT]/i.test(lastCommand) ? [2 * position[0] - lastControl[0], 2 * position[1] - lastControl[1]] : position);
+            const end = readPoint();
+            path.points.push(...quadraticPoints(position, control, end));
+            path.curved = true;
+            lastControl = control;
+            position = end;
+          } else if (upper === "A") {
+            const path = ensure();
+            const rx = reader.number();
+            const ry = reader.number();
+            const rotation = reader.number();
+            const largeArc = reader.flag();
+            const sweep = reader.flag();
+            const end = readPoint();
+            path.points.push(...arcPoints(position, rx, ry, rotation, largeArc, sweep, end));
+            path.curved = true;
+            lastControl = null;
+            position = end;
+          }
+          lastCommand = command;
+          first = false;
+        } while (reader.hasNumber());
+      }
+      lastCommand = command;
+      command = reader.command();
+    }
+  } catch {
+    // 保留已解析的部分
+  }
+  return subpaths.filter((path) => path.points.length > 0);
+}
@@ -0,0 +1,379 @@
+import { applyMatrix, compose, matrix, rotation, scaling, translation } from "../tikz/geometry.js";
+import { measureTextWidth } from "../math-label/index.js";
+import { parsePathData } from "./path-data.js";
+
+// 把 SVG 树展开成根坐标系下的图元清单：文字框、描边折线、填充区域，供 lint 检查使用。
+// 文字尺寸按字符类别估算，只用于发现明显问题，不追求像素级精确。
+
+const SKIPPED_ELEMENTS = new Set([
+  "defs", "clipPath", "mask", "marker", "pattern", "symbol", "linearGradient", "radialGradient",
+  "filter", "title", "desc", "style", "use", "image"
+]);
+const INHERITED = [
+  "fill", "stroke", "stroke-width", "stroke-opacity", "fill-opacity", "font-size", "text-anchor",
+  "dominant-baseline", "visibility", "marker-start", "marker-end"
+];
+const PRESENTATION = [...INHERITED, "opacity", "display", "clip-path"];
+const DEFAULT_FONT_SIZE = 16;
+const ELLIPSE_STEPS = 24;
+
+export const IDENTITY = matrix(1, 0, 0, 1, 0, 0);
+
+export function attribute(node, name) {
+  const entry = node.attributes.find(([key]) => key === name);
+  return entry ? entry[1] : null;
+}
+
+export function setAttribute(node, name, value) {
+  const entry = node.attributes.find(([key]) => key === name);
+  if (entry) entry[1] = value;
+  else node.attributes.push([name, value]);
+}
+
+function numberList(value) {
+  return String(value || "").trim().split(/[\s,]+/).filter(Boolean).map(Number).filter(Number.isFinite);
+}
+
+function length(value, fallback = 0) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && !/%$/.test(String(value).trim()) ? number : fallback;
+}
+
+export function parseTransform(text) {
+  let result = IDENTITY;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(String(text || ""))) !== null) {
+    const args = numberList(match[2]);
+    let next = IDENTITY;
+    if (match[1] === "matrix" && args.length === 6) next = matrix(...args);
+    else if (match[1] === "translate") next = translation(args[0] || 0, args[1] || 0);
+    else if (match[1] === "scale") next = scaling(args[0] ?? 1, args[1] ?? args[0] ?? 1);
+    else if (match[1] === "rotate") {
+      const [angle = 0, cx = 0, cy = 0] = args;
+      next = compose(translation(cx, cy), compose(rotation(angle), translation(-cx, -cy)));
+    } else if (match[1] === "skewX") next = matrix(1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0);
+    else if (match[1] === "skewY") next = matrix(1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0);
+    result = compose(result, next);
+  }
+  return result;
+}
+
+function parseDeclarations(text) {
+  const declarations = {};
+  String(text || "").split(";").forEach((part) => {
+    const index = part.indexOf(":");
+    if (index > 0) declarations[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).trim();
+  });
+  return declarations;
+}
+
+// 只识别 .class 选择器，足够覆盖渲染管线自己写入的样式
+function collectClassRules(root) {
+  const rules = new Map();
+  const visit = (node) => {
+    if (node.name === "style") {
+      const css = node.children.map((child) => child.text || "").join("");
+      const pattern = /([^{}]+)\{([^}]*)\}/g;
+      let match;
+      while ((match = pattern.exec(css)) !== null) {
+        const declarations = parseDeclarations(match[2]);
+        match[1].split(",").map((selector) => selector.trim()).filter((selector) => /^\.[\w-]+$/.test(selector)).forEach((selector) => {
+          rules.set(selector.slice(1), { ...(rules.get(selector.slice(1)) || {}), ...declarations });
+        });
+      }
+    }
+    node.children.forEach((child) => child.name && visit(child));
+  };
+  visit(root);
+  return rules;
+}
+
+function ownStyle(node, classRules) {
+  const style = {};
+  PRESENTATION.forEach((name) => {
+    const value = attribute(node, name);
+    if (value !== null) style[name] = value;
+  });
+  String(attribute(node, "class") || "").split(/\s+/).filter(Boolean).forEach((name) => Object.assign(style, classRules.get(name) || {}));
+  return Object.assign(style, parseDeclarations(attribute(node, "style")));
+}
+
+export function transformBox(m, x0, y0, x1, y1) {
+  const corners = [[x0, y0], [x1, y0], [x1, y1], [x0, y1]].map(([x, y]) => applyMatrix(m, { x, y }));
+  return {
+    x0: Math.min(...corners.map((p) => p.x)),
+    y0: Math.min(...corners.map((p) => p.y)),
+    x1: Math.max(...corners.map((p) => p.x)),
+    y1: Math.max(...corners.map((p) => p.y))
+  };
+}
+
+export function boxOfPoints(points) {
+  return {
+    x0: Math.min(...points.map((p) => p[0])),
+    y0: Math.min(...points.map((p) => p[1])),
+    x1: Math.max(...points.map((p) => p[0])),
+    y1: Math.max(...points.map((p) => p[1]))
+  };
+}
+
+export function intersectBoxes(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const box = { x0: Math.max(a.x0, b.x0), y0: Math.max(a.y0, b.y0), x1: Math.min(a.x1, b.x1), y1: Math.min(a.y1, b.y1) };
+  return box.x1 >= box.x0 && box.y1 >= box.y0 ? box : null;
+}
+
+function ellipsePoints(cx, cy, rx, ry) {
+  return Array.from({ length: ELLIPSE_STEPS }, (_, step) => {
+    const angle = (2 * Math.PI * step) / ELLIPSE_STEPS;
+    return [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)];
+  });
+}
+
+/** 基本图形的局部坐标子路径 */
+function shapeSubpaths(node) {
+  const get = (name) => length(attribute(node, name));
+  switch (node.name) {
+    case "line":
+      return [{ points: [[get("x1"), get("y1")], [get("x2"), get("y2")]], closed: false, curved: false }];
+    case "polyline":
+    case "polygon": {
+      const values = numberList(attribute(node, "points"));
+      const points = [];
+      for (let index = 0; index + 1 < values.length; index += 2) points.push([values[index], values[index + 1]]);
+      return points.length ? [{ points, closed: node.name === "polygon", curved: false }] : [];
+    }
+    case "rect": {
+      const x = get("x");
+      const y = get("y");
+      const width = get("width");
+      const height = get("height");
+      if (width <= 0 || height <= 0) return [];
+      return [{ points: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]], closed: true, curved: false }];
+    }
+    case "circle":
+      return get("r") > 0 ? [{ points: ellipsePoints(get("cx"), get("cy"), get("r"), get("r")), closed: true, curved: true }] : [];
+    case "ellipse":
+      return get("rx") > 0 && get("ry") > 0 ? [{ points: ellipsePoints(get("cx"), get("cy"), get("rx"), get("ry")), closed: true, curved: true }] : [];
+    case "path":
+      return parsePathData(attribute(node, "d"));
+    default:
+      return [];
+  }
+}
+
+function collectText(node) {
+  return node.children.map((child) => (child.name ? collectText(child) : child.text || "")).join("");
+}
+
+function maxFontSize(node, inherited) {
+  const own = length(attribute(node, "font-size") ?? parseDeclarations(attribute(node, "style"))["font-size"], inherited);
+  return node.children.reduce((size, child) => (child.name === "tspan" ? Math.max(size, maxFontSize(child, own)) : size), own);
+}
+
+function isLightColor(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (text === "white") return true;
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text);
+  if (!hex) return false;
+  const digits = hex[1].length === 3 ? hex[1].split("").map((ch) => ch + ch) : hex[1].match(/../g);
+  const [r, g, b] = digits.map((part) => parseInt(part, 16) / 255);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.8;
+}
+
+// 逐段累计 <tspan> 的位置（x / y / dx / dy）与字号，得到每段文字的起点
+function textRuns(node, fontSize, pen, runs) {
+  node.children.forEach((child) => {
+    if (!child.name) {
+      const text = (child.text || "").replace(/\s+/g, " ");
+      if (!text.trim()) return;
+      const width = measureTextWidth(text, fontSize);
+      runs.push({ x: pen.x, y: pen.y, width, fontSize });
+      pen.x += width;
+      return;
+    }
+    if (child.name !== "tspan") return;
+    const x = numberList(attribute(child, "x"))[0];
+    const y = numberList(attribute(child, "y"))[0];
+    if (x !== undefined) {
+      pen.x = x;
+      pen.positioned = true;
+    }
+    if (y !== undefined) pen.y = y;
+    pen.x += numberList(attribute(child, "dx"))[0] || 0;
+    pen.y += numberList(attribute(child, "dy"))[0] || 0;
+    const own = attribute(child, "font-size") ?? parseDeclarations(attribute(child, "style"))["font-size"];
+    textRuns(child, length(own, fontSize), pen, runs);
+  });
+  return runs;
+}
+
+function textItem(node, style, ctm) {
+  const text = collectText(node).replace(/\s+/g, " ").trim();
+  if (!text) return null;
+  const baseSize = length(style["font-size"], DEFAULT_FONT_SIZE);
+  const fontSize = maxFontSize(node, baseSize);
+  const x = (numberList(attribute(node, "x"))[0] || 0) + (numberList(attribute(node, "dx"))[0] || 0);
+  const y = (numberList(attribute(node, "y"))[0] || 0) + (numberList(attribute(node, "dy"))[0] || 0);
+  const pen = { x, y, positioned: false };
+  const runs = textRuns(node, baseSize, pen, []);
+  if (!runs.length) return null;
+  // 没有逐段定位时整段按 text-anchor 对齐
+  const width = pen.x - x;
+  const anchor = style["text-anchor"] || "start";
+  const shift = pen.positioned ? 0 : anchor === "middle" ? -width / 2 : anchor === "end" ? -width : 0;
+  const baseline = style["dominant-baseline"] || "";
+  const points = runs.flatMap((run) => {
+    const top = /middle|central/.test(baseline) ? run.y - run.fontSize / 2 : /hanging|text-before-edge/.test(baseline) ? run.y : run.y - run.fontSize * 0.8;
+    const left = run.x + shift;
+    return [[left, top], [left + run.width, top + run.fontSize]];
+  });
+  const box = boxOfPoints(points);
+  return { kind: "text", text, fontSize, box: transformBox(ctm, box.x0, box.y0, box.x1, box.y1) };
+}
+
+function clipBoxOf(node, ctm, ids, classRules) {
+  const reference = /^url\(\s*#([^)]+)\)$/.exec(String(ownStyle(node, classRules)["clip-path"] || "").trim());
+  const clip = reference ? ids.get(reference[1]) : null;
+  if (!clip) return null;
+  const points = [];
+  clip.children.filter((child) => child.name).forEach((child) => {
+    const local = compose(ctm, parseTransform(attribute(child, "transform")));
+    shapeSubpaths(child).forEach((path) => path.points.forEach(([x, y]) => {
+      const p = applyMatrix(local, { x, y });
+      points.push([p.x, p.y]);
+    }));
+  });
+  return points.length ? boxOfPoints(points) : null;
+}
+
+function collectIds(root) {
+  const ids = new Map();
+  const visit = (node) => {
+    const id = attribute(node, "id");
+    if (id) ids.set(id, node);
+    node.children.forEach((child) => child.name && visit(child));
+  };
+  visit(root);
+  return ids;
+}
+
+/** 视口：优先 viewBox，其次 width / height；都没有时为 null */
+export function readViewport(root) {
+  const viewBox = numberList(attribute(root, "viewBox"));
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { x0: viewBox[0], y0: viewBox[1], x1: viewBox[0] + viewBox[2], y1: viewBox[1] + viewBox[3] };
+  }
+  const width = length(attribute(root, "width"));
+  const height = length(attribute(root, "height"));
+  return width > 0 && height > 0 ? { x0: 0, y0: 0, x1: width, y1: height } : null;
+}
+
+/**
+ * 展开 SVG 树，返回 { viewport, items }。
+ * item：{ index, kind: "text" | "shape", node, parentCtm, box, clip, hint, background,
+ *         text, fontSize（文字）, subpaths, stroked, keyStroke, strokeWidth, filled, markers（图形） }，坐标均为根坐标系。
+ */
+export function buildScene(root) {
+  const viewport = readViewport(root);
+  const classRules = collectClassRules(root);
+  const ids = collectIds(root);
+  const items = [];
+
+  const visit = (node, inherited, parentCtm, clip, hint, opacity, sink = items) => {
+    if (SKIPPED_ELEMENTS.has(node.name)) return;
+    const own = ownStyle(node, classRules);
+    if (own.display === "none") return;
+    const style = { ...inherited };
+    INHERITED.forEach((name) => {
+      if (own[name] !== undefined && own[name] !== "inherit") style[name] = own[name];
+    });
+    const ctm = compose(parentCtm, parseTransform(attribute(node, "transform")));
+    const nodeClip = intersectBoxes(clip, clipBoxOf(node, ctm, ids, classRules));
+    if (clip && !nodeClip) return;
+    const isHint = hint || /\brender-hint\b/.test(attribute(node, "class") || "");
+    const nodeOpacity = opacity * length(own.opacity, 1);
+    const hidden = style.visibility === "hidden" || nodeOpacity <= 0.05;
+
+    if (node.name === "text") {
+      const item = hidden ? null : textItem(node, style, ctm);
+      if (item) {
+        const box = nodeClip ? intersectBoxes(item.box, nodeClip) : item.box;
+        if (box) sink.push({ ...item, index: sink.length, node, parentCtm, box, clip: nodeClip, hint: isHint, background: false });
+      }
+      return;
+    }
+    // math-label 排出的公式（文字 + 分数线、根号等路径）整体作为一个文字标注
+    if (node.name === "g" && /\bmath-label\b/.test(attribute(node, "class") || "")) {
+      const parts = [];
+      node.children.forEach((child) => {
+        if (child.name) visit(child, style, ctm, nodeClip, isHint, nodeOpacity, parts);
+      });
+      const texts = parts.filter((part) => part.kind === "text");
+      if (!texts.length) return;
+      const box = boxOfPoints(parts.flatMap((part) => [[part.box.x0, part.box.y0], [part.box.x1, part.box.y1]]));
+      sink.push({
+        kind: "text",
+        index: sink.length,
+        text: texts.map((part) => part.text).join(""),
+        fontSize: Math.max(...texts.map((part) => part.fontSize)),
+        node,
+        parentCtm,
+        box,
+        clip: nodeClip,
+        hint: isHint,
+        background: false
+      });
+      return;
+    }
+
+    const localPaths = shapeSubpaths(node);
+    if (localPaths.length && !hidden) {
+      const subpaths = localPaths.map((path) => ({
+        ...path,
+        points: path.points.map(([x, y]) => {
+          const p = applyMatrix(ctm, { x, y });
+          return [p.x, p.y];
+        })
+      }));
+      const scale = Math.sqrt(Math.abs(ctm.a * ctm.d - ctm.b * ctm.c)) || 1;
+      const strokeWidth = length(style["stroke-width"], 1) * scale;
+      const stroked = Boolean(style.stroke) && style.stroke !== "none" && strokeWidth > 0;
+      const filled = style.fill !== "none" && localPaths.some((path) => path.closed || node.name !== "line");
+      const box = boxOfPoints(subpaths.flatMap((path) => path.points));
+      const pad = stroked ? strokeWidth / 2 : 0;
+      const padded = { x0: box.x0 - pad, y0: box.y0 - pad, x1: box.x1 + pad, y1: box.y1 + pad };
+      const visibleBox = nodeClip ? intersectBoxes(padded, nodeClip) : padded;
+      if (visibleBox && (stroked || filled)) {
+        const strokeOpacity = nodeOpacity * length(style["stroke-opacity"], 1);
+        const area = (visibleBox.x1 - visibleBox.x0) * (visibleBox.y1 - visibleBox.y0);
+        const viewportArea = viewport ? (viewport.x1 - viewport.x0) * (viewport.y1 - viewport.y0) : Infinity;
+        sink.push({
+          kind: "shape",
+          index: sink.length,
+          node,
+          parentCtm,
+          box: visibleBox,
+          clip: nodeClip,
+          hint: isHint,
+          background: filled && !stroked && node.name === "rect" && area >= viewportArea * 0.9,
+          subpaths,
+          stroked,
+          strokeWidth,
+          keyStroke: stroked && strokeWidth >= 1 && strokeOpacity >= 0.5 && !isLightColor(style.stroke),
+          filled,
+          markers: { start: Boolean(style["marker-start"] && style["marker-start"] !== "none"), end: Boolean(style["marker-end"] && style["marker-end"] !== "none") }
+        });
+      }
+    }
+
+    node.children.forEach((child) => {
+      if (child.name) visit(child, style, ctm, nodeClip, isHint, nodeOpacity, sink);
+    });
+  };
+
+  visit(root, { fill: "#000000" }, IDENTITY, null, false, 1);
+  return { viewport, items };
+}
@@ -0,0 +1,387 @@
+// SVG 白名单清洗：自带解析器（不依赖 DOMParser），后端与前端页面共用同一份规则。
+// 只保留教材图形常用的元素与属性，链接只允许文档内引用（#id），样式中去掉 @import 与外部 url()，
+// 并返回被删除内容的清单。本文件不引入任何依赖，页面可直接以 <script type="module"> 加载。
+
+const MAX_INPUT_LENGTH = 2_000_000;
+const MAX_DEPTH = 64;
+const MAX_ELEMENTS = 50_000;
+const MAX_REPORT_ENTRIES = 50;
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const XLINK_NAMESPACE = "http://www.w3.org/1999/xlink";
+
+const ALLOWED_ELEMENTS = [
+  "svg", "g", "defs", "title", "desc", "symbol", "use", "style",
+  "path", "rect", "circle", "ellipse", "line", "polyline", "polygon",
+  "text", "tspan", "textPath",
+  "marker", "linearGradient", "radialGradient", "stop", "pattern", "clipPath", "mask", "image",
+  "filter", "feGaussianBlur", "feOffset", "feBlend", "feFlood", "feComposite", "feMerge", "feMergeNode",
+  "feColorMatrix", "feDropShadow", "feMorphology"
+];
+
+// 去掉标签但保留子节点
+const UNWRAP_ELEMENTS = ["a", "switch"];
+
+const ALLOWED_ATTRIBUTES = [
+  "id", "class", "style", "transform", "version", "xmlns", "xmlns:xlink", "xml:space", "role", "aria-label", "aria-hidden",
+  "x", "y", "x1", "y1", "x2", "y2", "cx", "cy", "r", "rx", "ry", "fx", "fy", "fr", "width", "height", "d", "points",
+  "viewBox", "preserveAspectRatio", "pathLength",
+  "fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-linecap", "stroke-linejoin",
+  "stroke-dasharray", "stroke-dashoffset", "stroke-miterlimit", "opacity", "color", "visibility", "display", "overflow",
+  "vector-effect", "paint-order", "shape-rendering", "text-rendering", "clip-path", "clip-rule", "mask", "filter",
+  "font-family", "font-size", "font-weight", "font-style", "font-variant", "text-anchor", "dominant-baseline",
+  "alignment-baseline", "baseline-shift", "letter-spacing", "word-spacing", "text-decoration", "writing-mode",
+  "direction", "unicode-bidi", "dx", "dy", "rotate", "textLength", "lengthAdjust", "startOffset", "method", "spacing", "side",
+  "marker-start", "marker-mid", "marker-end", "markerWidth", "markerHeight", "markerUnits", "refX", "refY", "orient",
+  "offset", "stop-color", "stop-opacity", "gradientUnits", "gradientTransform", "spreadMethod",
+  "patternUnits", "patternContentUnits", "patternTransform", "clipPathUnits", "maskUnits", "maskContentUnits",
+  "filterUnits", "primitiveUnits", "in", "in2", "result", "stdDeviation", "mode", "operator", "k1", "k2", "k3", "k4",
+  "values", "type", "flood-color", "flood-opacity", "radius",
+  "href", "xlink:href"
+];
+
+// 可带 href 的元素：除 image 的 data:image 外只允许 #id
+const HREF_ELEMENTS = ["use", "textPath", "linearGradient", "radialGradient", "pattern", "filter", "image"];
+
+const NAMED_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'", nbsp: " " };
+
+const ELEMENT_LOOKUP = new Map(ALLOWED_ELEMENTS.map((name) => [name.toLowerCase(), name]));
+const ATTRIBUTE_LOOKUP = new Map(ALLOWED_ATTRIBUTES.map((name) => [name.toLowerCase(), name]));
+
+function createReport() {
+  const entries = new Map();
+  return {
+    add(type, name, reason) {
+      const key = `${type}\u0000${name}\u0000${reason}`;
+      const entry = entries.get(key);
+      if (entry) entry.count += 1;
+      else entries.set(key, { type, name, reason, count: 1 });
+    },
+    list() {
+      return [...entries.values()].slice(0, MAX_REPORT_ENTRIES);
+    }
+  };
+}
+
+function decodeEntities(text, report) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, body) => {
+    if (body[0] === "#") {
+      const code = body[1] === "x" || body[1] === "X" ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      const valid = code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff) &&
+        !(code < 0x20 && ![0x09, 0x0a, 0x0d].includes(code)) && code !== 0x7f;
+      if (valid) return String.fromCodePoint(code);
+      report.add("entity", match, "无效字符引用");
+      return "";
+    }
+    if (Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, body)) return NAMED_ENTITIES[body];
+    report.add("entity", match, "未知实体");
+    return "";
+  });
+}
+
+function escapeText(value) {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, "&quot;");
+}
+
+// ---------- 解析：得到 { name, attributes: [[name, value]], children } 树 ----------
+
+function parseMarkup(source, start, report) {
+  const root = { name: "#root", attributes: [], children: [] };
+  const stack = [root];
+  let index = start;
+  let started = false;
+
+  while (index < source.length) {
+    const parent = stack[stack.length - 1];
+    if (started && stack.length === 1) break;
+
+    if (source.startsWith("<!--", index)) {
+      const end = source.indexOf("-->", index + 4);
+      index = end < 0 ? source.length : end + 3;
+      continue;
+    }
+    if (source.startsWith("<![CDATA[", index)) {
+      const end = source.indexOf("]]>", index + 9);
+      const text = source.slice(index + 9, end < 0 ? source.length : end);
+      parent.children.push({ text });
+      index = end < 0 ? source.length : end + 3;
+      continue;
+    }
+    if (source.startsWith("<!", index) || source.startsWith("<?", index)) {
+      // <!DOCTYPE ... [ 内部子集 ]> 连同实体声明一起丢弃
+      let cursor = index + 2;
+      let bracket = 0;
+      while (cursor < source.length) {
+        const ch = source[cursor];
+        if (ch === "[") bracket += 1;
+        else if (ch === "]") bracket -= 1;
+        else if (ch === ">" && bracket <= 0) break;
+        cursor += 1;
+      }
+      if (/^<!doctype/i.test(source.slice(index, index + 9))) report.add("element", "!DOCTYPE", "文档类型声明");
+      index = cursor + 1;
+      continue;
+    }
+    if (source.startsWith("</", index)) {
+      const end = source.indexOf(">", index);
+      const name = source.slice(index + 2, end < 0 ? source.length : end).trim();
+      index = end < 0 ? source.length : end + 1;
+      const position = stack.map((node) => node.name).lastIndexOf(name);
+      if (position > 0) stack.length = position;
+      continue;
+    }
+    if (source[index] === "<" && /[A-Za-z]/.test(source[index + 1] || "")) {
+      const nameMatch = /^[A-Za-z][\w:.-]*/.exec(source.slice(index + 1));
+      const name = nameMatch[0];
+      let cursor = index + 1 + name.length;
+      const attributes = [];
+      let selfClosing = false;
+      let closed = false;
+      while (cursor < source.length) {
+        while (/\s/.test(source[cursor] || "")) cursor += 1;
+        if (source[cursor] === ">") {
+          cursor += 1;
+          closed = true;
+          break;
+        }
+        if (source.startsWith("/>", cursor)) {
+          cursor += 2;
+          selfClosing = true;
+          closed = true;
+          break;
+        }
+        const attrMatch = /^[^\s=/>]+/.exec(source.slice(cursor));
+        if (!attrMatch) {
+          cursor += 1;
+          continue;
+        }
+        const attrName = attrMatch[0];
+        cursor += attrName.length;
+        while (/\s/.test(source[cursor] || "")) cursor += 1;
+        let value = "";
+        if (source[cursor] === "=") {
+          cursor += 1;
+          while (/\s/.test(source[cursor] || "")) cursor += 1;
+          const quote = source[cursor];
+          if (quote === "\"" || quote === "'") {
+            const end = source.indexOf(quote, cursor + 1);
+            value = source.slice(cursor + 1, end < 0 ? source.length : end);
+            cursor = end < 0 ? source.length : end + 1;
+          } else {
+            const unquoted = /^[^\s>]*/.exec(source.slice(cursor))[0];
+            value = unquoted;
+            cursor += unquoted.length;
+          }
+        }
+        attributes.push([attrName, decodeEntities(value, report)]);
+      }
+      if (!closed) break;
+      index = cursor;
+
+      const element = { name, attributes, children: [] };
+      parent.children.push(element);
+      started = true;
+      if (selfClosing) continue;
+
+      // style / script 内容按原文读取到结束标签
+      if (/^(style|script)$/i.test(name)) {
+        const closing = new RegExp(`</${name}\\s*>`, "i").exec(source.slice(index));
+        const end = closing ? index + closing.index : source.length;
+        element.children.push({ text: source.slice(index, end) });
+        index = closing ? end + closing[0].length : source.length;
+        continue;
+      }
+      stack.push(element);
+      continue;
+    }
+
+    const next = source.indexOf("<", index + 1);
+    const end = next < 0 ? source.length : next;
+    parent.children.push({ text: decodeEntities(source.slice(index, end), report) });
+    index = end;
+  }
+
+  return root.children.find((node) => node.name) || null;
+}
+
+// ---------- 过滤与输出 ----------
+
+function isInternalReference(value) {
+  return /^#[A-Za-z_][\w.:-]*$/.test(value.trim());
+}
+
+function isSafeDataImage(value) {
+  return /^data:image\/(png|jpe?g|gif|webp);base64,[A-Za-z0-9+/=\s]+$/i.test(value.trim());
+}
+
+// 去掉空白与控制字符后再判断协议，防止 "java\nscript:" 之类的写法
+function hasScriptProtocol(value) {
+  return /(?:javascript|vbscript|data|livescript):/i.test(value.replace(/[\s\u0000-\u001F]+/g, ""));
+}
+
+function hasExternalUrl(value) {
+  const urls = value.match(/url\s*\(([^)]*)\)/gi) || [];
+  return urls.some((url) => !/^url\s*\(\s*(['"]?)#[\w.:-]+\1\s*\)$/i.test(url));
+}
+
+/** 清洗 CSS：去掉注释、@ 规则、外部 url()、expression / behavior 等，返回清洗后的文本 */
+function sanitizeCss(css, report) {
+  let text = css.replace(/\/\*[\s\S]*?\*\//g, "");
+  if (/@(import|font-face|namespace|charset)/i.test(text)) report.add("css", "@import / @font-face", "外部资源引用");
+  text = text
+    .replace(/@font-face\s*\{[^}]*\}/gi, "")
+    .replace(/@(import|namespace|charset)[^;]*;?/gi, "");
+  const unsafe = (value) => hasExternalUrl(value) || /expression\s*\(|behavior\s*:|-moz-binding|javascript:|vbscript:/i.test(value.replace(/\\/g, ""));
+  // 逐条声明检查，不安全的声明整条删除
+  text = text.replace(/([-\w]+)\s*:([^{};]*)/g, (match, property, value) => {
+    if (!unsafe(value) && !/\\/.test(match)) return match;
+    report.add("css", property.trim(), "不安全的样式");
+    return "";
+  });
+  return text.replace(/</g, "");
+}
+
+function sanitizeAttribute(elementName, rawName, value, report) {
+  const lower = rawName.toLowerCase();
+  if (lower.startsWith("on")) {
+    report.add("attribute", rawName, "事件属性");
+    return null;
+  }
+  const name = ATTRIBUTE_LOOKUP.get(lower);
+  if (!name) {
+    report.add("attribute", rawName, "不在白名单");
+    return null;
+  }
+  if (name === "xmlns" && value !== SVG_NAMESPACE) return SVG_NAMESPACE;
+  if (name === "xmlns:xlink" && value !== XLINK_NAMESPACE) return XLINK_NAMESPACE;
+
+  if (name === "href" || name === "xlink:href") {
+    const ok = HREF_ELEMENTS.includes(elementName) &&
+      (isInternalReference(value) || (elementName === "image" && isSafeDataImage(value)));
+    if (!ok) {
+      report.add("attribute", `${elementName}@${rawName}`, "外部或脚本链接");
+      return null;
+    }
+    return value.trim();
+  }
+  if (name === "style") {
+    const css = sanitizeCss(value, report);
+    return css.trim() ? css : null;
+  }
+  if (hasExternalUrl(value) || hasScriptProtocol(value)) {
+    report.add("attribute", `${elementName}@${rawName}`, "外部资源引用");
+    return null;
+  }
+  return value;
+}
+
+function serializeElement(node, report, depth, counter) {
+  const rawName = node.name;
+  const localName = rawName.startsWith("svg:") ? rawName.slice(4) : rawName;
+  const lower = localName.toLowerCase();
+
+  if (UNWRAP_ELEMENTS.includes(lower)) {
+    report.add("element", rawName, "链接元素已展开");
+    return serializeChildren(node, "g", report, depth, counter);
+  }
+  const name = ELEMENT_LOOKUP.get(lower);
+  if (!name || localName.includes(":")) {
+    report.add("element", rawName, "不在白名单");
+    return "";
+  }
+  if (depth > MAX_DEPTH) {
+    report.add("element", rawName, "嵌套过深");
+    return "";
+  }
+  counter.count += 1;
+  if (counter.count > MAX_ELEMENTS) {
+    report.add("element", rawName, "元素数量超限");
+    return "";
+  }
+
+  const attributes = [];
+  const seen = new Set();
+  node.attributes.forEach(([attrName, value]) => {
+    const safe = sanitizeAttribute(name, attrName, value, report);
+    const canonical = ATTRIBUTE_LOOKUP.get(attrName.toLowerCase());
+    if (safe === null || seen.has(canonical)) return;
+    seen.add(canonical);
+    if (canonical.startsWith("xlink:")) counter.usesXlink = true;
+    attributes.push(` ${canonical}="${escapeAttribute(safe)}"`);
+  });
+  if (name === "svg" && depth === 0 && !seen.has("xmlns")) attributes.unshift(` xmlns="${SVG_NAMESPACE}"`);
+
+  let inner;
+  if (name === "style") {
+    inner = escapeText(sanitizeCss(node.children.map((child) => child.text || "").join(""), report));
+  } else {
+    inner = serializeChildren(node, name, report, depth, counter);
+  }
+  return inner
+    ? `<${name}${attributes.join("")}>${inner}</${name}>`
+    : `<${name}${attributes.join("")}/>`;
+}
+
+function serializeChildren(node, name, report, depth, counter) {
+  return node.children.map((child) => {
+    if (child.name) return serializeElement(child, report, depth + 1, counter);
+    return escapeText(child.text);
+  }).join("");
+}
+
+function cleanSource(input) {
+  return String(input)
+    .replace(/^\uFEFF/, "")
+    .replace(/\uFFFD/g, "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, "");
+}
+
+/**
+ * 解析（不清洗）SVG 文本，返回根元素树 { name, attributes: [[name, value]], children }，文本子节点为 { text }；
+ * 没有 <svg> 根元素时返回 null。供 svg-lint 等需要读取结构的模块使用，输入应先经过清洗。
+ */
+export function parseSvgTree(input) {
+  if (input === null || input === undefined) return null;
+  const source = cleanSource(input);
+  if (source.length > MAX_INPUT_LENGTH) return null;
+  const start = source.search(/<(?:svg:)?svg[\s>/]/i);
+  if (start < 0) return null;
+  const root = parseMarkup(source, start, createReport());
+  return root && /^(svg:)?svg$/i.test(root.name) ? root : null;
+}
+
+/**
+ * 清洗 SVG 文本，返回 { svg, removed }。svg 为空串表示输入中没有可用的 <svg> 根元素；
+ * removed 为被删除内容的清单：[{ type: "element" | "attribute" | "css" | "entity", name, reason, count }]。
+ */
+export function sanitizeSvgDocument(input) {
+  const report = createReport();
+  if (input === null || input === undefined) return { svg: "", removed: [] };
+  const source = cleanSource(input);
+  if (source.length > MAX_INPUT_LENGTH) {
+    report.add("element", "svg", "内容过长");
+    return { svg: "", removed: report.list() };
+  }
+
+  const start = source.search(/<(?:svg:)?svg[\s>/]/i);
+  if (start < 0) return { svg: "", removed: [] };
+  const root = parseMarkup(source, start, report);
+  if (!root || !/^(svg:)?svg$/i.test(root.name)) return { svg: "", removed: report.list() };
+
+  const counter = { count: 0, usesXlink: false };
+  let svg = serializeElement(root, report, 0, counter);
+  // 保留了 xlink:href 时根元素必须声明 xlink 命名空间，否则 resvg 等按 XML 解析的渲染器会拒绝整张图
+  if (counter.usesXlink && !/^<svg\b[^>]*\sxmlns:xlink=/.test(svg)) {
+    svg = svg.replace(/^<svg\b/, `<svg xmlns:xlink="${XLINK_NAMESPACE}"`);
+  }
+  return { svg, removed: report.list() };
+}
+
+/** 只要清洗后的 SVG 文本 */
+export function sanitizeSvg(input) {
+  return sanitizeSvgDocument(input).svg;
+}
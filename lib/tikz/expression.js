@@ -0,0 +1,204 @@
+// pgfmath 表达式子集：四则运算、乘方、括号与常用函数；三角函数按角度计算，数值后缀 r 表示弧度。
+// 只做递归下降求值，不执行任何代码。
+
+const UNIT_TO_CM = {
+  cm: 1,
+  mm: 0.1,
+  in: 2.54,
+  pt: 2.54 / 72.27,
+  bp: 2.54 / 72,
+  pc: (12 * 2.54) / 72.27,
+  em: (10 * 2.54) / 72.27,
+  ex: (4.3 * 2.54) / 72.27
+};
+
+const DEG = Math.PI / 180;
+
+const FUNCTIONS = {
+  sin: (x) => Math.sin(x * DEG),
+  cos: (x) => Math.cos(x * DEG),
+  tan: (x) => Math.tan(x * DEG),
+  asin: (x) => Math.asin(x) / DEG,
+  acos: (x) => Math.acos(x) / DEG,
+  atan: (x) => Math.atan(x) / DEG,
+  atan2: (y, x) => Math.atan2(y, x) / DEG,
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log10: Math.log10,
+  log2: Math.log2,
+  pow: Math.pow,
+  min: Math.min,
+  max: Math.max,
+  mod: (x, y) => x % y,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  int: Math.trunc,
+  sign: Math.sign,
+  deg: (x) => x / DEG,
+  rad: (x) => x * DEG,
+  veclen: (x, y) => Math.hypot(x, y),
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+export function tikzError(message) {
+  const error = new Error(`TikZ 解析失败：${message}`);
+  error.status = 400;
+  return error;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const ch = text[index];
+    if (/\s/.test(ch)) {
+      index += 1;
+      continue;
+    }
+    const number = /^(?:\d+\.?\d*|\.\d+)/.exec(text.slice(index));
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]) });
+      index += number[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z][A-Za-z0-9]*/.exec(text.slice(index));
+    if (word) {
+      tokens.push({ type: "word", value: word[0] });
+      index += word[0].length;
+      continue;
+    }
+    if ("+-*/^(),".includes(ch)) {
+      tokens.push({ type: "op", value: ch });
+      index += 1;
+      continue;
+    }
+    throw tikzError(`表达式“${text}”中有无法识别的字符“${ch}”`);
+  }
+  return tokens;
+}
+
+/**
+ * 求值，返回 { value, unit }：带长度单位时 value 已换算为厘米且 unit=true。
+ */
+export function evaluateExpression(input) {
+  const text = String(input ?? "").trim().replace(/^\{([\s\S]*)\}$/, "$1");
+  if (!text) throw tikzError("表达式为空");
+  const tokens = tokenize(text);
+  let position = 0;
+  let unit = false;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw tikzError(`表达式“${text}”缺少“${value}”`);
+    position += 1;
+  };
+
+  // 数值或括号后的长度单位、弧度后缀
+  const applySuffix = (value) => {
+    const token = peek();
+    if (token?.type !== "word") return value;
+    if (Object.prototype.hasOwnProperty.call(UNIT_TO_CM, token.value)) {
+      position += 1;
+      unit = true;
+      return value * UNIT_TO_CM[token.value];
+    }
+    if (token.value === "r") {
+      position += 1;
+      return value / DEG;
+    }
+    return value;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw tikzError(`表达式“${text}”不完整`);
+    position += 1;
+    if (token.type === "number") return applySuffix(token.value);
+    if (token.type === "op" && token.value === "(") {
+      const value = parseSum();
+      expect(")");
+      return applySuffix(value);
+    }
+    if (token.type === "word") {
+      if (Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) && isOp("(")) {
+        position += 1;
+        const args = [parseSum()];
+        while (isOp(",")) {
+          position += 1;
+          args.push(parseSum());
+        }
+        expect(")");
+        return applySuffix(FUNCTIONS[token.value](...args));
+      }
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) return applySuffix(CONSTANTS[token.value]);
+    }
+    throw tikzError(`表达式“${text}”中有无法识别的内容“${token.value}”`);
+  };
+
+  // 与 pgfmath 一致：一元负号优先于乘方，-2^2 = 4（foreach 代入负数时 \x^2 仍为正）
+  const parseUnary = () => {
+    if (isOp("-")) {
+      position += 1;
+      return -parseUnary();
+    }
+    if (isOp("+")) {
+      position += 1;
+      return parseUnary();
+    }
+    return parsePrimary();
+  };
+
+  // 乘方右结合
+  const parsePower = () => {
+    const base = parseUnary();
+    if (!isOp("^")) return base;
+    position += 1;
+    return base ** parsePower();
+  };
+
+  const parseProduct = () => {
+    let value = parsePower();
+    while (isOp("*") || isOp("/")) {
+      const op = peek().value;
+      position += 1;
+      const right = parsePower();
+      value = op === "*" ? value * right : value / right;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (isOp("+") || isOp("-")) {
+      const op = peek().value;
+      position += 1;
+      const right = parseProduct();
+      value = op === "+" ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const value = parseSum();
+  if (position < tokens.length) throw tikzError(`表达式“${text}”有多余内容`);
+  if (!Number.isFinite(value)) throw tikzError(`表达式“${text}”的结果不是有限数值`);
+  return { value, unit };
+}
+
+/** 纯数值（角度、比例、个数等），忽略单位标记 */
+export function evaluateNumber(input) {
+  return evaluateExpression(input).value;
+}
+
+/** 长度：无单位时按 defaultUnit 解释（如 xshift 默认 pt），返回厘米 */
+export function evaluateLength(input, defaultUnit = "cm") {
+  const { value, unit } = evaluateExpression(input);
+  return unit ? value : value * UNIT_TO_CM[defaultUnit];
+}
@@ -0,0 +1,192 @@
+// 画布几何：仿射矩阵（厘米坐标 → 像素，y 轴向下）、圆弧的三次贝塞尔近似、曲线取点。
+
+export const DEG = Math.PI / 180;
+
+// 1cm 对应的像素数；1pt = 1/28.4528 cm
+export const UNIT_PX = 40;
+export const PT_PX = UNIT_PX / 28.4528;
+// 屏幕上按原始线宽显示偏细，统一加粗
+const LINE_WEIGHT = 1.6;
+
+/** 线宽（pt）→ 像素 */
+export function lineWidthPx(widthPt) {
+  return Number((widthPt * PT_PX * LINE_WEIGHT).toFixed(2));
+}
+
+export function point(x, y) {
+  return { x, y };
+}
+
+export function add(p, q) {
+  return { x: p.x + q.x, y: p.y + q.y };
+}
+
+export function sub(p, q) {
+  return { x: p.x - q.x, y: p.y - q.y };
+}
+
+export function scale(p, k) {
+  return { x: p.x * k, y: p.y * k };
+}
+
+export function length(p) {
+  return Math.hypot(p.x, p.y);
+}
+
+export function lerp(p, q, t) {
+  return { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+}
+
+export function unit(p) {
+  const len = length(p);
+  return len < 1e-9 ? { x: 0, y: 0 } : { x: p.x / len, y: p.y / len };
+}
+
+/** 矩阵 { a, b, c, d, e, f }：x' = a·x + c·y + e，y' = b·x + d·y + f */
+export function matrix(a, b, c, d, e, f) {
+  return { a, b, c, d, e, f };
+}
+
+/** 先做 n 再做 m */
+export function compose(m, n) {
+  return {
+    a: m.a * n.a + m.c * n.b,
+    b: m.b * n.a + m.d * n.b,
+    c: m.a * n.c + m.c * n.d,
+    d: m.b * n.c + m.d * n.d,
+    e: m.a * n.e + m.c * n.f + m.e,
+    f: m.b * n.e + m.d * n.f + m.f
+  };
+}
+
+export function translation(x, y) {
+  return matrix(1, 0, 0, 1, x, y);
+}
+
+export function scaling(x, y) {
+  return matrix(x, 0, 0, y, 0, 0);
+}
+
+/** 逆时针旋转（以 y 轴向上的用户坐标为准） */
+export function rotation(degrees) {
+  const cos = Math.cos(degrees * DEG);
+  const sin = Math.sin(degrees * DEG);
+  return matrix(cos, sin, -sin, cos, 0, 0);
+}
+
+export function applyMatrix(m, p) {
+  return { x: m.a * p.x + m.c * p.y + m.e, y: m.b * p.x + m.d * p.y + m.f };
+}
+
+export function applyLinear(m, p) {
+  return { x: m.a * p.x + m.c * p.y, y: m.b * p.x + m.d * p.y };
+}
+
+export function invert(m) {
+  const det = m.a * m.d - m.b * m.c;
+  if (Math.abs(det) < 1e-12) return null;
+  return {
+    a: m.d / det,
+    b: -m.b / det,
+    c: -m.c / det,
+    d: m.a / det,
+    e: (m.c * m.f - m.d * m.e) / det,
+    f: (m.b * m.e - m.a * m.f) / det
+  };
+}
+
+/**
+ * 椭圆弧 → 三次贝塞尔段。center 为画布坐标，radii 为用户坐标下的半径，
+ * linear 为用户坐标到画布的变换（只用其线性部分）；每段不超过 90°。
+ */
+export function arcCurves(center, radii, startAngle, endAngle, linear) {
+  const total = endAngle - startAngle;
+  const count = Math.max(1, Math.ceil(Math.abs(total) / 90 - 1e-9));
+  const step = total / count;
+  const at = (angle) => add(center, applyLinear(linear, point(radii.x * Math.cos(angle * DEG), radii.y * Math.sin(angle * DEG))));
+  const tangent = (angle) => applyLinear(linear, point(-radii.x * Math.sin(angle * DEG), radii.y * Math.cos(angle * DEG)));
+  const k = (4 / 3) * Math.tan((step * DEG) / 4);
+  const curves = [];
+  for (let index = 0; index < count; index += 1) {
+    const from = startAngle + step * index;
+    const to = from + step;
+    const p0 = at(from);
+    const p3 = at(to);
+    curves.push({
+      p0,
+      c1: add(p0, scale(tangent(from), k)),
+      c2: sub(p3, scale(tangent(to), k)),
+      p3
+    });
+  }
+  return curves;
+}
+
+export function bezierPoint({ p0, c1, c2, p3 }, t) {
+  const u = 1 - t;
+  return {
+    x: u * u * u * p0.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * p3.x,
+    y: u * u * u * p0.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * p3.y
+  };
+}
+
+export function bezierTangent({ p0, c1, c2, p3 }, t) {
+  const u = 1 - t;
+  return {
+    x: 3 * u * u * (c1.x - p0.x) + 6 * u * t * (c2.x - c1.x) + 3 * t * t * (p3.x - c2.x),
+    y: 3 * u * u * (c1.y - p0.y) + 6 * u * t * (c2.y - c1.y) + 3 * t * t * (p3.y - c2.y)
+  };
+}
+
+/** 线段 / 折线 / 曲线上按参数 t 取点与切向，用于 midway、pos= 与 sloped */
+export function segmentPoint(segment, t) {
+  if (segment.type === "curve") return bezierPoint(segment, t);
+  if (segment.type === "corner") {
+    const first = length(sub(segment.corner, segment.from));
+    const second = length(sub(segment.to, segment.corner));
+    const total = first + second || 1;
+    const distance = t * total;
+    return distance <= first
+      ? lerp(segment.from, segment.corner, first ? distance / first : 0)
+      : lerp(segment.corner, segment.to, second ? (distance - first) / second : 0);
+  }
+  if (segment.type === "curves") {
+    const scaled = Math.min(Math.max(t, 0), 1) * segment.curves.length;
+    const index = Math.min(Math.floor(scaled), segment.curves.length - 1);
+    return bezierPoint(segment.curves[index], scaled - index);
+  }
+  return lerp(segment.from, segment.to, t);
+}
+
+export function segmentTangent(segment, t) {
+  if (segment.type === "curve") return bezierTangent(segment, t);
+  if (segment.type === "corner") {
+    const first = length(sub(segment.corner, segment.from));
+    const second = length(sub(segment.to, segment.corner));
+    return t * (first + second) <= first ? sub(segment.corner, segment.from) : sub(segment.to, segment.corner);
+  }
+  if (segment.type === "curves") {
+    const scaled = Math.min(Math.max(t, 0), 1) * segment.curves.length;
+    const index = Math.min(Math.floor(scaled), segment.curves.length - 1);
+    return bezierTangent(segment.curves[index], scaled - index);
+  }
+  return sub(segment.to, segment.from);
+}
+
+/** 经过各点的光滑曲线（Catmull-Rom 转三次贝塞尔） */
+export function smoothCurves(points) {
+  const curves = [];
+  for (let index = 0; index < points.length - 1; index += 1) {
+    const p0 = points[Math.max(index - 1, 0)];
+    const p1 = points[index];
+    const p2 = points[index + 1];
+    const p3 = points[Math.min(index + 2, points.length - 1)];
+    curves.push({
+      p0: p1,
+      c1: add(p1, scale(sub(p2, p0), 1 / 6)),
+      c2: sub(p2, scale(sub(p3, p1), 1 / 6)),
+      p3: p2
+    });
+  }
+  return curves;
+}
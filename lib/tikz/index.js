@@ -0,0 +1,304 @@
+import { evaluateLength, evaluateNumber, tikzError } from "./expression.js";
+import { UNIT_PX, applyMatrix, compose, invert, point, rotation, scaling, translation } from "./geometry.js";
+import { nodeBox, renderNode } from "./nodes.js";
+import { applyOptions, averageColor, parseOptions } from "./options.js";
+import { buildPath, resolveCoordinate } from "./path.js";
+import { pathData, renderPath } from "./render.js";
+import { expandForeachList, extractPicture, parseItems, readBalanced, splitTopLevel, substituteMacros } from "./source.js";
+
+// 本地 TikZ 子集解释器：\draw / \fill / \node / \coordinate / \clip、\foreach、scope、\def 与 calc，直接输出 SVG。
+// 遇到不支持的命令或写法时抛出 status=400 的错误，由调用方改走 AI 渲染。
+
+export { MAX_TIKZ_LENGTH } from "./source.js";
+
+const MAX_STATEMENTS = 5000;
+const PADDING = 8;
+const DEFAULT_STYLE = { lineWidth: 0.4, labels: [] };
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(6)));
+}
+
+function fmt(value) {
+  return Number(value.toFixed(2));
+}
+
+// 源码的简单散列，作为 clipPath id 前缀，保证同页多图不冲突且输出稳定
+function hashText(text) {
+  let hash = 5381;
+  for (let index = 0; index < text.length; index += 1) hash = ((hash * 33) ^ text.charCodeAt(index)) >>> 0;
+  return hash.toString(36);
+}
+
+function coordinateContext(scope, state) {
+  return { transform: scope.transform, units: scope.units, nodes: state.nodes, styles: state.styles, style: scope.style };
+}
+
+/** 变换类选项依次作用于当前坐标系 */
+function applyTransforms(scope, transforms, state) {
+  let { transform } = scope;
+  const units = { ...scope.units };
+  transforms.forEach(({ key, value }) => {
+    const text = String(value ?? "").trim();
+    switch (key) {
+      case "shift": {
+        const inner = text.replace(/^\((.*)\)$/s, "$1");
+        const canvas = resolveCoordinate(inner, coordinateContext({ ...scope, transform, units }, state)).point;
+        const user = applyMatrix(invert(transform), canvas);
+        transform = compose(transform, translation(user.x, user.y));
+        break;
+      }
+      case "xshift":
+        transform = compose(transform, translation(evaluateLength(text, "pt"), 0));
+        break;
+      case "yshift":
+        transform = compose(transform, translation(0, evaluateLength(text, "pt")));
+        break;
+      case "scale":
+        transform = compose(transform, scaling(evaluateNumber(text), evaluateNumber(text)));
+        break;
+      case "xscale":
+        transform = compose(transform, scaling(evaluateNumber(text), 1));
+        break;
+      case "yscale":
+        transform = compose(transform, scaling(1, evaluateNumber(text)));
+        break;
+      case "rotate":
+        transform = compose(transform, rotation(evaluateNumber(text)));
+        break;
+      case "rotate around": {
+        const [angle, center] = splitTopLevel(text, ":");
+        const canvas = resolveCoordinate(center.replace(/^\((.*)\)$/s, "$1"), coordinateContext({ ...scope, transform, units }, state)).point;
+        const user = applyMatrix(invert(transform), canvas);
+        transform = compose(transform, compose(translation(user.x, user.y), compose(rotation(evaluateNumber(angle)), translation(-user.x, -user.y))));
+        break;
+      }
+      case "x":
+      case "y":
+        if (text.startsWith("(")) throw tikzError(`暂不支持用坐标设置 ${key} 方向向量`);
+        units[key] = evaluateLength(text);
+        break;
+      default:
+        break;
+    }
+  });
+  if (!invert(transform)) throw tikzError("坐标变换不可逆（缩放为 0）");
+  return { transform, units };
+}
+
+function deriveScope(scope, optionsText, state) {
+  const style = applyOptions(scope.style, parseOptions(optionsText, state.styles));
+  const { transform, units } = applyTransforms(scope, style.transforms, state);
+  return {
+    ...scope,
+    style: { ...style, transforms: [] },
+    transform,
+    units,
+    defaultTip: style.defaultTip || scope.defaultTip
+  };
+}
+
+function createState(source) {
+  return {
+    nodes: new Map(),
+    styles: new Map(),
+    statements: 0,
+    defs: [],
+    clipPrefix: `tikz-clip-${hashText(source)}`,
+    bounds: { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity }
+  };
+}
+
+// 包围盒只统计裁剪区域内的部分
+function extendBounds(state, scope, points) {
+  const clip = scope.clipBox;
+  points.forEach(({ x, y }) => {
+    const px = clip ? Math.min(Math.max(x, clip.minX), clip.maxX) : x;
+    const py = clip ? Math.min(Math.max(y, clip.minY), clip.maxY) : y;
+    state.bounds.minX = Math.min(state.bounds.minX, px);
+    state.bounds.maxX = Math.max(state.bounds.maxX, px);
+    state.bounds.minY = Math.min(state.bounds.minY, py);
+    state.bounds.maxY = Math.max(state.bounds.maxY, py);
+  });
+}
+
+function emitNodes(nodes, scope, state) {
+  nodes.forEach((node) => {
+    const markup = renderNode(node);
+    if (!markup) return;
+    scope.output.push(markup);
+    const box = nodeBox(node);
+    extendBounds(state, scope, [point(box.minX, box.minY), point(box.maxX, box.maxY)]);
+  });
+}
+
+function executeCommand(item, scope, state, macros) {
+  let text = substituteMacros(item.text, macros).trim();
+  let options = "";
+  if (text.startsWith("[")) {
+    const read = readBalanced(text, 0);
+    options = read.content;
+    text = text.slice(read.next);
+  }
+
+  // \node 与 \coordinate 的选项属于节点本身
+  if (item.name === "node" || item.name === "coordinate") {
+    const result = buildPath(`${item.name}[${options}] ${text}`, coordinateContext(scope, state));
+    emitNodes(result.nodes, scope, state);
+    return;
+  }
+
+  const entries = parseOptions(options, state.styles);
+  const style = applyOptions(scope.style, entries);
+  const { transform, units } = applyTransforms(scope, style.transforms, state);
+  const draw = ["draw", "filldraw", "shadedraw"].includes(item.name) ? style.draw ?? true : style.draw;
+  let fill = ["fill", "filldraw"].includes(item.name) ? style.fill ?? true : style.fill;
+  if (item.name === "shade" || item.name === "shadedraw") {
+    fill = averageColor(style.shadeColors || []) || "#808080";
+  }
+  const pathStyle = { ...style, draw, fill, transforms: [] };
+  const result = buildPath(text, { transform, units, nodes: state.nodes, styles: state.styles, style: pathStyle });
+
+  if (item.name === "clip") {
+    const id = `${state.clipPrefix}-${state.defs.length + 1}`;
+    state.defs.push(`<clipPath id="${id}"><path d="${pathData(result.subpaths)}"/></clipPath>`);
+    const group = [];
+    scope.output.push({ clipId: id, children: group });
+    scope.output = group;
+    const xs = result.subpaths.flatMap((subpath) => subpath.commands.filter((command) => command.p).map((command) => command.p));
+    const box = {
+      minX: Math.min(...xs.map((p) => p.x)),
+      maxX: Math.max(...xs.map((p) => p.x)),
+      minY: Math.min(...xs.map((p) => p.y)),
+      maxY: Math.max(...xs.map((p) => p.y))
+    };
+    scope.clipBox = scope.clipBox
+      ? {
+        minX: Math.max(scope.clipBox.minX, box.minX),
+        maxX: Math.min(scope.clipBox.maxX, box.maxX),
+        minY: Math.max(scope.clipBox.minY, box.minY),
+        maxY: Math.min(scope.clipBox.maxY, box.maxY)
+      }
+      : box;
+    if (draw || fill) {
+      const rendered = renderPath(result.subpaths, pathStyle, { draw, fill, defaultTip: scope.defaultTip });
+      scope.output.push(rendered.markup);
+      extendBounds(state, scope, rendered.points);
+    }
+    emitNodes(result.nodes, scope, state);
+    return;
+  }
+
+  const rendered = renderPath(result.subpaths, pathStyle, { draw, fill, defaultTip: scope.defaultTip });
+  if (rendered.markup) {
+    scope.output.push(rendered.markup);
+    extendBounds(state, scope, rendered.points);
+  }
+  result.edges.forEach((edge) => {
+    const edgeRendered = renderPath(edge.subpaths, edge.style, { draw: edge.style.draw, fill: false, defaultTip: scope.defaultTip });
+    if (!edgeRendered.markup) return;
+    scope.output.push(edgeRendered.markup);
+    extendBounds(state, scope, edgeRendered.points);
+  });
+  emitNodes(result.nodes, scope, state);
+}
+
+function executeItems(items, scope, state, macros) {
+  items.forEach((item) => {
+    state.statements += 1;
+    if (state.statements > MAX_STATEMENTS) throw tikzError(`展开后的语句超过 ${MAX_STATEMENTS} 条`);
+
+    switch (item.type) {
+      case "command":
+        executeCommand(item, scope, state, macros);
+        break;
+      case "def":
+        macros.set(item.name, item.evaluate
+          ? formatNumber(evaluateNumber(substituteMacros(item.value, macros)))
+          : substituteMacros(item.value, macros));
+        break;
+      case "style":
+        parseOptions(substituteMacros(item.value, macros), state.styles);
+        break;
+      case "scope": {
+        const group = [];
+        scope.output.push({ children: group });
+        const inner = { ...deriveScope(scope, substituteMacros(item.options, macros), state), output: group };
+        executeItems(item.body, inner, state, new Map(macros));
+        break;
+      }
+      case "foreach": {
+        const values = expandForeachList(substituteMacros(item.list, macros));
+        const options = parseOptions(substituteMacros(item.options, macros), state.styles);
+        const count = options.find(({ key }) => key === "count");
+        const evaluate = options.find(({ key }) => key === "evaluate");
+        values.forEach((value, index) => {
+          const local = new Map(macros);
+          const parts = splitTopLevel(value, "/");
+          item.variables.forEach((variable, position) => {
+            local.set(variable.slice(1), parts[position] ?? parts[0]);
+          });
+          if (count?.value) {
+            const [name, start] = count.value.split(/\s+from\s+/);
+            local.set(name.trim().slice(1), formatNumber(index + (start ? evaluateNumber(start) : 1)));
+          }
+          if (evaluate?.value) {
+            // evaluate=\x as \y using \x*2
+            const match = /^\\([A-Za-z]+)\s+as\s+\\([A-Za-z]+)\s+using\s+(.+)$/.exec(evaluate.value.trim());
+            if (match) local.set(match[2], formatNumber(evaluateNumber(substituteMacros(match[3], local))));
+          }
+          executeItems(item.body, scope, state, local);
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+}
+
+function serializeOutput(output) {
+  return output.map((entry) => {
+    if (typeof entry === "string") return entry;
+    const inner = serializeOutput(entry.children);
+    if (!inner) return "";
+    return entry.clipId ? `<g clip-path="url(#${entry.clipId})">${inner}</g>` : `<g>${inner}</g>`;
+  }).join("");
+}
+
+/**
+ * 渲染 TikZ 源码（可带 \begin{tikzpicture}，也可只有绘图命令），返回 { svg, statementCount }。
+ */
+export function renderTikzSvg(source) {
+  const { options, body } = extractPicture(source);
+  const { items } = parseItems(body);
+  if (!items.length) throw tikzError("没有任何绘图命令");
+
+  const state = createState(String(source));
+  const baseScope = {
+    transform: scaling(UNIT_PX, -UNIT_PX),
+    units: { x: 1, y: 1 },
+    style: DEFAULT_STYLE,
+    defaultTip: null,
+    clipBox: null,
+    output: []
+  };
+  const rootOutput = [];
+  const root = { ...deriveScope(baseScope, options, state), output: rootOutput };
+  executeItems(items, root, state, new Map());
+
+  const { bounds } = state;
+  if (!Number.isFinite(bounds.minX)) throw tikzError("没有可绘制的内容");
+  const minX = bounds.minX - PADDING;
+  const minY = bounds.minY - PADDING;
+  const width = Math.ceil(bounds.maxX - bounds.minX + PADDING * 2);
+  const height = Math.ceil(bounds.maxY - bounds.minY + PADDING * 2);
+  const defs = state.defs.length ? `<defs>${state.defs.join("")}</defs>` : "";
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${fmt(minX)} ${fmt(minY)} ${width} ${height}" role="img" aria-label="TikZ 图形">` +
+    defs +
+    `<rect x="${fmt(minX)}" y="${fmt(minY)}" width="${width}" height="${height}" fill="#ffffff"/>` +
+    serializeOutput(rootOutput) +
+    `</svg>`;
+  return { svg, statementCount: state.statements };
+}
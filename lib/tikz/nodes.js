@@ -0,0 +1,201 @@
+import { layoutMathLabel, renderLabelLine } from "../math-label/index.js";
+import { DEG, PT_PX, UNIT_PX, add, lineWidthPx, point, scale, sub, unit } from "./geometry.js";
+
+// 节点：文字排版（math-label）、尺寸估算、锚点与边界，以及节点的 SVG 输出。
+
+const BASE_FONT_PT = 10;
+const FONT_FAMILY = "Times New Roman, STSong, SimSun, serif";
+const LINE_HEIGHT = 1.2;
+// TikZ 默认 inner sep = 0.3333em
+const DEFAULT_INNER_SEP_CM = (BASE_FONT_PT / 3) / 28.4528;
+
+const ANCHOR_ANGLES = {
+  east: 0,
+  "north east": 45,
+  north: 90,
+  "north west": 135,
+  west: 180,
+  "south west": 225,
+  south: 270,
+  "south east": 315
+};
+
+const DIRECTION_ANGLES = {
+  right: 0,
+  "above right": 45,
+  above: 90,
+  "above left": 135,
+  left: 180,
+  "below left": 225,
+  below: 270,
+  "below right": 315
+};
+
+function fmt(value) {
+  return Number(value.toFixed(2));
+}
+
+function nodeFontSize(style) {
+  return BASE_FONT_PT * PT_PX * (style.fontScale || 1);
+}
+
+// 每行占用的高度：普通文字为 1.2 倍字号，分数、根号等超出常规字高的部分另加
+function lineSlots(lines, fontSize) {
+  return lines.map((line) => {
+    const above = Math.max(0, line.ascent - 0.75 * fontSize);
+    const below = Math.max(0, line.descent - 0.25 * fontSize);
+    return { height: fontSize * LINE_HEIGHT + above + below, shift: (above - below) / 2 };
+  });
+}
+
+/**
+ * 估算节点尺寸：{ hw, hh }（像素，含 inner sep），shape 为 circle 时 hw = hh = 半径。
+ * lines 为 layoutMathLabel 的行盒子。
+ */
+export function measureNode(lines, style) {
+  const fontSize = nodeFontSize(style);
+  const innerSep = (style.innerSep ?? DEFAULT_INNER_SEP_CM) * UNIT_PX;
+  const hasText = lines.some((line) => line.items.length > 0);
+  const width = hasText ? Math.max(...lines.map((line) => line.width)) : 0;
+  const height = hasText ? lineSlots(lines, fontSize).reduce((sum, slot) => sum + slot.height, 0) * 0.85 : 0;
+  const minWidth = (style.minWidth || 0) * UNIT_PX;
+  const minHeight = (style.minHeight || 0) * UNIT_PX;
+
+  let hw = Math.max(width / 2 + innerSep, minWidth / 2);
+  let hh = Math.max(height / 2 + innerSep, minHeight / 2);
+  if (style.shape === "circle") {
+    const radius = Math.max(Math.hypot(width / 2 + innerSep, height / 2 + innerSep), minWidth / 2, minHeight / 2);
+    hw = radius;
+    hh = radius;
+  } else if (style.shape === "ellipse") {
+    hw *= Math.SQRT2;
+    hh *= Math.SQRT2;
+  } else if (style.shape === "coordinate") {
+    hw = 0;
+    hh = 0;
+  }
+  return { hw, hh, fontSize, innerSep };
+}
+
+/** 从节点中心沿方向 direction（画布坐标）到边界的距离 */
+export function borderDistance(node, direction) {
+  const d = unit(direction);
+  if (node.hw === 0 && node.hh === 0) return 0;
+  if (node.shape === "circle") return node.hw;
+  if (node.shape === "ellipse") return 1 / Math.hypot(d.x / node.hw, d.y / node.hh);
+  const tx = Math.abs(d.x) < 1e-9 ? Infinity : node.hw / Math.abs(d.x);
+  const ty = Math.abs(d.y) < 1e-9 ? Infinity : node.hh / Math.abs(d.y);
+  return Math.min(tx, ty);
+}
+
+export function borderPoint(node, toward) {
+  const direction = sub(toward, node.center);
+  if (Math.hypot(direction.x, direction.y) < 1e-9) return node.center;
+  return add(node.center, scale(unit(direction), borderDistance(node, direction)));
+}
+
+// 角度（y 轴向上）→ 画布方向
+function angleDirection(angle) {
+  return point(Math.cos(angle * DEG), -Math.sin(angle * DEG));
+}
+
+/** 锚点相对节点中心的偏移；支持 north east 等名称与数字角度 */
+export function anchorOffset(node, anchor) {
+  const name = String(anchor || "center").trim();
+  if (name === "center" || name === "base" || name === "mid" || name === "text") return point(0, 0);
+  const angle = ANCHOR_ANGLES[name] ?? (/^-?[\d.]+$/.test(name) ? Number(name) : null);
+  if (angle === null) return point(0, 0);
+  if (node.shape !== "circle" && node.shape !== "ellipse" && ANCHOR_ANGLES[name] !== undefined && angle % 90 !== 0) {
+    // 矩形的 north east 等为角点
+    const direction = angleDirection(angle);
+    return point(Math.sign(direction.x) * node.hw, Math.sign(direction.y) * node.hh);
+  }
+  const direction = angleDirection(angle);
+  return scale(direction, borderDistance(node, direction));
+}
+
+export function anchorPoint(node, anchor) {
+  return add(node.center, anchorOffset(node, anchor));
+}
+
+export function directionAngle(direction) {
+  if (DIRECTION_ANGLES[direction] !== undefined) return DIRECTION_ANGLES[direction];
+  const value = Number(direction);
+  return Number.isFinite(value) ? value : 90;
+}
+
+/** above=2pt 这类位移：沿放置方向平移 */
+export function placementVector(placement, distancePx) {
+  if (!placement || !distancePx) return point(0, 0);
+  const x = /left/.test(placement) ? -1 : /right/.test(placement) ? 1 : 0;
+  const y = /above/.test(placement) ? -1 : /below/.test(placement) ? 1 : 0;
+  return point(x * distancePx, y * distancePx);
+}
+
+/**
+ * 创建节点：at 为放置点（画布坐标），按 style.anchor 对齐；返回含 center / hw / hh 的节点描述。
+ */
+export function createNode({ name, text, at, style }) {
+  const lines = layoutMathLabel(text, nodeFontSize(style));
+  const shape = style.shape === "circle" || style.shape === "ellipse" || style.shape === "coordinate" ? style.shape : "rectangle";
+  const { hw, hh, fontSize } = measureNode(lines, { ...style, shape });
+  const node = { name, lines, shape, hw, hh, fontSize, style, center: at };
+  const offset = anchorOffset(node, style.anchor || "center");
+  const shift = placementVector(style.placement, (style.placementShift || 0) * UNIT_PX);
+  node.center = add(sub(at, offset), shift);
+  return node;
+}
+
+function colorOf(value, fallback) {
+  return typeof value === "string" ? value : fallback;
+}
+
+export function nodeBox(node) {
+  const rotate = node.rotate ? Math.abs(node.rotate * DEG) : 0;
+  const hw = node.hw * Math.abs(Math.cos(rotate)) + node.hh * Math.abs(Math.sin(rotate));
+  const hh = node.hw * Math.abs(Math.sin(rotate)) + node.hh * Math.abs(Math.cos(rotate));
+  return { minX: node.center.x - hw, maxX: node.center.x + hw, minY: node.center.y - hh, maxY: node.center.y + hh };
+}
+
+/** 节点的 SVG：边框 / 填充 + 文字 */
+export function renderNode(node) {
+  const { style, center } = node;
+  if (node.shape === "coordinate") return "";
+  const parts = [];
+  const stroke = style.draw ? colorOf(style.draw, style.color || "#000000") : null;
+  const fill = style.fill ? colorOf(style.fill, style.color || "#000000") : null;
+
+  if (stroke || fill) {
+    const attrs = [
+      `fill="${fill || "none"}"`,
+      stroke ? `stroke="${stroke}" stroke-width="${lineWidthPx(style.lineWidth ?? 0.4)}"` : "",
+      style.opacity !== undefined ? `opacity="${style.opacity}"` : "",
+      style.fillOpacity !== undefined && fill ? `fill-opacity="${style.fillOpacity}"` : ""
+    ].filter(Boolean).join(" ");
+    if (node.shape === "circle") {
+      parts.push(`<circle cx="${fmt(center.x)}" cy="${fmt(center.y)}" r="${fmt(node.hw)}" ${attrs}/>`);
+    } else if (node.shape === "ellipse") {
+      parts.push(`<ellipse cx="${fmt(center.x)}" cy="${fmt(center.y)}" rx="${fmt(node.hw)}" ry="${fmt(node.hh)}" ${attrs}/>`);
+    } else {
+      parts.push(`<rect x="${fmt(center.x - node.hw)}" y="${fmt(center.y - node.hh)}" width="${fmt(node.hw * 2)}" height="${fmt(node.hh * 2)}" ${attrs}/>`);
+    }
+  }
+
+  const textColor = style.textColor || style.color || "#000000";
+  const align = style.align === "left" ? "start" : style.align === "right" ? "end" : "middle";
+  const x = align === "start" ? center.x - node.hw + node.fontSize / 3 : align === "end" ? center.x + node.hw - node.fontSize / 3 : center.x;
+  const slots = lineSlots(node.lines, node.fontSize);
+  const attributes = `${style.bold ? " font-weight=\"bold\"" : ""}${style.opacity !== undefined ? ` opacity="${style.opacity}"` : ""}`;
+  let cursor = center.y - slots.reduce((sum, slot) => sum + slot.height, 0) / 2;
+  node.lines.forEach((line, index) => {
+    const slot = slots[index];
+    const y = cursor + slot.height / 2 + node.fontSize * 0.35 + slot.shift;
+    cursor += slot.height;
+    const markup = renderLabelLine(line, { x, y, size: node.fontSize, anchor: align, color: textColor, fontFamily: FONT_FAMILY, attributes });
+    if (markup) parts.push(markup);
+  });
+
+  if (!parts.length) return "";
+  const transform = node.rotate ? ` transform="rotate(${fmt(-node.rotate)} ${fmt(center.x)} ${fmt(center.y)})"` : "";
+  return `<g${transform}>${parts.join("")}</g>`;
+}
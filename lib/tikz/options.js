@@ -0,0 +1,425 @@
+import { evaluateLength, evaluateNumber, tikzError } from "./expression.js";
+import { splitTopLevel } from "./source.js";
+
+// TikZ 选项：颜色（含 xcolor 的 red!30!blue 混色）、线宽、虚线、箭头、节点位置与自定义样式。
+// 无法识别的纯外观选项直接忽略，不影响图形结构。
+
+const COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 255, 0],
+  blue: [0, 0, 255],
+  cyan: [0, 255, 255],
+  magenta: [255, 0, 255],
+  yellow: [255, 255, 0],
+  gray: [128, 128, 128],
+  darkgray: [64, 64, 64],
+  lightgray: [191, 191, 191],
+  brown: [191, 128, 64],
+  lime: [191, 255, 0],
+  olive: [128, 128, 0],
+  orange: [255, 128, 0],
+  pink: [255, 191, 191],
+  purple: [191, 0, 64],
+  teal: [0, 128, 128],
+  violet: [128, 0, 128]
+};
+
+const LINE_WIDTHS = {
+  "ultra thin": 0.1,
+  "very thin": 0.2,
+  thin: 0.4,
+  semithick: 0.6,
+  thick: 0.8,
+  "very thick": 1.2,
+  "ultra thick": 1.6
+};
+
+// 以 pt 为单位的虚线样式
+const DASHES = {
+  solid: null,
+  dashed: [3, 3],
+  "densely dashed": [3, 2],
+  "loosely dashed": [3, 6],
+  dotted: [0.4, 2],
+  "densely dotted": [0.4, 1],
+  "loosely dotted": [0.4, 4],
+  "dash dot": [3, 2, 0.4, 2],
+  "dash dot dot": [3, 2, 0.4, 2, 0.4, 2]
+};
+
+const FONT_SCALES = {
+  tiny: 0.5,
+  scriptsize: 0.7,
+  footnotesize: 0.8,
+  small: 0.9,
+  normalsize: 1,
+  large: 1.2,
+  Large: 1.44,
+  LARGE: 1.73,
+  huge: 2.07,
+  Huge: 2.49
+};
+
+// 节点相对位置 → 节点自身的锚点
+const PLACEMENTS = {
+  above: "south",
+  below: "north",
+  left: "east",
+  right: "west",
+  "above left": "south east",
+  "above right": "south west",
+  "below left": "north east",
+  "below right": "north west"
+};
+
+const POSITIONS = {
+  "at start": 0,
+  "very near start": 0.125,
+  "near start": 0.25,
+  midway: 0.5,
+  "near end": 0.75,
+  "very near end": 0.875,
+  "at end": 1
+};
+
+const TIP_PATTERN = "(?:<<|>>|<|>|\\||latex|stealth|to|Latex|Stealth|To|Triangle|\\{[^}]*\\})";
+const ARROW_SPEC = new RegExp(`^(${TIP_PATTERN}*)-(${TIP_PATTERN}*)$`);
+const TRANSFORM_KEYS = ["shift", "xshift", "yshift", "scale", "xscale", "yscale", "rotate", "rotate around", "x", "y"];
+const MAX_STYLE_DEPTH = 8;
+
+function hex([r, g, b]) {
+  return `#${[r, g, b].map((value) => Math.round(value).toString(16).padStart(2, "0")).join("")}`;
+}
+
+function mix(a, b, percent) {
+  const t = Math.min(Math.max(percent, 0), 100) / 100;
+  return a.map((value, index) => value * t + b[index] * (1 - t));
+}
+
+function colorTriple(name) {
+  const key = name.trim();
+  if (COLORS[key]) return COLORS[key];
+  const hexMatch = /^#?([0-9a-fA-F]{6})$/.exec(key);
+  return hexMatch ? [0, 2, 4].map((offset) => parseInt(hexMatch[1].slice(offset, offset + 2), 16)) : null;
+}
+
+/** xcolor 表达式 → #rrggbb；不是颜色时返回 null。red!30 = 30% 红 + 70% 白 */
+export function resolveColor(expression) {
+  const parts = String(expression || "").trim().split("!");
+  let current = colorTriple(parts[0]);
+  if (!current) return null;
+  for (let index = 1; index < parts.length; index += 2) {
+    const percent = Number(parts[index]);
+    if (!Number.isFinite(percent)) return null;
+    const other = parts[index + 1] === undefined ? COLORS.white : colorTriple(parts[index + 1]);
+    if (!other) return null;
+    current = mix(current, other, percent);
+  }
+  return hex(current);
+}
+
+function readFontScale(value) {
+  const match = /\\(tiny|scriptsize|footnotesize|small|normalsize|large|Large|LARGE|huge|Huge)\b/.exec(value);
+  return match ? FONT_SCALES[match[1]] : null;
+}
+
+function parseArrowTip(tip) {
+  if (!tip) return null;
+  if (tip === "|") return "bar";
+  if (/latex|Latex|Triangle/.test(tip)) return "latex";
+  if (/stealth|Stealth/.test(tip)) return "stealth";
+  if (/to|To/.test(tip)) return "to";
+  return "default";
+}
+
+/**
+ * 解析选项文本为 [{ key, value }]，自定义样式（name/.style=...）就地展开并记入 styles。
+ */
+export function parseOptions(text, styles, depth = 0) {
+  if (depth > MAX_STYLE_DEPTH) throw tikzError("样式嵌套层数过多");
+  const entries = [];
+  splitTopLevel(String(text || ""), ",").forEach((part) => {
+    if (!part) return;
+    const equal = splitTopLevel(part, "=");
+    const key = equal[0].replace(/\s+/g, " ").trim();
+    const value = equal.length > 1 ? equal.slice(1).join("=").trim().replace(/^\{([\s\S]*)\}$/, "$1") : null;
+
+    const styleDefinition = /^(.+?)\/\.(?:style|append style)$/.exec(key);
+    if (styleDefinition) {
+      const name = styleDefinition[1].trim();
+      const previous = key.endsWith("append style") && styles.has(name) ? `${styles.get(name)},` : "";
+      styles.set(name, `${previous}${value || ""}`);
+      return;
+    }
+    if (value === null && styles.has(key)) {
+      entries.push(...parseOptions(styles.get(key), styles, depth + 1));
+      return;
+    }
+    entries.push({ key, value });
+  });
+  return entries;
+}
+
+export function isTransformKey(key) {
+  return TRANSFORM_KEYS.includes(key);
+}
+
+function parseLabel(value) {
+  // label={[red]above:$A$} 或 label=45:$A$
+  let rest = value;
+  let options = "";
+  const optionMatch = /^\[([^\]]*)\]/.exec(rest);
+  if (optionMatch) {
+    options = optionMatch[1];
+    rest = rest.slice(optionMatch[0].length);
+  }
+  const colon = /^\s*([a-z ]+|-?[\d.]+)\s*:/.exec(rest);
+  return {
+    options,
+    direction: colon ? colon[1].trim() : "above",
+    text: colon ? rest.slice(colon[0].length) : rest
+  };
+}
+
+/**
+ * 把选项叠加到 style 上（返回新对象，不修改 base）；变换类选项按顺序记入 style.transforms，
+ * 由调用方结合坐标系解释。
+ */
+export function applyOptions(base, entries) {
+  const style = { ...base, transforms: [], labels: [...(base.labels || [])] };
+
+  entries.forEach(({ key, value }) => {
+    if (isTransformKey(key)) {
+      style.transforms.push({ key, value });
+      return;
+    }
+    if (value === null) {
+      const arrows = ARROW_SPEC.exec(key);
+      if (arrows) {
+        style.arrows = { start: parseArrowTip(arrows[1]), end: parseArrowTip(arrows[2]) };
+        return;
+      }
+      if (LINE_WIDTHS[key] !== undefined) {
+        style.lineWidth = LINE_WIDTHS[key];
+        return;
+      }
+      if (Object.prototype.hasOwnProperty.call(DASHES, key)) {
+        style.dash = DASHES[key];
+        return;
+      }
+      if (PLACEMENTS[key]) {
+        style.anchor = PLACEMENTS[key];
+        style.placement = key;
+        style.placementShift = 0;
+        return;
+      }
+      if (POSITIONS[key] !== undefined) {
+        style.pos = POSITIONS[key];
+        return;
+      }
+      switch (key) {
+        case "draw":
+          style.draw = true;
+          return;
+        case "fill":
+          style.fill = true;
+          return;
+        case "circle":
+        case "rectangle":
+        case "ellipse":
+          style.shape = key;
+          return;
+        case "coordinate":
+          style.shape = "coordinate";
+          return;
+        case "sloped":
+          style.sloped = true;
+          return;
+        case "smooth":
+          style.smooth = true;
+          return;
+        case "sharp plot":
+          style.smooth = false;
+          return;
+        case "rounded corners":
+          style.roundedCorners = true;
+          return;
+        case "sharp corners":
+          style.roundedCorners = false;
+          return;
+        case "help lines":
+          style.color = resolveColor("gray!50");
+          style.lineWidth = LINE_WIDTHS["very thin"];
+          return;
+        case "bend left":
+        case "bend right":
+          style.bend = { side: key === "bend left" ? 1 : -1, angle: 30 };
+          return;
+        default: {
+          const color = resolveColor(key);
+          if (color) style.color = color;
+          // 其余纯外观选项（transform shape、inner xsep 等）忽略
+        }
+      }
+      return;
+    }
+
+    if (PLACEMENTS[key]) {
+      style.anchor = PLACEMENTS[key];
+      style.placement = key;
+      if (/\bof\b/.test(value)) throw tikzError(`暂不支持 positioning 库写法“${key}=${value}”`);
+      style.placementShift = evaluateLength(value);
+      return;
+    }
+    if (LINE_WIDTHS[key] !== undefined) return;
+
+    switch (key) {
+      case "color":
+        style.color = resolveColor(value) || style.color;
+        return;
+      case "draw":
+        style.draw = value === "none" ? false : resolveColor(value) || true;
+        return;
+      case "fill":
+        style.fill = value === "none" ? false : resolveColor(value) || true;
+        return;
+      case "text":
+        style.textColor = resolveColor(value) || style.textColor;
+        return;
+      case "line width":
+        style.lineWidth = evaluateLength(value, "pt") / evaluateLength("1pt");
+        return;
+      case "opacity":
+        style.opacity = evaluateNumber(value);
+        return;
+      case "draw opacity":
+        style.drawOpacity = evaluateNumber(value);
+        return;
+      case "fill opacity":
+        style.fillOpacity = evaluateNumber(value);
+        return;
+      case "dash pattern": {
+        const lengths = [...value.matchAll(/(?:on|off)\s*([\d.]+\s*(?:pt|mm|cm)?)/g)].map((match) => evaluateLength(match[1], "pt") / evaluateLength("1pt"));
+        style.dash = lengths.length ? lengths : null;
+        return;
+      }
+      case ">":
+        style.defaultTip = parseArrowTip(value);
+        return;
+      case "anchor":
+        style.anchor = value;
+        style.placement = null;
+        return;
+      case "pos":
+        style.pos = evaluateNumber(value);
+        return;
+      case "inner sep":
+        style.innerSep = evaluateLength(value, "pt");
+        return;
+      case "minimum size":
+        style.minWidth = evaluateLength(value);
+        style.minHeight = style.minWidth;
+        return;
+      case "minimum width":
+        style.minWidth = evaluateLength(value);
+        return;
+      case "minimum height":
+        style.minHeight = evaluateLength(value);
+        return;
+      case "shape":
+        style.shape = value;
+        return;
+      case "font": {
+        const scale = readFontScale(value);
+        if (scale) style.fontScale = scale;
+        if (/\\bf|\\bfseries/.test(value)) style.bold = true;
+        return;
+      }
+      case "align":
+        style.align = value;
+        return;
+      case "text width":
+        style.textWidth = evaluateLength(value);
+        return;
+      case "label":
+        style.labels.push(parseLabel(value));
+        return;
+      case "domain": {
+        const [from, to] = value.split(":");
+        if (to === undefined) throw tikzError(`domain=${value} 格式不正确`);
+        style.domain = [evaluateNumber(from), evaluateNumber(to)];
+        return;
+      }
+      case "samples":
+        style.samples = Math.round(evaluateNumber(value));
+        return;
+      case "variable":
+        style.variable = value.replace(/^\\/, "");
+        return;
+      case "step":
+        style.step = evaluateLength(value);
+        return;
+      case "radius":
+        style.xRadius = value;
+        style.yRadius = value;
+        return;
+      case "x radius":
+        style.xRadius = value;
+        return;
+      case "y radius":
+        style.yRadius = value;
+        return;
+      case "start angle":
+        style.startAngle = evaluateNumber(value);
+        return;
+      case "end angle":
+        style.endAngle = evaluateNumber(value);
+        return;
+      case "delta angle":
+        style.deltaAngle = evaluateNumber(value);
+        return;
+      case "out":
+        style.out = evaluateNumber(value);
+        return;
+      case "in":
+        style.in = evaluateNumber(value);
+        return;
+      case "looseness":
+        style.looseness = evaluateNumber(value);
+        return;
+      case "bend left":
+      case "bend right":
+        style.bend = { side: key === "bend left" ? 1 : -1, angle: evaluateNumber(value) };
+        return;
+      case "rounded corners":
+        style.roundedCorners = true;
+        return;
+      case "left color":
+      case "right color":
+      case "top color":
+      case "bottom color":
+      case "inner color":
+      case "outer color":
+      case "ball color": {
+        // 渐变填充近似为单色，取各端颜色的平均
+        const color = resolveColor(value);
+        if (!color) return;
+        style.shadeColors = [...(style.shadeColors || []), color];
+        return;
+      }
+      default:
+      // 其余键值选项（rounded corners=2pt、outer sep 等）只影响细节外观，忽略
+    }
+  });
+
+  return style;
+}
+
+/** 多个渐变端点颜色的平均 */
+export function averageColor(colors) {
+  const triples = colors.map((color) => colorTriple(color)).filter(Boolean);
+  if (!triples.length) return null;
+  return hex([0, 1, 2].map((index) => triples.reduce((sum, triple) => sum + triple[index], 0) / triples.length));
+}
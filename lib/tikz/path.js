@@ -0,0 +1,791 @@
+import { evaluateExpression, evaluateNumber, tikzError } from "./expression.js";
+import {
+  DEG,
+  UNIT_PX,
+  add,
+  applyLinear,
+  applyMatrix,
+  arcCurves,
+  invert,
+  length,
+  lerp,
+  point,
+  scale,
+  segmentPoint,
+  segmentTangent,
+  smoothCurves,
+  sub,
+  unit
+} from "./geometry.js";
+import { anchorPoint, borderPoint, createNode, directionAngle } from "./nodes.js";
+import { applyOptions, parseOptions } from "./options.js";
+import { readBalanced, readCoordinate, splitTopLevel } from "./source.js";
+
+// 路径解释：坐标（直角 / 极坐标 / 命名 / calc / 相对）、-- -| |- to .. arc circle ellipse rectangle grid plot，
+// 以及路径上的 node / coordinate / edge。结果为画布坐标下的子路径与节点。
+
+const MAX_PLOT_SAMPLES = 1000;
+// TikZ 中 to[out=,in=] 的控制点距离系数（looseness=1）
+const TO_CONTROL_FACTOR = 0.3915;
+// 3D 坐标的默认 z 方向 (-3.85mm, -3.85mm)
+const Z_VECTOR = point(-0.385, -0.385);
+
+// 节点从所在路径继承的外观；位置、形状、边框等节点自己的选项不继承
+const NODE_RESET = {
+  draw: undefined,
+  fill: undefined,
+  arrows: undefined,
+  shape: undefined,
+  anchor: undefined,
+  placement: undefined,
+  placementShift: undefined,
+  pos: undefined,
+  sloped: undefined,
+  labels: [],
+  dash: undefined,
+  shadeColors: undefined
+};
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(6)));
+}
+
+function toCm(text, unitCm) {
+  const { value, unit: hasUnit } = evaluateExpression(text);
+  return hasUnit ? value : value * unitCm;
+}
+
+function lookupNode(ctx, name) {
+  const node = ctx.nodes.get(name);
+  if (!node) throw tikzError(`未定义的坐标 (${name})`);
+  return node;
+}
+
+// 用户坐标（厘米）→ 画布
+function userToCanvas(ctx, x, y) {
+  return applyMatrix(ctx.transform, point(x, y));
+}
+
+function cartesian(ctx, parts) {
+  let x = toCm(parts[0], ctx.units.x);
+  let y = toCm(parts[1], ctx.units.y);
+  if (parts.length === 3) {
+    const z = toCm(parts[2], 1);
+    x += Z_VECTOR.x * z;
+    y += Z_VECTOR.y * z;
+  }
+  return point(x, y);
+}
+
+function polar(ctx, angleText, radiusText) {
+  const angle = evaluateNumber(angleText);
+  const radii = splitRadii(radiusText);
+  const rx = toCm(radii[0], ctx.units.x);
+  const ry = toCm(radii[1] ?? radii[0], ctx.units.y);
+  return point(rx * Math.cos(angle * DEG), ry * Math.sin(angle * DEG));
+}
+
+function splitRadii(text) {
+  return String(text).split(/\s+and\s+/).map((part) => part.trim());
+}
+
+/**
+ * 解析坐标文本（不含外层圆括号）→ { point, node, anchored }；
+ * node 为引用的命名节点（未指定锚点时路径会在其边界处截断）。
+ */
+export function resolveCoordinate(text, ctx) {
+  const content = String(text).trim();
+  if (/^\$[\s\S]*\$$/.test(content)) return { point: resolveCalc(content.slice(1, -1), ctx), node: null, anchored: true };
+
+  const commaParts = splitTopLevel(content, ",");
+  if (commaParts.length === 2 || commaParts.length === 3) {
+    const user = cartesian(ctx, commaParts);
+    return { point: userToCanvas(ctx, user.x, user.y), node: null, anchored: true };
+  }
+  const colonParts = splitTopLevel(content, ":");
+  if (colonParts.length === 2) {
+    const user = polar(ctx, colonParts[0], colonParts[1]);
+    return { point: userToCanvas(ctx, user.x, user.y), node: null, anchored: true };
+  }
+
+  if (ctx.nodes.has(content)) {
+    const node = ctx.nodes.get(content);
+    return { point: node.center, node, anchored: node.shape === "coordinate" };
+  }
+  const dot = content.lastIndexOf(".");
+  if (dot > 0) {
+    const node = lookupNode(ctx, content.slice(0, dot).trim());
+    return { point: anchorPoint(node, content.slice(dot + 1).trim()), node, anchored: true };
+  }
+  throw tikzError(`未定义的坐标 (${content})`);
+}
+
+/** 相对坐标 +(dx,dy) 的画布位移（只用变换的线性部分） */
+function resolveOffset(text, ctx) {
+  const content = String(text).trim();
+  const commaParts = splitTopLevel(content, ",");
+  let user;
+  if (commaParts.length === 2 || commaParts.length === 3) user = cartesian(ctx, commaParts);
+  else {
+    const colonParts = splitTopLevel(content, ":");
+    if (colonParts.length !== 2) throw tikzError(`相对坐标 +(${content}) 格式不正确`);
+    user = polar(ctx, colonParts[0], colonParts[1]);
+  }
+  return applyLinear(ctx.transform, user);
+}
+
+// 围绕 center 按视觉逆时针旋转（画布 y 轴向下）
+function rotateAround(p, center, degrees) {
+  const cos = Math.cos(degrees * DEG);
+  const sin = Math.sin(degrees * DEG);
+  const d = sub(p, center);
+  return add(center, point(d.x * cos + d.y * sin, -d.x * sin + d.y * cos));
+}
+
+/** calc 表达式：$(A)!0.5!(B)$、$(A)+(1,0)$、$0.5*(A)+0.5*(B)$、$(A)!1cm!(B)$、$(A)!(P)!(B)$ */
+function resolveCalc(text, ctx) {
+  let cursor = 0;
+  let total = point(0, 0);
+  let first = true;
+  const skip = () => {
+    while (cursor < text.length && /\s/.test(text[cursor])) cursor += 1;
+  };
+
+  while (true) {
+    skip();
+    if (cursor >= text.length) break;
+    let sign = 1;
+    if (text[cursor] === "+" || text[cursor] === "-") {
+      sign = text[cursor] === "-" ? -1 : 1;
+      cursor += 1;
+      skip();
+    } else if (!first) {
+      throw tikzError(`calc 表达式“${text}”格式不正确`);
+    }
+
+    let factor = 1;
+    if (text[cursor] !== "(") {
+      const star = text.indexOf("*", cursor);
+      if (star === -1) throw tikzError(`calc 表达式“${text}”格式不正确`);
+      factor = evaluateNumber(text.slice(cursor, star));
+      cursor = star + 1;
+      skip();
+    }
+    if (text[cursor] !== "(") throw tikzError(`calc 表达式“${text}”缺少坐标`);
+    const base = readCoordinate(text, cursor);
+    cursor = base.next;
+    let current = resolveCoordinate(base.content, ctx).point;
+    skip();
+
+    // 部分点修饰：!t!B、!1cm!B、!t!angle:B、!(P)!B
+    while (text[cursor] === "!") {
+      const close = text.indexOf("!", cursor + 1);
+      if (close === -1) throw tikzError(`calc 表达式“${text}”中的“!”未配对`);
+      const modifier = text.slice(cursor + 1, close).trim();
+      cursor = close + 1;
+      skip();
+      let angle = 0;
+      const angleMatch = /^([^(]+):/.exec(text.slice(cursor));
+      if (angleMatch) {
+        angle = evaluateNumber(angleMatch[1]);
+        cursor += angleMatch[0].length;
+        skip();
+      }
+      if (text[cursor] !== "(") throw tikzError(`calc 表达式“${text}”缺少目标坐标`);
+      const target = readCoordinate(text, cursor);
+      cursor = target.next;
+      const to = rotateAround(resolveCoordinate(target.content, ctx).point, current, angle);
+      const direction = sub(to, current);
+
+      if (modifier.startsWith("(")) {
+        const projected = resolveCoordinate(modifier.slice(1, -1), ctx).point;
+        const squared = direction.x ** 2 + direction.y ** 2 || 1;
+        const t = ((projected.x - current.x) * direction.x + (projected.y - current.y) * direction.y) / squared;
+        current = lerp(current, to, t);
+      } else {
+        const { value, unit: hasUnit } = evaluateExpression(modifier);
+        current = hasUnit ? add(current, scale(unit(direction), value * UNIT_PX)) : lerp(current, to, value);
+      }
+      skip();
+    }
+
+    total = add(total, scale(current, sign * factor));
+    first = false;
+  }
+  return total;
+}
+
+function newSubpath() {
+  return { commands: [], closed: false, arrows: true };
+}
+
+function lastPoint(subpath) {
+  for (let index = subpath.commands.length - 1; index >= 0; index -= 1) {
+    const command = subpath.commands[index];
+    if (command.p) return command.p;
+  }
+  return null;
+}
+
+function samePoint(p, q) {
+  return p && q && Math.abs(p.x - q.x) < 1e-6 && Math.abs(p.y - q.y) < 1e-6;
+}
+
+/**
+ * 解释一条路径。ctx: { transform, units, nodes, styles, style }；
+ * 返回 { subpaths, nodes, edges }，坐标均为画布像素。
+ */
+export function buildPath(text, ctx) {
+  const subpaths = [];
+  const nodes = [];
+  const edges = [];
+  let subpath = null;
+  let current = null;
+  let reference = null;
+  let subpathStart = null;
+  let lastSegment = null;
+  let pathStyle = ctx.style;
+  let cursor = 0;
+
+  const skip = () => {
+    while (cursor < text.length && /\s/.test(text[cursor])) cursor += 1;
+  };
+  const rest = () => text.slice(cursor);
+
+  const ensureSubpath = () => {
+    if (!subpath || subpath.closed) {
+      subpath = newSubpath();
+      subpaths.push(subpath);
+    }
+    return subpath;
+  };
+
+  const moveTo = (p) => {
+    subpath = newSubpath();
+    subpaths.push(subpath);
+    subpath.commands.push({ op: "M", p });
+    subpathStart = p;
+  };
+
+  // 线段起点：当前点是未指定锚点的节点时，从节点边界出发
+  const beginSegment = (toward) => {
+    if (!current) throw tikzError("路径操作前缺少起点坐标");
+    let start = current.point;
+    if (current.node && !current.anchored) start = borderPoint(current.node, toward);
+    const active = ensureSubpath();
+    const last = lastPoint(active);
+    if (!samePoint(last, start)) {
+      const lastCommand = active.commands[active.commands.length - 1];
+      if (lastCommand?.op === "M") lastCommand.p = start;
+      else moveTo(start);
+      if (subpath.commands.length === 1) subpathStart = start;
+    }
+    return start;
+  };
+
+  const endOf = (target, from) => (target.node && !target.anchored ? borderPoint(target.node, from) : target.point);
+
+  const readTarget = () => {
+    skip();
+    let relative = null;
+    if (rest().startsWith("++")) {
+      relative = "++";
+      cursor += 2;
+    } else if (text[cursor] === "+") {
+      relative = "+";
+      cursor += 1;
+    }
+    skip();
+    if (text[cursor] !== "(") throw tikzError(`此处应为坐标：“${rest().slice(0, 16)}”`);
+    const coordinate = readCoordinate(text, cursor);
+    cursor = coordinate.next;
+    if (!relative) {
+      const resolved = resolveCoordinate(coordinate.content, ctx);
+      reference = resolved.point;
+      return resolved;
+    }
+    const base = reference || current?.point || userToCanvas(ctx, 0, 0);
+    const target = add(base, resolveOffset(coordinate.content, ctx));
+    if (relative === "++") reference = target;
+    return { point: target, node: null, anchored: true };
+  };
+
+  // 路径中的 node / coordinate 规格：[选项] (名称) at (坐标) {文字}，顺序任意
+  const readNodeSpec = (withText) => {
+    let options = "";
+    let name = null;
+    let at = null;
+    let content = null;
+    while (true) {
+      skip();
+      const ch = text[cursor];
+      if (ch === "[") {
+        const read = readBalanced(text, cursor);
+        options += `${options ? "," : ""}${read.content}`;
+        cursor = read.next;
+      } else if (ch === "(" && name === null) {
+        const read = readCoordinate(text, cursor);
+        name = read.content.trim();
+        cursor = read.next;
+      } else if (/^at\s*\(/.test(rest())) {
+        cursor = text.indexOf("(", cursor);
+        const read = readCoordinate(text, cursor);
+        at = resolveCoordinate(read.content, ctx).point;
+        cursor = read.next;
+      } else if (withText && ch === "{") {
+        const read = readBalanced(text, cursor);
+        content = read.content;
+        cursor = read.next;
+        break;
+      } else {
+        break;
+      }
+    }
+    if (withText && content === null) throw tikzError("node 缺少文字部分 {...}");
+    return { options, name, at, content };
+  };
+
+  const nodeStyle = (options) => {
+    const every = ctx.styles.has("every node") ? "every node," : "";
+    return applyOptions({ ...pathStyle, ...NODE_RESET }, parseOptions(`${every}${options}`, ctx.styles));
+  };
+
+  const placeNode = (spec, position, segment, isCoordinate = false) => {
+    const style = nodeStyle(isCoordinate ? `coordinate,${spec.options}` : spec.options);
+    let at = spec.at || position;
+    let rotate = 0;
+    style.transforms.forEach(({ key, value }) => {
+      if (key === "rotate") rotate += evaluateNumber(value);
+      else if (key === "xshift") at = add(at, applyLinear(ctx.transform, point(toCm(value, 2.54 / 72.27), 0)));
+      else if (key === "yshift") at = add(at, applyLinear(ctx.transform, point(0, toCm(value, 2.54 / 72.27))));
+      else if (key === "shift") at = add(at, resolveOffset(value.replace(/^\(|\)$/g, ""), ctx));
+    });
+    if (!spec.at && segment && style.pos !== undefined) at = segmentPoint(segment, style.pos);
+    if (style.sloped && segment) {
+      const tangent = segmentTangent(segment, style.pos ?? 1);
+      let angle = (-Math.atan2(tangent.y, tangent.x)) / DEG;
+      if (angle > 90) angle -= 180;
+      if (angle < -90) angle += 180;
+      rotate += angle;
+    }
+
+    const node = createNode({ name: spec.name, text: isCoordinate ? "" : spec.content, at, style });
+    node.rotate = rotate;
+    if (spec.name) ctx.nodes.set(spec.name, node);
+    nodes.push(node);
+
+    style.labels.forEach((label) => {
+      const angle = directionAngle(label.direction);
+      const direction = point(Math.cos(angle * DEG), -Math.sin(angle * DEG));
+      const anchorAt = borderPoint(node, add(node.center, scale(direction, 1000)));
+      const labelStyle = applyOptions({ ...style, ...NODE_RESET, anchor: String((angle + 180) % 360) }, parseOptions(label.options, ctx.styles));
+      nodes.push(createNode({ name: null, text: label.text, at: anchorAt, style: labelStyle }));
+    });
+    return node;
+  };
+
+  // 夹在 -- / to / edge 与目标之间的节点，目标确定后默认放在中点
+  const readPendingNodes = () => {
+    const pending = [];
+    while (true) {
+      skip();
+      if (!/^node\b/.test(rest())) return pending;
+      cursor += 4;
+      pending.push(readNodeSpec(true));
+    }
+  };
+
+  const flushPending = (pending, segment) => {
+    pending.forEach((spec) => {
+      const style = parseOptions(spec.options, ctx.styles);
+      const hasPos = style.some(({ key }) => key === "pos" || ["midway", "near start", "near end", "at start", "at end", "very near start", "very near end"].includes(key));
+      placeNode(hasPos ? spec : { ...spec, options: `pos=0.5,${spec.options}` }, segmentPoint(segment, 0.5), segment);
+    });
+  };
+
+  const finishSegment = (target, end, segment) => {
+    current = target;
+    lastSegment = segment;
+    if (!current.node || current.anchored) current = { point: end, node: null, anchored: true };
+  };
+
+  const lineOperation = (operation) => {
+    const pending = readPendingNodes();
+    skip();
+    if (/^cycle\b/.test(rest())) {
+      cursor += 5;
+      const start = beginSegment(subpathStart);
+      const segment = { type: "line", from: start, to: subpathStart };
+      subpath.commands.push({ op: "L", p: subpathStart }, { op: "Z" });
+      subpath.closed = true;
+      flushPending(pending, segment);
+      current = { point: subpathStart, node: null, anchored: true };
+      lastSegment = segment;
+      return;
+    }
+    const target = readTarget();
+    let segment;
+    if (operation === "--") {
+      const start = beginSegment(target.point);
+      const end = endOf(target, start);
+      subpath.commands.push({ op: "L", p: end });
+      segment = { type: "line", from: start, to: end };
+      finishSegment(target, end, segment);
+    } else {
+      // -| 先水平后竖直，|- 先竖直后水平
+      const from = current.point;
+      const corner = operation === "-|" ? point(target.point.x, from.y) : point(from.x, target.point.y);
+      const start = beginSegment(corner);
+      const end = endOf(target, corner);
+      subpath.commands.push({ op: "L", p: corner }, { op: "L", p: end });
+      segment = { type: "corner", from: start, corner, to: end };
+      finishSegment(target, end, segment);
+    }
+    flushPending(pending, segment);
+  };
+
+  const curveSegment = (target, firstControl, secondControl, pending) => {
+    const start = beginSegment(firstControl);
+    const end = endOf(target, secondControl);
+    subpath.commands.push({ op: "C", c1: firstControl, c2: secondControl, p: end });
+    const segment = { type: "curve", p0: start, c1: firstControl, c2: secondControl, p3: end };
+    finishSegment(target, end, segment);
+    flushPending(pending, segment);
+  };
+
+  const toOperation = () => {
+    skip();
+    let options = [];
+    if (text[cursor] === "[") {
+      const read = readBalanced(text, cursor);
+      options = parseOptions(read.content, ctx.styles);
+      cursor = read.next;
+    }
+    const toStyle = applyOptions(pathStyle, options);
+    const pending = readPendingNodes();
+    const target = readTarget();
+    const from = current.point;
+    const to = target.point;
+    const userAngle = (vector) => -Math.atan2(vector.y, vector.x) / DEG;
+    let out = toStyle.out;
+    let into = toStyle.in;
+    if (toStyle.bend) {
+      out = userAngle(sub(to, from)) + toStyle.bend.side * toStyle.bend.angle;
+      into = userAngle(sub(from, to)) - toStyle.bend.side * toStyle.bend.angle;
+    }
+    if (out === undefined || into === undefined) {
+      const start = beginSegment(to);
+      const end = endOf(target, start);
+      subpath.commands.push({ op: "L", p: end });
+      const segment = { type: "line", from: start, to: end };
+      finishSegment(target, end, segment);
+      flushPending(pending, segment);
+      return;
+    }
+    const distance = length(sub(to, from)) * TO_CONTROL_FACTOR * (toStyle.looseness ?? 1);
+    const direction = (angle) => point(Math.cos(angle * DEG), -Math.sin(angle * DEG));
+    curveSegment(target, add(from, scale(direction(out), distance)), add(to, scale(direction(into), distance)), pending);
+  };
+
+  const controlsOperation = () => {
+    skip();
+    if (!/^controls\b/.test(rest())) throw tikzError("“..”后应为 controls");
+    cursor += 8;
+    const readControl = () => {
+      skip();
+      const relative = text[cursor] === "+";
+      while (text[cursor] === "+") cursor += 1;
+      skip();
+      const read = readCoordinate(text, cursor);
+      cursor = read.next;
+      return relative ? { offset: resolveOffset(read.content, ctx) } : { point: resolveCoordinate(read.content, ctx).point };
+    };
+    const first = readControl();
+    skip();
+    let second = first;
+    if (/^and\b/.test(rest())) {
+      cursor += 3;
+      second = readControl();
+    }
+    skip();
+    if (!rest().startsWith("..")) throw tikzError("controls 后缺少“..”");
+    cursor += 2;
+    const target = readTarget();
+    // 第一个控制点的相对坐标相对起点，第二个相对终点
+    const c1 = first.point || add(current.point, first.offset);
+    const c2 = second === first ? c1 : second.point || add(target.point, second.offset);
+    curveSegment(target, c1, c2, []);
+  };
+
+  const readRadiusArgument = () => {
+    skip();
+    if (text[cursor] === "(") {
+      const read = readCoordinate(text, cursor);
+      cursor = read.next;
+      return { text: read.content, style: pathStyle };
+    }
+    if (text[cursor] === "[") {
+      const read = readBalanced(text, cursor);
+      cursor = read.next;
+      return { text: null, style: applyOptions(pathStyle, parseOptions(read.content, ctx.styles)) };
+    }
+    return { text: null, style: pathStyle };
+  };
+
+  const radiiFrom = (radiusText, style) => {
+    if (radiusText !== null) {
+      const parts = splitRadii(radiusText);
+      return point(toCm(parts[0], ctx.units.x), toCm(parts[1] ?? parts[0], ctx.units.y));
+    }
+    if (style.xRadius === undefined) throw tikzError("circle / ellipse 缺少半径");
+    return point(toCm(style.xRadius, ctx.units.x), toCm(style.yRadius ?? style.xRadius, ctx.units.y));
+  };
+
+  const circleOperation = () => {
+    if (!current) throw tikzError("circle 前缺少圆心坐标");
+    const { text: radiusText, style } = readRadiusArgument();
+    const radii = radiiFrom(radiusText, style);
+    const center = current.point;
+    const curves = arcCurves(center, radii, 0, 360, ctx.transform);
+    moveTo(curves[0].p0);
+    curves.forEach((curve) => subpath.commands.push({ op: "C", c1: curve.c1, c2: curve.c2, p: curve.p3 }));
+    subpath.commands.push({ op: "Z" });
+    subpath.closed = true;
+    subpath.arrows = false;
+    lastSegment = { type: "curves", curves };
+  };
+
+  const arcOperation = () => {
+    if (!current) throw tikzError("arc 前缺少起点坐标");
+    const { text: argument, style } = readRadiusArgument();
+    let start = style.startAngle;
+    let end = style.endAngle;
+    let radii;
+    if (argument !== null) {
+      const parts = splitTopLevel(argument, ":");
+      if (parts.length !== 3) throw tikzError(`arc (${argument}) 应为 (起始角:终止角:半径)`);
+      start = evaluateNumber(parts[0]);
+      end = evaluateNumber(parts[1]);
+      radii = radiiFrom(parts[2], style);
+    } else {
+      if (style.deltaAngle !== undefined) {
+        if (start === undefined) start = end - style.deltaAngle;
+        else end = start + style.deltaAngle;
+      }
+      if (start === undefined || end === undefined) throw tikzError("arc 缺少起止角度");
+      radii = radiiFrom(null, style);
+    }
+    const startPoint = beginSegment(current.point);
+    const center = sub(startPoint, applyLinear(ctx.transform, point(radii.x * Math.cos(start * DEG), radii.y * Math.sin(start * DEG))));
+    const curves = arcCurves(center, radii, start, end, ctx.transform);
+    curves.forEach((curve) => subpath.commands.push({ op: "C", c1: curve.c1, c2: curve.c2, p: curve.p3 }));
+    const endPoint = curves[curves.length - 1].p3;
+    current = { point: endPoint, node: null, anchored: true };
+    reference = endPoint;
+    lastSegment = { type: "curves", curves };
+  };
+
+  const rectangleOperation = () => {
+    if (!current) throw tikzError("rectangle 前缺少起点坐标");
+    const from = current.point;
+    const target = readTarget();
+    const to = target.point;
+    // 四个角在用户坐标系里取，旋转 / 倾斜后仍是平行四边形
+    const inverse = invert(ctx.transform);
+    const a = applyMatrix(inverse, from);
+    const b = applyMatrix(inverse, to);
+    moveTo(from);
+    subpath.commands.push(
+      { op: "L", p: userToCanvas(ctx, b.x, a.y) },
+      { op: "L", p: to },
+      { op: "L", p: userToCanvas(ctx, a.x, b.y) },
+      { op: "Z" }
+    );
+    subpath.closed = true;
+    subpath.arrows = false;
+    current = { point: to, node: null, anchored: true };
+    lastSegment = { type: "line", from, to };
+  };
+
+  const gridOperation = () => {
+    if (!current) throw tikzError("grid 前缺少起点坐标");
+    skip();
+    let style = pathStyle;
+    if (text[cursor] === "[") {
+      const read = readBalanced(text, cursor);
+      style = applyOptions(pathStyle, parseOptions(read.content, ctx.styles));
+      cursor = read.next;
+    }
+    const target = readTarget();
+    const inverse = invert(ctx.transform);
+    if (!inverse) throw tikzError("坐标变换不可逆，无法绘制 grid");
+    const a = applyMatrix(inverse, current.point);
+    const b = applyMatrix(inverse, target.point);
+    const step = style.step || 1;
+    const [minX, maxX] = [Math.min(a.x, b.x), Math.max(a.x, b.x)];
+    const [minY, maxY] = [Math.min(a.y, b.y), Math.max(a.y, b.y)];
+    if ((maxX - minX) / step + (maxY - minY) / step > 2 * MAX_PLOT_SAMPLES) throw tikzError("grid 线条过多");
+    const addLine = (p, q) => {
+      moveTo(userToCanvas(ctx, p.x, p.y));
+      subpath.commands.push({ op: "L", p: userToCanvas(ctx, q.x, q.y) });
+      subpath.arrows = false;
+    };
+    for (let x = Math.ceil(minX / step - 1e-9) * step; x <= maxX + 1e-9; x += step) addLine(point(x, minY), point(x, maxY));
+    for (let y = Math.ceil(minY / step - 1e-9) * step; y <= maxY + 1e-9; y += step) addLine(point(minX, y), point(maxX, y));
+    current = { point: target.point, node: null, anchored: true };
+  };
+
+  const plotOperation = (connect) => {
+    skip();
+    let style = pathStyle;
+    if (text[cursor] === "[") {
+      const read = readBalanced(text, cursor);
+      style = applyOptions(pathStyle, parseOptions(read.content, ctx.styles));
+      cursor = read.next;
+    }
+    skip();
+    const points = [];
+    if (/^coordinates\b/.test(rest())) {
+      cursor += "coordinates".length;
+      skip();
+      const read = readBalanced(text, cursor);
+      cursor = read.next;
+      let inner = 0;
+      while (inner < read.content.length) {
+        if (read.content[inner] === "(") {
+          const coordinate = readCoordinate(read.content, inner);
+          points.push(resolveCoordinate(coordinate.content, ctx).point);
+          inner = coordinate.next;
+        } else {
+          inner += 1;
+        }
+      }
+    } else if (text[cursor] === "(") {
+      const read = readCoordinate(text, cursor);
+      cursor = read.next;
+      const [from, to] = style.domain || [-5, 5];
+      const samples = Math.min(Math.max(style.samples || 25, 2), MAX_PLOT_SAMPLES);
+      const variable = new RegExp(`\\\\${style.variable || "x"}(?![A-Za-z])`, "g");
+      for (let index = 0; index < samples; index += 1) {
+        const value = from + ((to - from) * index) / (samples - 1);
+        points.push(resolveCoordinate(read.content.replace(variable, formatNumber(value)), ctx).point);
+      }
+    } else {
+      throw tikzError("plot 只支持 coordinates {...} 或 (表达式) 形式");
+    }
+    if (!points.length) return;
+
+    if (connect && current) {
+      beginSegment(points[0]);
+      subpath.commands.push({ op: "L", p: points[0] });
+    } else {
+      moveTo(points[0]);
+    }
+    const curves = style.smooth
+      ? smoothCurves(points)
+      : points.slice(1).map((p, index) => ({ p0: points[index], c1: points[index], c2: p, p3: p }));
+    if (style.smooth) curves.forEach((curve) => subpath.commands.push({ op: "C", c1: curve.c1, c2: curve.c2, p: curve.p3 }));
+    else points.slice(1).forEach((p) => subpath.commands.push({ op: "L", p }));
+    const end = points[points.length - 1];
+    current = { point: end, node: null, anchored: true };
+    reference = end;
+    if (curves.length) lastSegment = { type: "curves", curves };
+  };
+
+  const edgeOperation = () => {
+    if (!current) throw tikzError("edge 前缺少起点坐标");
+    skip();
+    let options = "";
+    if (text[cursor] === "[") {
+      const read = readBalanced(text, cursor);
+      options = read.content;
+      cursor = read.next;
+    }
+    const pending = readPendingNodes();
+    const source = current;
+    const target = readTarget();
+    const style = applyOptions({ ...pathStyle, fill: undefined }, parseOptions(options, ctx.styles));
+    const start = source.node && !source.anchored ? borderPoint(source.node, target.point) : source.point;
+    const end = endOf(target, start);
+    const segment = { type: "line", from: start, to: end };
+    edges.push({ subpaths: [{ commands: [{ op: "M", p: start }, { op: "L", p: end }], closed: false, arrows: true }], style });
+    flushPending(pending, segment);
+  };
+
+  while (true) {
+    skip();
+    if (cursor >= text.length) break;
+    const ch = text[cursor];
+
+    if (ch === "[") {
+      // 路径中途的选项作用于其后的部分
+      const read = readBalanced(text, cursor);
+      pathStyle = applyOptions(pathStyle, parseOptions(read.content, ctx.styles));
+      cursor = read.next;
+      continue;
+    }
+    if (ch === "(" || ch === "+") {
+      const target = readTarget();
+      current = target;
+      moveTo(target.point);
+      continue;
+    }
+    const keyword = /^(--|-\||\|-|\.\.|to\b|arc\b|circle\b|ellipse\b|rectangle\b|grid\b|node\b|coordinate\b|plot\b|edge\b)/.exec(rest());
+    if (!keyword) throw tikzError(`暂不支持的路径操作“${rest().slice(0, 16)}”`);
+    cursor += keyword[0].length;
+
+    switch (keyword[0]) {
+      case "--": {
+        skip();
+        if (/^plot\b/.test(rest())) {
+          cursor += 4;
+          plotOperation(true);
+        } else {
+          lineOperation("--");
+        }
+        break;
+      }
+      case "-|":
+      case "|-":
+        lineOperation(keyword[0]);
+        break;
+      case "..":
+        controlsOperation();
+        break;
+      case "to":
+        toOperation();
+        break;
+      case "arc":
+        arcOperation();
+        break;
+      case "circle":
+      case "ellipse":
+        circleOperation();
+        break;
+      case "rectangle":
+        rectangleOperation();
+        break;
+      case "grid":
+        gridOperation();
+        break;
+      case "plot":
+        plotOperation(false);
+        break;
+      case "edge":
+        edgeOperation();
+        break;
+      case "node":
+      case "coordinate": {
+        const spec = readNodeSpec(keyword[0] === "node");
+        const at = spec.at || current?.point;
+        if (!at) throw tikzError(`${keyword[0]} 缺少位置`);
+        placeNode(spec, at, spec.at ? null : lastSegment, keyword[0] === "coordinate");
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return { subpaths: subpaths.filter((item) => item.commands.length > 1), nodes, edges };
+}
@@ -0,0 +1,152 @@
+import { PT_PX, add, bezierPoint, lineWidthPx, point, scale, sub, unit } from "./geometry.js";
+import { averageColor } from "./options.js";
+
+// 路径的 SVG 输出：描边 / 填充属性、箭头（to / latex / stealth / |）与包围盒统计。
+
+const DEFAULT_COLOR = "#000000";
+const DASH_SCALE = PT_PX * 1.2;
+
+function fmt(value) {
+  return Number(value.toFixed(2));
+}
+
+export function pathData(subpaths) {
+  return subpaths.map((subpath) => subpath.commands.map((command) => {
+    if (command.op === "Z") return "Z";
+    if (command.op === "C") return `C${fmt(command.c1.x)} ${fmt(command.c1.y)} ${fmt(command.c2.x)} ${fmt(command.c2.y)} ${fmt(command.p.x)} ${fmt(command.p.y)}`;
+    return `${command.op}${fmt(command.p.x)} ${fmt(command.p.y)}`;
+  }).join("")).join("");
+}
+
+/** 子路径上所有可见的点（曲线按 8 段取样），用于包围盒 */
+export function subpathPoints(subpaths) {
+  const points = [];
+  subpaths.forEach((subpath) => {
+    let previous = null;
+    subpath.commands.forEach((command) => {
+      if (command.op === "C" && previous) {
+        for (let step = 1; step <= 8; step += 1) points.push(bezierPoint({ p0: previous, c1: command.c1, c2: command.c2, p3: command.p }, step / 8));
+      } else if (command.p) {
+        points.push(command.p);
+      }
+      if (command.p) previous = command.p;
+    });
+  });
+  return points;
+}
+
+function strokeColor(style) {
+  return typeof style.draw === "string" ? style.draw : style.color || DEFAULT_COLOR;
+}
+
+function fillColor(style) {
+  if (style.shadeColors?.length) return averageColor(style.shadeColors);
+  return typeof style.fill === "string" ? style.fill : style.color || DEFAULT_COLOR;
+}
+
+// 箭头方向：端点与相邻的、不重合的控制点 / 前一点
+function endDirection(commands, atStart) {
+  if (atStart) {
+    const origin = commands[0].p;
+    for (const command of commands.slice(1)) {
+      for (const candidate of [command.c1, command.c2, command.p]) {
+        if (candidate && (candidate.x !== origin.x || candidate.y !== origin.y)) return { tip: origin, direction: unit(sub(origin, candidate)) };
+      }
+    }
+    return null;
+  }
+  const last = commands[commands.length - 1];
+  const candidates = [last.c2, last.c1];
+  for (let index = commands.length - 2; index >= 0; index -= 1) candidates.push(commands[index].p);
+  for (const candidate of candidates) {
+    if (candidate && (candidate.x !== last.p.x || candidate.y !== last.p.y)) return { tip: last.p, direction: unit(sub(last.p, candidate)) };
+  }
+  return null;
+}
+
+function tipGeometry(kind, width) {
+  if (kind === "latex") return { length: 4 + 3 * width, half: 1.7 + 1.3 * width, inset: 0.9 };
+  if (kind === "stealth") return { length: 4.5 + 3 * width, half: 2 + 1.4 * width, inset: 0.6 };
+  if (kind === "bar") return { length: 0, half: 2.5 + 2 * width, inset: 0 };
+  return { length: 3 + 2.4 * width, half: 2.2 + 1.8 * width, inset: 0.15 };
+}
+
+function renderTip(kind, tip, direction, width, color) {
+  const normal = point(-direction.y, direction.x);
+  const { length, half } = tipGeometry(kind, width);
+  const back = sub(tip, scale(direction, length));
+  const side = (base, distance) => add(base, scale(normal, distance));
+  const points = (list) => list.map((p) => `${fmt(p.x)},${fmt(p.y)}`).join(" ");
+  if (kind === "latex") {
+    return `<polygon points="${points([tip, side(back, half), side(back, -half)])}" fill="${color}"/>`;
+  }
+  if (kind === "stealth") {
+    const notch = sub(tip, scale(direction, length * 0.65));
+    return `<polygon points="${points([tip, side(back, half), notch, side(back, -half)])}" fill="${color}"/>`;
+  }
+  if (kind === "bar") {
+    return `<line x1="${fmt(side(tip, half).x)}" y1="${fmt(side(tip, half).y)}" x2="${fmt(side(tip, -half).x)}" y2="${fmt(side(tip, -half).y)}" stroke="${color}" stroke-width="${width}"/>`;
+  }
+  return `<polyline points="${points([side(back, half), tip, side(back, -half)])}" fill="none" stroke="${color}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round"/>`;
+}
+
+// 把端点沿切向回缩，避免线条从实心箭头尖端穿出
+function shortenEnd(commands, atStart, distance) {
+  if (distance <= 0) return;
+  if (atStart) {
+    const first = commands[0];
+    const next = commands[1];
+    const direction = unit(sub(next.c1 || next.p, first.p));
+    first.p = add(first.p, scale(direction, distance));
+    return;
+  }
+  const last = commands[commands.length - 1];
+  const previous = last.c2 || commands[commands.length - 2].p;
+  const direction = unit(sub(last.p, previous));
+  const shift = scale(direction, -distance);
+  last.p = add(last.p, shift);
+  if (last.c2) last.c2 = add(last.c2, shift);
+}
+
+/**
+ * 路径 → { markup, points }。mode: { draw, fill }；defaultTip 为 ">" 对应的箭头样式。
+ */
+export function renderPath(subpaths, style, { draw, fill, defaultTip = "to" }) {
+  if (!subpaths.length || (!draw && !fill)) return { markup: "", points: [] };
+  const width = lineWidthPx(style.lineWidth ?? 0.4);
+  const stroke = draw ? strokeColor(style) : null;
+  const tips = [];
+
+  // 箭头加在最后一段开放子路径的两端
+  const copies = subpaths.map((subpath) => ({ ...subpath, commands: subpath.commands.map((command) => ({ ...command })) }));
+  const arrowed = draw && style.arrows ? [...copies].reverse().find((subpath) => subpath.arrows && !subpath.closed) : null;
+  if (arrowed) {
+    [["start", true], ["end", false]].forEach(([end, atStart]) => {
+      const raw = style.arrows[end];
+      if (!raw) return;
+      const kind = raw === "default" ? defaultTip || "to" : raw;
+      const found = endDirection(arrowed.commands, atStart);
+      if (!found) return;
+      tips.push(renderTip(kind, found.tip, found.direction, width, stroke));
+      const geometry = tipGeometry(kind, width);
+      shortenEnd(arrowed.commands, atStart, geometry.length * geometry.inset);
+    });
+  }
+
+  const dash = style.dash ? style.dash.map((value) => fmt(value * DASH_SCALE * Math.max(1, width / 1.2))).join(",") : null;
+  const attrs = [
+    `d="${pathData(copies)}"`,
+    `fill="${fill ? fillColor(style) : "none"}"`,
+    stroke ? `stroke="${stroke}" stroke-width="${width}"` : "",
+    stroke && dash ? `stroke-dasharray="${dash}"` : "",
+    stroke && style.dash && style.dash[0] < 1 ? `stroke-linecap="round"` : "",
+    style.opacity !== undefined ? `opacity="${style.opacity}"` : "",
+    fill && style.fillOpacity !== undefined ? `fill-opacity="${style.fillOpacity}"` : "",
+    stroke && style.drawOpacity !== undefined ? `stroke-opacity="${style.drawOpacity}"` : ""
+  ].filter(Boolean).join(" ");
+
+  const points = subpathPoints(subpaths);
+  const pad = stroke ? width / 2 : 0;
+  const padded = points.flatMap((p) => [point(p.x - pad, p.y - pad), point(p.x + pad, p.y + pad)]);
+  return { markup: `<path ${attrs}/>${tips.join("")}`, points: padded };
+}
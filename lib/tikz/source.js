@@ -0,0 +1,287 @@
+import { evaluateNumber, tikzError } from "./expression.js";
+
+// TikZ 源码的结构层：去注释、截取 tikzpicture、拆分语句，并展开 \foreach / scope / \def 等结构。
+
+const PAIRS = { "{": "}", "[": "]", "(": ")" };
+
+const PATH_COMMANDS = ["draw", "fill", "filldraw", "path", "node", "coordinate", "clip", "shade", "shadedraw"];
+const IGNORED_COMMANDS = ["usetikzlibrary", "centering", "noindent", "small", "footnotesize", "scriptsize", "large", "normalsize"];
+
+export const MAX_TIKZ_LENGTH = 20000;
+export const MAX_FOREACH_ITEMS = 400;
+
+function stripComments(text) {
+  return text.replace(/(^|[^\\])%.*$/gm, "$1");
+}
+
+/** 从 index 处的开括号读到配对的闭括号（跳过嵌套），返回 { content, next } */
+export function readBalanced(text, index) {
+  const open = text[index];
+  const close = PAIRS[open];
+  if (!close) throw tikzError(`第 ${index + 1} 个字符处应为括号`);
+  const stack = [close];
+  for (let cursor = index + 1; cursor < text.length; cursor += 1) {
+    const ch = text[cursor];
+    if (ch === "\\") {
+      cursor += 1;
+      continue;
+    }
+    if (ch === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return { content: text.slice(index + 1, cursor), next: cursor + 1 };
+    } else if (ch === "{" || (ch === "[" && stack[stack.length - 1] !== "}")) {
+      stack.push(PAIRS[ch]);
+    }
+  }
+  throw tikzError(`“${open}”未闭合`);
+}
+
+/** 在括号外按分隔符切分，如选项列表与 foreach 列表 */
+export function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let index = 0; index < text.length; index += 1) {
+    const ch = text[index];
+    if (ch === "\\") {
+      index += 1;
+      continue;
+    }
+    if (ch === "{" || ch === "[" || ch === "(") depth += 1;
+    else if (ch === "}" || ch === "]" || ch === ")") depth -= 1;
+    else if (ch === separator && depth === 0) {
+      parts.push(text.slice(start, index));
+      start = index + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((part) => part.trim());
+}
+
+/** 取出第一个 tikzpicture 环境；没有环境时整段视为绘图命令 */
+export function extractPicture(source) {
+  const text = stripComments(String(source || ""));
+  if (text.length > MAX_TIKZ_LENGTH) throw tikzError(`源码超过 ${MAX_TIKZ_LENGTH} 个字符`);
+  const begin = /\\begin\s*\{tikzpicture\}/.exec(text);
+  if (!begin) return { options: "", body: text };
+
+  let cursor = begin.index + begin[0].length;
+  while (/\s/.test(text[cursor] || "")) cursor += 1;
+  let options = "";
+  if (text[cursor] === "[") {
+    const read = readBalanced(text, cursor);
+    options = read.content;
+    cursor = read.next;
+  }
+  const end = text.indexOf("\\end{tikzpicture}", cursor);
+  if (end === -1) throw tikzError("tikzpicture 环境未闭合");
+  return { options, body: text.slice(cursor, end) };
+}
+
+function skipSpaces(text, index) {
+  let cursor = index;
+  while (cursor < text.length && /\s/.test(text[cursor])) cursor += 1;
+  return cursor;
+}
+
+// 从 index 读到语句末尾的分号（括号内的分号不算）
+function readStatement(text, index) {
+  let cursor = index;
+  while (cursor < text.length) {
+    const ch = text[cursor];
+    if (ch === "\\") {
+      cursor += 2;
+      continue;
+    }
+    if (PAIRS[ch]) {
+      cursor = ch === "(" ? readParenthesis(text, cursor) : readBalanced(text, cursor).next;
+      continue;
+    }
+    if (ch === ";") return { content: text.slice(index, cursor), next: cursor + 1 };
+    cursor += 1;
+  }
+  throw tikzError("语句缺少结尾的分号");
+}
+
+// 圆括号内可能出现 $...$ 的 calc 表达式，只需找到配对的右括号
+function readParenthesis(text, index) {
+  let depth = 0;
+  for (let cursor = index; cursor < text.length; cursor += 1) {
+    const ch = text[cursor];
+    if (ch === "{") cursor = readBalanced(text, cursor).next - 1;
+    else if (ch === "(") depth += 1;
+    else if (ch === ")") {
+      depth -= 1;
+      if (depth === 0) return cursor + 1;
+    }
+  }
+  throw tikzError("“(”未闭合");
+}
+
+/** 读取坐标 (...)，内部可嵌套圆括号，返回 { content, next } */
+export function readCoordinate(text, index) {
+  const next = readParenthesis(text, index);
+  return { content: text.slice(index + 1, next - 1), next };
+}
+
+function readOptional(text, index) {
+  const cursor = skipSpaces(text, index);
+  if (text[cursor] !== "[") return { content: "", next: index };
+  return readBalanced(text, cursor);
+}
+
+function readGroup(text, index, what) {
+  const cursor = skipSpaces(text, index);
+  if (text[cursor] !== "{") throw tikzError(`${what}后缺少“{...}”`);
+  return readBalanced(text, cursor);
+}
+
+/**
+ * 把绘图主体拆成语句树：
+ * { type: "command", name, text } | { type: "foreach", variables, list, options, body }
+ * | { type: "scope", options, body } | { type: "def", name, value, evaluate } | { type: "style", value }
+ */
+export function parseItems(text, { inScope = false, start = 0, single = false } = {}) {
+  const items = [];
+  let cursor = start;
+
+  while (true) {
+    cursor = skipSpaces(text, cursor);
+    if (cursor >= text.length) {
+      if (inScope) throw tikzError("scope 环境未闭合");
+      return { items, next: cursor };
+    }
+    if (single && items.length > 0) return { items, next: cursor };
+
+    if (text[cursor] === "{") {
+      // 独立的花括号分组等同于其中的语句
+      const group = readBalanced(text, cursor);
+      items.push(...parseItems(group.content).items);
+      cursor = group.next;
+      continue;
+    }
+    if (text[cursor] === ";") {
+      cursor += 1;
+      continue;
+    }
+    if (text[cursor] !== "\\") {
+      throw tikzError(`无法识别的内容“${text.slice(cursor, cursor + 12)}”`);
+    }
+
+    const name = /^\\([A-Za-z]+)/.exec(text.slice(cursor))?.[1];
+    if (!name) throw tikzError(`无法识别的内容“${text.slice(cursor, cursor + 12)}”`);
+    cursor += name.length + 1;
+
+    if (name === "begin" || name === "end") {
+      const env = readGroup(text, cursor, `\\${name}`);
+      cursor = env.next;
+      if (env.content.trim() !== "scope") throw tikzError(`暂不支持 ${env.content.trim()} 环境`);
+      if (name === "end") {
+        if (!inScope) throw tikzError("多余的 \\end{scope}");
+        return { items, next: cursor };
+      }
+      const options = readOptional(text, cursor);
+      const body = parseItems(text, { inScope: true, start: options.next });
+      items.push({ type: "scope", options: options.content, body: body.items });
+      cursor = body.next;
+      continue;
+    }
+
+    if (name === "foreach") {
+      const header = /^\s*((?:\\[A-Za-z]+\s*\/?\s*)+)(\[[^\]]*\])?\s*in\s*/.exec(text.slice(cursor));
+      if (!header) throw tikzError("\\foreach 语法不正确");
+      const variables = header[1].split("/").map((part) => part.trim()).filter(Boolean);
+      const list = readGroup(text, cursor + header[0].length, "\\foreach ... in ");
+      const body = parseItems(text, { start: list.next, single: true });
+      items.push({
+        type: "foreach",
+        variables,
+        options: header[2] ? header[2].slice(1, -1) : "",
+        list: list.content,
+        body: body.items
+      });
+      cursor = body.next;
+      continue;
+    }
+
+    if (name === "def" || name === "pgfmathsetmacro") {
+      const macro = /^\s*\{?\s*\\([A-Za-z]+)\s*\}?/.exec(text.slice(cursor));
+      if (!macro) throw tikzError(`\\${name} 语法不正确`);
+      const value = readGroup(text, cursor + macro[0].length, `\\${name}`);
+      items.push({ type: "def", name: macro[1], value: value.content, evaluate: name === "pgfmathsetmacro" });
+      cursor = value.next;
+      continue;
+    }
+
+    if (name === "tikzset") {
+      const group = readGroup(text, cursor, "\\tikzset");
+      items.push({ type: "style", value: group.content });
+      cursor = group.next;
+      continue;
+    }
+
+    if (name === "tikzstyle") {
+      // 旧写法：\tikzstyle{name}=[options]
+      const styleName = readGroup(text, cursor, "\\tikzstyle");
+      const rest = /^\s*=\s*/.exec(text.slice(styleName.next));
+      if (!rest) throw tikzError("\\tikzstyle 语法不正确");
+      const options = readOptional(text, styleName.next + rest[0].length);
+      items.push({ type: "style", value: `${styleName.content.trim()}/.style={${options.content}}` });
+      cursor = options.next;
+      continue;
+    }
+
+    if (IGNORED_COMMANDS.includes(name)) {
+      cursor = skipSpaces(text, cursor);
+      if (text[cursor] === "{") cursor = readBalanced(text, cursor).next;
+      continue;
+    }
+
+    if (!PATH_COMMANDS.includes(name)) throw tikzError(`暂不支持 \\${name} 命令`);
+    const statement = readStatement(text, cursor);
+    items.push({ type: "command", name, text: statement.content });
+    cursor = statement.next;
+  }
+}
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(6)));
+}
+
+/** 展开 foreach 列表：支持 {1,...,5}、{0,0.5,...,2}、{a,...,e} 与 {0/A,1/B}；与 TikZ 一致，序列不超过终点 */
+export function expandForeachList(listText) {
+  const parts = splitTopLevel(listText, ",").filter((part) => part !== "");
+  const values = [];
+  for (let index = 0; index < parts.length; index += 1) {
+    const part = parts[index];
+    if (part !== "...") {
+      values.push(part.replace(/^\{([\s\S]*)\}$/, "$1"));
+      continue;
+    }
+    const first = values[values.length - 1];
+    const end = parts[index + 1];
+    if (first === undefined || end === undefined) throw tikzError("foreach 列表中 ... 两侧缺少端点");
+    index += 1;
+
+    if (/^[A-Za-z]$/.test(first) && /^[A-Za-z]$/.test(end)) {
+      for (let code = first.charCodeAt(0) + 1; code <= end.charCodeAt(0); code += 1) values.push(String.fromCharCode(code));
+      continue;
+    }
+    const from = evaluateNumber(first);
+    const to = evaluateNumber(end);
+    const step = values.length >= 2 ? from - evaluateNumber(values[values.length - 2]) : (to >= from ? 1 : -1);
+    if (step === 0) throw tikzError("foreach 列表的步长不能为 0");
+    for (let value = from + step; step > 0 ? value <= to + 1e-9 : value >= to - 1e-9; value += step) {
+      if (values.length >= MAX_FOREACH_ITEMS) throw tikzError(`foreach 列表超过 ${MAX_FOREACH_ITEMS} 项`);
+      values.push(formatNumber(value));
+    }
+  }
+  if (values.length > MAX_FOREACH_ITEMS) throw tikzError(`foreach 列表超过 ${MAX_FOREACH_ITEMS} 项`);
+  return values;
+}
+
+/** 把 \name 替换为宏的值（后面紧跟字母时不替换，避免 \x 误伤 \xshift） */
+export function substituteMacros(text, macros) {
+  if (macros.size === 0) return text;
+  return text.replace(/\\([A-Za-z]+)/g, (match, name) => (macros.has(name) ? macros.get(name) : match));
+}
@@ -1,72 +1,133 @@
 ﻿import express from "express";
 import cors from "cors";
+import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
-import OpenAI from "openai";
-import { jsonrepair } from "jsonrepair";
+import { createJsonRequester } from "./lib/json-requester.js";
+import { createNodeRasterAssets } from "./lib/figure-export/node-assets.js";
+import { loadChatPolicy, resolveStageModel } from "./lib/chat-policy.js";
+import { toExpressHandler } from "./lib/express-adapter.js";
+import { handleCreditsGet, handleCreditsPost } from "./lib/handlers/admin.js";
+import { handleChat } from "./lib/handlers/chat.js";
+import { handleJobCancel, handleJobGet, handleJobSubmit } from "./lib/handlers/jobs.js";
+import {
+  handleMistakeCreate,
+  handleMistakeDelete,
+  handleMistakeGet,
+  handleMistakeImage,
+  handleMistakeList,
+  handleMistakeUpdate
+} from "./lib/handlers/mistakes.js";
+import { handleRender, handleRenderBatch } from "./lib/handlers/render.js";
+import { createJobQueue } from "./lib/job-queue.js";
+import { createFileFixtureStore } from "./lib/llm-fixture-file-store.js";
+import { createMistakeStore } from "./lib/mistake-store.js";
+import { createLlmClient } from "./lib/providers/index.js";
+import { createFileQuotaStore } from "./lib/quota-file-store.js";
+import { createQuota, readQuotaOptions } from "./lib/quota.js";
+import { getResponseCache } from "./lib/response-cache.js";
 
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// 部署在反向代理之后时设置 TRUST_PROXY（如 1 或 loopback），限流才能拿到真实客户端 IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 app.use(cors());
 app.use(express.json({ limit: "25mb" }));
 app.use(express.urlencoded({ extended: true, limit: "25mb" }));
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  baseURL: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"
-});
+const responseCache = getResponseCache(process.env);
+
+const chatPolicy = loadChatPolicy(
+  process.env,
+  process.env.CHAT_POLICY_FILE ? fs.readFileSync(process.env.CHAT_POLICY_FILE, "utf8") : ""
+);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 app.use(express.static(__dirname));
 
+// 本地数据（错题本、额度账户）默认存放在 .data/ 下：express.static 不会对外提供点开头的目录
+const dataDir = process.env.DATA_DIR || path.join(__dirname, ".data");
+
+// 按 LLM_PROVIDER_CHAIN 组装模型服务（默认仅 openai），接口与 OpenAI SDK 一致；
+// LLM_MODE=record/replay 的录制文件默认存放在 .data/llm-fixtures
+const client = createLlmClient(process.env, {
+  fixtureStore: createFileFixtureStore({
+    dir: process.env.LLM_FIXTURES_DIR || path.join(dataDir, "llm-fixtures")
+  })
+});
+
+const quota = createQuota({
+  store: createFileQuotaStore({ dataDir }),
+  options: readQuotaOptions(process.env)
+});
+
+// 首页与 Pages 部署一致（见 _redirects），为带错题本的 index.html；错题克星.html 仍可按文件名访问
 app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "错题克星.html"));
+  res.sendFile(path.join(__dirname, "index.html"));
 });
 
-app.post("/api/chat", async (req, res) => {
-  try {
-    const { model, messages, response_format, ...rest } = req.body || {};
-
-    if (!model || !messages) {
-      return res.status(400).json({
-        error: { message: "model and messages are required" }
-      });
-    }
-
-    const completion = await client.chat.completions.create({
-      model,
-      messages,
-      response_format,
-      ...rest
-    });
-
-    const content = completion?.choices?.[0]?.message?.content ?? "";
-    let parsed = null;
-    if (typeof content === "string" && content.trim()) {
-      try {
-        parsed = JSON.parse(content);
-      } catch (err) {
-        try {
-          const repaired = jsonrepair(content);
-          parsed = JSON.parse(repaired);
-        } catch {
-          parsed = null;
-        }
-      }
-    }
-
-    return res.json({ ...completion, parsed });
-  } catch (err) {
-    const status = err?.status || err?.response?.status || 500;
-    const message = err?.error?.message || err?.message || "Upstream error";
-    return res.status(status).json({ error: { message } });
-  }
+const jobQueue = createJobQueue({
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  createContext: (signal) => ({
+    signal,
+    requestJson: createJsonRequester({
+      createCompletion: (params, options) => client.chat.completions.create(params, options),
+      resolveModel: (stage) => resolveStageModel(chatPolicy, stage),
+      signal
+    })
+  })
+});
+
+const mistakeStore = createMistakeStore({ dataDir });
+
+// /api/* 与 Pages Functions 共用 lib/handlers 下的处理函数；错题本仅本地服务提供
+const handlerContext = {
+  client,
+  policy: chatPolicy,
+  quota,
+  responseCache,
+  rasterAssets: createNodeRasterAssets(process.env),
+  jobs: jobQueue,
+  mistakes: mistakeStore
+};
+const getHandlerContext = (req) => ({ ...handlerContext, clientIp: req.ip, params: req.params });
+const route = (handler) => toExpressHandler(handler, getHandlerContext);
+
+app.post("/api/chat", route(handleChat));
+app.post("/api/render", route(handleRender));
+app.post("/api/render/batch", route(handleRenderBatch));
+
+app.post("/api/jobs", route(handleJobSubmit));
+app.get("/api/jobs/:id", route(handleJobGet));
+app.post("/api/jobs/:id/cancel", route(handleJobCancel));
+
+app.get("/api/mistakes", route(handleMistakeList));
+app.post("/api/mistakes", route(handleMistakeCreate));
+app.get("/api/mistakes/:id", route(handleMistakeGet));
+app.get("/api/mistakes/:id/image", route(handleMistakeImage));
+app.put("/api/mistakes/:id", route(handleMistakeUpdate));
+app.delete("/api/mistakes/:id", route(handleMistakeDelete));
+
+// 管理接口：需 Authorization: Bearer <ADMIN_TOKEN>
+app.get("/api/admin/credits", route(handleCreditsGet));
+app.post("/api/admin/credits", route(handleCreditsPost));
+
+// 请求体解析失败等错误同样按 { error: { message } } 返回，与 lib/handlers/http.js 一致
+app.use("/api", (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err?.status || 500;
+  const message = err?.type === "entity.parse.failed" ? "请求体不是合法 JSON" : err?.message || "服务端错误";
+  return res.status(status).json({ error: { message } });
 });
 
 app.listen(port, "127.0.0.1", () => {
@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createStreamingItemsParser, parseSseBlock, tryParseJson } from "../lib/chat-client.js";
+
+test("createStreamingItemsParser 只切出已闭合的题目，且每题只回调一次", () => {
+  const pushText = createStreamingItemsParser();
+  const full = '{"items":[{"question":"a{1}","answer":"x"},{"question":"b \\"}\\"","answer":"y"}]}';
+  assert.deepEqual(pushText(full.slice(0, 20)), []);
+  assert.deepEqual(pushText(full.slice(0, 45)), [{ question: "a{1}", answer: "x" }]);
+  assert.deepEqual(pushText(full), [{ question: 'b "}"', answer: "y" }]);
+  assert.deepEqual(pushText(full), []);
+});
+
+test("parseSseBlock 解析事件名与多行 data", () => {
+  assert.deepEqual(parseSseBlock('event: delta\ndata: {"content":"hi"}'), { event: "delta", data: { content: "hi" } });
+  assert.equal(parseSseBlock(": ping"), null);
+});
+
+test("tryParseJson 容忍代码块、尾逗号与字符串中未转义的反斜杠", () => {
+  assert.deepEqual(tryParseJson('```json\n{"a": "\\frac{1}{2}", "b": [1, 2,],}\n```'), { a: "\\frac{1}{2}", b: [1, 2] });
+  assert.equal(tryParseJson("not json"), null);
+});
@@ -0,0 +1,183 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { DiagramRenderer } from "../diagram-renderer.js";
+import { DIAGRAM_TYPES } from "../lib/diagram-spec.js";
+
+// DiagramRenderer.renderToString 的快照测试：每种题图类型一份 SVG，存放在 __snapshots__/diagram-renderer 下。
+// 改动绘制逻辑后用 UPDATE_SNAPSHOTS=1 npm test 重新生成，并检查快照的 diff。
+
+const SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "__snapshots__", "diagram-renderer");
+
+function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOT_DIR, `${name}.svg`);
+  if (process.env.UPDATE_SNAPSHOTS || (!fs.existsSync(file) && !process.env.CI)) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, `${actual}\n`, "utf8");
+    return;
+  }
+  assert.ok(fs.existsSync(file), `缺少快照 ${name}.svg，请用 UPDATE_SNAPSHOTS=1 npm test 生成`);
+  assert.equal(actual, fs.readFileSync(file, "utf8").replace(/\n$/, ""));
+}
+
+// 与 lib/diagram-spec.js 中各类型的 data 格式示例一致
+const SPECS = {
+  geometry: {
+    title: "三角形中的中线与高",
+    data: {
+      points: [
+        { id: "A", x: 1, y: 3 },
+        { id: "B", x: 0, y: 0 },
+        { id: "C", x: 4, y: 0 },
+        { id: "D", construct: "midpoint", points: ["B", "C"] },
+        { id: "E", construct: "foot", point: "A", line: ["B", "C"] }
+      ],
+      segments: [["A", "B"], ["B", "C"], ["C", "A"], ["A", "E"]],
+      angles: [{ vertex: "A", value: "60°", mark: true }],
+      labels: [{ from: "A", to: "B", text: "√10" }],
+      auxiliary: [{ from: "A", to: "D", label: "h" }],
+      relations: [{ type: "equal", segments: [["A", "B"], ["A", "D"]] }]
+    }
+  },
+  function_graph: {
+    data: {
+      xRange: [-5, 5],
+      yRange: [-5, 5],
+      functions: [
+        { expr: "x^2-2x", label: "y=x²-2x", style: "dashed" },
+        { expr: "a/x", domain: [0.2, 5] },
+        { pieces: [{ expr: "-x", domain: [-5, 0] }, { expr: "x^2+1", domain: [0, 3] }] }
+      ],
+      constants: { a: 2 },
+      points: [{ x: 1, y: -1, label: "顶点", style: "hollow" }],
+      asymptotes: [{ type: "vertical", value: 0 }],
+      gridStep: 1
+    }
+  },
+  coordinate: {
+    data: {
+      xRange: [-4, 4],
+      yRange: [-4, 4],
+      vectors: [{ from: [0, 0], to: [2, 1], label: "a" }],
+      points: [{ x: 1, y: 2, label: "P" }],
+      lines: [{ slope: 1, intercept: 0, label: "l" }]
+    }
+  },
+  force: {
+    data: {
+      object: { label: "m" },
+      surface: { type: "incline", angle: 30 },
+      forces: [
+        { label: "G", direction: "gravity", magnitude: "medium" },
+        { label: "N", direction: "normal", magnitude: "medium" },
+        { label: "f", direction: "friction_up", magnitude: "small" }
+      ],
+      annotations: ["μ=0.2"]
+    }
+  },
+  circuit: {
+    data: {
+      components: [
+        { type: "battery", label: "E" },
+        { type: "resistor", label: "R₁" },
+        { type: "switch", label: "S" },
+        { type: "ammeter", label: "A" }
+      ]
+    }
+  },
+  optics: {
+    data: {
+      axisRange: [-30, 30],
+      elements: [
+        { type: "convex_lens", position: 0, focalLength: 10 },
+        { type: "object", position: -20, height: 3 }
+      ],
+      rays: true
+    }
+  },
+  molecule: { data: { smiles: "CCO", name: "乙醇" } },
+  reaction: { data: { steps: [{ reactants: ["2H₂", "O₂"], products: ["2H₂O"], conditions: ["点燃"] }] } },
+  apparatus: {
+    data: {
+      equipment: [
+        { type: "round_flask", label: "A", content: "浓硫酸" },
+        { type: "alcohol_lamp", label: "B" },
+        { type: "gas_jar", label: "C" }
+      ]
+    }
+  },
+  cell: {
+    data: {
+      cellType: "plant",
+      structures: ["cell_membrane", "nucleus", "chloroplast", "vacuole"],
+      highlighted: ["chloroplast"]
+    }
+  },
+  process_flow: {
+    data: {
+      nodes: [
+        { id: "a", text: "光反应", shape: "rect" },
+        { id: "b", text: "暗反应", shape: "rect" },
+        { id: "c", text: "有机物", shape: "circle" }
+      ],
+      edges: [{ from: "a", to: "b", label: "ATP" }, { from: "b", to: "c" }]
+    }
+  },
+  geographic: {
+    data: {
+      subtype: "climate_chart",
+      climate_chart: {
+        city: "北京",
+        temperature: [-4, -1, 6, 14, 20, 25, 26, 25, 20, 13, 4, -2],
+        precipitation: [3, 6, 9, 26, 29, 71, 176, 182, 49, 19, 6, 2]
+      }
+    }
+  },
+  generic_svg: {
+    data: {
+      description: "加热装置示意",
+      elements: [
+        { shape: "rect", x: 20, y: 20, width: 80, height: 40, label: "A" },
+        { shape: "arrow", from: [100, 40], to: [180, 40], label: "加热" },
+        { shape: "text", x: 20, y: 120, text: "说明" }
+      ]
+    }
+  }
+};
+
+test("每种题图类型都有快照用例", () => {
+  assert.deepEqual(Object.keys(SPECS).sort(), [...DIAGRAM_TYPES].sort());
+});
+
+for (const type of DIAGRAM_TYPES) {
+  test(`renderToString: ${type}`, () => {
+    const { svg } = DiagramRenderer.renderToString({ type, ...SPECS[type] });
+    assert.match(svg, /^<svg[\s>]/);
+    assert.doesNotMatch(svg, /NaN|undefined/);
+    matchSnapshot(type, svg);
+  });
+}
+
+test("renderToString 对同一 spec 输出相同的 SVG", () => {
+  const spec = { type: "geometry", ...SPECS.geometry };
+  assert.equal(DiagramRenderer.renderToString(spec).svg, DiagramRenderer.renderToString(spec).svg);
+});
+
+test("renderToString 返回与坐标不符的关系警告，且不输出到控制台", (t) => {
+  const warn = t.mock.method(console, "warn");
+  const { svg, warnings } = DiagramRenderer.renderToString({
+    type: "geometry",
+    data: {
+      points: [{ id: "A", x: 0, y: 0 }, { id: "B", x: 4, y: 0 }, { id: "C", x: 1, y: 3 }],
+      segments: [["A", "B"], ["B", "C"], ["C", "A"]],
+      relations: [{ type: "parallel", segments: [["A", "B"], ["B", "C"]] }]
+    }
+  });
+  assert.match(svg, /^<svg[\s>]/);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /并不平行/);
+  assert.equal(warn.mock.callCount(), 0);
+  assert.deepEqual(DiagramRenderer.renderToString({ type: "geometry", ...SPECS.geometry }).warnings, []);
+});
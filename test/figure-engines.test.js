@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { normalizePlotSpec, renderPlotSvg } from "../lib/plot/index.js";
+import { renderSmilesSvg } from "../lib/smiles/index.js";
+import { sanitizeSvgDocument } from "../lib/svg-sanitizer.js";
+import { renderTikzSvg } from "../lib/tikz/index.js";
+
+// 本地绘图引擎（SMILES / TikZ / plot）：输出必须是清洗后不丢任何内容的单个 <svg>，输入不合法时抛出 status=400
+
+function assertCleanSvg(svg) {
+  assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"[^>]*>[\s\S]*<\/svg>$/);
+  assert.deepEqual(sanitizeSvgDocument(svg).removed, []);
+}
+
+test("SMILES：苯酚按凯库勒式绘制", () => {
+  const { svg, atomCount, kekulized } = renderSmilesSvg("c1ccccc1O");
+  assert.equal(atomCount, 7);
+  assert.equal(kekulized, true);
+  assert.match(svg, /aria-label="化学结构式：c1ccccc1O"/);
+  assertCleanSvg(svg);
+});
+
+test("SMILES：括号未闭合返回 400", () => {
+  assert.throws(() => renderSmilesSvg("C1CC("), { status: 400 });
+});
+
+test("TikZ：\\draw 路径与节点", () => {
+  const { svg, statementCount } = renderTikzSvg(
+    "\\begin{tikzpicture}\\draw[->] (0,0) -- (2,1) node[right]{$A$};\\end{tikzpicture}"
+  );
+  assert.equal(statementCount, 1);
+  assert.match(svg, /<path /);
+  assertCleanSvg(svg);
+});
+
+test("TikZ：没有可绘制内容时返回 400", () => {
+  assert.throws(() => renderTikzSvg("\\begin{tikzpicture}\\end{tikzpicture}"), { status: 400 });
+});
+
+test("plot：函数曲线带标题与裁剪区域", () => {
+  const spec = normalizePlotSpec({ title: "y=x²", series: [{ type: "function", expr: "x^2", domain: [-2, 2] }] });
+  assert.equal(spec.width, 480);
+  const { svg } = renderPlotSvg(spec);
+  assert.match(svg, /aria-label="y=x²"/);
+  assert.match(svg, /<clipPath id="plot-clip-/);
+  assertCleanSvg(svg);
+});
+
+test("plot：没有任何 series 时返回 400", () => {
+  assert.throws(() => normalizePlotSpec({ series: [] }), { status: 400 });
+});
@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  createMemoryQuotaStore,
+  createMemoryRateLimiter,
+  createQuota,
+  getTokenAccountId,
+  readQuotaOptions
+} from "../lib/quota.js";
+
+function createTestQuota(env = {}, limiter = createMemoryRateLimiter()) {
+  const store = createMemoryQuotaStore();
+  const quota = createQuota({
+    store,
+    options: readQuotaOptions({ CREDITS_ENABLED: "1", CREDITS_INITIAL: "5", ...env }),
+    limiter
+  });
+  return { store, quota };
+}
+
+test("IP 账户首次请求按初始点数建账并扣点", async () => {
+  const { quota } = createTestQuota();
+  assert.deepEqual(await quota.charge({ id: "ip:1", cost: 2 }), { id: "ip:1", charged: 2, balance: 3 });
+  assert.deepEqual(await quota.charge({ id: "ip:1", cost: 3 }), { id: "ip:1", charged: 3, balance: 0 });
+});
+
+test("点数不足时返回 402，余额不变", async () => {
+  const { quota } = createTestQuota();
+  await quota.charge({ id: "ip:1", cost: 4 });
+  await assert.rejects(quota.charge({ id: "ip:1", cost: 2 }), (error) => {
+    assert.equal(error.status, 402);
+    assert.equal(error.balance, 1);
+    return true;
+  });
+  assert.equal((await quota.inspect("ip:1")).balance, 1);
+});
+
+test("退款加回余额并冲减已用点数，0 点不操作", async () => {
+  const { quota } = createTestQuota();
+  const billing = await quota.charge({ id: "ip:1", cost: 2 });
+  await quota.refund(billing.id, billing.charged);
+  await quota.refund(billing.id, 0);
+  const account = await quota.inspect("ip:1");
+  assert.equal(account.balance, 5);
+  assert.equal(account.spent, 0);
+});
+
+test("未充值的 Token 返回 401，充值后按 Token 账户扣点", async () => {
+  const { quota } = createTestQuota();
+  const id = await getTokenAccountId("secret");
+  await assert.rejects(quota.charge({ id, isToken: true, cost: 1 }), { status: 401 });
+  await quota.topUp(id, 3);
+  assert.equal((await quota.charge({ id, isToken: true, cost: 1 })).balance, 2);
+});
+
+test("未开启计费时只限流，不建账", async () => {
+  const { store, quota } = createTestQuota({ CREDITS_ENABLED: "0" });
+  assert.deepEqual(await quota.charge({ id: "ip:1", cost: 2 }), { id: "ip:1", charged: 0, balance: null });
+  assert.deepEqual(await store.list(), []);
+});
+
+test("超过窗口内请求数返回 429 并附带 retryAfter", async () => {
+  const { quota } = createTestQuota({ RATE_LIMIT_MAX: "2", RATE_LIMIT_WINDOW_SECONDS: "60" });
+  await quota.charge({ id: "ip:1" });
+  await quota.charge({ id: "ip:1" });
+  await assert.rejects(quota.charge({ id: "ip:1" }), (error) => {
+    assert.equal(error.status, 429);
+    assert.ok(error.retryAfter >= 1 && error.retryAfter <= 60);
+    return true;
+  });
+});
+
+test("RATE_LIMIT_MAX 或 RATE_LIMIT_WINDOW_SECONDS 为 0 时不调用限流器", async () => {
+  const limiter = { hit: () => assert.fail("不应调用限流器") };
+  for (const env of [{ RATE_LIMIT_MAX: "0" }, { RATE_LIMIT_WINDOW_SECONDS: "0" }]) {
+    const { quota } = createTestQuota(env, limiter);
+    assert.equal((await quota.charge({ id: "ip:1", cost: 1 })).balance, 4);
+  }
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createChatCacheKey, createMemoryCache } from "../lib/response-cache.js";
+
+const PARAMS = {
+  model: "gpt-4o-mini",
+  messages: [{ role: "user", content: "1+1=?" }],
+  response_format: { type: "json_object" },
+  temperature: 0.3
+};
+
+test("缓存键与参数的书写顺序无关", async () => {
+  const reordered = { temperature: 0.3, response_format: { type: "json_object" }, messages: PARAMS.messages, model: "gpt-4o-mini" };
+  assert.equal(await createChatCacheKey(PARAMS, "analysis"), await createChatCacheKey(reordered, "analysis"));
+});
+
+test("任一采样参数或 schema 名不同都得到不同的键", async () => {
+  const base = await createChatCacheKey(PARAMS, "analysis");
+  const variants = [
+    [{ ...PARAMS, max_tokens: 256 }, "analysis"],
+    [{ ...PARAMS, top_p: 0.5 }, "analysis"],
+    [{ ...PARAMS, seed: 7 }, "analysis"],
+    [{ ...PARAMS, stop: ["\n"] }, "analysis"],
+    [{ ...PARAMS, n: 2 }, "analysis"],
+    [PARAMS, "variation_batch"],
+    [PARAMS, undefined]
+  ];
+  const keys = await Promise.all(variants.map(([params, schemaName]) => createChatCacheKey(params, schemaName)));
+  keys.forEach((key) => assert.notEqual(key, base));
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test("内存缓存按总字节数淘汰最久未用的条目", async () => {
+  const cache = createMemoryCache({ maxBytes: 30, maxEntryBytes: 40 });
+  await cache.set("a", "aaaa", 60);
+  await cache.set("b", "bbbb", 60);
+  await cache.get("a");
+  await cache.set("c", "cccc", 60);
+  assert.equal(await cache.get("b"), null);
+  assert.equal(await cache.get("a"), "aaaa");
+  assert.equal(await cache.get("c"), "cccc");
+  assert.equal(await cache.set("big", "x".repeat(30), 60), false);
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { sanitizeSvg, sanitizeSvgDocument } from "../lib/svg-sanitizer.js";
+
+// 常见的绕过写法：清洗结果中不得残留脚本、外部资源或事件属性，且每项删除都要出现在 removed 清单里
+
+const UNSAFE_OUTPUT = /<script|foreignObject|\son\w+=|javascript:|https?:\/\/|@import/i;
+
+// 命名空间声明本身是 http 地址，检查外部资源前先去掉
+function assertSafe(svg) {
+  assert.doesNotMatch(svg.replace(/\sxmlns(?::\w+)?="[^"]*"/g, ""), UNSAFE_OUTPUT);
+}
+
+function removedNames(removed) {
+  return removed.map((entry) => entry.name);
+}
+
+test("删除 <script>，包括带 svg: 前缀与实体编码的写法", () => {
+  for (const input of [
+    "<svg><script>alert(1)</script><rect width=\"1\" height=\"1\"/></svg>",
+    "<svg><script>&lt;</script><text>&#x6a;avascript</text></svg>",
+    "<svg:svg xmlns:svg=\"http://www.w3.org/2000/svg\"><svg:script>alert(1)</svg:script></svg:svg>"
+  ]) {
+    const { svg, removed } = sanitizeSvgDocument(input);
+    assertSafe(svg);
+    assert.ok(removedNames(removed).some((name) => /script$/.test(name)), input);
+  }
+});
+
+test("删除 foreignObject 及其中的 HTML", () => {
+  const { svg, removed } = sanitizeSvgDocument(
+    "<svg><foreignObject><div xmlns=\"http://www.w3.org/1999/xhtml\"><img src=x onerror=alert(1)></div></foreignObject></svg>"
+  );
+  assert.equal(svg, "<svg xmlns=\"http://www.w3.org/2000/svg\"/>");
+  assert.deepEqual(removedNames(removed), ["foreignObject"]);
+});
+
+test("删除任意大小写的 on* 事件属性", () => {
+  const { svg, removed } = sanitizeSvgDocument("<svg onload=\"alert(1)\"><circle r=\"2\" onclick=\"x()\" ONMOUSEOVER=\"y()\"/></svg>");
+  assert.equal(svg, "<svg xmlns=\"http://www.w3.org/2000/svg\"><circle r=\"2\"/></svg>");
+  assert.deepEqual(removedNames(removed), ["onload", "onclick", "ONMOUSEOVER"]);
+});
+
+test("href 只保留文档内引用：javascript: 与外部地址被删除，<a> 展开", () => {
+  const { svg, removed } = sanitizeSvgDocument(
+    "<svg><a href=\"javascript:alert(1)\"><text>x</text></a><use href=\"javascript:alert(1)\"/>" +
+      "<use xlink:href=\"  JaVaScRiPt:alert(1)\"/><image href=\"https://evil.example/x.png\"/><use href=\"#ok\"/></svg>"
+  );
+  assertSafe(svg);
+  assert.match(svg, /<use href="#ok"\/>/);
+  assert.deepEqual(removedNames(removed), ["a", "use@href", "use@xlink:href", "image@href"]);
+});
+
+test("<style> 与 style 属性去掉 @import 与外部 url()，保留 #id 引用", () => {
+  const { svg, removed } = sanitizeSvgDocument(
+    "<svg><style>@import url(https://evil.example/x.css); rect { fill: url(https://evil.example/#a); stroke: url(#ok) }</style>" +
+      "<rect style=\"background:url(https://evil.example/x)\" fill=\"url(#g)\"/></svg>"
+  );
+  assertSafe(svg);
+  assert.match(svg, /stroke: url\(#ok\)/);
+  assert.match(svg, /fill="url\(#g\)"/);
+  assert.deepEqual(removed.map((entry) => entry.type), ["css", "css", "css"]);
+});
+
+test("保留 xlink:href 时根元素声明 xlink 命名空间，且只声明一次", () => {
+  assert.equal(
+    sanitizeSvg("<svg><use xlink:href=\"#p\"/></svg>"),
+    "<svg xmlns:xlink=\"http://www.w3.org/1999/xlink\" xmlns=\"http://www.w3.org/2000/svg\"><use xlink:href=\"#p\"/></svg>"
+  );
+  const declared = sanitizeSvg("<svg xmlns:xlink=\"http://www.w3.org/1999/xlink\"><use xlink:href=\"#p\"/></svg>");
+  assert.equal(declared.match(/xmlns:xlink=/g).length, 1);
+  assert.doesNotMatch(sanitizeSvg("<svg><use href=\"#p\"/></svg>"), /xmlns:xlink/);
+});